@@ -2,15 +2,17 @@ const Attendance = require("../models/Attendance");
 const User = require("../../models/User");
 const Company = require("../../models/Company");
 const mongoose = require("mongoose");
-
-// Helper function: Format duration in HH:MM:SS
-const formatDuration = (ms) => {
-  const totalSeconds = Math.floor(ms / 1000);
-  const hours = String(Math.floor(totalSeconds / 3600)).padStart(2, "0");
-  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
-  const seconds = String(totalSeconds % 60).padStart(2, "0");
-  return `${hours}:${minutes}:${seconds}`;
-};
+const { getTeamUserIds } = require("../../services/reportingHierarchy");
+const { createHolidayResolver } = require("../utils/attendanceCalendar");
+const {
+  formatDuration,
+  getShiftDay,
+  isWeeklyOff,
+  evaluateClockIn,
+  evaluateClockOut,
+  hasClockInWindowClosed,
+  resolveShiftForUser
+} = require("../utils/shiftRules");
 
 // Helper function: Format time to readable string
 const formatTime = (date) => {
@@ -104,12 +106,16 @@ const clockIn = async (req, res) => {
     }
     
     const now = new Date();
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
+    const shift = await resolveShiftForUser(await User.findById(userId).select('companyCode department'));
+
+    // Night shifts that started yesterday evening belong to yesterday's record
+    const shiftDay = getShiftDay(shift, now);
+    const shiftDayEnd = new Date(shiftDay);
+    shiftDayEnd.setHours(23, 59, 59, 999);
 
     const alreadyIn = await Attendance.findOne({ 
       user: userId, 
-      date: { $gte: todayStart } 
+      date: { $gte: shiftDay, $lte: shiftDayEnd } 
     });
     
     if (alreadyIn) {
@@ -118,33 +124,11 @@ const clockIn = async (req, res) => {
       });
     }
 
-    const halfDayThreshold = new Date(now);
-    halfDayThreshold.setHours(10, 0, 0, 0);
-    
-    const lateThresholdEnd = new Date(now);
-    lateThresholdEnd.setHours(9, 30, 0, 0);
-    
-    const lateThresholdStart = new Date(now);
-    lateThresholdStart.setHours(9, 10, 0, 0);
-    
-    const shiftStart = new Date(now);
-    shiftStart.setHours(9, 0, 0, 0);
-
-    const lateBy = now > shiftStart ? formatDuration(now - shiftStart) : "00:00:00";
-
-    let status = "PRESENT";
-    
-    if (now >= halfDayThreshold) {
-      status = "HALFDAY";
-    } else if (now >= lateThresholdStart && now <= lateThresholdEnd) {
-      status = "LATE";
-    } else if (now > lateThresholdEnd && now < halfDayThreshold) {
-      status = "HALFDAY";
-    }
+    const { status, lateBy } = evaluateClockIn(shift, now);
 
     const newRecord = new Attendance({
       user: userId,
-      date: now,
+      date: shiftDay,
       inTime: now,
       lateBy,
       status: status,
@@ -191,69 +175,32 @@ const clockOut = async (req, res) => {
     const userCompanyCode = req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
     
     const now = new Date();
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
+    const shift = await resolveShiftForUser(await User.findById(userId).select('companyCode department'));
+
+    // Night shifts clock out on the day after their record's date
+    const shiftDay = getShiftDay(shift, now);
+    const shiftDayEnd = new Date(shiftDay);
+    shiftDayEnd.setHours(23, 59, 59, 999);
 
     const record = await Attendance.findOne({ 
       user: userId, 
-      date: { $gte: todayStart } 
+      date: { $gte: shiftDay, $lte: shiftDayEnd } 
     });
 
-    if (!record || record.outTime) {
+    if (!record || record.outTime || !record.inTime) {
       return res.status(400).json({ 
         message: "Not clocked in or already clocked out" 
       });
     }
 
-    const shiftEnd = new Date(now);
-    shiftEnd.setHours(19, 0, 0, 0);
-
-    const totalMs = now - new Date(record.inTime);
-    const totalHours = totalMs / (1000 * 60 * 60);
+    const evaluation = evaluateClockOut(shift, new Date(record.inTime), now);
 
     record.outTime = now;
     record.isClockedIn = false;
-    record.totalTime = formatDuration(totalMs);
-    record.overTime = now > shiftEnd ? formatDuration(now - shiftEnd) : "00:00:00";
-    record.earlyLeave = now < shiftEnd ? formatDuration(shiftEnd - now) : "00:00:00";
-
-    const loginTime = new Date(record.inTime);
-    const halfDayThreshold = new Date(loginTime);
-    halfDayThreshold.setHours(10, 0, 0, 0);
-    
-    const lateThresholdEnd = new Date(loginTime);
-    lateThresholdEnd.setHours(9, 30, 0, 0);
-    
-    const lateThresholdStart = new Date(loginTime);
-    lateThresholdStart.setHours(9, 10, 0, 0);
-
-    if (loginTime >= halfDayThreshold) {
-      record.status = "HALFDAY";
-    } else if (loginTime > lateThresholdEnd && loginTime < halfDayThreshold) {
-      if (totalHours >= 9) {
-        record.status = "HALFDAY";
-      } else if (totalHours >= 5) {
-        record.status = "HALFDAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    } else if (loginTime >= lateThresholdStart && loginTime <= lateThresholdEnd) {
-      if (totalHours >= 9) {
-        record.status = "LATE";
-      } else if (totalHours >= 5) {
-        record.status = "HALFDAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    } else {
-      if (totalHours >= 9) {
-        record.status = "PRESENT";
-      } else if (totalHours >= 5) {
-        record.status = "HALFDAY";
-      } else {
-        record.status = "ABSENT";
-      }
-    }
+    record.status = evaluation.status;
+    record.totalTime = evaluation.totalTime;
+    record.overTime = evaluation.overTime;
+    record.earlyLeave = evaluation.earlyLeave;
 
     // Ensure company code is set
     if (!record.companyCode && userCompanyCode) {
@@ -297,9 +244,9 @@ const getTodayStatus = async (req, res) => {
     const userCompanyCode = req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
     
     const now = new Date();
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
+    const shift = await resolveShiftForUser(await User.findById(userId).select('companyCode department'));
+    const todayStart = getShiftDay(shift, now);
+    const todayEnd = new Date(todayStart);
     todayEnd.setHours(23, 59, 59, 999);
 
     const today = await Attendance.findOne({ 
@@ -308,14 +255,7 @@ const getTodayStatus = async (req, res) => {
     });
 
     if (!today) {
-      const currentTime = new Date();
-      const endOfDay = new Date();
-      endOfDay.setHours(23, 59, 59, 999);
-      
-      const absentThreshold = new Date();
-      absentThreshold.setHours(10, 0, 0, 0);
-      
-      if (currentTime >= absentThreshold && currentTime <= endOfDay) {
+      if (!isWeeklyOff(shift, todayStart) && hasClockInWindowClosed(shift, todayStart, now)) {
         return res.status(200).json({
           isClockedIn: false,
           status: "ABSENT",
@@ -410,14 +350,25 @@ const getAttendanceList = async (req, res) => {
       existingRecordsMap[dateKey] = record;
     });
 
+    const listUser = await User.findById(userId).select('companyCode department workLocation');
+    const shift = await resolveShiftForUser(listUser);
+    const holidayFor = createHolidayResolver(startOfMonth, endDate);
+    const holidays = {};
+    for (const date of allDatesInMonth) {
+      const holiday = await holidayFor(listUser, date);
+      if (holiday) {
+        holidays[`${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`] = holiday;
+      }
+    }
+
     const completeList = allDatesInMonth.map(date => {
       const dateKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
 
       if (existingRecordsMap[dateKey]) {
         return existingRecordsMap[dateKey];
       } else {
-        const dayOfWeek = date.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+        const isWeekend = isWeeklyOff(shift, date);
+        const holiday = holidays[dateKey];
 
         return {
           _id: `absent_${userId}_${date.toISOString().split('T')[0]}`,
@@ -431,14 +382,14 @@ const getAttendanceList = async (req, res) => {
           date: date,
           inTime: null,
           outTime: null,
-          status: isWeekend ? "WEEKEND" : "ABSENT",
+          status: isWeekend ? "WEEKEND" : holiday ? "HOLIDAY" : "ABSENT",
           lateBy: "00:00:00",
           earlyLeave: "00:00:00",
           overTime: "00:00:00",
           totalTime: "00:00:00",
           isClockedIn: false,
           companyCode: userCompanyCode, // Add company code to absent records
-          notes: isWeekend ? "Weekend" : "No attendance recorded",
+          notes: isWeekend ? "Weekend" : holiday ? `Holiday: ${holiday.title}` : "No attendance recorded",
           createdAt: date,
           updatedAt: date
         };
@@ -468,7 +419,7 @@ const getAttendanceList = async (req, res) => {
 const getAllUsersAttendance = async (req, res) => {
   try {
     const userCompanyCode = req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
-    const { date } = req.query;
+    const { date, scope } = req.query;
     
     if (!userCompanyCode) {
       return res.status(400).json({ 
@@ -478,6 +429,11 @@ const getAllUsersAttendance = async (req, res) => {
     
     let filter = { companyCode: userCompanyCode }; // Filter by company code
 
+    // ?scope=team: only the caller's reporting line (direct and indirect reports)
+    if (scope === "team") {
+      filter.user = { $in: await getTeamUserIds(req.user) };
+    }
+
     if (date) {
       const start = new Date(date);
       start.setHours(0, 0, 0, 0);
@@ -544,93 +500,32 @@ const updateAttendanceRecord = async (req, res) => {
       });
     }
     
+    const recordUser = await User.findById(record.user._id || record.user).select('companyCode department');
+    const shift = await resolveShiftForUser(recordUser || { companyCode: userCompanyCode });
+
     // Update inTime if provided
     if (updateData.inTime) {
       record.inTime = new Date(updateData.inTime);
       
-      const shiftStart = new Date(record.inTime);
-      shiftStart.setHours(9, 0, 0, 0);
-      
-      if (record.inTime > shiftStart) {
-        record.lateBy = formatDuration(record.inTime - shiftStart);
-      } else {
-        record.lateBy = "00:00:00";
-      }
-      
-      const loginTime = record.inTime;
-      const hour = loginTime.getHours();
-      const minute = loginTime.getMinutes();
-      const totalMinutes = (hour * 60) + minute;
-      
-      if (totalMinutes >= 600) {
-        record.status = "HALFDAY";
-      } else if (totalMinutes >= 570) {
-        record.status = "HALFDAY";
-      } else if (totalMinutes >= 550) {
-        record.status = "LATE";
-      } else {
-        record.status = "PRESENT";
-      }
+      const clockIn = evaluateClockIn(shift, record.inTime);
+      record.lateBy = clockIn.lateBy;
+      record.status = clockIn.status;
     }
     
     // Update outTime if provided
     if (updateData.outTime) {
       record.outTime = new Date(updateData.outTime);
       record.isClockedIn = false;
-      
-      if (record.inTime && record.outTime) {
-        const totalMs = record.outTime - record.inTime;
-        record.totalTime = formatDuration(totalMs);
-        
-        const shiftEnd = new Date(record.outTime);
-        shiftEnd.setHours(19, 0, 0, 0);
-        
-        record.overTime = record.outTime > shiftEnd ? 
-          formatDuration(record.outTime - shiftEnd) : "00:00:00";
-        record.earlyLeave = record.outTime < shiftEnd ? 
-          formatDuration(shiftEnd - record.outTime) : "00:00:00";
-        
-        const totalHours = totalMs / (1000 * 60 * 60);
-        const loginTime = record.inTime;
-        const halfDayThreshold = new Date(loginTime);
-        halfDayThreshold.setHours(10, 0, 0, 0);
-        
-        const lateThresholdEnd = new Date(loginTime);
-        lateThresholdEnd.setHours(9, 30, 0, 0);
-        
-        const lateThresholdStart = new Date(loginTime);
-        lateThresholdStart.setHeaders(9, 10, 0, 0);
-        
-        if (loginTime >= halfDayThreshold) {
-          record.status = "HALFDAY";
-        } else if (loginTime > lateThresholdEnd && loginTime < halfDayThreshold) {
-          if (totalHours >= 9) {
-            record.status = "HALFDAY";
-          } else if (totalHours >= 5) {
-            record.status = "HALFDAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        } else if (loginTime >= lateThresholdStart && loginTime <= lateThresholdEnd) {
-          if (totalHours >= 9) {
-            if (record.status !== "LATE") {
-              record.status = "PRESENT";
-            }
-          } else if (totalHours >= 5) {
-            record.status = "HALFDAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        } else {
-          if (totalHours >= 9) {
-            record.status = "PRESENT";
-          } else if (totalHours >= 5) {
-            record.status = "HALFDAY";
-          } else {
-            record.status = "ABSENT";
-          }
-        }
-      }
+    }
+
+    // Recompute from the shift whenever either punch changes
+    if ((updateData.inTime || updateData.outTime) && record.inTime && record.outTime) {
+      const clockOut = evaluateClockOut(shift, record.inTime, record.outTime);
+      record.status = clockOut.status;
+      record.lateBy = clockOut.lateBy;
+      record.totalTime = clockOut.totalTime;
+      record.overTime = clockOut.overTime;
+      record.earlyLeave = clockOut.earlyLeave;
     }
     
     // Update status if explicitly provided
@@ -736,13 +631,26 @@ const createManualAttendance = async (req, res) => {
       date: { $gte: existingDate, $lte: endOfDay }
     });
     
+    // Derive status and timings from the user's shift; explicit values still win
+    const shift = await resolveShiftForUser(userExists);
+    const punchIn = inTime ? new Date(inTime) : existingAttendance?.inTime;
+    const punchOut = outTime ? new Date(outTime) : existingAttendance?.outTime;
+    let computed = {};
+
+    if (punchIn && punchOut) {
+      computed = evaluateClockOut(shift, new Date(punchIn), new Date(punchOut));
+    } else if (punchIn) {
+      computed = evaluateClockIn(shift, new Date(punchIn));
+    }
+    
     if (existingAttendance) {
-  existingAttendance.status = status ? status.toUpperCase() : existingAttendance.status;
+  existingAttendance.status = status ? status.toUpperCase() : (computed.status || existingAttendance.status);
   existingAttendance.inTime = inTime ? new Date(inTime) : existingAttendance.inTime;
   existingAttendance.outTime = outTime ? new Date(outTime) : existingAttendance.outTime;
-  existingAttendance.lateBy = lateBy || existingAttendance.lateBy;
-  existingAttendance.earlyLeave = earlyLeave || existingAttendance.earlyLeave;
-  existingAttendance.overTime = overTime || existingAttendance.overTime;
+  existingAttendance.lateBy = lateBy || computed.lateBy || existingAttendance.lateBy;
+  existingAttendance.earlyLeave = earlyLeave || computed.earlyLeave || existingAttendance.earlyLeave;
+  existingAttendance.overTime = overTime || computed.overTime || existingAttendance.overTime;
+  existingAttendance.totalTime = computed.totalTime || existingAttendance.totalTime;
   existingAttendance.notes = notes || existingAttendance.notes;
 
   await existingAttendance.save();
@@ -759,10 +667,11 @@ const createManualAttendance = async (req, res) => {
       date: new Date(date),
       inTime: inTime ? new Date(inTime) : null,
       outTime: outTime ? new Date(outTime) : null,
-      status: status ? status.toUpperCase() : "ABSENT",
-      lateBy: lateBy || "00:00:00",
-      earlyLeave: earlyLeave || "00:00:00",
-      overTime: overTime || "00:00:00",
+      status: status ? status.toUpperCase() : (computed.status || "ABSENT"),
+      lateBy: lateBy || computed.lateBy || "00:00:00",
+      earlyLeave: earlyLeave || computed.earlyLeave || "00:00:00",
+      overTime: overTime || computed.overTime || "00:00:00",
+      totalTime: computed.totalTime || "00:00:00",
       notes: notes || "",
       isClockedIn: !outTime,
       companyCode: userCompanyCode // Add company code
@@ -925,61 +834,10 @@ const getAttendanceByUser = async (req, res) => {
   }
 };
 
-// Mark Daily Absent (Cron Job) - UPDATED
-const markDailyAbsent = async () => {
-  try {
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-    
-    // Get all companies
-    const companies = await Company.find({ isActive: true });
-    
-    for (const company of companies) {
-      // Get all users for this company
-      const companyUsers = await User.find({ 
-        companyCode: company.companyCode,
-        isActive: true 
-      });
-      
-      // For each user in company, check attendance
-      for (const user of companyUsers) {
-        const existingAttendance = await Attendance.findOne({
-          user: user._id,
-          date: { $gte: todayStart, $lte: todayEnd }
-        });
-        
-        if (!existingAttendance) {
-          const now = new Date();
-          const absentThreshold = new Date();
-          absentThreshold.setHours(10, 0, 0, 0);
-          
-          if (now >= absentThreshold) {
-            const absentRecord = new Attendance({
-              user: user._id,
-              date: todayStart,
-              status: "ABSENT",
-              isClockedIn: false,
-              companyCode: company.companyCode // Add company code
-            });
-            
-            await absentRecord.save();
-          }
-        }
-      }
-    }
-    
-    console.log("Daily absent marking completed for all companies");
-  } catch (err) {
-    console.error("Mark Daily Absent Error:", err.message);
-  }
-};
-
 // Get Attendance Statistics - UPDATED
 const getAttendanceStats = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, scope } = req.query;
     const userCompanyCode = req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
     
     if (!userCompanyCode) {
@@ -989,6 +847,12 @@ const getAttendanceStats = async (req, res) => {
     }
     
     let matchStage = { companyCode: userCompanyCode }; // Filter by company code
+
+    // ?scope=team: only the caller's reporting line (aggregate needs ObjectIds)
+    if (scope === "team") {
+      const teamIds = await getTeamUserIds(req.user);
+      matchStage.user = { $in: teamIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
     
     if (startDate && endDate) {
       const start = new Date(startDate);
@@ -1024,6 +888,16 @@ const getAttendanceStats = async (req, res) => {
             $sum: {
               $cond: [{ $eq: ["$status", "ABSENT"] }, 1, 0]
             }
+          },
+          holiday: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "HOLIDAY"] }, 1, 0]
+            }
+          },
+          onLeave: {
+            $sum: {
+              $cond: [{ $eq: ["$status", "ON_LEAVE"] }, 1, 0]
+            }
           }
         }
       }
@@ -1034,7 +908,9 @@ const getAttendanceStats = async (req, res) => {
       present: 0,
       late: 0,
       halfDay: 0,
-      absent: 0
+      absent: 0,
+      holiday: 0,
+      onLeave: 0
     };
     
     res.status(200).json({
@@ -1060,7 +936,6 @@ module.exports = {
   deleteAttendanceRecord,
   createManualAttendance,
   getAttendanceByUser,
-  markDailyAbsent,
   getAttendanceStats
 };
 console.log("✅ AttendanceController.js loaded successfully");
\ No newline at end of file
@@ -1,24 +1,69 @@
 const Holiday = require("../models/Holiday");
+const User = require("../../models/User");
+const Company = require("../../models/Company");
+const { parseHolidayCsv, parseHolidayICal } = require("../utils/holidayImport");
+
+const HOLIDAY_FIELDS = ["title", "description", "date", "type", "isRecurring", "locations", "departments", "isActive"];
+
+const getCompanyCode = (req) => req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
+
+const pickHolidayFields = (body) => {
+    const data = {};
+    HOLIDAY_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            data[field] = body[field];
+        }
+    });
+    return data;
+};
 
 // ✅ Add a holiday
 module.exports.addHoliday = async (req, res) => {
     try {
-        const { title, date, month } = req.body;
+        const companyCode = getCompanyCode(req);
+        if (!companyCode) {
+            return res.status(400).json({ message: "Company code not found" });
+        }
 
-        const newHoliday = new Holiday({ title, date, month });
+        const newHoliday = new Holiday({
+            ...pickHolidayFields(req.body),
+            companyCode,
+            createdBy: req.user._id
+        });
         await newHoliday.save();
 
         res.status(201).json({ message: "Holiday added successfully", holiday: newHoliday });
     } catch (error) {
-        res.status(500).json({ message: "Something went wrong", error: error.message });
+        const status = error.name === "ValidationError" ? 400 : 500;
+        res.status(status).json({ message: "Something went wrong", error: error.message });
     }
 };
 
-// ✅ Get holidays (with optional month filter)
+// ✅ Get holidays (optional filters => ?month=January, ?year=2026 expands recurring holidays)
 module.exports.getHolidays = async (req, res) => {
     try {
-        const { month } = req.query;
-        let holidays = month ? await Holiday.find({ month }) : await Holiday.find();
+        const companyCode = getCompanyCode(req);
+        const { month, year } = req.query;
+
+        if (year) {
+            const occurrences = await Holiday.findOccurrences(
+                companyCode,
+                new Date(Number(year), 0, 1),
+                new Date(Number(year), 11, 31)
+            );
+            const holidays = occurrences
+                .map(({ optIns, ...holiday }) => ({ ...holiday, date: holiday.occurrenceDate }))
+                .filter(holiday => !month || holiday.month === month);
+
+            return res.status(200).json({ holidays });
+        }
+
+        const filter = { companyCode, isActive: true };
+        if (month) {
+            filter.month = month;
+        }
+
+        const holidays = await Holiday.find(filter).select("-optIns").sort({ date: 1 });
 
         res.status(200).json({ holidays });
     } catch (error) {
@@ -26,25 +71,67 @@ module.exports.getHolidays = async (req, res) => {
     }
 };
 
+// ✅ Holidays that apply to the logged-in user for a year, with optional-holiday picks
+module.exports.getMyHolidays = async (req, res) => {
+    try {
+        const year = Number(req.query.year) || new Date().getFullYear();
+        const user = await User.findById(req.user._id).select("companyCode department workLocation company");
+        const company = await Company.findById(user.company).select("optionalHolidayLimit");
+
+        const occurrences = await Holiday.findOccurrences(
+            user.companyCode,
+            new Date(year, 0, 1),
+            new Date(year, 11, 31)
+        );
+
+        const userId = String(user._id);
+        const inScope = occurrences.filter(holiday =>
+            Holiday.appliesToUser({ ...holiday, type: "public" }, user, year)
+        );
+
+        const holidays = inScope.map(({ optIns, ...holiday }) => ({
+            ...holiday,
+            date: holiday.occurrenceDate,
+            optedIn: holiday.type === "optional"
+                ? (optIns || []).some(optIn => String(optIn.user) === userId && optIn.year === year)
+                : undefined
+        }));
+
+        const optionalUsed = holidays.filter(holiday => holiday.optedIn).length;
+        const optionalLimit = company ? company.optionalHolidayLimit : 0;
+
+        res.status(200).json({
+            year,
+            holidays,
+            optional: {
+                limit: optionalLimit,
+                used: optionalUsed,
+                remaining: Math.max(0, optionalLimit - optionalUsed)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Failed to fetch holidays", error: error.message });
+    }
+};
+
 // ✅ Update holiday
 module.exports.updateHoliday = async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, date, month } = req.body;
 
-        const updatedHoliday = await Holiday.findByIdAndUpdate(
-            id,
-            { title, date, month },
-            { new: true }
-        );
+        const holiday = await Holiday.findOne({ _id: id, companyCode: getCompanyCode(req) });
 
-        if (!updatedHoliday) {
+        if (!holiday) {
             return res.status(404).json({ message: "Holiday not found" });
         }
 
-        res.status(200).json({ message: "Holiday updated successfully", holiday: updatedHoliday });
+        Object.assign(holiday, pickHolidayFields(req.body));
+        await holiday.save();
+
+        res.status(200).json({ message: "Holiday updated successfully", holiday });
     } catch (error) {
-        res.status(500).json({ message: "Failed to update holiday", error: error.message });
+        const status = error.name === "ValidationError" ? 400 : 500;
+        res.status(status).json({ message: "Failed to update holiday", error: error.message });
     }
 };
 
@@ -53,7 +140,7 @@ module.exports.deleteHoliday = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const deletedHoliday = await Holiday.findByIdAndDelete(id);
+        const deletedHoliday = await Holiday.findOneAndDelete({ _id: id, companyCode: getCompanyCode(req) });
 
         if (!deletedHoliday) {
             return res.status(404).json({ message: "Holiday not found" });
@@ -65,4 +152,134 @@ module.exports.deleteHoliday = async (req, res) => {
     }
 };
 
-console.log("✅ HolidayController.js loaded successfully");
\ No newline at end of file
+// ✅ Pick an optional (floating) holiday for a year
+module.exports.optInHoliday = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const user = await User.findById(req.user._id).select("companyCode department workLocation company");
+
+        const holiday = await Holiday.findOne({ _id: id, companyCode: user.companyCode, isActive: true });
+        if (!holiday) {
+            return res.status(404).json({ message: "Holiday not found" });
+        }
+
+        if (holiday.type !== "optional") {
+            return res.status(400).json({ message: "Only optional holidays can be picked" });
+        }
+
+        const year = Number(req.body.year) || new Date(holiday.date).getFullYear();
+        const occurrences = await Holiday.findOccurrences(user.companyCode, new Date(year, 0, 1), new Date(year, 11, 31));
+        const occurrence = occurrences.find(o => String(o._id) === String(holiday._id));
+
+        if (!occurrence) {
+            return res.status(400).json({ message: `Holiday does not occur in ${year}` });
+        }
+
+        if (!Holiday.appliesToUser({ ...occurrence, type: "public" }, user, year)) {
+            return res.status(403).json({ message: "This holiday is not available for your location or department" });
+        }
+
+        const userId = String(user._id);
+        if (holiday.optIns.some(optIn => String(optIn.user) === userId && optIn.year === year)) {
+            return res.status(400).json({ message: "You have already picked this holiday" });
+        }
+
+        const company = await Company.findById(user.company).select("optionalHolidayLimit");
+        const limit = company ? company.optionalHolidayLimit : 0;
+        const used = occurrences.filter(o =>
+            o.type === "optional" &&
+            (o.optIns || []).some(optIn => String(optIn.user) === userId && optIn.year === year)
+        ).length;
+
+        if (used >= limit) {
+            return res.status(400).json({ message: `You can pick at most ${limit} optional holiday(s) in ${year}` });
+        }
+
+        holiday.optIns.push({ user: user._id, year });
+        await holiday.save();
+
+        res.status(200).json({ message: "Optional holiday picked successfully", remaining: limit - used - 1 });
+    } catch (error) {
+        res.status(500).json({ message: "Failed to pick holiday", error: error.message });
+    }
+};
+
+// ✅ Drop a previously picked optional holiday
+module.exports.optOutHoliday = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const year = Number(req.query.year) || new Date().getFullYear();
+
+        const holiday = await Holiday.findOneAndUpdate(
+            { _id: id, companyCode: getCompanyCode(req), type: "optional" },
+            { $pull: { optIns: { user: req.user._id, year } } },
+            { new: true }
+        );
+
+        if (!holiday) {
+            return res.status(404).json({ message: "Holiday not found" });
+        }
+
+        res.status(200).json({ message: "Optional holiday removed successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Failed to remove holiday", error: error.message });
+    }
+};
+
+// ✅ Bulk import holidays from CSV or iCalendar (file upload or raw `content` + `format`)
+module.exports.importHolidays = async (req, res) => {
+    try {
+        const companyCode = getCompanyCode(req);
+        if (!companyCode) {
+            return res.status(400).json({ message: "Company code not found" });
+        }
+
+        const content = req.file ? req.file.buffer.toString("utf8") : req.body.content;
+        const format = (req.body.format || (req.file && req.file.originalname.split(".").pop()) || "csv").toLowerCase();
+
+        if (!content) {
+            return res.status(400).json({ message: "Upload a file or send its content" });
+        }
+
+        const isICal = ["ics", "ical", "icalendar"].includes(format);
+        const parsed = isICal ? parseHolidayICal(content) : parseHolidayCsv(content);
+        const source = isICal ? "ical" : "csv";
+
+        const result = { imported: 0, skipped: 0, errors: [] };
+
+        for (const { row, holiday, error } of parsed) {
+            if (error) {
+                result.errors.push({ row, error });
+                continue;
+            }
+
+            const start = new Date(holiday.date);
+            const end = new Date(holiday.date);
+            end.setHours(23, 59, 59, 999);
+
+            const duplicate = await Holiday.exists({
+                companyCode,
+                title: holiday.title,
+                date: { $gte: start, $lte: end }
+            });
+
+            if (duplicate) {
+                result.skipped++;
+                continue;
+            }
+
+            try {
+                await Holiday.create({ ...holiday, companyCode, source, createdBy: req.user._id });
+                result.imported++;
+            } catch (createError) {
+                result.errors.push({ row, error: createError.message });
+            }
+        }
+
+        res.status(200).json({ message: "Holiday import completed", result });
+    } catch (error) {
+        res.status(500).json({ message: "Failed to import holidays", error: error.message });
+    }
+};
+
+console.log("✅ HolidayController.js loaded successfully");
@@ -1,4 +1,5 @@
 // LeaveController.js
+const mongoose = require('mongoose');
 const Leave = require('../models/Leave');
 const User = require('../../models/User');
 const Company = require('../../models/Company');
@@ -17,6 +18,34 @@ const {
   notifyCompanyOwners 
 } = require('../../HR-CDS/utils/notificationHelper');
 
+// ✅ IMPORT working calendar helpers
+const { computeLeaveDays } = require('../utils/attendanceCalendar');
+const { resolveShiftForUser } = require('../utils/shiftRules');
+const { getTeamUserIds } = require('../../services/reportingHierarchy');
+const { hasPermission } = require('../../utils/permissions');
+
+// ✅ IMPORT leave ledger helpers
+const {
+  getPolicy,
+  getBalances,
+  getPendingDays,
+  syncUserLedger,
+  checkLeaveAvailability,
+  recordLeaveDebit,
+  reverseLeaveDebit,
+  roundDays
+} = require('../utils/leaveAccrual');
+
+// ✅ IMPORT approval chain helpers
+const {
+  LEVEL_LABELS,
+  initApprovalChain,
+  getCurrentStep,
+  canApprove,
+  recordDecision,
+  notifyApprovers
+} = require('../utils/leaveApproval');
+
 // ✅ IMPORT socket emit events
 const { emitLeaveEvents } = require('../socket/handlers/leaveHandlers');
 
@@ -25,7 +54,7 @@ exports.applyLeave = async (req, res) => {
   console.log("➡️ applyLeave controller called");
 
   try {
-    const { type, reason, startDate, endDate } = req.body;
+    const { type, reason, startDate, endDate, halfDay, fromTime, toTime } = req.body;
 
     // Basic validation
     if (!type?.trim() || !reason?.trim() || !startDate || !endDate) {
@@ -45,7 +74,22 @@ exports.applyLeave = async (req, res) => {
       return res.status(400).json({ error: 'Start date cannot be in the past.' });
     }
 
-    const days = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    // Chargeable days exclude weekly offs and holidays from the company calendar
+    const applicant = await User.findById(req.user._id).select('companyCode department workLocation dateOfJoining createdAt reportingManager');
+    const shift = await resolveShiftForUser(applicant);
+    const { days, hours, error: durationError } = await computeLeaveDays({
+      user: applicant,
+      shift,
+      startDate: start,
+      endDate: end,
+      halfDay,
+      fromTime,
+      toTime
+    });
+
+    if (durationError) {
+      return res.status(400).json({ error: durationError });
+    }
 
     // Check for overlapping leaves
     const existingLeaves = await Leave.find({
@@ -62,6 +106,15 @@ exports.applyLeave = async (req, res) => {
       });
     }
 
+    // Check the ledger balance (minus days already requested) and probation rules
+    const availability = await checkLeaveAvailability(applicant, type.trim(), days, start);
+    if (!availability.allowed) {
+      return res.status(400).json({
+        error: availability.reason,
+        available: availability.available
+      });
+    }
+
     // Create leave
     const leave = new Leave({
       user: req.user._id,
@@ -70,6 +123,10 @@ exports.applyLeave = async (req, res) => {
       startDate: start,
       endDate: end,
       days,
+      halfDay: halfDay || null,
+      fromTime: hours ? fromTime : null,
+      toTime: hours ? toTime : null,
+      hours,
       status: 'Pending',
       approvedBy: null,
       remarks: '',
@@ -84,6 +141,9 @@ exports.applyLeave = async (req, res) => {
       ]
     });
 
+    // Route it through the company's approval chain (reporting manager → department head → HR)
+    const firstStep = await initApprovalChain(leave, applicant);
+
     await leave.save();
 
     // Get user basic info for response
@@ -134,6 +194,15 @@ exports.applyLeave = async (req, res) => {
       console.error('❌ Failed to send notification to owners:', notifError.message);
     }
 
+    // ✅ 🔔 NOTIFY FIRST-LEVEL APPROVERS
+    try {
+      if (firstStep && firstStep.level !== 'owner') {
+        await notifyApprovers(leave, firstStep, user.name);
+      }
+    } catch (notifError) {
+      console.error('❌ Failed to notify approvers:', notifError.message);
+    }
+
     // ✅ 📢 SOCKET: Emit new leave event to admins
     try {
       if (global.io) {
@@ -215,6 +284,7 @@ exports.getAllLeaves = async (req, res) => {
       type, 
       department, 
       search, 
+      scope,
       page = 1, 
       limit = 20 
     } = req.query;
@@ -241,7 +311,13 @@ exports.getAllLeaves = async (req, res) => {
       ]
     }).select('_id');
     
-    const companyUserIds = companyUsers.map(user => user._id);
+    let companyUserIds = companyUsers.map(user => user._id);
+
+    // ?scope=team: only the caller's reporting line (direct and indirect reports)
+    if (scope === 'team') {
+      const teamIds = await getTeamUserIds(req.user);
+      companyUserIds = companyUserIds.filter(id => teamIds.includes(String(id)));
+    }
     
     console.log(`🏢 Found ${companyUserIds.length} users in the same company`);
 
@@ -448,7 +524,8 @@ exports.getAllLeaves = async (req, res) => {
           status,
           type,
           department,
-          search
+          search,
+          scope: scope || 'company'
         },
         company: userCompanyId,
         companyName: req.user.companyName || 'Your Company',
@@ -490,21 +567,10 @@ exports.updateLeaveStatus = async (req, res) => {
       companyRole: currentUser.companyRole
     });
 
-    // Owner check
     const isOwner = currentUser.companyRole === 'Owner';
-    
-    if (!isOwner) {
-      console.log('❌ ACCESS DENIED - User is not Owner');
-      return res.status(403).json({
-        success: false,
-        error: 'You do not have permission to update leave status. Only Company Owner can perform this action.'
-      });
-    }
-
-    console.log('👑✅ OWNER ACCESS GRANTED');
 
     // Find leave with user info
-    const leave = await Leave.findById(id).populate('user', 'name email phone company companyId');
+    const leave = await Leave.findById(id).populate('user', 'name email phone company companyId companyCode');
     
     if (!leave) {
       console.log('❌ Leave not found:', id);
@@ -514,6 +580,26 @@ exports.updateLeaveStatus = async (req, res) => {
       });
     }
 
+    // Approvers of the current level may approve/reject a pending leave; everything else is Owner only
+    const isDecision = leave.status === 'Pending' && ['Approved', 'Rejected'].includes(status);
+
+    if (!isOwner && !(isDecision && canApprove(leave, currentUser))) {
+      console.log('❌ ACCESS DENIED - Not Owner or current approver');
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this leave. Only the current approver or Company Owner can perform this action.'
+      });
+    }
+
+    if (!isOwner && leave.user.companyCode !== currentUser.companyCode) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only act on leaves from your own company'
+      });
+    }
+
+    console.log(isOwner ? '👑✅ OWNER ACCESS GRANTED' : '✅ APPROVER ACCESS GRANTED');
+
     console.log('📋 Leave found:', {
       id: leave._id,
       currentStatus: leave.status,
@@ -533,21 +619,48 @@ exports.updateLeaveStatus = async (req, res) => {
     // Store old status
     const oldStatus = leave.status;
 
+    // Record the decision on the approval chain; an approval below the last level keeps it Pending
+    let decision = null;
+    let newStatus = status;
+    if (isDecision) {
+      decision = await recordDecision(leave, currentUser, status, remarks || '');
+      if (status === 'Approved' && !decision.final) {
+        newStatus = 'Pending';
+      }
+    }
+    const isStepApproval = newStatus === 'Pending' && status === 'Approved';
+    const actedLevel = decision && decision.step ? decision.step.level : null;
+
+    // Approving charges the ledger, so the balance must still cover it
+    if (newStatus === 'Approved' && oldStatus !== 'Approved') {
+      const leaveUser = await User.findById(leave.user._id).select('companyCode dateOfJoining createdAt');
+      const availability = await checkLeaveAvailability(leaveUser, leave.type, leave.days, leave.startDate, leave._id);
+      if (!availability.allowed) {
+        return res.status(400).json({
+          success: false,
+          error: availability.reason
+        });
+      }
+    }
+
     // Update the leave
-    leave.status = status;
+    leave.status = newStatus;
     leave.remarks = remarks || leave.remarks;
-    leave.approvedBy = currentUser._id;
+    if (!isStepApproval) {
+      leave.approvedBy = currentUser._id;
+    }
     leave.updatedAt = new Date();
 
-    // Add to history
+    // Add to history (one entry per approval level)
+    const actedRole = decision && !decision.byOwner ? LEVEL_LABELS[actedLevel] : 'Owner';
     leave.history = leave.history || [];
     leave.history.push({
       action: status,
       from: oldStatus,
-      to: status,
+      to: newStatus,
       by: currentUser._id,
-      byName: currentUser.name || currentUser.email || 'Owner',
-      byRole: 'Owner',
+      role: actedRole,
+      level: actedLevel,
       remarks: remarks || '',
       at: new Date()
     });
@@ -557,61 +670,97 @@ exports.updateLeaveStatus = async (req, res) => {
     
     console.log('✅ Leave status updated in database');
 
+    // Keep the leave ledger in step with the approval
+    if (newStatus === 'Approved' && oldStatus !== 'Approved') {
+      await recordLeaveDebit(leave, currentUser._id);
+    } else if (oldStatus === 'Approved' && newStatus !== 'Approved') {
+      await reverseLeaveDebit(leave, currentUser._id, `Leave ${newStatus.toLowerCase()}`);
+    }
+
     // Populate approvedBy for response
     await leave.populate('approvedBy', 'name email');
 
-    // ✅ 🔔 SEND NOTIFICATION TO THE USER
-    try {
-      const statusMessage = status === 'Approved' ? 'approved' : 
-                           status === 'Rejected' ? 'rejected' : 
-                           status === 'Cancelled' ? 'cancelled' : 'updated';
+    // ✅ 🔔 INTERMEDIATE APPROVAL: tell the user and the next level's approvers
+    if (isStepApproval) {
+      try {
+        await sendNotification({
+          recipient: leave.user._id,
+          type: 'leave_step_approved',
+          title: 'Leave Approved by ' + LEVEL_LABELS[actedLevel],
+          message: `Your ${leave.type} leave request from ${new Date(leave.startDate).toLocaleDateString()} to ${new Date(leave.endDate).toLocaleDateString()} was approved by ${currentUser.name || LEVEL_LABELS[actedLevel]} and is now awaiting ${LEVEL_LABELS[decision.nextStep.level]} approval`,
+          data: {
+            leaveId: leave._id,
+            userId: leave.user._id,
+            oldStatus,
+            newStatus,
+            leaveType: leave.type,
+            startDate: leave.startDate,
+            endDate: leave.endDate,
+            days: leave.days
+          },
+          priority: 'medium'
+        });
+        await notifyApprovers(leave, decision.nextStep, leave.user.name);
+      } catch (notifError) {
+        console.error('❌ Failed to send approval step notifications:', notifError.message);
+      }
+    }
+
+    // ✅ FINAL DECISION: notify and email the user
+    if (!isStepApproval) {
+      // ✅ 🔔 SEND NOTIFICATION TO THE USER
+      try {
+        const statusMessage = status === 'Approved' ? 'approved' : 
+                             status === 'Rejected' ? 'rejected' : 
+                             status === 'Cancelled' ? 'cancelled' : 'updated';
       
-      await sendNotification({
-        recipient: leave.user._id,
-        type: 'leave_status_changed',
-        title: `Leave ${status}`,
-        message: `Your ${leave.type} leave request from ${new Date(leave.startDate).toLocaleDateString()} to ${new Date(leave.endDate).toLocaleDateString()} has been ${statusMessage}${remarks ? ': ' + remarks : ''}`,
-        data: {
-          leaveId: leave._id,
-          userId: leave.user._id,
-          oldStatus,
-          newStatus: status,
-          leaveType: leave.type,
-          startDate: leave.startDate,
-          endDate: leave.endDate,
-          days: leave.days,
-          reason: leave.reason,
-          remarks,
-          approvedBy: {
-            id: currentUser._id,
-            name: currentUser.name,
-            email: currentUser.email
-          }
-        },
-        priority: 'high'
-      });
+        await sendNotification({
+          recipient: leave.user._id,
+          type: 'leave_status_changed',
+          title: `Leave ${status}`,
+          message: `Your ${leave.type} leave request from ${new Date(leave.startDate).toLocaleDateString()} to ${new Date(leave.endDate).toLocaleDateString()} has been ${statusMessage}${remarks ? ': ' + remarks : ''}`,
+          data: {
+            leaveId: leave._id,
+            userId: leave.user._id,
+            oldStatus,
+            newStatus: status,
+            leaveType: leave.type,
+            startDate: leave.startDate,
+            endDate: leave.endDate,
+            days: leave.days,
+            reason: leave.reason,
+            remarks,
+            approvedBy: {
+              id: currentUser._id,
+              name: currentUser.name,
+              email: currentUser.email
+            }
+          },
+          priority: 'high'
+        });
       
-      console.log(`✅ Status change notification sent to ${leave.user.name}`);
-    } catch (notifError) {
-      console.error('❌ Failed to send notification to user:', notifError.message);
-    }
+        console.log(`✅ Status change notification sent to ${leave.user.name}`);
+      } catch (notifError) {
+        console.error('❌ Failed to send notification to user:', notifError.message);
+      }
 
-    // ✅ SEND EMAIL NOTIFICATION
-    try {
-      await sendLeaveStatusEmail(
-        leave.user.email,
-        leave.user.name,
-        leave._id.toString(),
-        leave.type,
-        leave.startDate,
-        leave.endDate,
-        leave.days,
-        status,
-        remarks || ''
-      );
-      console.log(`✅ Status change email sent to ${leave.user.email}`);
-    } catch (emailError) {
-      console.error('❌ Failed to send status email:', emailError.message);
+      // ✅ SEND EMAIL NOTIFICATION
+      try {
+        await sendLeaveStatusEmail(
+          leave.user.email,
+          leave.user.name,
+          leave._id.toString(),
+          leave.type,
+          leave.startDate,
+          leave.endDate,
+          leave.days,
+          status,
+          remarks || ''
+        );
+        console.log(`✅ Status change email sent to ${leave.user.email}`);
+      } catch (emailError) {
+        console.error('❌ Failed to send status email:', emailError.message);
+      }
     }
 
     // ✅ 📢 SOCKET: Emit status change event
@@ -620,8 +769,13 @@ exports.updateLeaveStatus = async (req, res) => {
         emitLeaveEvents.leaveStatusChanged(global.io, {
           leave: leave.toObject ? leave.toObject() : leave,
           oldStatus,
-          newStatus: status,
-          updatedBy: currentUser
+          newStatus,
+          updatedBy: currentUser,
+          step: decision && decision.step ? {
+            level: actedLevel,
+            action: status === 'Approved' ? 'approved' : 'rejected',
+            nextLevel: decision.nextStep ? decision.nextStep.level : null
+          } : null
         });
         console.log('📢 Socket event emitted: leave status changed');
       }
@@ -633,12 +787,16 @@ exports.updateLeaveStatus = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: `Leave ${status.toLowerCase()} successfully`,
+      message: isStepApproval
+        ? `Leave approved at ${LEVEL_LABELS[actedLevel]} level, forwarded to ${LEVEL_LABELS[decision.nextStep.level]}`
+        : `Leave ${status.toLowerCase()} successfully`,
       data: {
         _id: leave._id,
         status: leave.status,
         remarks: leave.remarks,
         approvedBy: leave.approvedBy,
+        currentStep: leave.currentStep,
+        approvalSteps: leave.approvalSteps,
         history: leave.history.slice(-1)[0]
       }
     });
@@ -656,6 +814,42 @@ exports.updateLeaveStatus = async (req, res) => {
   }
 };
 
+// 🔹 Leaves waiting at a level the logged-in user approves
+exports.getPendingApprovals = async (req, res) => {
+  try {
+    const leaves = await Leave.find({
+      status: 'Pending',
+      approvalSteps: { $elemMatch: { status: 'pending', approvers: req.user._id } }
+    })
+      .populate('user', 'name email department jobRole employeeId')
+      .populate('approvalSteps.approvers', 'name email')
+      .populate('approvalSteps.actedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    // The $elemMatch may hit an earlier level; keep only leaves whose current level is ours
+    const userId = String(req.user._id);
+    const pending = leaves.filter(leave => {
+      const step = getCurrentStep(leave);
+      return step && step.approvers.some(approver => String(approver._id) === userId);
+    });
+
+    res.status(200).json({
+      success: true,
+      leaves: pending.map(leave => ({
+        ...leave.toObject(),
+        currentLevel: LEVEL_LABELS[getCurrentStep(leave).level]
+      })),
+      total: pending.length
+    });
+  } catch (err) {
+    console.error('❌ Error in getPendingApprovals controller:', err.message);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching pending approvals'
+    });
+  }
+};
+
 // ============================================
 // DELETE LEAVE - WITH NOTIFICATIONS & SOCKET
 // ============================================
@@ -770,6 +964,11 @@ exports.deleteLeave = async (req, res) => {
       console.error('❌ Failed to emit socket event:', socketError.message);
     }
 
+    // Give back the days of an approved leave before it disappears
+    if (leave.status === 'Approved') {
+      await reverseLeaveDebit(leave, req.user?._id, 'Leave deleted');
+    }
+
     // Delete the leave
     await Leave.findByIdAndDelete(id);
 
@@ -866,18 +1065,76 @@ exports.syncLeaves = async (req, res) => {
 
     result.serverLeaves = serverLeaves;
 
-    // Process local leaves
+    // Days are always recomputed from the working calendar, never taken from the device
+    const applicant = await User.findById(userId).select('name companyCode department workLocation dateOfJoining createdAt reportingManager');
+    const shift = await resolveShiftForUser(applicant);
+    const computeDays = (leaveData) => computeLeaveDays({
+      user: applicant,
+      shift,
+      startDate: new Date(leaveData.startDate),
+      endDate: new Date(leaveData.endDate),
+      halfDay: leaveData.halfDay || null,
+      fromTime: leaveData.fromTime || null,
+      toTime: leaveData.toTime || null
+    });
+
+    // Same rules as applyLeave: no overlap with other leaves and enough balance
+    const checkLeave = async (leaveData, days, excludeLeaveId = null) => {
+      const overlap = {
+        user: userId,
+        status: { $in: ['Pending', 'Approved'] },
+        startDate: { $lte: new Date(leaveData.endDate) },
+        endDate: { $gte: new Date(leaveData.startDate) }
+      };
+      if (excludeLeaveId) {
+        overlap._id = { $ne: excludeLeaveId };
+      }
+      if (await Leave.exists(overlap)) {
+        return 'You already have a leave application for this period.';
+      }
+
+      const availability = await checkLeaveAvailability(applicant, leaveData.type, days, new Date(leaveData.startDate), excludeLeaveId);
+      return availability.allowed ? null : availability.reason;
+    };
+
+    // Process local leaves; the status is never taken from the device
     for (const localLeave of localLeaves) {
       try {
         if (localLeave._id && localLeave._id.startsWith('local_')) {
           // New leave created offline
+          if (!localLeave.type?.trim() || !localLeave.reason?.trim() || !localLeave.startDate || !localLeave.endDate) {
+            result.conflicts.push({
+              localId: localLeave._id,
+              localVersion: localLeave,
+              action: 'create',
+              error: 'All fields are required.'
+            });
+            continue;
+          }
+
+          const { days, hours, error: durationError } = await computeDays(localLeave);
+          const leaveError = durationError || await checkLeave({ ...localLeave, type: localLeave.type.trim() }, days);
+          if (leaveError) {
+            result.conflicts.push({
+              localId: localLeave._id,
+              localVersion: localLeave,
+              action: 'create',
+              error: leaveError
+            });
+            continue;
+          }
+
           const newLeave = new Leave({
             user: userId,
-            type: localLeave.type,
-            reason: localLeave.reason,
+            type: localLeave.type.trim(),
+            reason: localLeave.reason.trim(),
             startDate: localLeave.startDate,
             endDate: localLeave.endDate,
-            days: localLeave.days,
+            days,
+            halfDay: localLeave.halfDay || null,
+            fromTime: hours ? localLeave.fromTime : null,
+            toTime: hours ? localLeave.toTime : null,
+            hours,
             status: 'Pending',
             history: [{
               action: 'applied',
@@ -890,16 +1147,28 @@ exports.syncLeaves = async (req, res) => {
             deviceId: localLeave.deviceId
           });
 
+          const firstStep = await initApprovalChain(newLeave, applicant);
           await newLeave.save();
+
+          try {
+            if (firstStep && firstStep.level !== 'owner') {
+              await notifyApprovers(newLeave, firstStep, applicant.name);
+            }
+          } catch (notifError) {
+            console.error('❌ Failed to notify approvers:', notifError.message);
+          }
+
           result.synced.push({
             localId: localLeave._id,
             serverId: newLeave._id,
             action: 'created'
           });
         } else if (localLeave._id) {
-          // Update existing leave
-          const existingLeave = await Leave.findById(localLeave._id);
-          
+          // Update one of the user's own leaves; only pending ones can still change
+          const existingLeave = mongoose.isValidObjectId(localLeave._id)
+            ? await Leave.findOne({ _id: localLeave._id, user: userId })
+            : null;
+
           if (existingLeave) {
             if (existingLeave.updatedAt > new Date(localLeave.updatedAt)) {
               result.conflicts.push({
@@ -908,15 +1177,44 @@ exports.syncLeaves = async (req, res) => {
                 localVersion: localLeave,
                 action: 'update'
               });
+            } else if (existingLeave.status !== 'Pending') {
+              result.conflicts.push({
+                localId: localLeave._id,
+                serverVersion: existingLeave,
+                localVersion: localLeave,
+                action: 'update',
+                error: `Leave is already ${existingLeave.status.toLowerCase()} and can no longer be changed.`
+              });
             } else {
-              existingLeave.type = localLeave.type || existingLeave.type;
+              const changes = {
+                type: localLeave.type?.trim() || existingLeave.type,
+                startDate: localLeave.startDate || existingLeave.startDate,
+                endDate: localLeave.endDate || existingLeave.endDate,
+                halfDay: existingLeave.halfDay,
+                fromTime: existingLeave.fromTime,
+                toTime: existingLeave.toTime
+              };
+
+              const { days, error: durationError } = await computeDays(changes);
+              const leaveError = durationError || await checkLeave(changes, days, existingLeave._id);
+              if (leaveError) {
+                result.conflicts.push({
+                  localId: localLeave._id,
+                  serverVersion: existingLeave,
+                  localVersion: localLeave,
+                  action: 'update',
+                  error: leaveError
+                });
+                continue;
+              }
+
+              existingLeave.type = changes.type;
               existingLeave.reason = localLeave.reason || existingLeave.reason;
-              existingLeave.startDate = localLeave.startDate || existingLeave.startDate;
-              existingLeave.endDate = localLeave.endDate || existingLeave.endDate;
-              existingLeave.days = localLeave.days || existingLeave.days;
-              existingLeave.status = localLeave.status || existingLeave.status;
+              existingLeave.startDate = changes.startDate;
+              existingLeave.endDate = changes.endDate;
+              existingLeave.days = days;
               existingLeave.syncStatus = 'synced';
-              
+
               await existingLeave.save();
               result.synced.push({
                 localId: localLeave._id,
@@ -953,22 +1251,18 @@ exports.getLeaveStats = async (req, res) => {
 
   try {
     const userId = req.user._id;
-    const userRole = req.user.jobRole?.toLowerCase();
     
     let stats = {};
 
-    if (['admin', 'hr', 'manager'].includes(userRole)) {
+    // leaves.view (admin / HR by default) sees the whole company; anyone with reports sees their reporting line
+    const teamIds = (await hasPermission(req, 'leaves.view')) ? null : await getTeamUserIds(req.user);
+
+    if (!teamIds || teamIds.length > 0) {
       // Admin/Manager view
-      let filter = {};
-      
-      if (userRole === 'manager' && req.user.department) {
-        const departmentUsers = await User.find({ 
-          department: req.user.department 
-        }, '_id');
-        
-        const userIds = departmentUsers.map(user => user._id);
-        filter.user = { $in: userIds };
-      }
+      const userIds = teamIds
+        ? teamIds.map(id => new mongoose.Types.ObjectId(id))
+        : await User.find({ companyCode: req.user.companyCode }).distinct('_id');
+      const filter = { user: { $in: userIds } };
 
       const allStats = await Leave.aggregate([
         { $match: filter },
@@ -1381,58 +1675,49 @@ exports.getAnalytics = async (req, res) => {
   }
 };
 
-// 🔹 Get Leave Balance
+// 🔹 Get Leave Balance (from the leave ledger, ?year=2026)
 exports.getLeaveBalance = async (req, res) => {
   try {
     const userId = req.user._id;
-    const currentYear = new Date().getFullYear();
-    
-    // Get user's leaves for current year
-    const startOfYear = new Date(currentYear, 0, 1);
-    const endOfYear = new Date(currentYear, 11, 31);
-    
-    const leaves = await Leave.find({
-      user: userId,
-      startDate: { $gte: startOfYear, $lte: endOfYear }
-    }).lean();
-    
-    // Default leave policies
-    const leavePolicies = {
-      Casual: { maxDays: 12, description: 'For personal work' },
-      Sick: { maxDays: 10, description: 'For health issues' },
-      Paid: { maxDays: 20, description: 'Earned leave with pay' },
-      Unpaid: { maxDays: 30, description: 'Leave without pay' },
-      Other: { maxDays: 5, description: 'Other leave types' }
-    };
-    
-    // Calculate used leaves by type
-    const usedLeaves = {};
-    leaves.forEach(leave => {
-      if (leave.status === 'Approved') {
-        if (!usedLeaves[leave.type]) {
-          usedLeaves[leave.type] = 0;
-        }
-        usedLeaves[leave.type] += leave.days || 0;
-      }
-    });
+    const currentYear = Number(req.query.year) || new Date().getFullYear();
+
+    const user = await User.findById(userId).select('companyCode dateOfJoining createdAt');
+
+    // Credit any accrual periods that have started since the last sync
+    await syncUserLedger(user);
+
+    const policy = await getPolicy(user.companyCode);
+    const ledger = await getBalances(user._id, currentYear);
     
     // Calculate balance
     const balance = {};
-    Object.keys(leavePolicies).forEach(type => {
-      const policy = leavePolicies[type];
-      const used = usedLeaves[type] || 0;
-      balance[type] = {
-        allocated: policy.maxDays,
-        used: used,
-        remaining: Math.max(0, policy.maxDays - used),
-        description: policy.description
+    for (const typePolicy of policy.leaveTypes) {
+      const entry = ledger[typePolicy.type] || {};
+      const used = entry.used || 0;
+      const remaining = entry.balance || 0;
+      const pending = await getPendingDays(user._id, typePolicy.type, currentYear);
+
+      balance[typePolicy.type] = {
+        allocated: roundDays((entry.accrued || 0) + (entry.carriedForward || 0) + (entry.adjusted || 0)),
+        accrued: entry.accrued || 0,
+        carriedForward: entry.carriedForward || 0,
+        adjusted: entry.adjusted || 0,
+        used,
+        encashed: entry.encashed || 0,
+        lapsed: entry.lapsed || 0,
+        pending,
+        remaining: Math.max(0, remaining),
+        available: Math.max(0, roundDays(remaining - pending)),
+        annualAllocation: typePolicy.annualAllocation,
+        accrual: typePolicy.accrual,
+        description: typePolicy.description
       };
-    });
+    }
     
     // Calculate totals
-    const totalAllocated = Object.values(balance).reduce((sum, b) => sum + b.allocated, 0);
-    const totalUsed = Object.values(balance).reduce((sum, b) => sum + b.used, 0);
-    const totalRemaining = Object.values(balance).reduce((sum, b) => sum + b.remaining, 0);
+    const totalAllocated = roundDays(Object.values(balance).reduce((sum, b) => sum + b.allocated, 0));
+    const totalUsed = roundDays(Object.values(balance).reduce((sum, b) => sum + b.used, 0));
+    const totalRemaining = roundDays(Object.values(balance).reduce((sum, b) => sum + b.remaining, 0));
     
     res.status(200).json({
       success: true,
@@ -1518,6 +1803,9 @@ exports.exportLeaves = async (req, res) => {
       'Start Date': new Date(leave.startDate).toLocaleDateString(),
       'End Date': new Date(leave.endDate).toLocaleDateString(),
       'Days': leave.days,
+      'Duration': leave.hours
+        ? `${leave.hours} hour(s) ${leave.fromTime}-${leave.toTime}`
+        : leave.halfDay ? `Half day (${leave.halfDay} half)` : 'Full day',
       'Reason': leave.reason,
       'Status': leave.status,
       'Applied On': new Date(leave.createdAt).toLocaleDateString(),
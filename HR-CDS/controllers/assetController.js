@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const AssetRequest = require('../models/AssetRequest');
 const User = require('../../models/User');
+const { fulfilRequest } = require('../../services/assetInventory');
+
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'waitlisted'];
 
 // 🔘 USER: Request an Asset (updated with company)
 exports.requestAsset = async (req, res) => {
@@ -19,11 +22,11 @@ exports.requestAsset = async (req, res) => {
       return res.status(400).json({ error: 'Company code is required' });
     }
 
-    // Check for duplicate pending request
+    // Check for duplicate pending (or waitlisted) request
     const duplicate = await AssetRequest.findOne({
       user: req.user._id,
       assetName: assetName.toLowerCase(),
-      status: 'pending',
+      status: { $in: ['pending', 'waitlisted'] },
       companyCode: companyCode
     });
 
@@ -59,7 +62,8 @@ exports.getMyRequests = async (req, res) => {
       companyCode: req.user.companyCode 
     })
       .sort({ createdAt: -1 })
-      .populate('approvedBy', 'name role -_id');
+      .populate('approvedBy', 'name role -_id')
+      .populate('asset', 'name assetTag serialNumber model status');
 
     return res.status(200).json({
       message: '✅ Requests fetched successfully',
@@ -100,7 +104,8 @@ exports.getAllRequests = async (req, res) => {
     const requests = await AssetRequest.find(filter)
       .sort({ createdAt: -1 })
       .populate('user', 'name email role department')
-      .populate('approvedBy', 'name role');
+      .populate('approvedBy', 'name role')
+      .populate('asset', 'name assetTag serialNumber status');
 
     return res.status(200).json({
       message: '✅ All asset requests fetched successfully',
@@ -126,7 +131,7 @@ exports.getRequestsByCompany = async (req, res) => {
 
     const filter = { companyCode };
     
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
+    if (status && REQUEST_STATUSES.includes(status)) {
       filter.status = status;
     }
     
@@ -171,7 +176,7 @@ exports.getRequestsByDepartment = async (req, res) => {
       filter.companyCode = req.user.companyCode;
     }
     
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
+    if (status && REQUEST_STATUSES.includes(status)) {
       filter.status = status;
     }
 
@@ -219,10 +224,40 @@ exports.updateRequestStatus = async (req, res) => {
       return res.status(403).json({ error: 'You can only update requests from your company' });
     }
 
+    // Once an asset is handed out, it has to come back through the inventory (return) first
+    if (request.asset) {
+      return res.status(400).json({ error: 'An asset is already assigned for this request; return it in the inventory first' });
+    }
+
+    // Approval takes an asset from the inventory, or waitlists the request when out of stock
+    if (status === 'approved') {
+      const { request: fulfilled, asset } = await fulfilRequest(request, req.user._id);
+      if (!fulfilled) {
+        return res.status(409).json({ error: 'Request was already fulfilled' });
+      }
+
+      fulfilled.adminComment = comment || '';
+      fulfilled.decisionDate = new Date();
+      fulfilled.approvedBy = req.user._id;
+      await fulfilled.save();
+
+      if (asset) {
+        await fulfilled.populate('asset', 'name assetTag serialNumber model status');
+      }
+
+      return res.status(200).json({
+        message: asset
+          ? `✅ Request approved and ${asset.name} (${asset.assetTag}) assigned`
+          : `⏳ No ${request.assetName} in stock, request waitlisted`,
+        request: fulfilled,
+      });
+    }
+
     request.status = status;
     request.adminComment = comment || '';
     request.decisionDate = new Date();
-    request.approvedBy = status === 'approved' ? req.user._id : null;
+    request.approvedBy = null;
+    request.waitlistedAt = undefined;
 
     await request.save();
 
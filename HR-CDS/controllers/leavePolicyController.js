@@ -0,0 +1,255 @@
+// leavePolicyController.js
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveLedger = require('../models/LeaveLedger');
+const User = require('../../models/User');
+const {
+  getPolicy,
+  getTypePolicy,
+  getBalances,
+  syncUserLedger,
+  roundDays
+} = require('../utils/leaveAccrual');
+
+const POLICY_TYPE_FIELDS = [
+  'type', 'description', 'annualAllocation', 'accrual', 'carryForwardCap',
+  'encashable', 'maxEncashDays', 'allowedDuringProbation', 'proRate'
+];
+
+const getCompanyCode = (req) => req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
+
+// Employee in the caller's company (or the caller when no userId is given)
+const findCompanyUser = async (req, userId) => {
+  const user = await User.findById(userId || req.user._id).select('name email companyCode dateOfJoining createdAt');
+  if (!user || user.companyCode !== getCompanyCode(req)) {
+    return null;
+  }
+  return user;
+};
+
+// 🔹 Get the company's leave policy (defaults until one is saved)
+exports.getLeavePolicy = async (req, res) => {
+  try {
+    const policy = await getPolicy(getCompanyCode(req));
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (error) {
+    console.error('❌ Error fetching leave policy:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching leave policy'
+    });
+  }
+};
+
+// 🔹 Create or replace the company's leave policy (Owner)
+// Already-credited periods are not recalculated; new values apply from the next accrual.
+exports.updateLeavePolicy = async (req, res) => {
+  try {
+    const companyCode = getCompanyCode(req);
+    if (!companyCode) {
+      return res.status(400).json({ success: false, error: 'Company code not found' });
+    }
+
+    const { leaveTypes, probationMonths, approvalChain, hrApprovers, escalateAfterDays } = req.body;
+
+    const policy = await LeavePolicy.findOne({ companyCode }) || new LeavePolicy({ companyCode });
+
+    if (Array.isArray(leaveTypes)) {
+      policy.leaveTypes = leaveTypes.map(leaveType => {
+        const data = {};
+        POLICY_TYPE_FIELDS.forEach(field => {
+          if (leaveType[field] !== undefined) {
+            data[field] = leaveType[field];
+          }
+        });
+        return data;
+      });
+    }
+    if (probationMonths !== undefined) {
+      policy.probationMonths = probationMonths;
+    }
+    if (Array.isArray(approvalChain)) {
+      policy.approvalChain = approvalChain;
+    }
+    if (Array.isArray(hrApprovers)) {
+      const approvers = await User.find({ _id: { $in: hrApprovers }, companyCode }).select('_id');
+      if (approvers.length !== hrApprovers.length) {
+        return res.status(400).json({ success: false, error: 'HR approvers must belong to your company' });
+      }
+      policy.hrApprovers = hrApprovers;
+    }
+    if (escalateAfterDays !== undefined) {
+      policy.escalateAfterDays = escalateAfterDays;
+    }
+    policy.updatedBy = req.user._id;
+
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Leave policy saved successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('❌ Error saving leave policy:', error);
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: status === 400 ? error.message : 'Server error while saving leave policy'
+    });
+  }
+};
+
+// 🔹 Ledger entries for a year (?year=2026&type=Casual, Owner may pass ?userId=)
+exports.getLeaveLedger = async (req, res) => {
+  try {
+    const { userId, type } = req.query;
+    const year = Number(req.query.year) || new Date().getFullYear();
+
+    if (userId && String(userId) !== String(req.user._id) && req.user.companyRole !== 'Owner') {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the Company Owner can view another employee\'s leave ledger'
+      });
+    }
+
+    const user = await findCompanyUser(req, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    await syncUserLedger(user);
+
+    const filter = { user: user._id, year };
+    if (type) {
+      filter.leaveType = type;
+    }
+
+    const entries = await LeaveLedger.find(filter)
+      .populate('leave', 'startDate endDate status')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        year,
+        user: { _id: user._id, name: user.name, email: user.email },
+        balances: await getBalances(user._id, year),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching leave ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching leave ledger'
+    });
+  }
+};
+
+// 🔹 Encash unused leave for an employee (Owner)
+exports.encashLeave = async (req, res) => {
+  try {
+    const { userId, type, remarks } = req.body;
+    const days = Number(req.body.days);
+    const year = new Date().getFullYear();
+
+    const user = await findCompanyUser(req, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const policy = await syncUserLedger(user);
+    const typePolicy = getTypePolicy(policy, type);
+
+    if (!typePolicy || !typePolicy.encashable) {
+      return res.status(400).json({
+        success: false,
+        error: `${type} leave is not encashable under the company leave policy`
+      });
+    }
+
+    const balances = await getBalances(user._id, year);
+    const current = balances[type] || { balance: 0, encashed: 0 };
+    const encashLimit = roundDays(typePolicy.maxEncashDays - current.encashed);
+
+    if (days > encashLimit) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${Math.max(0, encashLimit)} more day(s) of ${type} leave can be encashed in ${year}`
+      });
+    }
+
+    if (days > current.balance) {
+      return res.status(400).json({
+        success: false,
+        error: `Insufficient ${type} leave balance. Available: ${current.balance} day(s)`
+      });
+    }
+
+    const entry = await LeaveLedger.create({
+      user: user._id,
+      companyCode: user.companyCode,
+      leaveType: type,
+      year,
+      entryType: 'encashment',
+      days: -days,
+      remarks: remarks || 'Leave encashment',
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${days} day(s) of ${type} leave encashed`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error encashing leave:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while encashing leave'
+    });
+  }
+};
+
+// 🔹 Manual credit (+) or debit (-) on an employee's balance (Owner)
+exports.adjustLeaveBalance = async (req, res) => {
+  try {
+    const { userId, type, remarks } = req.body;
+    const days = Number(req.body.days);
+    const year = Number(req.body.year) || new Date().getFullYear();
+
+    const user = await findCompanyUser(req, userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const entry = await LeaveLedger.create({
+      user: user._id,
+      companyCode: user.companyCode,
+      leaveType: type,
+      year,
+      entryType: 'adjustment',
+      days,
+      remarks,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave balance adjusted successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error adjusting leave balance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while adjusting leave balance'
+    });
+  }
+};
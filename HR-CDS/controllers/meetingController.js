@@ -2,6 +2,11 @@ const Meeting = require("../models/Meeting");
 const MeetingView = require("../models/MeetingView");
 const User = require("../../models/User");
 const sendEmail = require("../../utils/sendEmail");
+const { hasPermission } = require("../../utils/permissions");
+
+// Employees only see their own meetings; meetings.manage sees anyone's
+const canActFor = async (req, userId) =>
+  String(userId) === String(req.user._id) || hasPermission(req, "meetings.manage");
 
 /**
  * 🟢 Create Meeting (Admin)
@@ -19,7 +24,7 @@ const createMeeting = async (req, res) => {
       date,
       time,
       recurring,
-      createdBy,
+      createdBy: createdBy || req.user._id,
       attendees,
     });
 
@@ -51,6 +56,9 @@ const createMeeting = async (req, res) => {
  */
 const getUserMeetings = async (req, res) => {
   try {
+    if (!(await canActFor(req, req.params.userId)))
+      return res.status(403).json({ error: "You can only view your own meetings" });
+
     const userMeetings = await Meeting.find({ attendees: req.params.userId }).sort({ date: 1 });
     const views = await MeetingView.find({ userId: req.params.userId });
 
@@ -75,10 +83,14 @@ const getUserMeetings = async (req, res) => {
  */
 const markAsViewed = async (req, res) => {
   try {
-    const { meetingId, userId } = req.body;
-    if (!meetingId || !userId)
+    const { meetingId } = req.body;
+    const userId = req.body.userId || req.user._id;
+    if (!meetingId)
       return res.status(400).json({ error: "Missing meetingId/userId" });
 
+    if (!(await canActFor(req, userId)))
+      return res.status(403).json({ error: "You can only mark your own meetings as viewed" });
+
     await MeetingView.updateOne(
       { meetingId, userId },
       { viewed: true, viewedAt: new Date() },
@@ -0,0 +1,239 @@
+const Shift = require("../models/Shift");
+const User = require("../../models/User");
+const { resolveShiftForUser, getShiftWindow } = require("../utils/shiftRules");
+
+const SHIFT_FIELDS = [
+  "name",
+  "startTime",
+  "endTime",
+  "graceMinutes",
+  "halfDayAfterMinutes",
+  "absentAfterMinutes",
+  "fullDayHours",
+  "halfDayHours",
+  "weeklyOffs",
+  "departments",
+  "users",
+  "isDefault",
+  "isActive"
+];
+
+const pickShiftFields = (body) => {
+  const data = {};
+  SHIFT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+const getCompanyCode = (req) => req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
+
+// Only one default shift per company
+const clearOtherDefaults = async (companyCode, shiftId) => {
+  await Shift.updateMany(
+    { companyCode, _id: { $ne: shiftId }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+// Assigned users must belong to the same company
+const validateAssignedUsers = async (userIds, companyCode) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    return true;
+  }
+  const count = await User.countDocuments({ _id: { $in: userIds }, companyCode });
+  return count === userIds.length;
+};
+
+// Create Shift (Admin)
+const createShift = async (req, res) => {
+  try {
+    const companyCode = getCompanyCode(req);
+
+    if (!companyCode) {
+      return res.status(400).json({
+        message: "Company code not found"
+      });
+    }
+
+    const data = pickShiftFields(req.body);
+
+    if (!(await validateAssignedUsers(data.users, companyCode))) {
+      return res.status(400).json({
+        message: "Some assigned users do not belong to your company"
+      });
+    }
+
+    const shift = new Shift({
+      ...data,
+      companyCode,
+      createdBy: req.user._id
+    });
+
+    await shift.save();
+
+    if (shift.isDefault) {
+      await clearOtherDefaults(companyCode, shift._id);
+    }
+
+    res.status(201).json({
+      message: "Shift created successfully",
+      data: shift
+    });
+  } catch (err) {
+    console.error("Create Shift Error:", err.message);
+    const status = err.name === "ValidationError" ? 400 : 500;
+    res.status(status).json({
+      message: status === 400 ? err.message : "Server error while creating shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Get Shifts for company
+const getShifts = async (req, res) => {
+  try {
+    const companyCode = getCompanyCode(req);
+
+    if (!companyCode) {
+      return res.status(400).json({
+        message: "Company code not found"
+      });
+    }
+
+    const filter = { companyCode };
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    const shifts = await Shift.find(filter)
+      .populate("users", "name email department")
+      .sort({ isDefault: -1, startTime: 1 });
+
+    res.status(200).json({
+      message: "Shifts fetched successfully",
+      data: shifts
+    });
+  } catch (err) {
+    console.error("Get Shifts Error:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch shifts",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Get the shift that applies to the logged-in user (or ?userId= for admins)
+const getMyShift = async (req, res) => {
+  try {
+    const companyCode = getCompanyCode(req);
+    const userId = req.query.userId || req.user._id;
+
+    const user = await User.findById(userId).select("name companyCode department");
+    if (!user || user.companyCode !== companyCode) {
+      return res.status(404).json({
+        message: "User not found"
+      });
+    }
+
+    const shift = await resolveShiftForUser(user);
+    const { shiftStart, shiftEnd } = getShiftWindow(shift, new Date());
+
+    res.status(200).json({
+      message: "Shift fetched successfully",
+      data: {
+        shift,
+        today: { shiftStart, shiftEnd }
+      }
+    });
+  } catch (err) {
+    console.error("Get My Shift Error:", err.message);
+    res.status(500).json({
+      message: "Failed to fetch shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Update Shift (Admin)
+const updateShift = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const companyCode = getCompanyCode(req);
+
+    const shift = await Shift.findOne({ _id: id, companyCode });
+    if (!shift) {
+      return res.status(404).json({
+        message: "Shift not found"
+      });
+    }
+
+    const data = pickShiftFields(req.body);
+
+    if (!(await validateAssignedUsers(data.users, companyCode))) {
+      return res.status(400).json({
+        message: "Some assigned users do not belong to your company"
+      });
+    }
+
+    Object.assign(shift, data);
+    await shift.save();
+
+    if (shift.isDefault) {
+      await clearOtherDefaults(companyCode, shift._id);
+    }
+
+    res.status(200).json({
+      message: "Shift updated successfully",
+      data: shift
+    });
+  } catch (err) {
+    console.error("Update Shift Error:", err.message);
+    const status = err.name === "ValidationError" ? 400 : 500;
+    res.status(status).json({
+      message: status === 400 ? err.message : "Server error while updating shift",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+// Delete Shift (Admin) - soft delete so past attendance stays explainable
+const deleteShift = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const companyCode = getCompanyCode(req);
+
+    const shift = await Shift.findOneAndUpdate(
+      { _id: id, companyCode },
+      { $set: { isActive: false, isDefault: false } },
+      { new: true }
+    );
+
+    if (!shift) {
+      return res.status(404).json({
+        message: "Shift not found"
+      });
+    }
+
+    res.status(200).json({
+      message: "Shift deleted successfully"
+    });
+  } catch (err) {
+    console.error("Delete Shift Error:", err.message);
+    res.status(500).json({
+      message: "Delete failed",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createShift,
+  getShifts,
+  getMyShift,
+  updateShift,
+  deleteShift
+};
+console.log("✅ shiftController.js loaded successfully");
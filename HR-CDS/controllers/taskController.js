@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../../models/User');
 const Group = require('../models/Group');
@@ -5,6 +6,32 @@ const Notification = require('../models/Notification');
 const ActivityLog = require('../models/ActivityLog');
 const moment = require('moment');
 const sendEmail = require('../../utils/sendEmail');
+const {
+  TEMPLATE_FIELDS,
+  parseRecurrence,
+  startSeries,
+  findSeriesRoot,
+  applyToFutureOccurrences,
+  endSeriesFrom
+} = require('../utils/taskRecurrence');
+const {
+  findOpenBlockers,
+  hasOpenSubtasks,
+  createsDependencyCycle,
+  isSameOrAncestor,
+  rollUpParentStatus
+} = require('../utils/taskHierarchy');
+const {
+  resolveReviewers,
+  isReviewer,
+  parseReviewConfig,
+  requestReview,
+  applyReviewSettings,
+  notifyReviewers,
+  notifyReviewDecision
+} = require('../utils/taskReview');
+const { stopRunningTimer } = require('../utils/timeTracking');
+const { getTeamUserIds } = require('../../services/reportingHierarchy');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
@@ -45,6 +72,63 @@ const createActivityLog = async (user, action, task, description, oldValues = nu
   }
 };
 
+// 🔹 Helper to check if a user is the creator or an assignee of a task
+const isTaskParticipant = (task, userId) => {
+  const id = userId.toString();
+  const creatorId = task.createdBy?._id || task.createdBy;
+  return creatorId?.toString() === id ||
+    task.assignedUsers.some(user => (user._id || user).toString() === id) ||
+    task.statusByUser.some(entry => entry.user && (entry.user._id || entry.user).toString() === id);
+};
+
+// 🔹 Helper to validate the parent of a new or re-linked subtask
+const loadParentTask = async (parentTaskId, userId) => {
+  if (!parentTaskId || parentTaskId === 'null') return { parent: null };
+
+  if (!mongoose.isValidObjectId(parentTaskId)) {
+    return { error: 'Invalid parent task' };
+  }
+
+  const parent = await Task.findById(parentTaskId);
+  if (!parent || !parent.isActive) {
+    return { error: 'Parent task not found' };
+  }
+
+  if (!isTaskParticipant(parent, userId)) {
+    return { error: 'You are not part of the parent task' };
+  }
+
+  return { parent };
+};
+
+// 🔹 Helper to parse checklist items sent on create (JSON array of strings)
+const parseChecklist = (input, userId) => {
+  if (!input || input === 'null') return [];
+
+  const items = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!Array.isArray(items)) throw new Error('Checklist must be a list of items');
+
+  return items
+    .map(item => String(typeof item === 'object' && item !== null ? item.text || '' : item).trim())
+    .filter(Boolean)
+    .map(text => ({ text, createdBy: userId }));
+};
+
+// 🔹 Helper to log parent status changes caused by a subtask
+const logStatusRollUps = async (user, changes, req) => {
+  for (const change of changes) {
+    await createActivityLog(
+      user,
+      'subtask_status_rolled_up',
+      change.task._id,
+      `Task status rolled up from subtasks: ${change.from} → ${change.to}`,
+      { status: change.from },
+      { status: change.to },
+      req
+    );
+  }
+};
+
 // 🔹 Helper to group tasks by date
 const groupTasksByDate = (tasks, dateField = 'createdAt', serialKey = 'serialNo') => {
   const grouped = {};
@@ -339,7 +423,8 @@ exports.getTasks = async (req, res) => {
           taskFor: 'self'
         }
       ],
-      isActive: true
+      isActive: true,
+      ...Task.notSnoozedFilter()
     };
 
     if (status) {
@@ -412,7 +497,8 @@ exports.getMyTasks = async (req, res) => {
           taskFor: 'self'
         }
       ],
-      isActive: true
+      isActive: true,
+      ...Task.notSnoozedFilter()
     };
 
     // Time period filter
@@ -557,7 +643,8 @@ exports.getAssignedTasks = async (req, res) => {
     const filter = { 
       createdBy: req.user._id,
       taskFor: 'others',
-      isActive: true
+      isActive: true,
+      ...Task.notSnoozedFilter()
     };
 
     // Add status filter
@@ -605,7 +692,11 @@ exports.createTaskForSelf = async (req, res) => {
       dueDateTime,
       whatsappNumber,
       priorityDays,
-      priority
+      priority,
+      recurrence,
+      parentTask,
+      checklist,
+      review
     } = req.body;
 
     console.log('📅 Received dueDateTime from frontend:', dueDateTime);
@@ -684,6 +775,47 @@ exports.createTaskForSelf = async (req, res) => {
       }
     }
 
+    // Optional repeat rule (first occurrence is this task)
+    const { rule: recurrenceRule, error: recurrenceError } = await parseRecurrence(recurrence, parsedDueDateTime, req.user._id);
+    if (recurrenceError) {
+      return res.status(400).json({ 
+        success: false,
+        error: recurrenceError 
+      });
+    }
+
+    // Optional parent (this task becomes its subtask) and checklist
+    const { parent, error: parentError } = await loadParentTask(parentTask, req.user._id);
+    if (parentError) {
+      return res.status(400).json({ 
+        success: false,
+        error: parentError 
+      });
+    }
+
+    let checklistItems;
+    try {
+      checklistItems = parseChecklist(checklist, req.user._id);
+    } catch (parseError) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid checklist format' 
+      });
+    }
+
+    // Optional reviewer (the creator cannot review their own self-task)
+    const { review: reviewConfig, error: reviewError } = await parseReviewConfig(review, {
+      createdBy: req.user._id,
+      assignees: [req.user._id],
+      taskFor: 'self'
+    });
+    if (reviewError) {
+      return res.status(400).json({ 
+        success: false,
+        error: reviewError 
+      });
+    }
+
     // For self-task, assign ONLY to current user
     const finalAssignedUsers = [req.user._id.toString()];
     const finalAssignedGroups = [];
@@ -709,6 +841,9 @@ exports.createTaskForSelf = async (req, res) => {
       voiceNote,
       createdBy: req.user._id,
       isRecurring: false,
+      parentTask: parent ? parent._id : null,
+      checklist: checklistItems,
+      review: reviewConfig,
       taskFor: 'self',
       statusHistory: [{
         status: 'pending',
@@ -717,6 +852,15 @@ exports.createTaskForSelf = async (req, res) => {
       }]
     });
 
+    if (recurrenceRule) {
+      await startSeries(task, recurrenceRule);
+    }
+
+    if (parent) {
+      await createActivityLog(req.user, 'subtask_linked', parent._id, `Added subtask: ${title}`, null, { subtask: task._id }, req);
+      await logStatusRollUps(req.user, await rollUpParentStatus(task, req.user._id), req);
+    }
+
     // Populate task data
     await task.populate("assignedUsers", "name role email");
     await task.populate("createdBy", "name email");
@@ -776,7 +920,11 @@ exports.createTaskForOthers = async (req, res) => {
       priorityDays,
       priority,
       assignedUsers,
-      assignedGroups
+      assignedGroups,
+      recurrence,
+      parentTask,
+      checklist,
+      review
     } = req.body;
 
     console.log('📅 Received dueDateTime for others:', dueDateTime);
@@ -917,6 +1065,34 @@ exports.createTaskForOthers = async (req, res) => {
       }
     }
 
+    // Optional repeat rule (first occurrence is this task)
+    const { rule: recurrenceRule, error: recurrenceError } = await parseRecurrence(recurrence, parsedDueDateTime, currentUser._id);
+    if (recurrenceError) {
+      return res.status(400).json({ 
+        success: false,
+        error: recurrenceError 
+      });
+    }
+
+    // Optional parent (this task becomes its subtask) and checklist
+    const { parent, error: parentError } = await loadParentTask(parentTask, currentUser._id);
+    if (parentError) {
+      return res.status(400).json({ 
+        success: false,
+        error: parentError 
+      });
+    }
+
+    let checklistItems;
+    try {
+      checklistItems = parseChecklist(checklist, currentUser._id);
+    } catch (parseError) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid checklist format' 
+      });
+    }
+
     // Collect all assigned users (direct + group members)
     const allAssignedUsers = [...new Set([...parsedUsers])];
 
@@ -945,6 +1121,19 @@ exports.createTaskForOthers = async (req, res) => {
       });
     }
 
+    // Optional reviewer (never one of the assignees)
+    const { review: reviewConfig, error: reviewError } = await parseReviewConfig(review, {
+      createdBy: currentUser._id,
+      assignees: uniqueAssignedUsers,
+      taskFor: 'others'
+    });
+    if (reviewError) {
+      return res.status(400).json({ 
+        success: false,
+        error: reviewError 
+      });
+    }
+
     // Create status tracking ONLY for assigned users (not creator)
     const statusByUser = uniqueAssignedUsers.map((uid) => ({
       user: uid,
@@ -981,6 +1170,9 @@ exports.createTaskForOthers = async (req, res) => {
       voiceNote,
       createdBy: currentUser._id,
       isRecurring: false,
+      parentTask: parent ? parent._id : null,
+      checklist: checklistItems,
+      review: reviewConfig,
       taskFor: 'others',
       statusHistory: [{
         status: 'pending',
@@ -989,6 +1181,15 @@ exports.createTaskForOthers = async (req, res) => {
       }]
     });
 
+    if (recurrenceRule) {
+      await startSeries(task, recurrenceRule);
+    }
+
+    if (parent) {
+      await createActivityLog(currentUser, 'subtask_linked', parent._id, `Added subtask: ${title}`, null, { subtask: task._id }, req);
+      await logStatusRollUps(currentUser, await rollUpParentStatus(task, currentUser._id), req);
+    }
+
     // Populate task data for email
     await task.populate("assignedUsers", "name role email");
     await task.populate("assignedGroups", "name description");
@@ -1078,7 +1279,31 @@ exports.updateTask = async (req, res) => {
       });
     }
 
+    // Recurring tasks: "occurrence" edits only this task, "future" also the rest of its series
+    const scope = updateData.scope || 'occurrence';
+    if (!['occurrence', 'future'].includes(scope)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Scope must be "occurrence" or "future"' 
+      });
+    }
+
+    if (scope === 'future' && !task.isRecurring) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Only recurring tasks can be edited for future occurrences' 
+      });
+    }
+
+    if (updateData.recurrence && scope !== 'future') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Changing the repeat rule applies to future occurrences; send scope "future"' 
+      });
+    }
+
     const oldTask = { ...task.toObject() };
+    const previousDue = task.dueDateTime;
 
     // Handle file updates
     if (req.files) {
@@ -1165,6 +1390,24 @@ exports.updateTask = async (req, res) => {
       task.assignedGroups = assignedGroups;
     }
 
+    // Fields the rest of the series picks up on a "future" edit
+    const seriesChanges = {};
+    TEMPLATE_FIELDS.filter(field => task.isModified(field)).forEach(field => {
+      seriesChanges[field] = task[field];
+    });
+
+    let newRule = null;
+    if (scope === 'future' && updateData.recurrence) {
+      const parsed = await parseRecurrence(updateData.recurrence, task.dueDateTime, task.createdBy);
+      if (parsed.error) {
+        return res.status(400).json({ 
+          success: false,
+          error: parsed.error 
+        });
+      }
+      newRule = parsed.rule;
+    }
+
     await task.save();
 
     // 🔹 Create activity log
@@ -1178,10 +1421,26 @@ exports.updateTask = async (req, res) => {
       req
     );
 
+    let series = null;
+    if (scope === 'future') {
+      series = await applyToFutureOccurrences(task, { changes: seriesChanges, previousDue, newRule });
+
+      await createActivityLog(
+        currentUser,
+        'recurring_series_updated',
+        task._id,
+        `Updated future occurrences of recurring task: ${task.title}`,
+        null,
+        { ...seriesChanges, recurrence: newRule || undefined },
+        req
+      );
+    }
+
     res.json({ 
       success: true, 
-      message: 'Task updated successfully',
-      task 
+      message: scope === 'future' ? 'Task and future occurrences updated successfully' : 'Task updated successfully',
+      task,
+      series
     });
 
   } catch (error) {
@@ -1224,11 +1483,27 @@ exports.deleteTask = async (req, res) => {
     }
 
     const taskTitle = task.title;
+    const scope = req.query.scope || req.body?.scope || 'occurrence';
+
+    if (scope === 'future' && !task.isRecurring) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Only recurring tasks can be deleted for future occurrences' 
+      });
+    }
 
     // Soft delete by setting isActive to false
     task.isActive = false;
     await task.save();
 
+    // Stop the series from here on
+    const series = scope === 'future' ? await endSeriesFrom(task) : null;
+
+    // A removed subtask may complete its parent
+    if (task.parentTask) {
+      await logStatusRollUps(currentUser, await rollUpParentStatus(task, currentUser._id), req);
+    }
+
     // 🔹 Create activity log
     await createActivityLog(
       currentUser,
@@ -1242,14 +1517,584 @@ exports.deleteTask = async (req, res) => {
 
     res.json({ 
       success: true, 
-      message: 'Task deleted successfully' 
+      message: scope === 'future' ? 'Task and future occurrences deleted successfully' : 'Task deleted successfully',
+      series
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to delete task' 
+    });
+  }
+};
+
+// ✅ GET OCCURRENCES OF A RECURRING TASK
+exports.getOccurrences = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    const root = await findSeriesRoot(task);
+    if (!root) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Task is not recurring' 
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const isParticipant = root.createdBy.toString() === userId ||
+      task.statusByUser.some(entry => entry.user.toString() === userId);
+
+    if (!isParticipant) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to view this series' 
+      });
+    }
+
+    const occurrences = await Task.find({
+      $or: [{ _id: root._id }, { recurrenceOf: root._id }],
+      isActive: true
+    })
+      .select('title dueDateTime overallStatus statusByUser occurrenceNumber recurrenceOf')
+      .populate('statusByUser.user', 'name email')
+      .sort({ dueDateTime: 1 });
+
+    res.json({ 
+      success: true, 
+      series: {
+        root: root._id,
+        recurringPattern: root.recurringPattern,
+        recurrence: root.recurrence,
+        nextOccurrence: root.nextRecurringDate
+      },
+      occurrences 
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching occurrences:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch occurrences' 
+    });
+  }
+};
+
+// ✅ GET SUBTASKS
+exports.getSubtasks = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(task, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to view this task' 
+      });
+    }
+
+    const subtasks = await Task.find({ parentTask: task._id, isActive: true })
+      .select('title dueDateTime priority overallStatus assignedUsers checklist blockedBy createdAt')
+      .populate('assignedUsers', 'name email')
+      .sort({ createdAt: 1 });
+
+    const completed = subtasks.filter(subtask => ['completed', 'approved'].includes(subtask.overallStatus)).length;
+
+    res.json({ 
+      success: true, 
+      subtasks: subtasks.map(subtask => ({
+        ...subtask.toObject(),
+        checklistProgress: subtask.checklistProgress
+      })),
+      progress: {
+        total: subtasks.length,
+        completed,
+        percent: subtasks.length ? Math.round((completed / subtasks.length) * 100) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching subtasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch subtasks' 
+    });
+  }
+};
+
+// ✅ MOVE TASK UNDER A PARENT (or detach with parentTask: null)
+exports.setParentTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { parentTask } = req.body || {};
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only task creator can change the parent task' 
+      });
+    }
+
+    const { parent, error: parentError } = await loadParentTask(parentTask, req.user._id);
+    if (parentError) {
+      return res.status(400).json({ 
+        success: false,
+        error: parentError 
+      });
+    }
+
+    if (parent && await isSameOrAncestor(parent._id, task._id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A task cannot be placed under itself or one of its subtasks' 
+      });
+    }
+
+    const previousParent = task.parentTask;
+    task.parentTask = parent ? parent._id : null;
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'subtask_linked',
+      task._id,
+      parent ? `Moved task under: ${parent.title}` : 'Detached task from its parent',
+      { parentTask: previousParent },
+      { parentTask: task.parentTask },
+      req
+    );
+
+    // Both the old and the new parent may change status
+    if (previousParent) {
+      await logStatusRollUps(req.user, await rollUpParentStatus({ parentTask: previousParent }, req.user._id), req);
+    }
+    if (parent) {
+      await logStatusRollUps(req.user, await rollUpParentStatus(task, req.user._id), req);
+    }
+
+    res.json({ 
+      success: true, 
+      message: parent ? 'Task moved under parent successfully' : 'Task detached from parent successfully',
+      task 
+    });
+
+  } catch (error) {
+    console.error('❌ Error setting parent task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to set parent task' 
+    });
+  }
+};
+
+// ✅ GET TASK DEPENDENCIES (blockers and the tasks waiting on this one)
+exports.getDependencies = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId)
+      .populate('blockedBy', 'title overallStatus dueDateTime isActive');
+    if (!task) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(task, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to view this task' 
+      });
+    }
+
+    const blocking = await Task.find({ blockedBy: task._id, isActive: true })
+      .select('title overallStatus dueDateTime');
+
+    const blockedBy = task.blockedBy.filter(blocker => blocker && blocker.isActive);
+
+    res.json({ 
+      success: true, 
+      blockedBy,
+      blocking,
+      isBlocked: blockedBy.some(blocker => !['completed', 'approved'].includes(blocker.overallStatus))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching dependencies:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch dependencies' 
+    });
+  }
+};
+
+// ✅ ADD "BLOCKED BY" DEPENDENCY
+exports.addDependency = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { blockerId } = req.body || {};
+
+    if (!mongoose.isValidObjectId(blockerId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Valid blockerId is required' 
+      });
+    }
+
+    if (blockerId.toString() === taskId.toString()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'A task cannot block itself' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only task creator can change dependencies' 
+      });
+    }
+
+    const blocker = await Task.findById(blockerId);
+    if (!blocker || !blocker.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Blocking task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(blocker, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You are not part of the blocking task' 
+      });
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blocker._id.toString())) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Dependency already exists' 
+      });
+    }
+
+    if (await createsDependencyCycle(task._id, blocker._id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `"${blocker.title}" already depends on this task` 
+      });
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'dependency_added',
+      task._id,
+      `Task is now blocked by: ${blocker.title}`,
+      null,
+      { blockedBy: blocker._id },
+      req
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Dependency added successfully',
+      blockedBy: task.blockedBy
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding dependency:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add dependency' 
+    });
+  }
+};
+
+// ✅ REMOVE "BLOCKED BY" DEPENDENCY
+exports.removeDependency = async (req, res) => {
+  try {
+    const { taskId, blockerId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only task creator can change dependencies' 
+      });
+    }
+
+    const before = task.blockedBy.length;
+    task.blockedBy = task.blockedBy.filter(id => id.toString() !== blockerId.toString());
+
+    if (task.blockedBy.length === before) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dependency not found' 
+      });
+    }
+
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'dependency_removed',
+      task._id,
+      'Removed a blocking dependency',
+      { blockedBy: blockerId },
+      null,
+      req
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Dependency removed successfully',
+      blockedBy: task.blockedBy
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing dependency:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to remove dependency' 
+    });
+  }
+};
+
+// ✅ ADD CHECKLIST ITEM
+exports.addChecklistItem = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const text = String(req.body?.text || '').trim();
+
+    if (!text) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Checklist item text is required' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(task, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to update this task' 
+      });
+    }
+
+    task.checklist.push({ text, createdBy: req.user._id });
+    await task.save();
+
+    const item = task.checklist[task.checklist.length - 1];
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      `Added checklist item: ${text}`,
+      null,
+      { item: item._id, text },
+      req
+    );
+
+    res.status(201).json({ 
+      success: true, 
+      message: 'Checklist item added successfully',
+      item,
+      checklistProgress: task.checklistProgress
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to add checklist item' 
+    });
+  }
+};
+
+// ✅ UPDATE CHECKLIST ITEM (rename and/or tick off)
+exports.updateChecklistItem = async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+    const { text, isCompleted } = req.body || {};
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(task, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to update this task' 
+      });
+    }
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Checklist item not found' 
+      });
+    }
+
+    const oldValues = { text: item.text, isCompleted: item.isCompleted };
+
+    if (text !== undefined) {
+      if (!String(text).trim()) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Checklist item text cannot be empty' 
+        });
+      }
+      item.text = String(text).trim();
+    }
+
+    if (isCompleted !== undefined) {
+      const done = isCompleted === true || isCompleted === 'true';
+      if (done !== item.isCompleted) {
+        item.isCompleted = done;
+        item.completedBy = done ? req.user._id : null;
+        item.completedAt = done ? new Date() : null;
+      }
+    }
+
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      oldValues.isCompleted !== item.isCompleted
+        ? `${item.isCompleted ? 'Completed' : 'Reopened'} checklist item: ${item.text}`
+        : `Updated checklist item: ${item.text}`,
+      oldValues,
+      { text: item.text, isCompleted: item.isCompleted },
+      req
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Checklist item updated successfully',
+      item,
+      checklistProgress: task.checklistProgress
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating checklist item:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update checklist item' 
+    });
+  }
+};
+
+// ✅ DELETE CHECKLIST ITEM
+exports.deleteChecklistItem = async (req, res) => {
+  try {
+    const { taskId, itemId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!isTaskParticipant(task, req.user._id)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Not authorized to update this task' 
+      });
+    }
+
+    const item = task.checklist.id(itemId);
+    if (!item) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Checklist item not found' 
+      });
+    }
+
+    const removedText = item.text;
+    item.deleteOne();
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'checklist_updated',
+      task._id,
+      `Removed checklist item: ${removedText}`,
+      { item: itemId, text: removedText },
+      null,
+      req
+    );
+
+    res.json({ 
+      success: true, 
+      message: 'Checklist item removed successfully',
+      checklistProgress: task.checklistProgress
     });
 
   } catch (error) {
-    console.error('❌ Error deleting task:', error);
+    console.error('❌ Error deleting checklist item:', error);
     res.status(500).json({ 
       success: false,
-      error: 'Failed to delete task' 
+      error: 'Failed to delete checklist item' 
     });
   }
 };
@@ -1268,6 +2113,21 @@ exports.updateStatus = async (req, res) => {
       });
     }
 
+    // Approval is a reviewer decision, never an assignee status
+    if (['approved', 'rejected'].includes(status)) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only reviewers can approve or reject a task. Use the review endpoint.' 
+      });
+    }
+
+    if (status === 'awaiting-review') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Mark the task as completed to send it for review' 
+      });
+    }
+
     // Find task without population first
     const task = await Task.findById(taskId);
     if (!task) {
@@ -1289,6 +2149,40 @@ exports.updateStatus = async (req, res) => {
       });
     }
 
+    // A reviewer's decision (or a pending review) is not undone by an assignee status
+    if (task.overallStatus === 'approved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Task is already approved; its status can no longer be changed'
+      });
+    }
+
+    if (task.overallStatus === 'awaiting-review') {
+      return res.status(400).json({
+        success: false,
+        error: 'Task is waiting for review; status changes are locked until a reviewer decides'
+      });
+    }
+
+    // Blocked tasks cannot be started (or finished) before their blockers complete
+    if (['in-progress', 'completed'].includes(status)) {
+      const openBlockers = await findOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: `Task is blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`,
+          blockers: openBlockers
+        });
+      }
+    }
+
+    if (status === 'completed' && await hasOpenSubtasks(task._id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Complete all subtasks before completing this task' 
+      });
+    }
+
     // Update status
     const statusIndex = task.statusByUser.findIndex(s => 
       s.user && s.user.toString() === req.user._id.toString()
@@ -1319,6 +2213,7 @@ exports.updateStatus = async (req, res) => {
     });
 
     // Simple overall status update
+    let reviewRequested = false;
     if (status === 'completed') {
       // Check if all assigned users have completed
       const allUsersCompleted = task.assignedUsers.every(assignedUserId => {
@@ -1328,7 +2223,11 @@ exports.updateStatus = async (req, res) => {
         return userStatus && userStatus.status === 'completed';
       });
       
-      if (allUsersCompleted) {
+      if (allUsersCompleted && task.review?.required) {
+        // Reviewed tasks wait for a reviewer instead of completing
+        requestReview(task, req.user._id);
+        reviewRequested = true;
+      } else if (allUsersCompleted) {
         task.overallStatus = 'completed';
         task.completionDate = new Date();
       } else {
@@ -1346,6 +2245,11 @@ exports.updateStatus = async (req, res) => {
     // Save task
     await task.save();
 
+    // 🔹 Finished work stops the user's timer on it
+    if (status === 'completed') {
+      await stopRunningTimer(req.user._id, { task: task._id });
+    }
+
     // Populate for notifications
     await task.populate('createdBy', 'name email');
     const updatedUser = await User.findById(req.user._id).select('name role email');
@@ -1371,6 +2275,25 @@ exports.updateStatus = async (req, res) => {
       req
     );
 
+    // 🔹 Ask the reviewers to approve
+    if (reviewRequested) {
+      const reviewers = await notifyReviewers(task);
+      await createActivityLog(
+        req.user,
+        'review_requested',
+        task._id,
+        `Task sent for review to ${reviewers.length} reviewer(s)`,
+        null,
+        { reviewers, dueAt: task.review.dueAt },
+        req
+      );
+    }
+
+    // 🔹 Roll the change up to parent tasks
+    if (task.parentTask) {
+      await logStatusRollUps(req.user, await rollUpParentStatus(task, req.user._id), req);
+    }
+
     // 🔹 Send email notification
     await sendTaskStatusUpdateEmail(task, updatedUser, oldStatus, status);
 
@@ -1394,6 +2317,237 @@ exports.updateStatus = async (req, res) => {
   }
 };
 
+// ✅ APPROVE OR REJECT A TASK AWAITING REVIEW
+exports.reviewTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { decision, remarks } = req.body || {};
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Decision must be approve or reject' 
+      });
+    }
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (task.overallStatus !== 'awaiting-review') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Task is not awaiting review' 
+      });
+    }
+
+    if (!(await isReviewer(task, req.user._id))) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'You are not a reviewer of this task' 
+      });
+    }
+
+    const trimmedRemarks = typeof remarks === 'string' ? remarks.trim() : '';
+    if (decision === 'reject' && !trimmedRemarks) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Remarks are required when rejecting a task' 
+      });
+    }
+
+    const now = new Date();
+    const newStatus = decision === 'approve' ? 'approved' : 'rejected';
+
+    task.overallStatus = newStatus;
+    task.review.decision = newStatus;
+    task.review.decidedBy = req.user._id;
+    task.review.decidedAt = now;
+    task.review.remarks = trimmedRemarks || undefined;
+    task.review.dueAt = null;
+
+    if (newStatus === 'approved') {
+      task.completionDate = now;
+    } else {
+      // Send the work back to the assignees
+      task.statusByUser.forEach(entry => {
+        if (entry.status === 'completed') {
+          entry.status = 'reopen';
+          entry.updatedAt = now;
+          entry.remarks = trimmedRemarks;
+        }
+      });
+    }
+
+    task.statusHistory.push({
+      status: newStatus,
+      changedBy: req.user._id,
+      remarks: trimmedRemarks || 'Approved by reviewer'
+    });
+    task.reviewHistory.push({ action: newStatus, by: req.user._id, remarks: trimmedRemarks || undefined, at: now });
+
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      newStatus === 'approved' ? 'task_approved' : 'task_rejected',
+      task._id,
+      `${newStatus === 'approved' ? 'Approved' : 'Rejected'} task: ${task.title}`,
+      { status: 'awaiting-review' },
+      { status: newStatus, remarks: trimmedRemarks || null },
+      req
+    );
+
+    await notifyReviewDecision(task, req.user.name);
+
+    if (task.parentTask) {
+      await logStatusRollUps(req.user, await rollUpParentStatus(task, req.user._id), req);
+    }
+
+    res.json({ 
+      success: true,
+      message: `✅ Task ${newStatus} successfully`,
+      data: {
+        taskId: task._id,
+        overallStatus: task.overallStatus,
+        review: task.review
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error reviewing task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to review task' 
+    });
+  }
+};
+
+// ✅ CHANGE WHO REVIEWS A TASK (creator only; { required: false } turns review off)
+exports.updateReviewers = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (task.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        success: false,
+        error: 'Only the task creator can change reviewers' 
+      });
+    }
+
+    if (['approved', 'rejected', 'cancelled'].includes(task.overallStatus)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Cannot change reviewers of a ${task.overallStatus} task` 
+      });
+    }
+
+    const { review, error: reviewError } = await parseReviewConfig(req.body, {
+      createdBy: task.createdBy,
+      assignees: [...task.assignedUsers, ...task.statusByUser.map(entry => entry.user)],
+      taskFor: task.taskFor
+    });
+    if (reviewError || !review) {
+      return res.status(400).json({ 
+        success: false,
+        error: reviewError || 'Review settings are required' 
+      });
+    }
+
+    const oldReview = task.review ? task.review.toObject() : null;
+    const outcome = applyReviewSettings(task, review, req.user._id);
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'reviewers_updated',
+      task._id,
+      review.required ? `Updated reviewers (${review.reviewerType})` : 'Turned off review',
+      oldReview && { review: oldReview },
+      { review },
+      req
+    );
+
+    if (outcome === 'reassigned') {
+      await notifyReviewers(task);
+    } else if (outcome === 'completed' && task.parentTask) {
+      await logStatusRollUps(req.user, await rollUpParentStatus(task, req.user._id), req);
+    }
+
+    res.json({ 
+      success: true,
+      message: 'Reviewers updated successfully',
+      data: {
+        taskId: task._id,
+        overallStatus: task.overallStatus,
+        review: task.review,
+        reviewers: await resolveReviewers(task)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating reviewers:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update reviewers' 
+    });
+  }
+};
+
+// ✅ GET TASKS WAITING FOR MY REVIEW (oldest SLA first)
+exports.getPendingReviews = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const groupIds = await Group.find({ members: userId, isActive: true }).distinct('_id');
+
+    const tasks = await Task.find({
+      overallStatus: 'awaiting-review',
+      isActive: true,
+      'review.required': true,
+      $or: [
+        { 'review.reviewerType': 'creator', createdBy: userId },
+        { 'review.reviewerType': 'user', 'review.reviewer': userId },
+        { 'review.reviewerType': 'group', 'review.reviewerGroup': { $in: groupIds } }
+      ],
+      assignedUsers: { $ne: userId },
+      'statusByUser.user': { $ne: userId }
+    })
+      .populate('assignedUsers', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('review.reviewerGroup', 'name')
+      .sort({ 'review.dueAt': 1, 'review.requestedAt': 1 })
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      tasks: tasks.map(task => ({
+        ...task,
+        reviewOverdue: Boolean(task.review.dueAt && task.review.dueAt < now)
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching pending reviews:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to get pending reviews' 
+    });
+  }
+};
+
 // ✅ ADD REMARK TO TASK
 exports.addRemark = async (req, res) => {
   try {
@@ -1832,6 +2986,7 @@ exports.getTaskStatusCounts = async (req, res) => {
     const baseFilter = {
       ...dateFilter,
       isActive: true,
+      ...Task.notSnoozedFilter(),
       $or: [
         { assignedUsers: req.user._id },
         { assignedGroups: { $in: groupIds } },
@@ -2307,7 +3462,8 @@ exports.getUserTaskStats = async (req, res) => {
 };
 
 // ✅ GET ALL USERS WITH THEIR TASK COUNTS (NO RESTRICTIONS)
-exports.getUsersWithTaskCounts = async (req, res) => {
+// With teamOnly, just the caller's reporting line (direct and indirect reports)
+const usersWithTaskCounts = async (req, res, teamOnly) => {
   try {
     const currentUser = await User.findById(req.user.id).lean();
     if (!currentUser) {
@@ -2342,6 +3498,10 @@ exports.getUsersWithTaskCounts = async (req, res) => {
       // });
     }
 
+    if (teamOnly) {
+      userFilter._id = { $in: await getTeamUserIds(currentUser) };
+    }
+
     const users = await User.find(userFilter)
       .select('name email role employeeType company')
       .lean();
@@ -2388,6 +3548,7 @@ exports.getUsersWithTaskCounts = async (req, res) => {
         const taskFilter = {
           ...dateFilter,
           isActive: true,
+          ...Task.notSnoozedFilter(),
           company: currentUser.company, // Add company filter for tasks
           $or: [
             { assignedUsers: user._id },
@@ -2436,6 +3597,7 @@ exports.getUsersWithTaskCounts = async (req, res) => {
       success: true,
       period,
       employeeType: employeeType || 'all',
+      scope: teamOnly ? 'team' : 'company',
       company: currentUser.company, // Add company info in response
       users: usersWithCounts,
       summary: {
@@ -2457,6 +3619,12 @@ exports.getUsersWithTaskCounts = async (req, res) => {
   }
 };
 
+// ?scope=team limits the list to the caller's reporting line
+exports.getUsersWithTaskCounts = (req, res) => usersWithTaskCounts(req, res, req.query.scope === 'team');
+
+// ✅ GET MY TEAM WITH THEIR TASK COUNTS
+exports.getTeamUsersWithTaskCounts = (req, res) => usersWithTaskCounts(req, res, true);
+
 
 
 
@@ -2541,6 +3709,7 @@ exports.getDepartmentUsersWithTaskCounts = async (req, res) => {
         const taskFilter = {
           ...dateFilter,
           isActive: true,
+          ...Task.notSnoozedFilter(),
           $or: [
             { assignedUsers: user._id },
             { assignedGroups: { $in: groupIds } },
@@ -2670,6 +3839,7 @@ exports.getUserTasks = async (req, res) => {
     const filter = {
       ...dateFilter,
       isActive: true,
+      ...Task.notSnoozedFilter(),
       $or: [
         { assignedUsers: userId },
         { assignedGroups: { $in: groupIds } },
@@ -2762,6 +3932,7 @@ exports.getOverdueTasks = async (req, res) => {
         }
       ],
       isActive: true,
+      ...Task.notSnoozedFilter(),
       dueDateTime: { $lt: now },
       $or: [
         { 
@@ -2925,6 +4096,7 @@ exports.getUserOverdueTasks = async (req, res) => {
         { createdBy: userId }
       ],
       isActive: true,
+      ...Task.notSnoozedFilter(),
       dueDateTime: { $lt: now },
       $or: [
         { 
@@ -3092,6 +4264,7 @@ exports.updateAllOverdueTasks = async (req, res) => {
     const overdueTasks = await Task.find({
       dueDateTime: { $lt: now },
       isActive: true,
+      ...Task.notSnoozedFilter(now),
       $or: [
         { overallStatus: { $in: ['pending', 'in-progress', 'reopen', 'onhold'] } },
         { 
@@ -3209,6 +4382,7 @@ exports.getOverdueSummary = async (req, res) => {
         { createdBy: userId }
       ],
       isActive: true,
+      ...Task.notSnoozedFilter(),
       dueDateTime: { 
         $gte: startDate,
         $lt: now 
@@ -3336,8 +4510,16 @@ exports.snoozeTask = async (req, res) => {
       });
     }
 
+    const snoozedUntil = new Date(snoozeUntil);
+    if (!snoozeUntil || isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'snoozeUntil must be a future date and time' 
+      });
+    }
+
     const task = await Task.findById(taskId);
-    if (!task) {
+    if (!task || !task.isActive) {
       return res.status(404).json({ success: false, error: 'Task not found' });
     }
 
@@ -3350,8 +4532,11 @@ exports.snoozeTask = async (req, res) => {
       return res.status(403).json({ success: false, error: 'Not authorized' });
     }
 
-    task.snoozedUntil = new Date(snoozeUntil);
+    const previousSnooze = task.isSnoozedAt() ? task.snoozedUntil : null;
+
+    task.snoozedUntil = snoozedUntil;
     task.isSnoozed = true;
+    task.snoozedBy = req.user._id;
 
     await task.save();
 
@@ -3359,8 +4544,8 @@ exports.snoozeTask = async (req, res) => {
       currentUser,
       'task_snoozed',
       task._id,
-      `Task snoozed until ${moment(snoozeUntil).format('DD MMM YYYY')}`,
-      null,
+      `Task snoozed until ${moment(snoozedUntil).format('DD MMM YYYY, hh:mm A')}`,
+      { snoozedUntil: previousSnooze },
       { snoozedUntil },
       req
     );
@@ -3377,5 +4562,88 @@ exports.snoozeTask = async (req, res) => {
   }
 };
 
+// ✅ UNSNOOZE TASK (wake it up before snoozedUntil)
+exports.unsnoozeTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await Task.findById(taskId);
+    if (!task || !task.isActive) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    const allowed =
+      task.assignedUsers.some(u => u.toString() === req.user._id.toString()) ||
+      task.createdBy.toString() === req.user._id.toString();
+
+    if (!allowed) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+
+    if (!task.isSnoozed) {
+      return res.status(400).json({ success: false, error: 'Task is not snoozed' });
+    }
+
+    const snoozedUntil = task.snoozedUntil;
+    task.isSnoozed = false;
+    task.snoozedUntil = null;
+    task.snoozedBy = null;
+
+    // Catch up on overdue marking skipped while snoozed
+    task.checkAndMarkOverdue();
+    await task.save();
+
+    await createActivityLog(
+      req.user,
+      'task_unsnoozed',
+      task._id,
+      `Task unsnoozed (was snoozed until ${moment(snoozedUntil).format('DD MMM YYYY, hh:mm A')})`,
+      { snoozedUntil },
+      { snoozedUntil: null },
+      req
+    );
+
+    res.json({
+      success: true,
+      message: 'Task unsnoozed successfully',
+      overallStatus: task.overallStatus
+    });
+
+  } catch (err) {
+    console.error('❌ Error unsnoozing task:', err);
+    res.status(500).json({ success: false, error: 'Failed to unsnooze task' });
+  }
+};
+
+// ✅ GET SNOOZED TASKS (hidden from the other listings until they wake up)
+exports.getSnoozedTasks = async (req, res) => {
+  try {
+    const tasks = await Task.find({
+      $or: [
+        { assignedUsers: req.user._id },
+        { 'statusByUser.user': req.user._id },
+        { createdBy: req.user._id }
+      ],
+      isActive: true,
+      isSnoozed: true,
+      snoozedUntil: { $gt: new Date() }
+    })
+      .populate('assignedUsers', 'name email')
+      .populate('createdBy', 'name email')
+      .populate('snoozedBy', 'name email')
+      .sort({ snoozedUntil: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      tasks
+    });
+
+  } catch (err) {
+    console.error('❌ Error fetching snoozed tasks:', err);
+    res.status(500).json({ success: false, error: 'Failed to get snoozed tasks' });
+  }
+};
+
 module.exports = exports;
 console.log("✅ taskController.js loaded successfully");
\ No newline at end of file
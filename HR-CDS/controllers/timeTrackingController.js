@@ -0,0 +1,864 @@
+// timeTrackingController.js
+const mongoose = require('mongoose');
+const moment = require('moment');
+const TimeEntry = require('../models/TimeEntry');
+const Timesheet = require('../models/Timesheet');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Attendance = require('../models/Attendance');
+const User = require('../../models/User');
+const { sendNotification } = require('../utils/notificationHelper');
+const { startOfDay } = require('../utils/attendanceCalendar');
+const { toCsv } = require('../../utils/csv');
+const {
+  LOCKED_STATUSES,
+  dayKey,
+  minutesBetween,
+  parseDuration,
+  weekStartOf,
+  weekEndOf,
+  parseRange,
+  managedUserIds,
+  canManageUser,
+  timesheetApprovers,
+  isWeekLocked,
+  stopTimer,
+  stopRunningTimer,
+  buildUtilization
+} = require('../utils/timeTracking');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const getCompanyCode = (req) => req.user.companyCode || (req.user.company ? req.user.company.companyCode : null);
+
+const idOf = (value) => String(value._id || value);
+
+// Creator or assignee of the task
+const isTaskMember = (task, userId) => {
+  const id = String(userId);
+  return idOf(task.createdBy) === id ||
+    task.assignedUsers.some(user => idOf(user) === id) ||
+    task.statusByUser.some(entry => entry.user && idOf(entry.user) === id);
+};
+
+// The caller, or an employee they manage when ?userId= points at someone else
+const resolveTargetUser = async (req, userId) => {
+  if (!userId || String(userId) === String(req.user._id)) {
+    return { user: req.user };
+  }
+
+  if (!mongoose.isValidObjectId(userId)) {
+    return { status: 400, error: 'Invalid user' };
+  }
+
+  if (!(await canManageUser(req.user, userId))) {
+    return { status: 403, error: 'You can only view time of employees you manage' };
+  }
+
+  const user = await User.findById(userId).select('name email department companyCode reportingManager');
+  return user ? { user } : { status: 404, error: 'User not found' };
+};
+
+const loadTask = async (taskId, userId) => {
+  if (!mongoose.isValidObjectId(taskId)) {
+    return { status: 400, error: 'A valid task is required' };
+  }
+
+  const task = await Task.findById(taskId).select('title createdBy assignedUsers statusByUser isActive');
+  if (!task || !task.isActive) {
+    return { status: 404, error: 'Task not found' };
+  }
+
+  if (!isTaskMember(task, userId)) {
+    return { status: 403, error: 'You can only log time on tasks you are part of' };
+  }
+
+  return { task };
+};
+
+// Optional project the time is booked against (user must be on it)
+const loadProject = async (projectId, userId) => {
+  if (!projectId || projectId === 'null') return { project: null };
+
+  if (!mongoose.isValidObjectId(projectId)) {
+    return { error: 'Invalid project' };
+  }
+
+  const project = await Project.findById(projectId).select('projectName users createdBy');
+  if (!project) {
+    return { error: 'Project not found' };
+  }
+
+  const id = String(userId);
+  if (!project.users.some(user => String(user) === id) && String(project.createdBy) !== id) {
+    return { error: 'You are not a member of this project' };
+  }
+
+  return { project };
+};
+
+const loggedMinutesOnDay = async (userId, date, excludeId = null) => {
+  const filter = { user: userId, date: startOfDay(date), isRunning: false };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const entries = await TimeEntry.find(filter).select('minutes').lean();
+  return entries.reduce((sum, entry) => sum + entry.minutes, 0);
+};
+
+// Entry owner or their manager may change an entry
+const canEditEntry = async (req, entry) =>
+  String(entry.user) === String(req.user._id) || canManageUser(req.user, entry.user);
+
+// Minutes from { minutes } or { hours }
+const parseMinutes = (body) => {
+  if (body.minutes !== undefined && body.minutes !== '') return Math.round(Number(body.minutes));
+  if (body.hours !== undefined && body.hours !== '') return Math.round(Number(body.hours) * 60);
+  return null;
+};
+
+const wantsCsv = (req) => String(req.query.format || '').toLowerCase() === 'csv';
+
+const sendCsv = (res, name, records) => {
+  const filename = `${name}_${new Date().toISOString().split('T')[0]}.csv`;
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(toCsv(records));
+};
+
+const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// ==================== TIMERS ====================
+
+// 🔹 The caller's running timer (null when none)
+exports.getRunningTimer = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true })
+      .populate('task', 'title')
+      .populate('project', 'projectName')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: entry ? { ...entry, elapsedMinutes: minutesBetween(entry.startedAt, new Date()) } : null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching running timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching timer'
+    });
+  }
+};
+
+// 🔹 Start a timer on a task; a timer already running on another task is stopped first
+exports.startTimer = async (req, res) => {
+  try {
+    const { taskId, projectId, notes } = req.body;
+    const now = new Date();
+
+    const { task, status, error } = await loadTask(taskId, req.user._id);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const { project, error: projectError } = await loadProject(projectId, req.user._id);
+    if (projectError) {
+      return res.status(400).json({ success: false, error: projectError });
+    }
+
+    if (await isWeekLocked(req.user._id, now)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This week\'s timesheet is already submitted'
+      });
+    }
+
+    const running = await TimeEntry.findOne({ user: req.user._id, isRunning: true });
+    if (running && String(running.task) === String(task._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A timer is already running on this task'
+      });
+    }
+
+    const stopped = running ? await stopTimer(running, now) : null;
+
+    const entry = await TimeEntry.create({
+      user: req.user._id,
+      companyCode: getCompanyCode(req),
+      task: task._id,
+      project: project ? project._id : null,
+      date: startOfDay(now),
+      startedAt: now,
+      isRunning: true,
+      source: 'timer',
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      data: { entry, stopped }
+    });
+  } catch (error) {
+    // Another start won the race for the single running timer
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A timer is already running' });
+    }
+    console.error('❌ Error starting timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while starting timer'
+    });
+  }
+};
+
+// 🔹 Stop the caller's running timer
+exports.stopTimer = async (req, res) => {
+  try {
+    const entry = await stopRunningTimer(req.user._id);
+    if (!entry) {
+      return res.status(400).json({ success: false, error: 'No timer is running' });
+    }
+
+    if (req.body && req.body.notes !== undefined) {
+      entry.notes = req.body.notes;
+      await entry.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer stopped',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error stopping timer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while stopping timer'
+    });
+  }
+};
+
+// ==================== TIME ENTRIES ====================
+
+// 🔹 Time entries (?from=&to=&taskId=&projectId=, managers may pass ?userId=)
+exports.getEntries = async (req, res) => {
+  try {
+    const { userId, taskId, projectId, from, to } = req.query;
+
+    const target = await resolveTargetUser(req, userId);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+
+    const range = parseRange(from, to);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const filter = { user: target.user._id, date: { $gte: range.start, $lte: range.end } };
+    if (mongoose.isValidObjectId(taskId)) filter.task = taskId;
+    if (mongoose.isValidObjectId(projectId)) filter.project = projectId;
+
+    const entries = await TimeEntry.find(filter)
+      .populate('task', 'title')
+      .populate('project', 'projectName')
+      .sort({ startedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: range.start,
+        to: range.end,
+        totalMinutes: entries.reduce((sum, entry) => sum + entry.minutes, 0),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching time entries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching time entries'
+    });
+  }
+};
+
+// 🔹 Log time by hand: { taskId, minutes | hours, date | startedAt, projectId, notes }
+exports.createEntry = async (req, res) => {
+  try {
+    const { taskId, projectId, date, notes } = req.body;
+    const minutes = parseMinutes(req.body);
+
+    if (!Number.isFinite(minutes) || minutes < 1 || minutes > MINUTES_PER_DAY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Time must be between 1 minute and 24 hours'
+      });
+    }
+
+    const startedAt = req.body.startedAt ? new Date(req.body.startedAt) : moment(date).startOf('day').toDate();
+    if ((!date && !req.body.startedAt) || isNaN(startedAt.getTime())) {
+      return res.status(400).json({ success: false, error: 'A valid date is required' });
+    }
+    if (startedAt > new Date()) {
+      return res.status(400).json({ success: false, error: 'Cannot log time in the future' });
+    }
+
+    const { task, status, error } = await loadTask(taskId, req.user._id);
+    if (error) {
+      return res.status(status).json({ success: false, error });
+    }
+
+    const { project, error: projectError } = await loadProject(projectId, req.user._id);
+    if (projectError) {
+      return res.status(400).json({ success: false, error: projectError });
+    }
+
+    if (await isWeekLocked(req.user._id, startedAt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The timesheet for that week is already submitted'
+      });
+    }
+
+    if (await loggedMinutesOnDay(req.user._id, startedAt) + minutes > MINUTES_PER_DAY) {
+      return res.status(400).json({
+        success: false,
+        error: 'Logged time cannot exceed 24 hours in a day'
+      });
+    }
+
+    const entry = await TimeEntry.create({
+      user: req.user._id,
+      companyCode: getCompanyCode(req),
+      task: task._id,
+      project: project ? project._id : null,
+      date: startOfDay(startedAt),
+      startedAt,
+      endedAt: new Date(startedAt.getTime() + minutes * 60 * 1000),
+      minutes,
+      source: 'manual',
+      notes: notes || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time logged successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error logging time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while logging time'
+    });
+  }
+};
+
+// 🔹 Change minutes, notes or project of a finished entry in an open week
+exports.updateEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.entryId);
+    if (!entry || entry.companyCode !== getCompanyCode(req)) {
+      return res.status(404).json({ success: false, error: 'Time entry not found' });
+    }
+
+    if (!(await canEditEntry(req, entry))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to edit this entry' });
+    }
+
+    if (entry.isRunning) {
+      return res.status(400).json({ success: false, error: 'Stop the timer before editing it' });
+    }
+
+    if (await isWeekLocked(entry.user, entry.date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The timesheet for that week is already submitted'
+      });
+    }
+
+    const minutes = parseMinutes(req.body);
+    if (minutes !== null) {
+      if (!Number.isFinite(minutes) || minutes < 1 || minutes > MINUTES_PER_DAY) {
+        return res.status(400).json({
+          success: false,
+          error: 'Time must be between 1 minute and 24 hours'
+        });
+      }
+      if (await loggedMinutesOnDay(entry.user, entry.date, entry._id) + minutes > MINUTES_PER_DAY) {
+        return res.status(400).json({
+          success: false,
+          error: 'Logged time cannot exceed 24 hours in a day'
+        });
+      }
+      entry.minutes = minutes;
+      entry.endedAt = new Date(entry.startedAt.getTime() + minutes * 60 * 1000);
+    }
+
+    if (req.body.projectId !== undefined) {
+      const { project, error: projectError } = await loadProject(req.body.projectId, entry.user);
+      if (projectError) {
+        return res.status(400).json({ success: false, error: projectError });
+      }
+      entry.project = project ? project._id : null;
+    }
+
+    if (req.body.notes !== undefined) {
+      entry.notes = req.body.notes;
+    }
+
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    console.error('❌ Error updating time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating time entry'
+    });
+  }
+};
+
+// 🔹 Delete an entry (or discard a running timer) in an open week
+exports.deleteEntry = async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.entryId);
+    if (!entry || entry.companyCode !== getCompanyCode(req)) {
+      return res.status(404).json({ success: false, error: 'Time entry not found' });
+    }
+
+    if (!(await canEditEntry(req, entry))) {
+      return res.status(403).json({ success: false, error: 'Not authorized to delete this entry' });
+    }
+
+    if (await isWeekLocked(entry.user, entry.date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The timesheet for that week is already submitted'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting time entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting time entry'
+    });
+  }
+};
+
+// 🔹 Time logged on a task, per user (task members and managers)
+exports.getTaskTime = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    if (!mongoose.isValidObjectId(taskId)) {
+      return res.status(400).json({ success: false, error: 'Invalid task' });
+    }
+
+    const task = await Task.findById(taskId).select('title createdBy assignedUsers statusByUser');
+    if (!task) {
+      return res.status(404).json({ success: false, error: 'Task not found' });
+    }
+
+    const entries = await TimeEntry.find({ task: task._id, companyCode: getCompanyCode(req) })
+      .populate('user', 'name email')
+      .sort({ startedAt: 1 })
+      .lean();
+
+    if (!isTaskMember(task, req.user._id)) {
+      const managed = await managedUserIds(req.user);
+      if (!entries.some(entry => managed.includes(String(entry.user._id)))) {
+        return res.status(403).json({ success: false, error: 'Not authorized to view this task' });
+      }
+    }
+
+    const byUser = new Map();
+    entries.forEach(entry => {
+      const key = String(entry.user._id);
+      if (!byUser.has(key)) {
+        byUser.set(key, { user: entry.user, minutes: 0, entries: 0, isRunning: false });
+      }
+      const row = byUser.get(key);
+      row.minutes += entry.minutes;
+      row.entries++;
+      row.isRunning = row.isRunning || entry.isRunning;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        task: { _id: task._id, title: task.title },
+        totalMinutes: entries.reduce((sum, entry) => sum + entry.minutes, 0),
+        users: [...byUser.values()].sort((a, b) => b.minutes - a.minutes),
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching task time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching task time'
+    });
+  }
+};
+
+// ==================== TIMESHEETS ====================
+
+// 🔹 One user's week: entries per day next to attendance (?weekStart= any date in the week, ?userId=)
+exports.getTimesheet = async (req, res) => {
+  try {
+    const target = await resolveTargetUser(req, req.query.userId);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+
+    const reference = req.query.weekStart ? moment(req.query.weekStart) : moment();
+    if (!reference.isValid()) {
+      return res.status(400).json({ success: false, error: 'Invalid week' });
+    }
+
+    const weekStart = weekStartOf(reference.toDate());
+    const weekEnd = weekEndOf(weekStart);
+
+    const [timesheet, entries, attendance] = await Promise.all([
+      Timesheet.findOne({ user: target.user._id, weekStart })
+        .populate('submittedBy', 'name email')
+        .populate('reviewedBy', 'name email')
+        .lean(),
+      TimeEntry.find({ user: target.user._id, date: { $gte: weekStart, $lte: weekEnd } })
+        .populate('task', 'title')
+        .populate('project', 'projectName')
+        .sort({ startedAt: 1 })
+        .lean(),
+      Attendance.find({ user: target.user._id, date: { $gte: weekStart, $lte: weekEnd } })
+        .select('date status totalTime')
+        .lean()
+    ]);
+
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+      const date = new Date(weekStart);
+      date.setDate(date.getDate() + i);
+      const key = dayKey(date);
+      const dayEntries = entries.filter(entry => dayKey(entry.date) === key);
+      const record = attendance.find(item => dayKey(item.date) === key);
+
+      days.push({
+        date: key,
+        loggedMinutes: dayEntries.reduce((sum, entry) => sum + entry.minutes, 0),
+        attendedMinutes: record ? parseDuration(record.totalTime) : 0,
+        attendanceStatus: record ? record.status : null,
+        entries: dayEntries
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: { _id: target.user._id, name: target.user.name, email: target.user.email },
+        weekStart,
+        weekEnd,
+        status: timesheet ? timesheet.status : 'draft',
+        timesheet,
+        totalMinutes: days.reduce((sum, day) => sum + day.loggedMinutes, 0),
+        attendedMinutes: days.reduce((sum, day) => sum + day.attendedMinutes, 0),
+        days
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching timesheet'
+    });
+  }
+};
+
+// 🔹 Timesheets: the caller's own, or ?scope=team for the employees they manage (?status=submitted)
+exports.getTimesheets = async (req, res) => {
+  try {
+    const { scope, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = { companyCode: getCompanyCode(req) };
+    filter.user = scope === 'team' ? { $in: await managedUserIds(req.user) } : req.user._id;
+    if (status) filter.status = status;
+
+    const [timesheets, total] = await Promise.all([
+      Timesheet.find(filter)
+        .populate('user', 'name email department')
+        .populate('reviewedBy', 'name email')
+        .sort({ weekStart: -1, submittedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Timesheet.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: timesheets,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching timesheets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching timesheets'
+    });
+  }
+};
+
+// 🔹 Submit a week for approval: { weekStart } for yourself, or { weekStart, userId } as their manager
+exports.submitTimesheet = async (req, res) => {
+  try {
+    const { weekStart: weekInput, userId } = req.body;
+
+    const target = await resolveTargetUser(req, userId);
+    if (target.error) {
+      return res.status(target.status).json({ success: false, error: target.error });
+    }
+
+    const reference = weekInput ? moment(weekInput) : moment();
+    if (!reference.isValid()) {
+      return res.status(400).json({ success: false, error: 'Invalid week' });
+    }
+
+    const weekStart = weekStartOf(reference.toDate());
+    const weekEnd = weekEndOf(weekStart);
+    if (weekStart > new Date()) {
+      return res.status(400).json({ success: false, error: 'Cannot submit a week that has not started' });
+    }
+
+    const companyCode = getCompanyCode(req);
+    const timesheet = await Timesheet.findOne({ user: target.user._id, weekStart }) ||
+      new Timesheet({ user: target.user._id, companyCode, weekStart, weekEnd });
+
+    if (LOCKED_STATUSES.includes(timesheet.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Timesheet is already ${timesheet.status}`
+      });
+    }
+
+    const weekFilter = { user: target.user._id, date: { $gte: weekStart, $lte: weekEnd } };
+    if (await TimeEntry.exists({ ...weekFilter, isRunning: true })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Stop the running timer before submitting this week'
+      });
+    }
+
+    const entries = await TimeEntry.find(weekFilter).select('minutes').lean();
+    if (!entries.length) {
+      return res.status(400).json({ success: false, error: 'No time logged in this week' });
+    }
+
+    const now = new Date();
+    timesheet.status = 'submitted';
+    timesheet.totalMinutes = entries.reduce((sum, entry) => sum + entry.minutes, 0);
+    timesheet.submittedBy = req.user._id;
+    timesheet.submittedAt = now;
+    timesheet.reviewedBy = undefined;
+    timesheet.reviewedAt = undefined;
+    timesheet.remarks = undefined;
+    timesheet.history.push({ action: 'submitted', by: req.user._id, at: now });
+    await timesheet.save();
+
+    await TimeEntry.updateMany(weekFilter, { $set: { timesheet: timesheet._id } });
+
+    const employee = await User.findById(target.user._id).select('name department companyCode reportingManager');
+    const approvers = (await timesheetApprovers(employee)).filter(id => id !== String(req.user._id));
+    for (const approverId of approvers) {
+      await sendNotification({
+        recipient: approverId,
+        type: 'timesheet_submitted',
+        title: 'Timesheet Submitted',
+        message: `${employee.name} submitted the timesheet for the week of ${moment(weekStart).format('DD MMM YYYY')} (${toHours(timesheet.totalMinutes)}h)`,
+        data: { timesheetId: timesheet._id, userId: employee._id, weekStart }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Timesheet submitted successfully',
+      data: timesheet
+    });
+  } catch (error) {
+    console.error('❌ Error submitting timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting timesheet'
+    });
+  }
+};
+
+// Approve or reject a submitted timesheet of an employee the caller manages
+const reviewTimesheet = (decision) => async (req, res) => {
+  try {
+    const remarks = typeof req.body?.remarks === 'string' ? req.body.remarks.trim() : '';
+
+    const timesheet = await Timesheet.findById(req.params.id);
+    if (!timesheet || timesheet.companyCode !== getCompanyCode(req)) {
+      return res.status(404).json({ success: false, error: 'Timesheet not found' });
+    }
+
+    if (!(await canManageUser(req.user, timesheet.user))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the employee\'s manager can review this timesheet'
+      });
+    }
+
+    if (timesheet.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        error: `Timesheet is ${timesheet.status}, not awaiting approval`
+      });
+    }
+
+    if (decision === 'rejected' && !remarks) {
+      return res.status(400).json({ success: false, error: 'Remarks are required when rejecting a timesheet' });
+    }
+
+    const now = new Date();
+    timesheet.status = decision;
+    timesheet.reviewedBy = req.user._id;
+    timesheet.reviewedAt = now;
+    timesheet.remarks = remarks || undefined;
+    timesheet.history.push({ action: decision, by: req.user._id, remarks: remarks || undefined, at: now });
+    await timesheet.save();
+
+    const weekLabel = moment(timesheet.weekStart).format('DD MMM YYYY');
+    await sendNotification({
+      recipient: timesheet.user,
+      type: `timesheet_${decision}`,
+      title: decision === 'approved' ? 'Timesheet Approved' : 'Timesheet Rejected',
+      message: decision === 'approved'
+        ? `Your timesheet for the week of ${weekLabel} was approved`
+        : `Your timesheet for the week of ${weekLabel} was rejected: ${remarks}`,
+      priority: decision === 'approved' ? 'medium' : 'high',
+      data: { timesheetId: timesheet._id, weekStart: timesheet.weekStart }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Timesheet ${decision} successfully`,
+      data: timesheet
+    });
+  } catch (error) {
+    console.error('❌ Error reviewing timesheet:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while reviewing timesheet'
+    });
+  }
+};
+
+exports.approveTimesheet = reviewTimesheet('approved');
+exports.rejectTimesheet = reviewTimesheet('rejected');
+
+// ==================== REPORTS ====================
+
+// Employees a report covers: ?userId= / ?department= within the caller's team, or the caller alone
+const reportUserIds = async (req) => {
+  const { userId, department } = req.query;
+  const managed = await managedUserIds(req.user);
+
+  if (userId) {
+    if (String(userId) === String(req.user._id)) return [String(req.user._id)];
+    return managed.includes(String(userId)) ? [String(userId)] : [];
+  }
+
+  if (!managed.length) return [String(req.user._id)];
+
+  if (department) {
+    const users = await User.find({ _id: { $in: managed }, department }).distinct('_id');
+    return users.map(String);
+  }
+
+  return managed;
+};
+
+// 🔹 Logged hours against attended hours per employee (?from=&to=&department=&userId=&format=csv)
+exports.getUtilizationReport = async (req, res) => {
+  try {
+    const range = parseRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const { employees } = await buildUtilization({ userIds: await reportUserIds(req), ...range });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, 'utilization', employees.flatMap(row => row.days.map(day => ({
+        'Employee': row.user.name,
+        'Email': row.user.email,
+        'Date': day.date,
+        'Attendance': day.attendanceStatus || '',
+        'Attended Hours': toHours(day.attendedMinutes),
+        'Logged Hours': toHours(day.loggedMinutes),
+        'Utilization (%)': day.utilization ?? ''
+      }))));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { from: range.start, to: range.end, employees }
+    });
+  } catch (error) {
+    console.error('❌ Error building utilization report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building utilization report'
+    });
+  }
+};
+
+// 🔹 Logged hours per project and employee (?from=&to=&department=&userId=&format=csv)
+exports.getProjectReport = async (req, res) => {
+  try {
+    const range = parseRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const { projects } = await buildUtilization({ userIds: await reportUserIds(req), ...range });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, 'project_utilization', projects.flatMap(row => row.employees.map(employee => ({
+        'Project': row.project ? row.project.projectName : 'No project',
+        'Project Hours': toHours(row.loggedMinutes),
+        'Employee': employee.user.name,
+        'Email': employee.user.email,
+        'Logged Hours': toHours(employee.loggedMinutes),
+        'Share of Attended Time (%)': employee.utilization ?? ''
+      }))));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { from: range.start, to: range.end, projects }
+    });
+  } catch (error) {
+    console.error('❌ Error building project report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building project report'
+    });
+  }
+};
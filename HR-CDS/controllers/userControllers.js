@@ -1,9 +1,21 @@
 // HR-CDS/controllers/userControllers.js
+const mongoose = require('mongoose');
 const User = require('../../models/User');
 const Department = require('../../models/Department');
 const bcrypt = require('bcryptjs');
 const { errorResponse, successResponse } = require('../utils/responseHelper.js');
 const Task = require('../../HR-CDS/models/Task.js');
+const { unlockAccount } = require('../../services/loginProtection');
+const { isKnownJobRole, findCompanyRole, isReservedRoleName, BUILT_IN_ROLES, SUPER_ADMIN_ROLE } = require('../../utils/roles');
+const { hasPermission, hasRole, getRequestAccess, resolvePermissions } = require('../../utils/permissions');
+const {
+  MAX_DEPTH,
+  getReportIds,
+  getTeamUserIds,
+  getManagerChain,
+  buildOrgChart,
+  validateReportingManager
+} = require('../../services/reportingHierarchy');
 
 
 // All field names for consistent usage
@@ -16,8 +28,8 @@ const USER_FIELDS = {
              'fatherName', 'motherName'],
   
   // Employment information fields
-  EMPLOYMENT: ['employeeType', 'salary', 'properties', 'propertyOwned', 
-               'additionalDetails'],
+  EMPLOYMENT: ['employeeType', 'salary', 'properties', 'propertyOwned', 'workLocation', 
+               'dateOfJoining', 'reportingManager', 'approvalDelegate', 'additionalDetails'],
   
   // Banking information fields
   BANKING: ['accountNumber', 'ifsc', 'bankName', 'bankHolderName'],
@@ -56,12 +68,41 @@ const validateUserData = (data, isUpdate = false) => {
     errors.push("Invalid email format");
   }
 
-  // Job role validation
-  if (data.jobRole && !['admin', 'user', 'hr', 'manager'].includes(data.jobRole)) {
-    errors.push("Invalid job role");
+  return errors;
+};
+
+// Fields that decide a user's permissions, approvers and team; changing them needs users.manage
+const PRIVILEGED_FIELDS = ['jobRole', 'roleId', 'reportingManager', 'approvalDelegate'];
+
+// Helper: privileged fields in `data` that differ from the user's current values
+const changedPrivilegedFields = (data, user) => PRIVILEGED_FIELDS.filter(field =>
+  data[field] !== undefined && String(data[field] || '') !== String(user[field] || ''));
+
+// Job role must be a built-in role or one of the company's JobRoles; links
+// roleId to the matching JobRole. Returns false for an unknown job role,
+// and for super_admin, which is never given out from here.
+const applyJobRole = async (data, companyId, departmentId) => {
+  // Built-in names always mean the built-in role, never a JobRole of that name
+  if (isReservedRoleName(data.jobRole)) {
+    const builtIn = String(data.jobRole).trim().toLowerCase();
+    if (!BUILT_IN_ROLES.includes(builtIn)) {
+      return false;
+    }
+    data.jobRole = builtIn;
+    data.roleId = null;
+    return true;
   }
 
-  return errors;
+  if (!(await isKnownJobRole(companyId, data.jobRole))) {
+    return false;
+  }
+
+  const role = await findCompanyRole(companyId, data.jobRole, departmentId);
+  data.roleId = role ? role._id : null;
+  if (role) {
+    data.jobRole = role.name;
+  }
+  return true;
 };
 
 // Get current user profile
@@ -250,6 +291,16 @@ exports.register = async (req, res) => {
       }
     }
 
+    if (userData.jobRole && !(await applyJobRole(userData, userData.company?._id || userData.company, userData.department))) {
+      return errorResponse(res, 400, "Invalid job role");
+    }
+
+    // Reporting manager must be an active employee of the same company
+    const managerError = await validateReportingManager(null, userData.reportingManager, req.user?.companyCode);
+    if (managerError) {
+      return errorResponse(res, 400, managerError);
+    }
+
     // Create user
     const user = await User.create(userData);
 
@@ -448,6 +499,11 @@ exports.updateUser = async (req, res) => {
       }
     });
 
+    const privileged = changedPrivilegedFields(updateData, user);
+    if (privileged.length > 0 && !(await hasPermission(req, 'users.manage'))) {
+      return errorResponse(res, 403, `You do not have permission to change: ${privileged.join(', ')}`);
+    }
+
     // If updating department, validate it exists
     if (updateData.department) {
       const departmentExists = await Department.findById(updateData.department);
@@ -457,10 +513,34 @@ exports.updateUser = async (req, res) => {
     }
 
     // Validate job role if being updated
-    if (updateData.jobRole && !['admin', 'user', 'hr', 'manager'].includes(updateData.jobRole)) {
+    if (updateData.jobRole && !(await applyJobRole(updateData, user.company, updateData.department || user.department))) {
       return errorResponse(res, 400, "Invalid job role");
     }
 
+    // The new job role may not grant anything the requester does not hold
+    if (privileged.includes('jobRole')) {
+      const granted = await resolvePermissions({
+        ...user.toObject(),
+        jobRole: updateData.jobRole,
+        roleId: updateData.roleId,
+        department: updateData.department || user.department
+      });
+      const held = (await getRequestAccess(req)).permissions;
+      const notHeld = granted.permissions.filter(key => !held.includes(key));
+      if (notHeld.length > 0) {
+        return errorResponse(res, 403, `You cannot give a job role with permissions you do not have: ${notHeld.join(', ')}`);
+      }
+    }
+
+    // Reporting manager: same company, and not the user or anyone in their reporting line
+    if (updateData.reportingManager === '') {
+      updateData.reportingManager = null;
+    }
+    const managerError = await validateReportingManager(user._id, updateData.reportingManager, user.companyCode || requestingUser.companyCode);
+    if (managerError) {
+      return errorResponse(res, 400, managerError);
+    }
+
     // Handle password update separately
     if (req.body.password) {
       updateData.password = req.body.password;
@@ -538,9 +618,9 @@ exports.updateSelfUser = async (req, res) => {
       }
     });
 
-    // Normal users cannot update jobRole or department
-    if (updateData.jobRole || updateData.department) {
-      return errorResponse(res, 403, "You cannot update job role or department");
+    // Normal users cannot update jobRole or department, or their own reporting line
+    if (updateData.jobRole || updateData.department || changedPrivilegedFields(updateData, user).length > 0) {
+      return errorResponse(res, 403, "You cannot update job role, department, reporting manager or approval delegate");
     }
 
     // If updating department, validate it exists
@@ -686,6 +766,45 @@ exports.restoreUser = async (req, res) => {
   }
 };
 
+// Unlock an account locked after failed logins (company owner only)
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id).select('+lockUntil +loginAttempts +lockoutCount');
+    if (!user) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    // Only super_admin may unlock accounts outside their own company
+    if (req.user.jobRole !== SUPER_ADMIN_ROLE &&
+        String(user.company || '') !== String(req.user.company?._id || req.user.company || '')) {
+      return errorResponse(res, 403, "Access denied. User belongs to a different company.");
+    }
+
+    // Deactivated users carry a long lock too; that is undone by reactivating, not here
+    if (!user.isActive) {
+      return errorResponse(res, 400, "User is deactivated. Restore the user instead.");
+    }
+
+    const wasLocked = Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+    // Optional: the IP the user is confirmed to log in from, when that IP is locked too
+    const ip = typeof req.body?.ip === 'string' ? req.body.ip.trim() : '';
+
+    const { ipUnlocked } = await unlockAccount(user, req.user, req, req.body?.reason || '', ip || null);
+
+    return successResponse(res, 200, {
+      message: wasLocked ? "User account unlocked successfully" : "User account was not locked; failed login attempts cleared",
+      wasLocked,
+      ipUnlocked
+    });
+  } catch (err) {
+    console.error("❌ Unlock user error:", err);
+    return errorResponse(res, 500, "Failed to unlock user");
+  }
+};
+
 // Get deleted users - FILTERED BY COMPANY
 exports.getDeletedUsers = async (req, res) => {
   try {
@@ -747,9 +866,12 @@ exports.getCompanydepartmentUsers = async (req, res) => {
       company: companyId
     };
     
-    // If user is not admin/manager/hr, filter by department
-    const adminRoles = ['admin', 'hr', 'manager'];
-    if (!adminRoles.includes(currentUser.jobRole) && currentUser.department) {
+    // ?scope=team, and managers by default: only the user's reporting line (direct and indirect reports)
+    // users.view sees the whole company; anyone else is filtered by department
+    const companyWide = await hasPermission(req, 'users.view');
+    if (req.query.scope === 'team' || (!companyWide && await hasRole(req, 'manager'))) {
+      filter._id = { $in: await getTeamUserIds(currentUser) };
+    } else if (!companyWide && currentUser.department) {
       filter.department = currentUser.department;
     }
     
@@ -1043,4 +1165,92 @@ exports.searchUsers = async (req, res) => {
     return errorResponse(res, 500, "Failed to search users");
   }
 };
+
+// Helper: the target user when it exists and belongs to the requester's company
+const findCompanyUser = async (userId, requestingUser) => {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  return User.findOne({ _id: userId, companyCode: requestingUser.companyCode })
+    .select('name email jobRole department reportingManager companyCode')
+    .lean();
+};
+
+// Helper: ids of the users the requester may look up in reporting views -
+// null with users.view (whole company), otherwise themselves and their reporting line
+const getVisibleUserIds = async (req) => {
+  if (await hasPermission(req, 'users.view')) return null;
+  return [String(req.user._id), ...(await getTeamUserIds(req.user))];
+};
+
+// Org chart of the company, or the subtree under ?root=userId (?depth= levels).
+// Without users.view the chart starts at the requester's own position.
+exports.getOrgChart = async (req, res) => {
+  try {
+    const { root, depth } = req.query;
+    const maxDepth = Math.min(Math.max(parseInt(depth, 10) || MAX_DEPTH, 1), MAX_DEPTH);
+    const visibleIds = await getVisibleUserIds(req);
+
+    let rootUser = null;
+    if (root || visibleIds) {
+      rootUser = await findCompanyUser(root || req.user._id, req.user);
+      if (!rootUser) {
+        return errorResponse(res, 404, "User not found");
+      }
+      if (visibleIds && !visibleIds.includes(String(rootUser._id))) {
+        return errorResponse(res, 403, "Access denied. User is not in your reporting line.");
+      }
+    }
+
+    const chart = await buildOrgChart({
+      companyCode: req.user.companyCode,
+      rootId: rootUser ? rootUser._id : null,
+      maxDepth
+    });
+
+    return successResponse(res, 200, {
+      ...chart,
+      // Breadcrumb from the subtree root up to the top of the company
+      managers: rootUser ? await getManagerChain(rootUser._id) : []
+    });
+  } catch (err) {
+    console.error("❌ Get org chart error:", err);
+    return errorResponse(res, 500, "Failed to fetch org chart");
+  }
+};
+
+// Direct (?indirect=false) or all reports of a user ('me' for the caller)
+exports.getUserReports = async (req, res) => {
+  try {
+    const userId = req.params.id === 'me' ? req.user._id : req.params.id;
+    const target = await findCompanyUser(userId, req.user);
+    if (!target) {
+      return errorResponse(res, 404, "User not found");
+    }
+
+    const visibleIds = await getVisibleUserIds(req);
+    if (visibleIds && !visibleIds.includes(String(target._id))) {
+      return errorResponse(res, 403, "Access denied. User is not in your reporting line.");
+    }
+
+    const indirect = req.query.indirect !== 'false';
+    const reportIds = await getReportIds(target._id, { companyCode: req.user.companyCode, indirect });
+
+    const reports = await User.find({ _id: { $in: reportIds } })
+      .select('name email jobRole department employeeId reportingManager')
+      .sort({ name: 1 })
+      .lean();
+
+    return successResponse(res, 200, {
+      user: target,
+      indirect,
+      count: reports.length,
+      reports: reports.map(report => ({
+        ...report,
+        isDirect: String(report.reportingManager) === String(target._id)
+      }))
+    });
+  } catch (err) {
+    console.error("❌ Get user reports error:", err);
+    return errorResponse(res, 500, "Failed to fetch reports");
+  }
+};
 console.log("✅ userControllers.js loaded successfully");
\ No newline at end of file
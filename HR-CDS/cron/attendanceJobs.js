@@ -0,0 +1,180 @@
+const Attendance = require('../models/Attendance');
+const User = require('../../models/User');
+const {
+  toDateKey,
+  createHolidayResolver,
+  getApprovedLeaveMap,
+  getLeaveForDay,
+  resolveAutoAttendance
+} = require('../utils/attendanceCalendar');
+const { createShiftResolver, getShiftDay, getLastClosedShiftDay } = require('../utils/shiftRules');
+
+// Automatic absent / holiday / leave records, run through the job runner (utils/jobRunner.js)
+
+// Function to mark absent for past dates (last 30 days)
+// Holidays and approved leaves are written as HOLIDAY / ON_LEAVE instead of ABSENT
+const markPastAbsentRecords = async () => {
+  console.log('🔍 Checking for missing past attendance records...');
+  
+  const users = await User.find({});
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  // Get last 30 days (excluding today)
+  const startDate = new Date(today);
+  startDate.setDate(startDate.getDate() - 30);
+
+  const yesterday = new Date(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const holidayFor = createHolidayResolver(startDate, yesterday);
+  const leaveMap = await getApprovedLeaveMap(users.map(u => u._id), startDate, yesterday);
+  const resolveShift = createShiftResolver();
+  let created = 0;
+  
+  for (const user of users) {
+    const shift = await resolveShift(user);
+
+    // Get existing attendance records for the user in last 30 days
+    const existingAttendances = await Attendance.find({ 
+      user: user._id,
+      date: { $gte: startDate, $lt: today }
+    });
+    
+    // Create a map of existing attendance dates
+    const existingDates = new Set();
+    existingAttendances.forEach(record => {
+      existingDates.add(toDateKey(record.date));
+    });
+    
+    // Check each day from startDate to yesterday
+    const currentDate = new Date(startDate);
+    while (currentDate < today) {
+      const dateKey = toDateKey(currentDate);
+      
+      if (!existingDates.has(dateKey)) {
+        const autoRecord = resolveAutoAttendance({
+          date: currentDate,
+          shift,
+          holiday: await holidayFor(user, currentDate),
+          leave: getLeaveForDay(leaveMap, user._id, currentDate)
+        });
+
+        // Weekly offs resolve to nothing
+        if (autoRecord) {
+          const record = new Attendance({
+            user: user._id,
+            date: new Date(currentDate),
+            isClockedIn: false,
+            companyCode: user.companyCode,
+            ...autoRecord
+          });
+          
+          await record.save();
+          created++;
+
+          // 🔔 Socket event for attendance notification
+          if (global.io && autoRecord.status === 'ABSENT') {
+            global.io.to(`user:${user._id}`).emit('attendance:marked', {
+              type: 'attendance_absent',
+              message: 'You were marked absent for ' + currentDate.toLocaleDateString(),
+              data: {
+                date: currentDate,
+                status: 'ABSENT'
+              }
+            });
+          }
+        }
+      }
+      
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+  }
+  
+  console.log('✅ Past absent marking completed');
+  return { users: users.length, created };
+};
+
+// Function to mark absent for the latest shift day whose clock-in window has closed
+// (today, or yesterday for late shifts whose window closes after midnight)
+// Holidays and approved leaves are written as HOLIDAY / ON_LEAVE instead of ABSENT
+const markDailyAbsent = async () => {
+  console.log('🔍 Running daily absent marking job...');
+  
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  // A night shift's previous shift day can start two calendar days back
+  const earliest = new Date(today);
+  earliest.setDate(earliest.getDate() - 2);
+  
+  // Get all users
+  const users = await User.find({});
+
+  const holidayFor = createHolidayResolver(earliest, today);
+  const leaveMap = await getApprovedLeaveMap(users.map(u => u._id), earliest, today);
+  const resolveShift = createShiftResolver();
+  const now = new Date();
+  let created = 0;
+  
+  for (const user of users) {
+    const shift = await resolveShift(user);
+
+    // Shift day to check; shifts whose window is still open today fall back to the day
+    // before, which is usually recorded already
+    const day = getLastClosedShiftDay(shift, now);
+    const nextDay = new Date(day);
+    nextDay.setDate(nextDay.getDate() + 1);
+    const isToday = day.getTime() === getShiftDay(shift, now).getTime();
+
+    // Check if attendance exists for that day
+    const existingAttendance = await Attendance.findOne({
+      user: user._id,
+      date: { $gte: day, $lt: nextDay }
+    });
+    
+    // If no attendance exists, create absent / holiday / leave record
+    if (!existingAttendance) {
+      const autoRecord = resolveAutoAttendance({
+        date: day,
+        shift,
+        holiday: await holidayFor(user, day),
+        leave: getLeaveForDay(leaveMap, user._id, day),
+        isToday
+      });
+      
+      if (autoRecord) {
+        const record = new Attendance({
+          user: user._id,
+          date: day,
+          isClockedIn: false,
+          companyCode: user.companyCode,
+          ...autoRecord
+        });
+        
+        await record.save();
+        created++;
+
+        // 🔔 Socket event for the absent marking
+        if (global.io && autoRecord.status === 'ABSENT') {
+          global.io.to(`user:${user._id}`).emit('attendance:marked', {
+            type: 'attendance_absent',
+            message: isToday ? 'You have been marked absent for today' : `You have been marked absent for ${day.toDateString()}`,
+            data: {
+              date: day,
+              status: 'ABSENT'
+            }
+          });
+        }
+      }
+    }
+  }
+  
+  console.log('✅ Daily absent marking completed');
+  return { users: users.length, created };
+};
+
+module.exports = {
+  markPastAbsentRecords,
+  markDailyAbsent
+};
@@ -0,0 +1,58 @@
+const Holiday = require('../models/Holiday');
+const Company = require('../../models/Company');
+
+// One-time data fixes for holidays, run through the job runner (utils/jobRunner.js)
+
+/**
+ * Holidays saved before holidays were scoped per company have no
+ * companyCode, so no company query finds them any more. They applied to
+ * every company then, so each active company gets its own copy (unless it
+ * already has a holiday with the same title on that date) and the
+ * company-less original is removed. Safe to run again.
+ */
+const assignLegacyHolidays = async () => {
+  const legacy = await Holiday.find({ companyCode: { $in: [null, ''] } }).lean();
+  if (!legacy.length) {
+    return { legacy: 0, created: 0 };
+  }
+
+  const companies = await Company.find({ isActive: true }).select('companyCode').lean();
+  if (!companies.length) {
+    return { legacy: legacy.length, created: 0 };
+  }
+  let created = 0;
+
+  for (const { companyCode } of companies) {
+    if (!companyCode) continue;
+
+    const existing = await Holiday.find({
+      companyCode,
+      date: { $in: legacy.map(holiday => holiday.date) }
+    }).select('title date').lean();
+    const taken = new Set(existing.map(holiday => `${holiday.title}|${new Date(holiday.date).getTime()}`));
+
+    const copies = legacy
+      .filter(holiday => !taken.has(`${holiday.title}|${new Date(holiday.date).getTime()}`))
+      .map(holiday => ({
+        companyCode,
+        title: holiday.title,
+        date: holiday.date,
+        month: holiday.month,
+        source: 'manual'
+      }));
+
+    if (copies.length) {
+      await Holiday.insertMany(copies);
+      created += copies.length;
+    }
+  }
+
+  await Holiday.deleteMany({ _id: { $in: legacy.map(holiday => holiday._id) } });
+  console.log(`✅ Legacy holidays: ${legacy.length} copied into ${companies.length} companies (${created} created)`);
+
+  return { legacy: legacy.length, created };
+};
+
+module.exports = {
+  assignLegacyHolidays
+};
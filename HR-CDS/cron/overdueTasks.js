@@ -1,98 +1,136 @@
-const cron = require('node-cron');
 const Task = require('../models/Task');
 const Notification = require('../models/Notification');
-const User = require('../../models/User');
-const moment = require('moment');
 
-// Run every 30 minutes to check for overdue tasks
-cron.schedule('*/30 * * * *', async () => {
-  try {
-    console.log('🔄 Running overdue tasks check...');
-    
-    const result = await Task.updateAllOverdueTasks();
-    
-    // Get all tasks that were marked overdue
-    const now = new Date();
-    const thirtyMinutesAgo = new Date(now.getTime() - (30 * 60 * 1000));
-    
-    const newlyOverdueTasks = await Task.find({
-      markedOverdueAt: { $gte: thirtyMinutesAgo, $lte: now },
-      isActive: true,
-      overdueNotified: { $ne: true }
-    })
-    .populate('assignedUsers', 'name email')
-    .populate('createdBy', 'name email')
-    .lean();
-    
-    // Send notifications for newly overdue tasks
-    let notificationsSent = 0;
-    for (const task of newlyOverdueTasks) {
-      for (const userId of task.assignedUsers) {
-        try {
-          await Notification.create({
-            user: userId._id,
-            title: 'Task Marked as Overdue',
-            message: `Task "${task.title}" has been automatically marked as overdue.`,
-            type: 'task_overdue',
-            relatedTask: task._id,
-            metadata: {
-              dueDate: task.dueDateTime,
-              taskTitle: task.title,
-              markedAt: new Date()
+// Overdue-task jobs, run through the job runner (utils/jobRunner.js) so only
+// one instance marks and notifies per run
+
+// Function to check and mark overdue tasks
+const checkAndMarkOverdueTasks = async () => {
+  console.log('🔄 Running overdue tasks check...');
+  
+  const now = new Date();
+  
+  // Find tasks that are overdue but not marked yet (snoozed ones wait until they wake up)
+  const overdueTasks = await Task.find({
+    dueDateTime: { $lt: now },
+    isActive: true,
+    ...Task.notSnoozedFilter(now),
+    $or: [
+      { overallStatus: { $in: ['pending', 'in-progress', 'reopen', 'onhold'] } },
+      { 
+        'statusByUser.status': { $in: ['pending', 'in-progress', 'reopen', 'onhold'] }
+      }
+    ]
+  })
+  .populate('assignedUsers', 'name email')
+  .populate('createdBy', 'name email');
+  
+  console.log(`📊 Found ${overdueTasks.length} tasks to check for overdue...`);
+  
+  let markedCount = 0;
+  let notificationCount = 0;
+  
+  for (const task of overdueTasks) {
+    try {
+      const wasUpdated = task.checkAndMarkOverdue();
+      
+      if (wasUpdated) {
+        await task.save();
+        markedCount++;
+        
+        // ✅ FIXED: Send notifications to assigned users with proper error handling
+        for (const assignedUser of task.assignedUsers) {
+          try {
+            // Get user ID properly
+            const userId = assignedUser._id || assignedUser.id || assignedUser;
+            
+            if (!userId) {
+              console.error('❌ Invalid user object:', assignedUser);
+              continue;
             }
-          });
-          
-          notificationsSent++;
-          
-          // Mark as notified
-          await Task.findByIdAndUpdate(task._id, { overdueNotified: true });
-          
-        } catch (notifyError) {
-          console.error(`Error creating notification for user ${userId._id}:`, notifyError);
+
+            console.log(`📨 Creating notification for user: ${userId}`);
+
+            // Create notification in database
+            await Notification.create({
+              recipient: userId, // ✅ Using 'recipient' field
+              title: 'Task Marked as Overdue',
+              message: `Task "${task.title}" has been automatically marked as overdue.`,
+              type: 'task_overdue',
+              data: {
+                taskId: task._id,
+                taskTitle: task.title,
+                dueDate: task.dueDateTime,
+                markedAt: new Date()
+              }
+            });
+            
+            notificationCount++;
+            console.log(`✅ Notification created for user ${userId}`);
+
+            // 🔔 Socket event for real-time notification
+            if (global.io) {
+              global.io.to(`user:${userId}`).emit('notification:new', {
+                type: 'task_overdue',
+                title: 'Task Marked as Overdue',
+                message: `Task "${task.title}" has been automatically marked as overdue.`,
+                data: {
+                  taskId: task._id,
+                  taskTitle: task.title,
+                  dueDate: task.dueDateTime
+                }
+              });
+              console.log(`📢 Socket event sent to user:${userId}`);
+            }
+          } catch (notifyError) {
+            console.error(`❌ Error creating notification for user:`, notifyError.message);
+          }
         }
       }
+    } catch (taskError) {
+      console.error(`Error processing task ${task._id}:`, taskError);
     }
-    
-    console.log(`✅ Overdue tasks check completed:
-      • Updated: ${result.updated}
-      • Already Overdue: ${result.alreadyOverdue}
-      • Skipped: ${result.skipped}
-      • Total Checked: ${result.total}
-      • Notifications Sent: ${notificationsSent}`);
-      
-  } catch (error) {
-    console.error('❌ Error in overdue tasks cron job:', error);
   }
-});
+  
+  console.log(`✅ Overdue tasks check completed:
+    • Tasks Checked: ${overdueTasks.length}
+    • Marked Overdue: ${markedCount}
+    • Notifications Sent: ${notificationCount}
+    • Time: ${new Date().toLocaleString()}`);
 
-// Optional: Daily summary at 9 AM
-cron.schedule('0 9 * * *', async () => {
-  try {
-    console.log('📊 Running daily overdue summary...');
-    
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const overdueTasks = await Task.find({
-      markedOverdueAt: { $gte: yesterday, $lt: today },
-      isActive: true
-    })
-    .populate('assignedUsers', 'name email')
-    .lean();
-    
-    if (overdueTasks.length > 0) {
-      console.log(`📊 Daily Overdue Summary (${yesterday.toDateString()}):
-        • New Overdue Tasks: ${overdueTasks.length}
-        • Tasks: ${overdueTasks.map(t => t.title).join(', ')}`);
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in daily summary cron job:', error);
+  return { checked: overdueTasks.length, marked: markedCount, notifications: notificationCount };
+};
+
+// Function for daily summary
+const dailyOverdueSummary = async () => {
+  console.log('📊 Running daily overdue summary...');
+  
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  yesterday.setHours(0, 0, 0, 0);
+  
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const overdueTasks = await Task.find({
+    markedOverdueAt: { $gte: yesterday, $lt: today },
+    isActive: true
+  })
+  .populate('assignedUsers', 'name email')
+  .lean();
+  
+  if (overdueTasks.length > 0) {
+    console.log(`📊 Daily Overdue Summary (${yesterday.toDateString()}):
+      • New Overdue Tasks: ${overdueTasks.length}
+      • Affected Users: ${[...new Set(overdueTasks.flatMap(t => t.assignedUsers.map(u => u.name)))].join(', ')}`);
+  } else {
+    console.log('📊 No new overdue tasks for yesterday.');
   }
-});
 
-module.exports = cron;
\ No newline at end of file
+  return { overdue: overdueTasks.length };
+};
+
+module.exports = {
+  checkAndMarkOverdueTasks,
+  dailyOverdueSummary
+};
@@ -60,8 +60,36 @@ const uploadRemarkImage = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
 }).single("image"); // Single image for remarks
 
+// Upload middleware for data imports (CSV / iCalendar), kept in memory for parsing
+const uploadDataFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowed = [".csv", ".ics", ".txt"];
+    if (!allowed.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error("Only CSV and iCalendar (.ics) files are allowed"));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 2 * 1024 * 1024 },
+}).single("file");
+
+// Upload middleware for spreadsheet imports (CSV / Excel), kept in memory for parsing
+const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowed = [".csv", ".xlsx", ".txt"];
+    if (!allowed.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(new Error("Only CSV and Excel (.xlsx) files are allowed"));
+    }
+    cb(null, true);
+  },
+  limits: { fileSize: 5 * 1024 * 1024 },
+}).single("file");
+
 module.exports = {
   uploadPDF,
   uploadTaskImage,
-  uploadRemarkImage // Export the new middleware
+  uploadRemarkImage, // Export the new middleware
+  uploadDataFile,
+  uploadSpreadsheet
 };
\ No newline at end of file
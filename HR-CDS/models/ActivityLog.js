@@ -18,7 +18,21 @@ const activityLogSchema = new mongoose.Schema({
       'file_uploaded',
       'task_assigned',
       'task_completed',
-      'self_task_created'
+      'self_task_created',
+      'recurring_occurrence_created',
+      'recurring_series_updated',
+      'subtask_linked',
+      'subtask_status_rolled_up',
+      'dependency_added',
+      'dependency_removed',
+      'checklist_updated',
+      'task_snoozed',
+      'task_unsnoozed',
+      'review_requested',
+      'task_approved',
+      'task_rejected',
+      'review_escalated',
+      'reviewers_updated'
     ]
   },
   task: {
@@ -11,11 +11,19 @@ const assetRequestSchema = new mongoose.Schema({
     required: true,
     enum: ['phone', 'sim', 'laptop', 'desktop', 'headphone']
   },
+  // 'waitlisted': approved while no asset of this kind was in stock; the
+  // request is fulfilled first-come as soon as one becomes available
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'waitlisted'],
     default: 'pending'
   },
+  // Inventory asset handed out for this request
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
   companyCode: {
     type: String,
     required: true
@@ -34,9 +42,17 @@ const assetRequestSchema = new mongoose.Schema({
   },
   decisionDate: {
     type: Date
+  },
+  waitlistedAt: {
+    type: Date
+  },
+  fulfilledAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+assetRequestSchema.index({ companyCode: 1, assetName: 1, status: 1, waitlistedAt: 1 });
+
 module.exports = mongoose.model('AssetRequest', assetRequestSchema);
\ No newline at end of file
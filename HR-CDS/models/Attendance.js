@@ -19,7 +19,7 @@ const attendanceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PRESENT', 'LATE', 'HALF DAY', 'ABSENT', 'WEEKEND','HALFDAY'],
+    enum: ['PRESENT', 'LATE', 'HALF DAY', 'ABSENT', 'WEEKEND','HALFDAY', 'HOLIDAY', 'ON_LEAVE'],
     default: 'ABSENT'
   },
   lateBy: {
@@ -41,6 +41,16 @@ const attendanceSchema = new mongoose.Schema({
   notes: {
     type: String
   },
+  holiday: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Holiday',
+    default: null
+  },
+  leave: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave',
+    default: null
+  },
   isClockedIn: {
     type: Boolean,
     default: false
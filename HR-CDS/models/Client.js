@@ -74,6 +74,16 @@ const clientSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // CRM lead this client was converted from (conversion reporting)
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
+  },
+  leadSource: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true,
@@ -89,6 +99,7 @@ clientSchema.index({ city: 1 });
 clientSchema.index({ 'projectManager': 1 });
 clientSchema.index({ 'services': 1 });
 clientSchema.index({ createdAt: -1 });
+clientSchema.index({ lead: 1 }, { sparse: true });
 
 // Text index for search functionality
 clientSchema.index({
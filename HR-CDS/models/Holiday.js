@@ -1,18 +1,162 @@
 const mongoose = require("mongoose");
 
+const MONTHS = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+];
+
 const holidaySchema = new mongoose.Schema({
+    companyCode: {
+        type: String,
+        required: true,
+        index: true
+    },
     title: {
         type: String,
-        required: true
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
     },
     date: {
         type: Date,
         required: true
     },
+    // Derived from date on save
     month: {
+        type: String
+    },
+    // public: everyone in scope is off; optional: floating holiday employees opt into
+    type: {
         type: String,
-        required: true
+        enum: ['public', 'optional'],
+        default: 'public'
+    },
+    // Repeats on the same day and month every year from `date` onwards
+    isRecurring: {
+        type: Boolean,
+        default: false
+    },
+    // Empty means the holiday applies to every location / department
+    locations: [{
+        type: String,
+        trim: true
+    }],
+    departments: [{
+        type: String,
+        trim: true
+    }],
+    // Employees who picked this optional holiday, per year
+    optIns: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        year: {
+            type: Number,
+            required: true
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    source: {
+        type: String,
+        enum: ['manual', 'csv', 'ical'],
+        default: 'manual'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+holidaySchema.index({ companyCode: 1, date: 1 });
+holidaySchema.index({ companyCode: 1, isRecurring: 1, isActive: 1 });
+
+holidaySchema.pre("validate", function (next) {
+    if (this.date) {
+        this.month = MONTHS[new Date(this.date).getMonth()];
     }
+    next();
 });
 
+/**
+ * Expand a company's holidays into dated occurrences between two dates.
+ * Recurring holidays produce one occurrence per year; each occurrence keeps
+ * the holiday fields and adds `occurrenceDate`.
+ */
+holidaySchema.statics.findOccurrences = async function (companyCode, startDate, endDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const holidays = await this.find({
+        companyCode,
+        isActive: true,
+        $or: [
+            { isRecurring: { $ne: true }, date: { $gte: start, $lte: end } },
+            { isRecurring: true, date: { $lte: end } }
+        ]
+    }).lean();
+
+    const occurrences = [];
+
+    holidays.forEach(holiday => {
+        const original = new Date(holiday.date);
+
+        if (!holiday.isRecurring) {
+            occurrences.push({ ...holiday, occurrenceDate: original });
+            return;
+        }
+
+        for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+            const occurrence = new Date(year, original.getMonth(), original.getDate());
+
+            // Skip Feb 29 in non-leap years and years before the holiday was created
+            if (occurrence.getMonth() !== original.getMonth()) continue;
+            if (occurrence < start || occurrence > end) continue;
+            if (year < original.getFullYear()) continue;
+
+            occurrences.push({ ...holiday, occurrenceDate: occurrence });
+        }
+    });
+
+    return occurrences.sort((a, b) => a.occurrenceDate - b.occurrenceDate);
+};
+
+/**
+ * Whether a holiday occurrence gives a particular user the day off
+ */
+holidaySchema.statics.appliesToUser = function (holiday, user, year) {
+    const department = user.department ? String(user.department._id || user.department) : null;
+
+    if (holiday.departments && holiday.departments.length > 0 && !holiday.departments.includes(department)) {
+        return false;
+    }
+
+    if (holiday.locations && holiday.locations.length > 0 && !holiday.locations.includes(user.workLocation)) {
+        return false;
+    }
+
+    if (holiday.type === 'optional') {
+        const userId = String(user._id || user.id);
+        return (holiday.optIns || []).some(optIn => String(optIn.user) === userId && optIn.year === year);
+    }
+
+    return true;
+};
+
 module.exports = mongoose.model("Holiday", holidaySchema);
@@ -21,12 +21,60 @@ const historySchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  from: String,
+  to: String,
+  // Approval level the action was taken at (multi-level approvals)
+  level: {
+    type: String,
+    default: null
+  },
   at: {
     type: Date,
     default: Date.now
   }
 }, { _id: false });
 
+// One level of the approval chain; any of `approvers` may act on it
+const approvalStepSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: ['reporting_manager', 'department_head', 'hr', 'owner'],
+    required: true
+  },
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Approvers replaced by their delegate because they were on leave
+  delegatedFrom: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'approved', 'rejected', 'skipped', 'escalated'],
+    default: 'waiting'
+  },
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  actedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actedAt: {
+    type: Date,
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
 const leaveSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -47,10 +95,36 @@ const leaveSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Chargeable working days, computed by the server from the company calendar
   days: {
     type: Number,
     required: true,
-    min: 1
+    validate: {
+      validator: (value) => value > 0,
+      message: 'Leave must cover at least part of a working day'
+    }
+  },
+  // Half-day leave covers only one session of a single day
+  halfDay: {
+    type: String,
+    enum: ['first', 'second', null],
+    default: null
+  },
+  // Short (hourly) leave: a time range within a single working day
+  fromTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'],
+    default: null
+  },
+  toTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be in HH:mm format'],
+    default: null
+  },
+  hours: {
+    type: Number,
+    min: 0,
+    default: null
   },
   reason: {
     type: String,
@@ -75,6 +149,13 @@ const leaveSchema = new mongoose.Schema({
     maxlength: 500
   },
   history: [historySchema],
+
+  // Multi-level approval chain built from the company's leave policy when applied
+  approvalSteps: [approvalStepSchema],
+  currentStep: {
+    type: Number,
+    default: 0
+  },
   
   // For offline sync
   syncStatus: {
@@ -101,9 +182,16 @@ leaveSchema.index({ status: 1, startDate: -1 });
 leaveSchema.index({ user: 1, type: 1 });
 leaveSchema.index({ 'user.department': 1, status: 1 });
 leaveSchema.index({ syncStatus: 1, lastSynced: -1 });
+leaveSchema.index({ status: 1, 'approvalSteps.approvers': 1 });
 
 // Virtual for leave duration
 leaveSchema.virtual('duration').get(function() {
+  if (this.hours) {
+    return this.hours + ' hour' + (this.hours !== 1 ? 's' : '');
+  }
+  if (this.halfDay) {
+    return 'Half day (' + this.halfDay + ' half)';
+  }
   return this.days + ' day' + (this.days > 1 ? 's' : '');
 });
 
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// One row per credit or debit against a user's leave balance; balance = sum of days
+const leaveLedgerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  leaveType: {
+    type: String,
+    enum: ['Casual', 'Sick', 'Paid', 'Unpaid', 'Other'],
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ['accrual', 'carry_forward', 'lapse', 'leave', 'leave_reversal', 'encashment', 'adjustment'],
+    required: true
+  },
+  // Positive for credits, negative for debits
+  days: {
+    type: Number,
+    required: true
+  },
+  // Identifies automatic entries so they are written once (e.g. "2026-M03", "leave:<id>")
+  periodKey: {
+    type: String
+  },
+  leave: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Leave',
+    default: null
+  },
+  remarks: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+leaveLedgerSchema.index({ user: 1, year: 1, leaveType: 1 });
+leaveLedgerSchema.index(
+  { user: 1, leaveType: 1, periodKey: 1 },
+  { unique: true, partialFilterExpression: { periodKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model("LeaveLedger", leaveLedgerSchema);
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+
+const LEAVE_TYPES = ['Casual', 'Sick', 'Paid', 'Unpaid', 'Other'];
+
+const leaveTypePolicySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: LEAVE_TYPES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Days granted over a full leave year
+  annualAllocation: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // annual: whole allocation on the first day of the year; monthly/quarterly: credited in equal parts
+  accrual: {
+    type: String,
+    enum: ['annual', 'monthly', 'quarterly'],
+    default: 'annual'
+  },
+  // Unused days moved to the next year, at most this many (0 = everything lapses)
+  carryForwardCap: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  encashable: {
+    type: Boolean,
+    default: false
+  },
+  // Most days that can be encashed per year
+  maxEncashDays: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  allowedDuringProbation: {
+    type: Boolean,
+    default: true
+  },
+  // Mid-year joiners only get the share of the allocation for periods after joining
+  proRate: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const leavePolicySchema = new mongoose.Schema({
+  companyCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  probationMonths: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  leaveTypes: {
+    type: [leaveTypePolicySchema],
+    validate: {
+      validator: (types) => new Set(types.map(t => t.type)).size === types.length,
+      message: 'Each leave type can only be configured once'
+    }
+  },
+  // Approval levels in order, e.g. ['reporting_manager', 'department_head', 'hr']
+  approvalChain: {
+    type: [{
+      type: String,
+      enum: ['reporting_manager', 'department_head', 'hr', 'owner']
+    }],
+    default: ['owner']
+  },
+  // Users acting for the 'hr' level
+  hrApprovers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Move a request to the next level after this many days without action (0 = never)
+  escalateAfterDays: {
+    type: Number,
+    default: 2,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model("LeavePolicy", leavePolicySchema);
@@ -36,7 +36,35 @@ const notificationSchema = new mongoose.Schema({
     endDate: Date,
     days: Number,
     reason: String,
-    appliedBy: String
+    appliedBy: String,
+    taskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    },
+    // CRM follow-up reminders / escalations
+    followUpId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FollowUp'
+    },
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead'
+    },
+    // Asset requests fulfilled from the inventory
+    assetRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetRequest'
+    },
+    assetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset'
+    },
+    // Physical asset audits
+    assetAuditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AssetAudit'
+    },
+    scheduledAt: Date
   },
   isRead: {
     type: Boolean,
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const shiftSchema = new mongoose.Schema({
+  companyCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // "HH:mm" in server local time; endTime earlier than startTime means the shift crosses midnight
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End time must be in HH:mm format']
+  },
+  // Clock-in within this many minutes after start is still PRESENT
+  graceMinutes: {
+    type: Number,
+    default: 10,
+    min: 0
+  },
+  // Clock-in after this many minutes after start is a HALFDAY (between grace and this is LATE)
+  halfDayAfterMinutes: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  // No clock-in by this many minutes after start is marked ABSENT by the daily job
+  absentAfterMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  // Worked hours needed for a full day / half day; less than half-day hours is ABSENT
+  fullDayHours: {
+    type: Number,
+    default: 9,
+    min: 0
+  },
+  halfDayHours: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  // Days of the week (0 = Sunday) that are not working days
+  weeklyOffs: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0, 6]
+  },
+  // Assignment: users take priority over departments, departments over the company default
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shiftSchema.index({ companyCode: 1, isActive: 1 });
+shiftSchema.index({ companyCode: 1, users: 1 });
+
+shiftSchema.virtual('isNightShift').get(function() {
+  return this.endTime <= this.startTime;
+});
+
+shiftSchema.pre('validate', function(next) {
+  if (this.halfDayAfterMinutes < this.graceMinutes) {
+    this.invalidate('halfDayAfterMinutes', 'Half-day cutoff must not be earlier than the grace period');
+  }
+  if (this.absentAfterMinutes < this.halfDayAfterMinutes) {
+    this.invalidate('absentAfterMinutes', 'Absent cutoff must not be earlier than the half-day cutoff');
+  }
+  if (this.halfDayHours > this.fullDayHours) {
+    this.invalidate('halfDayHours', 'Half-day hours cannot exceed full-day hours');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -22,6 +22,7 @@ const statusHistorySchema = new mongoose.Schema(
         "reopen",
         "cancelled",
         "overdue",
+        "awaiting-review",
       ],
       required: true,
     },
@@ -102,6 +103,101 @@ const fileSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/* ===============================
+   CHECKLIST ITEM SCHEMA
+================================= */
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true },
+    isCompleted: { type: Boolean, default: false },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completedAt: Date,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdAt: { type: Date, default: Date.now },
+  }
+);
+
+/* ===============================
+   REVIEW SCHEMA
+================================= */
+// Who approves the work once every assignee has completed it
+const reviewSchema = new mongoose.Schema(
+  {
+    required: { type: Boolean, default: false },
+    reviewerType: {
+      type: String,
+      enum: ["creator", "user", "group"],
+      default: "creator",
+    },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewerGroup: { type: mongoose.Schema.Types.ObjectId, ref: "Group" },
+    // Hours a review may wait before escalating; 0 = no SLA
+    slaHours: { type: Number, default: 24, min: 0 },
+    requestedAt: Date,
+    dueAt: Date,
+    escalationLevel: { type: Number, default: 0 },
+    escalatedAt: Date,
+    decision: { type: String, enum: ["approved", "rejected"] },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: Date,
+    remarks: String,
+  },
+  { _id: false }
+);
+
+const reviewHistorySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["submitted", "approved", "rejected", "escalated", "reviewers_updated"],
+      required: true,
+    },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    remarks: String,
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/* ===============================
+   RECURRENCE SCHEMA
+================================= */
+// Kept on the first task of a series (the root); occurrences point back via recurrenceOf
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "cron"],
+      required: true,
+    },
+    // Every N days / weeks / months
+    interval: { type: Number, default: 1, min: 1 },
+    // Weekly: 0 = Sunday ... 6 = Saturday
+    weekdays: [{ type: Number, min: 0, max: 6 }],
+    // Monthly: day of month, clamped to the month's last day
+    monthDay: { type: Number, min: 1, max: 31 },
+    // "minute hour day-of-month month day-of-week"
+    cron: String,
+    endDate: Date,
+    maxOccurrences: Number,
+    occurrenceCount: { type: Number, default: 1 },
+    // Occurrences keep the anchor's time of day in this zone
+    timezone: String,
+    anchor: Date,
+    // What each new occurrence is created from; "edit all future" updates it
+    template: {
+      title: String,
+      description: String,
+      whatsappNumber: String,
+      priorityDays: String,
+      priority: String,
+      assignedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      assignedGroups: [{ type: mongoose.Schema.Types.ObjectId, ref: "Group" }],
+    },
+  },
+  { _id: false }
+);
+
 /* ===============================
    TASK SCHEMA
 ================================= */
@@ -131,8 +227,9 @@ const taskSchema = new mongoose.Schema(
     isSnoozed: {
       type: Boolean,
       default: false
-    }
-,
+    },
+    snoozedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
     files: [fileSchema],
     voiceNote: {
       filename: String,
@@ -159,6 +256,7 @@ const taskSchema = new mongoose.Schema(
         "reopen",
         "cancelled",
         "overdue",
+        "awaiting-review",
       ],
       default: "pending",
     },
@@ -172,6 +270,18 @@ const taskSchema = new mongoose.Schema(
     isRecurring: { type: Boolean, default: false },
     recurringPattern: String,
     nextRecurringDate: Date,
+    recurrence: { type: recurrenceSchema, default: undefined },
+    recurrenceOf: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    occurrenceNumber: Number,
+
+    // Subtasks roll their status up to the parent
+    parentTask: { type: mongoose.Schema.Types.ObjectId, ref: "Task", default: null },
+    // Cannot start until these tasks are completed
+    blockedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: "Task" }],
+    checklist: [checklistItemSchema],
+
+    review: { type: reviewSchema, default: undefined },
+    reviewHistory: [reviewHistorySchema],
 
     markedOverdueAt: Date,
     overdueReason: String,
@@ -191,6 +301,12 @@ taskSchema.index({ assignedUsers: 1, dueDateTime: 1 });
 taskSchema.index({ overallStatus: 1, dueDateTime: 1 });
 taskSchema.index({ createdBy: 1, createdAt: -1 });
 taskSchema.index({ 'statusByUser.user': 1, 'statusByUser.status': 1 });
+taskSchema.index({ isRecurring: 1, recurrenceOf: 1, nextRecurringDate: 1 });
+taskSchema.index({ recurrenceOf: 1, dueDateTime: 1 });
+taskSchema.index({ parentTask: 1, isActive: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ isSnoozed: 1, snoozedUntil: 1 });
+taskSchema.index({ overallStatus: 1, 'review.dueAt': 1 });
 
 /* ===============================
    VIRTUAL FIELDS
@@ -200,6 +316,16 @@ taskSchema.virtual('isPastDue').get(function() {
   return new Date(this.dueDateTime) < new Date();
 });
 
+taskSchema.virtual('checklistProgress').get(function() {
+  const items = this.checklist || [];
+  const completed = items.filter(item => item.isCompleted).length;
+  return {
+    total: items.length,
+    completed,
+    percent: items.length ? Math.round((completed / items.length) * 100) : 0
+  };
+});
+
 taskSchema.virtual('daysOverdue').get(function() {
   if (!this.dueDateTime || !this.markedOverdueAt) return 0;
   const overdueDate = this.markedOverdueAt || new Date();
@@ -247,9 +373,16 @@ taskSchema.methods.updateUserStatus = function (userId, status, remarks = "") {
   this.lastActivityAt = new Date();
 };
 
+// ✅ IS SNOOZED (snoozedUntil still in the future)
+taskSchema.methods.isSnoozedAt = function (at = new Date()) {
+  return Boolean(this.isSnoozed && this.snoozedUntil && new Date(this.snoozedUntil) > at);
+};
+
 // ✅ CHECK AND MARK OVERDUE
 taskSchema.methods.checkAndMarkOverdue = function () {
   if (!this.dueDateTime) return false;
+  // Snoozed tasks are left alone until they wake up
+  if (this.isSnoozedAt()) return false;
   
   const now = new Date();
   const dueDate = new Date(this.dueDateTime);
@@ -358,6 +491,11 @@ taskSchema.methods.markUserStatusOverdue = function (userId, remarks = '') {
    STATIC METHODS
 ================================= */
 
+// ✅ QUERY FILTER THAT LEAVES OUT SNOOZED TASKS
+taskSchema.statics.notSnoozedFilter = function (at = new Date()) {
+  return { $nor: [{ isSnoozed: true, snoozedUntil: { $gt: at } }] };
+};
+
 // ✅ GET USER OVERDUE TASKS
 taskSchema.statics.getUserOverdueTasks = async function (userId) {
   const now = new Date();
@@ -366,6 +504,7 @@ taskSchema.statics.getUserOverdueTasks = async function (userId) {
     assignedUsers: userId,
     dueDateTime: { $lt: now },
     isActive: true,
+    ...this.notSnoozedFilter(now),
     $or: [
       { 
         'statusByUser': {
@@ -392,6 +531,7 @@ taskSchema.statics.updateAllOverdueTasks = async function () {
   const overdueTasks = await this.find({
     dueDateTime: { $lt: now },
     isActive: true,
+    ...this.notSnoozedFilter(now),
     $or: [
       { overallStatus: { $in: ['pending', 'in-progress', 'reopen', 'onhold'] } },
       { 
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Time a user spent on a task, from a start/stop timer or entered by hand
+const timeEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Local day the time counts towards (start of day), matched against Attendance.date
+  date: {
+    type: Date,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Empty while the timer is running
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  minutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  timesheet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timesheet',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ user: 1, date: 1 });
+timeEntrySchema.index({ task: 1, user: 1 });
+timeEntrySchema.index({ project: 1, date: 1 });
+timeEntrySchema.index({ companyCode: 1, date: 1 });
+// One running timer per user
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
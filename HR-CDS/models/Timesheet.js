@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const timesheetHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  remarks: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user's week of time entries (Monday to Sunday). Entries of a submitted
+// or approved week are locked; a rejected week can be edited and resubmitted.
+const timesheetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  companyCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  weekStart: {
+    type: Date,
+    required: true
+  },
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected'],
+    default: 'draft'
+  },
+  totalMinutes: {
+    type: Number,
+    default: 0
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  remarks: {
+    type: String,
+    trim: true
+  },
+  history: [timesheetHistorySchema]
+}, {
+  timestamps: true
+});
+
+timesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true });
+timesheetSchema.index({ companyCode: 1, status: 1, weekStart: -1 });
+
+module.exports = mongoose.model('Timesheet', timesheetSchema);
@@ -2,15 +2,23 @@
 const express = require("express");
 const router = express.Router();
 const holidayController = require("../controllers/HolidayController");
-const { protect, authorize } = require('../../middleware/authMiddleware');
+const { protect, authorize, isCompanyOwner } = require('../../middleware/authMiddleware');
+const { uploadDataFile } = require('../middlewares/uploadMiddleware');
 
 
-// ✅ Add holiday (Manager only)
-router.post("/add", protect,  holidayController.addHoliday);   
-// ✅ Get holidays (all users can view, optional month filter => ?month=January)
+// ✅ Add / edit / delete holiday (company owner, like the import)
+router.post("/add", protect, isCompanyOwner, holidayController.addHoliday);
+// ✅ Bulk import from CSV / iCalendar
+router.post("/import", protect, isCompanyOwner, uploadDataFile, holidayController.importHolidays);
+// ✅ Get holidays (all users can view, optional filters => ?month=January&year=2026)
 router.get("/", protect, holidayController.getHolidays);
+// ✅ Holidays applicable to the logged-in user, with optional-holiday picks
+router.get("/my", protect, holidayController.getMyHolidays);
 // routes/holidayRoutes.js
-router.put("/:id", protect,  holidayController.updateHoliday);
-router.delete("/:id", protect,  holidayController.deleteHoliday);
+router.put("/:id", protect, isCompanyOwner, holidayController.updateHoliday);
+router.delete("/:id", protect, isCompanyOwner, holidayController.deleteHoliday);
+// ✅ Optional (floating) holidays
+router.post("/:id/opt-in", protect, holidayController.optInHoliday);
+router.delete("/:id/opt-in", protect, holidayController.optOutHoliday);
 
 module.exports = router;
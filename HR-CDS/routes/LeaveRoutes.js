@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const leaveController = require('../controllers/LeaveController');
+const leavePolicyController = require('../controllers/leavePolicyController');
 const authMiddleware = require('../../middleware/authMiddleware');
 const { body, param, query } = require('express-validator');
 const validateRequest = require('../../middleware/validateRequest.js');
@@ -17,6 +18,9 @@ router.post('/apply',
     body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
     body('startDate').isISO8601().withMessage('Invalid start date format'),
     body('endDate').isISO8601().withMessage('Invalid end date format'),
+    body('halfDay').optional({ values: 'null' }).isIn(['first', 'second']).withMessage('Half day must be first or second'),
+    body('fromTime').optional({ values: 'null' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('From time must be in HH:mm format'),
+    body('toTime').optional({ values: 'null' }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('To time must be in HH:mm format'),
     validateRequest
   ],
   leaveController.applyLeave
@@ -61,12 +65,15 @@ router.patch('/status/:id',
       .trim()
       .isLength({ max: 500 })
       .withMessage('Remarks must be less than 500 characters'),
-    validateRequest,
-    isCompanyOwner
+    validateRequest
   ],
+  // Owner or the approver of the current level (checked in the controller)
   leaveController.updateLeaveStatus
 );
 
+// ✅ Leaves waiting for my approval (multi-level chain)
+router.get('/approvals/pending', leaveController.getPendingApprovals);
+
 // ✅ Delete Leave
 router.delete('/:id',
   [
@@ -98,7 +105,70 @@ router.get('/department-stats/:department', leaveController.getDepartmentStats);
 router.get('/analytics', leaveController.getAnalytics);
 
 // 👤 User Leave Balance
-router.get('/balance', leaveController.getLeaveBalance);
+router.get('/balance',
+  [
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+    validateRequest
+  ],
+  leaveController.getLeaveBalance
+);
+
+// 📜 Leave Policy
+router.get('/policy', leavePolicyController.getLeavePolicy);
+
+router.put('/policy',
+  [
+    body('probationMonths').optional().isInt({ min: 0 }).withMessage('Probation months must be a positive number'),
+    body('leaveTypes').optional().isArray({ min: 1 }).withMessage('leaveTypes must be a non-empty array'),
+    body('leaveTypes.*.type').isIn(['Casual', 'Sick', 'Paid', 'Unpaid', 'Other']).withMessage('Invalid leave type'),
+    body('leaveTypes.*.annualAllocation').isFloat({ min: 0 }).withMessage('Annual allocation must be a positive number'),
+    body('leaveTypes.*.accrual').optional().isIn(['annual', 'monthly', 'quarterly']).withMessage('Accrual must be annual, monthly or quarterly'),
+    body('approvalChain').optional().isArray({ min: 1 }).withMessage('approvalChain must be a non-empty array'),
+    body('approvalChain.*').isIn(['reporting_manager', 'department_head', 'hr', 'owner']).withMessage('Invalid approval level'),
+    body('hrApprovers').optional().isArray().withMessage('hrApprovers must be an array'),
+    body('hrApprovers.*').isMongoId().withMessage('Invalid HR approver ID'),
+    body('escalateAfterDays').optional().isInt({ min: 0 }).withMessage('escalateAfterDays must be a positive number'),
+    validateRequest,
+    isCompanyOwner
+  ],
+  leavePolicyController.updateLeavePolicy
+);
+
+// 📒 Leave Ledger
+router.get('/ledger',
+  [
+    query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+    query('type').optional().isIn(['Casual', 'Sick', 'Paid', 'Unpaid', 'Other']).withMessage('Invalid type'),
+    query('userId').optional().isMongoId().withMessage('Invalid user ID format'),
+    validateRequest
+  ],
+  leavePolicyController.getLeaveLedger
+);
+
+router.post('/ledger/adjust',
+  [
+    body('userId').isMongoId().withMessage('Invalid user ID format'),
+    body('type').isIn(['Casual', 'Sick', 'Paid', 'Unpaid', 'Other']).withMessage('Invalid leave type'),
+    body('days').isFloat().custom(value => Number(value) !== 0).withMessage('Days must be a non-zero number'),
+    body('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Invalid year'),
+    body('remarks').trim().notEmpty().withMessage('Remarks are required').isLength({ max: 500 }).withMessage('Remarks must be less than 500 characters'),
+    validateRequest,
+    isCompanyOwner
+  ],
+  leavePolicyController.adjustLeaveBalance
+);
+
+router.post('/encash',
+  [
+    body('userId').isMongoId().withMessage('Invalid user ID format'),
+    body('type').isIn(['Casual', 'Sick', 'Paid', 'Unpaid', 'Other']).withMessage('Invalid leave type'),
+    body('days').isFloat({ gt: 0 }).withMessage('Days must be greater than 0'),
+    body('remarks').optional().trim().isLength({ max: 500 }).withMessage('Remarks must be less than 500 characters'),
+    validateRequest,
+    isCompanyOwner
+  ],
+  leavePolicyController.encashLeave
+);
 
 // 📤 Export Leaves
 router.get('/export', leaveController.exportLeaves);
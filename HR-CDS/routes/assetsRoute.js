@@ -2,18 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const assetController = require('../controllers/assetController');
-const { protect, authorize } = require('../../middleware/authMiddleware');
-const isAdmin = require('../../middleware/isAdmin');
-const isManager = require('../../middleware/isManager');
+const { protect, requirePermission } = require('../../middleware/authMiddleware');
 
-// 🔹 USER ROUTES
-router.post('/request', protect, assetController.requestAsset);
-router.get('/my-requests', protect, assetController.getMyRequests);
+// 🔹 USER ROUTES (assets.request)
+router.post('/request', protect, requirePermission('assets.request'), assetController.requestAsset);
+router.get('/my-requests', protect, requirePermission('assets.request'), assetController.getMyRequests);
 
-// 🔹 ADMIN ROUTES
-router.get('/all', protect, isAdmin, assetController.getAllRequests);          // View all requests
-router.patch('/update/:id', protect, isAdmin, assetController.updateRequestStatus); // Update status
-router.delete('/delete/:id', protect, isManager, assetController.deleteRequest);      // Delete request
+// 🔹 ADMIN ROUTES (assets.manage)
+router.get('/all', protect, requirePermission('assets.manage'), assetController.getAllRequests);          // View all requests
+router.patch('/update/:id', protect, requirePermission('assets.manage'), assetController.updateRequestStatus); // Update status
+router.delete('/delete/:id', protect, requirePermission('assets.manage'), assetController.deleteRequest);      // Delete request
 
 // 🧪 TEST ROUTES
 router.get('/test', protect, (req, res) => {
@@ -6,9 +6,13 @@ const {
   getViewStatus,
   getAllMeetings,   // ✅ add this line
 } = require("../controllers/meetingController");
+const { protect, requirePermission } = require("../../middleware/authMiddleware");
 
 const router = express.Router();
 
+// 🔐 meetings.view for own meetings, meetings.manage for scheduling and reports
+router.use(protect, requirePermission());
+
 // 🟢 Create new meeting (Admin)
 router.post("/create", createMeeting);
 
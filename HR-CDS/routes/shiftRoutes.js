@@ -0,0 +1,16 @@
+// shiftRoutes.js
+const express = require('express');
+const router = express.Router();
+const shiftController = require('../controllers/shiftController');
+const { protect, isCompanyOwner } = require('../../middleware/authMiddleware');
+
+// User routes
+router.get('/', protect, shiftController.getShifts);
+router.get('/my', protect, shiftController.getMyShift);
+
+// Admin routes
+router.post('/', protect, isCompanyOwner, shiftController.createShift);
+router.put('/:id', protect, isCompanyOwner, shiftController.updateShift);
+router.delete('/:id', protect, isCompanyOwner, shiftController.deleteShift);
+
+module.exports = router;
@@ -16,6 +16,12 @@ router.get('/my', protect, taskController.getMyTasks);
 // ✅ GET ASSIGNED TASKS (Tasks created by logged-in user)
 router.get('/assigned', protect, taskController.getAssignedTasks);
 
+// ✅ GET SNOOZED TASKS (Logged-in user's snoozed tasks)
+router.get('/snoozed', protect, taskController.getSnoozedTasks);
+
+// ✅ GET TASKS WAITING FOR MY REVIEW
+router.get('/reviews/pending', protect, taskController.getPendingReviews);
+
 // ✅ CREATE TASK FOR SELF (All users can create self-tasks)
 router.post(
   '/create-self',
@@ -49,12 +55,39 @@ router.put(
   taskController.updateTask
 );
 
-// ✅ DELETE TASK (Only task creator can delete)
+// ✅ DELETE TASK (Only task creator can delete; ?scope=future also ends a recurring series)
 router.delete('/:taskId', protect, taskController.deleteTask);
 
+// ✅ GET RECURRING SERIES OCCURRENCES (Task participants only)
+router.get('/:taskId/occurrences', protect, taskController.getOccurrences);
+
+// ==================== SUBTASK / DEPENDENCY / CHECKLIST ROUTES ====================
+
+// ✅ GET SUBTASKS (Task participants only)
+router.get('/:taskId/subtasks', protect, taskController.getSubtasks);
+
+// ✅ MOVE TASK UNDER A PARENT (Only task creator)
+router.put('/:taskId/parent', protect, taskController.setParentTask);
+
+// ✅ GET / ADD / REMOVE "BLOCKED BY" DEPENDENCIES (Changes by task creator only)
+router.get('/:taskId/dependencies', protect, taskController.getDependencies);
+router.post('/:taskId/dependencies', protect, taskController.addDependency);
+router.delete('/:taskId/dependencies/:blockerId', protect, taskController.removeDependency);
+
+// ✅ CHECKLIST ITEMS (Task participants only)
+router.post('/:taskId/checklist', protect, taskController.addChecklistItem);
+router.patch('/:taskId/checklist/:itemId', protect, taskController.updateChecklistItem);
+router.delete('/:taskId/checklist/:itemId', protect, taskController.deleteChecklistItem);
+
 // ✅ UPDATE TASK STATUS (Assigned users can update)
 router.patch('/:taskId/status', protect, taskController.updateStatus);
 
+// ✅ APPROVE / REJECT A COMPLETED TASK (Reviewers only)
+router.post('/:taskId/review', protect, taskController.reviewTask);
+
+// ✅ CHANGE TASK REVIEWERS (Creator only)
+router.put('/:taskId/reviewers', protect, taskController.updateReviewers);
+
 // ==================== REMARKS/COMMENTS ROUTES ====================
 
 // ✅ ADD REMARK TO TASK (Task participants only)
@@ -140,16 +173,16 @@ router.patch('/:taskId/quick-status', protect, taskController.quickStatusUpdate)
 // ✅ SNOOZE TASK
 router.patch('/:taskId/snooze', protect, taskController.snoozeTask);
 
+// ✅ UNSNOOZE TASK
+router.patch('/:taskId/unsnooze', protect, taskController.unsnoozeTask);
+
 // ==================== ADMIN DASHBOARD ROUTES (OPEN FOR ALL) ====================
 
 // ✅ GET ALL TEAM MEMBERS (All users can see all users)
 router.get('/team-members', protect, taskController.getUsersWithTaskCounts);
 
-// ✅ GET MANAGER TEAM TASKS (All users can see team tasks)
-router.get('/manager/team-tasks', protect, async (req, res) => {
-  // Redirect to general endpoint
-  return taskController.getUsersWithTaskCounts(req, res);
-});
+// ✅ GET MANAGER TEAM TASKS (the caller's reporting line)
+router.get('/manager/team-tasks', protect, taskController.getTeamUsersWithTaskCounts);
 
 // ✅ GET ADMIN ALL USERS TASKS (All users can see all users tasks)
 router.get('/admin/all-users-tasks', protect, async (req, res) => {
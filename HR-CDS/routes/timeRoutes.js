@@ -0,0 +1,33 @@
+// timeRoutes.js
+const express = require('express');
+const router = express.Router();
+const timeController = require('../controllers/timeTrackingController');
+const { protect } = require('../../middleware/authMiddleware');
+
+// 🔐 All routes are protected
+router.use(protect);
+
+// ⏱️ Timers (one running timer per user)
+router.get('/timer', timeController.getRunningTimer);
+router.post('/timer/start', timeController.startTimer);
+router.post('/timer/stop', timeController.stopTimer);
+
+// 📝 Time entries
+router.get('/entries', timeController.getEntries);
+router.post('/entries', timeController.createEntry);
+router.put('/entries/:entryId', timeController.updateEntry);
+router.delete('/entries/:entryId', timeController.deleteEntry);
+router.get('/tasks/:taskId', timeController.getTaskTime);
+
+// 📅 Weekly timesheets (approve / reject: the employee's managers)
+router.get('/timesheets', timeController.getTimesheets);
+router.get('/timesheets/week', timeController.getTimesheet);
+router.post('/timesheets/submit', timeController.submitTimesheet);
+router.patch('/timesheets/:id/approve', timeController.approveTimesheet);
+router.patch('/timesheets/:id/reject', timeController.rejectTimesheet);
+
+// 📊 Reports (managers see the employees they manage)
+router.get('/reports/utilization', timeController.getUtilizationReport);
+router.get('/reports/projects', timeController.getProjectReport);
+
+module.exports = router;
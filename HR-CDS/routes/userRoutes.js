@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userControllers');
-const { protect } = require('../../middleware/authMiddleware');
+const { protect, isCompanyOwner } = require('../../middleware/authMiddleware');
 
 // ✅ Register user (only logged-in user can create)
 router.post('/register', protect, userController.register);
@@ -26,11 +26,16 @@ router.get('/company-users', userController.getCompanyUsers);
 router.get('/all', userController.getAllUsers);
 router.get('/deleted', userController.getDeletedUsers);
 router.put('/restore/:id', userController.restoreUser);
+router.post('/:id/unlock', isCompanyOwner, userController.unlockUser);
 router.delete('/:id', userController.deleteUser);
 
 // ✅ Search users
 router.get('/search', userController.searchUsers);
 
+// ✅ Reporting lines - org chart (?root=&depth=) and a user's reports ('me' for own team)
+router.get('/org-chart', userController.getOrgChart);
+router.get('/:id/reports', userController.getUserReports);
+
 // ✅ Single user routes - THESE MUST COME LAST
 router.get('/:id', userController.getUser);
 router.put('/profile-update/:id', userController.updateSelfUser);
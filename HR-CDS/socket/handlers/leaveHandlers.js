@@ -29,21 +29,29 @@ const emitLeaveEvents = {
   // Jab leave status change ho
   leaveStatusChanged: (io, data) => {
     try {
-      const { leave, oldStatus, newStatus, updatedBy } = data;
+      const { leave, oldStatus, newStatus, updatedBy, step = null } = data;
       
       if (!io || !leave || !leave._id) {
         console.log('⚠️ Invalid data for leaveStatusChanged');
         return;
       }
 
+      // Approval chain ka ek step (status abhi Pending hi hai)
+      const message = step && oldStatus === newStatus
+        ? `Leave ${step.action} at ${step.level} level`
+        : `Leave status changed from ${oldStatus} to ${newStatus}`;
+
       // Specific leave room mein sabko bhejo
       io.to(`leave:${leave._id}`).emit('leave:status_changed', {
         type: 'leave_status_changed',
-        message: `Leave status changed from ${oldStatus} to ${newStatus}`,
+        message,
         data: {
           leaveId: leave._id,
           oldStatus,
           newStatus,
+          step,
+          currentStep: leave.currentStep,
+          approvalSteps: leave.approvalSteps,
           updatedBy: updatedBy?.name || 'System',
           remarks: leave.remarks,
           leave: leave
@@ -52,7 +60,18 @@ const emitLeaveEvents = {
       });
 
       // User ko personally bhejo
-      if (leave.user && leave.user._id) {
+      if (leave.user && leave.user._id && oldStatus === newStatus && step) {
+        io.to(`user:${leave.user._id}`).emit('notification:new', {
+          type: 'leave_step_changed',
+          title: 'Leave Approval Update',
+          message,
+          data: {
+            leaveId: leave._id,
+            status: newStatus,
+            step
+          }
+        });
+      } else if (leave.user && leave.user._id) {
         io.to(`user:${leave.user._id}`).emit('notification:new', {
           type: 'leave_status_changed',
           title: `Leave ${newStatus}`,
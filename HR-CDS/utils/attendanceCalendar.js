@@ -0,0 +1,239 @@
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+const { DEFAULT_SHIFT, isWeeklyOff, toMinutes } = require('./shiftRules');
+
+/**
+ * Day key (local time) used to bucket holidays, leaves and attendance by date
+ */
+const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+};
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const endOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(23, 59, 59, 999);
+  return d;
+};
+
+/**
+ * Returns a function that finds the holiday (if any) giving a user a given
+ * day off, loading each company's holiday occurrences in the range once.
+ * Respects location/department scoping and optional-holiday opt-ins.
+ */
+const createHolidayResolver = (startDate, endDate) => {
+  const cache = new Map();
+
+  return async (user, date) => {
+    const companyCode = user.companyCode || (user.company ? user.company.companyCode : null);
+    if (!companyCode) {
+      return null;
+    }
+
+    if (!cache.has(companyCode)) {
+      const occurrences = await Holiday.findOccurrences(companyCode, startDate, endDate);
+      const byDay = new Map();
+      occurrences.forEach(occurrence => {
+        const key = toDateKey(occurrence.occurrenceDate);
+        if (!byDay.has(key)) {
+          byDay.set(key, []);
+        }
+        byDay.get(key).push(occurrence);
+      });
+      cache.set(companyCode, byDay);
+    }
+
+    const candidates = cache.get(companyCode).get(toDateKey(date)) || [];
+    const year = new Date(date).getFullYear();
+
+    return candidates.find(holiday => Holiday.appliesToUser(holiday, user, year)) || null;
+  };
+};
+
+/**
+ * Approved leaves overlapping two dates, keyed by user and then by day
+ */
+const getApprovedLeaveMap = async (userIds, startDate, endDate) => {
+  const leaves = await Leave.find({
+    user: { $in: userIds },
+    status: 'Approved',
+    startDate: { $lte: endOfDay(endDate) },
+    endDate: { $gte: startOfDay(startDate) }
+  }).lean();
+
+  const rangeStart = startOfDay(startDate);
+  const rangeEnd = endOfDay(endDate);
+  const map = new Map();
+
+  leaves.forEach(leave => {
+    const userKey = leave.user.toString();
+    if (!map.has(userKey)) {
+      map.set(userKey, new Map());
+    }
+    const userLeaves = map.get(userKey);
+
+    const current = startOfDay(leave.startDate > rangeStart ? leave.startDate : rangeStart);
+    const last = leave.endDate < rangeEnd ? leave.endDate : rangeEnd;
+
+    while (current <= last) {
+      userLeaves.set(toDateKey(current), leave);
+      current.setDate(current.getDate() + 1);
+    }
+  });
+
+  return map;
+};
+
+const getLeaveForDay = (leaveMap, userId, date) => {
+  const userLeaves = leaveMap.get(userId.toString());
+  return userLeaves ? userLeaves.get(toDateKey(date)) || null : null;
+};
+
+/**
+ * Working days for a user between two dates (inclusive): days that are not
+ * one of the shift's weekly offs and not a holiday the user has off.
+ */
+const countWorkingDays = async ({ user, shift = DEFAULT_SHIFT, startDate, endDate }) => {
+  const holidayFor = createHolidayResolver(startDate, endDate);
+  const current = startOfDay(startDate);
+  const last = startOfDay(endDate);
+  let days = 0;
+
+  while (current <= last) {
+    if (!isWeeklyOff(shift, current) && !(await holidayFor(user, current))) {
+      days++;
+    }
+    current.setDate(current.getDate() + 1);
+  }
+
+  return days;
+};
+
+const roundDays = (days) => Math.round(days * 100) / 100;
+
+/**
+ * Chargeable days for a leave request: working days in the range, 0.5 for a
+ * half day, or the share of the shift's full day for a short (hourly) leave.
+ * Returns { days, hours } or { error } when the request cannot be charged.
+ */
+const computeLeaveDays = async ({ user, shift = DEFAULT_SHIFT, startDate, endDate, halfDay = null, fromTime = null, toTime = null }) => {
+  const sameDay = toDateKey(startDate) === toDateKey(endDate);
+  const isHourly = Boolean(fromTime || toTime);
+
+  if (halfDay && isHourly) {
+    return { error: 'A leave can be either half-day or hourly, not both.' };
+  }
+
+  if ((halfDay || isHourly) && !sameDay) {
+    return { error: `${halfDay ? 'Half-day' : 'Hourly'} leave must start and end on the same date.` };
+  }
+
+  const workingDays = await countWorkingDays({ user, shift, startDate, endDate });
+
+  if (workingDays === 0) {
+    return { error: 'The selected dates fall entirely on holidays or weekly offs.' };
+  }
+
+  if (halfDay) {
+    return { days: 0.5, hours: null };
+  }
+
+  if (isHourly) {
+    if (!fromTime || !toTime) {
+      return { error: 'Hourly leave needs both a from and a to time.' };
+    }
+
+    let minutes = toMinutes(toTime) - toMinutes(fromTime);
+    if (minutes < 0 && toMinutes(shift.endTime) <= toMinutes(shift.startTime)) {
+      // Night shifts may run past midnight
+      minutes += 24 * 60;
+    }
+
+    if (minutes <= 0) {
+      return { error: 'Hourly leave must end after it starts.' };
+    }
+
+    const hours = roundDays(minutes / 60);
+    if (hours >= shift.halfDayHours) {
+      return { error: `Hourly leave must be shorter than ${shift.halfDayHours} hours; apply for a half day instead.` };
+    }
+
+    return { days: roundDays(hours / shift.fullDayHours), hours };
+  }
+
+  return { days: workingDays, hours: null };
+};
+
+const isPartialDayLeave = (leave) => Boolean(leave.halfDay || leave.hours);
+
+const describePartialLeave = (leave) => (
+  leave.hours
+    ? `${leave.hours}h short ${leave.type} leave (${leave.fromTime}-${leave.toTime})`
+    : `${leave.halfDay} half ${leave.type} leave`
+);
+
+/**
+ * Decide what an auto-marked attendance record should contain for a day
+ * on which the user has no attendance. Returns null when nothing should be
+ * written yet (the shift's weekly offs, or a half-day/hourly leave on a day
+ * still in progress where the user can clock in for the rest of it).
+ */
+const resolveAutoAttendance = ({ date, shift = DEFAULT_SHIFT, holiday, leave, isToday = false }) => {
+  if (isWeeklyOff(shift, date)) {
+    return null;
+  }
+
+  if (holiday) {
+    return {
+      status: 'HOLIDAY',
+      holiday: holiday._id,
+      notes: `Holiday: ${holiday.title}`
+    };
+  }
+
+  if (leave && !isPartialDayLeave(leave)) {
+    return {
+      status: 'ON_LEAVE',
+      leave: leave._id,
+      notes: `On approved ${leave.type} leave`
+    };
+  }
+
+  if (leave) {
+    if (isToday) {
+      return null;
+    }
+
+    // The day is still covered by approved leave, even if only part of it
+    return {
+      status: 'ON_LEAVE',
+      leave: leave._id,
+      notes: `On approved ${describePartialLeave(leave)}; no attendance recorded for the rest of the day`
+    };
+  }
+
+  return {
+    status: 'ABSENT',
+    notes: isToday
+      ? 'Auto-marked absent (no attendance recorded today)'
+      : 'Auto-marked absent (no attendance recorded)'
+  };
+};
+
+module.exports = {
+  toDateKey,
+  startOfDay,
+  endOfDay,
+  createHolidayResolver,
+  getApprovedLeaveMap,
+  getLeaveForDay,
+  countWorkingDays,
+  computeLeaveDays,
+  resolveAutoAttendance
+};
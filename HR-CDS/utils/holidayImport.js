@@ -0,0 +1,100 @@
+const { parseCsv } = require('../../utils/csv');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+const splitList = (value) => (value || '')
+  .split(/[;|]/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const parseDateOnly = (value) => {
+  const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * CSV columns: title, date (YYYY-MM-DD), type (public/optional), recurring,
+ * locations, departments (both ; or | separated), description
+ */
+const parseHolidayCsv = (text) => {
+  return parseCsv(text).map(row => {
+    const holiday = {
+      title: row.title || row.name,
+      date: parseDateOnly(row.date),
+      type: (row.type || 'public').toLowerCase(),
+      isRecurring: TRUE_VALUES.includes((row.recurring || row.is_recurring || '').toLowerCase()),
+      locations: splitList(row.locations || row.location),
+      departments: splitList(row.departments || row.department),
+      description: row.description || ''
+    };
+
+    let error = null;
+    if (!holiday.title) error = 'Title is required';
+    else if (!holiday.date) error = 'Date must be in YYYY-MM-DD format';
+    else if (!['public', 'optional'].includes(holiday.type)) error = 'Type must be public or optional';
+
+    return { row: row.rowNumber, holiday, error };
+  });
+};
+
+const unescapeICalText = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse VEVENTs from an iCalendar (.ics) file. All-day and timed events are
+ * both taken as whole-day holidays; RRULE:FREQ=YEARLY marks them recurring.
+ */
+const parseHolidayICal = (text) => {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const results = [];
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    if (line === 'END:VEVENT') {
+      if (event) {
+        const holiday = {
+          title: event.SUMMARY ? unescapeICalText(event.SUMMARY) : '',
+          date: parseDateOnly(event.DTSTART),
+          type: 'public',
+          isRecurring: /FREQ=YEARLY/i.test(event.RRULE || ''),
+          locations: event.LOCATION ? [unescapeICalText(event.LOCATION)] : [],
+          departments: [],
+          description: event.DESCRIPTION ? unescapeICalText(event.DESCRIPTION) : ''
+        };
+
+        let error = null;
+        if (!holiday.title) error = 'SUMMARY is required';
+        else if (!holiday.date) error = 'DTSTART is missing or invalid';
+
+        results.push({ row: results.length + 1, holiday, error });
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    // Drop parameters such as DTSTART;VALUE=DATE
+    const name = line.slice(0, separator).split(';')[0].toUpperCase();
+    event[name] = line.slice(separator + 1);
+  });
+
+  return results;
+};
+
+module.exports = {
+  parseHolidayCsv,
+  parseHolidayICal
+};
@@ -0,0 +1,379 @@
+const LeavePolicy = require('../models/LeavePolicy');
+const LeaveLedger = require('../models/LeaveLedger');
+const Leave = require('../models/Leave');
+const User = require('../../models/User');
+const Company = require('../../models/Company');
+
+// Used until a company saves its own policy (matches the original fixed allowances)
+const DEFAULT_POLICY = {
+  probationMonths: 0,
+  approvalChain: ['owner'],
+  hrApprovers: [],
+  escalateAfterDays: 0,
+  leaveTypes: [
+    { type: 'Casual', annualAllocation: 12, description: 'For personal work', accrual: 'annual', carryForwardCap: 0, encashable: false, maxEncashDays: 0, allowedDuringProbation: true, proRate: false },
+    { type: 'Sick', annualAllocation: 10, description: 'For health issues', accrual: 'annual', carryForwardCap: 0, encashable: false, maxEncashDays: 0, allowedDuringProbation: true, proRate: false },
+    { type: 'Paid', annualAllocation: 20, description: 'Earned leave with pay', accrual: 'annual', carryForwardCap: 0, encashable: false, maxEncashDays: 0, allowedDuringProbation: true, proRate: false },
+    { type: 'Unpaid', annualAllocation: 30, description: 'Leave without pay', accrual: 'annual', carryForwardCap: 0, encashable: false, maxEncashDays: 0, allowedDuringProbation: true, proRate: false },
+    { type: 'Other', annualAllocation: 5, description: 'Other leave types', accrual: 'annual', carryForwardCap: 0, encashable: false, maxEncashDays: 0, allowedDuringProbation: true, proRate: false }
+  ]
+};
+
+const roundDays = (days) => Math.round(days * 100) / 100;
+
+const getPolicy = async (companyCode) => {
+  const policy = await LeavePolicy.findOne({ companyCode }).lean();
+  return policy || { ...DEFAULT_POLICY, companyCode, isDefault: true };
+};
+
+const getTypePolicy = (policy, type) => policy.leaveTypes.find(t => t.type === type) || null;
+
+const getJoiningDate = (user) => new Date(user.dateOfJoining || user.createdAt || Date.now());
+
+const getProbationEnd = (user, policy) => {
+  const end = getJoiningDate(user);
+  end.setMonth(end.getMonth() + (policy.probationMonths || 0));
+  return end;
+};
+
+/**
+ * Accrual periods of a leave year: [{ key, start, share }]
+ */
+const getAccrualPeriods = (accrual, year) => {
+  if (accrual === 'monthly') {
+    return Array.from({ length: 12 }, (_, m) => ({
+      key: `${year}-M${String(m + 1).padStart(2, '0')}`,
+      start: new Date(year, m, 1),
+      share: 1 / 12
+    }));
+  }
+
+  if (accrual === 'quarterly') {
+    return Array.from({ length: 4 }, (_, q) => ({
+      key: `${year}-Q${q + 1}`,
+      start: new Date(year, q * 3, 1),
+      share: 1 / 4
+    }));
+  }
+
+  return [{ key: `${year}-Y`, start: new Date(year, 0, 1), share: 1 }];
+};
+
+/**
+ * Days credited for one accrual period, or 0 when the user had not joined
+ */
+const getPeriodCredit = (typePolicy, period, joiningDate) => {
+  const year = period.start.getFullYear();
+  const periodEnd = new Date(period.start);
+  periodEnd.setMonth(periodEnd.getMonth() + Math.round(period.share * 12));
+
+  if (joiningDate >= new Date(year + 1, 0, 1) || joiningDate >= periodEnd) {
+    return 0;
+  }
+
+  const full = typePolicy.annualAllocation * period.share;
+
+  if (!typePolicy.proRate || joiningDate < period.start) {
+    return roundDays(full);
+  }
+
+  // Joined part-way through the period: credit the remaining whole months
+  const periodMonths = Math.round(period.share * 12);
+  const monthsLeft = periodEnd.getMonth() - joiningDate.getMonth() + 12 * (periodEnd.getFullYear() - joiningDate.getFullYear());
+  return roundDays(full * Math.min(periodMonths, monthsLeft) / periodMonths);
+};
+
+const writeOnce = (entry) => LeaveLedger.updateOne(
+  { user: entry.user, leaveType: entry.leaveType, periodKey: entry.periodKey },
+  { $setOnInsert: entry },
+  { upsert: true }
+);
+
+/**
+ * Balances per leave type for a year: credits, debits and the resulting balance
+ */
+const getBalances = async (userId, year) => {
+  const rows = await LeaveLedger.aggregate([
+    { $match: { user: userId, year } },
+    { $group: { _id: { type: '$leaveType', entry: '$entryType' }, days: { $sum: '$days' } } }
+  ]);
+
+  const balances = {};
+  rows.forEach(({ _id, days }) => {
+    if (!balances[_id.type]) {
+      balances[_id.type] = { accrued: 0, carriedForward: 0, adjusted: 0, used: 0, encashed: 0, lapsed: 0, balance: 0 };
+    }
+    const b = balances[_id.type];
+
+    if (_id.entry === 'accrual') b.accrued += days;
+    else if (_id.entry === 'carry_forward') b.carriedForward += days;
+    else if (_id.entry === 'adjustment') b.adjusted += days;
+    else if (_id.entry === 'leave' || _id.entry === 'leave_reversal') b.used -= days;
+    else if (_id.entry === 'encashment') b.encashed -= days;
+    else if (_id.entry === 'lapse') b.lapsed -= days;
+
+    b.balance += days;
+  });
+
+  Object.values(balances).forEach(b => {
+    Object.keys(b).forEach(key => { b[key] = roundDays(b[key]); });
+  });
+
+  return balances;
+};
+
+/**
+ * Close a leave year: move unused days into the next year up to the carry-forward
+ * cap and lapse the rest. Only runs for users with ledger entries in that year.
+ */
+const applyCarryForward = async (user, policy, fromYear) => {
+  const balances = await getBalances(user._id, fromYear);
+
+  for (const typePolicy of policy.leaveTypes) {
+    const balance = balances[typePolicy.type] ? balances[typePolicy.type].balance : 0;
+    if (balance <= 0) continue;
+
+    const carried = roundDays(Math.min(balance, typePolicy.carryForwardCap || 0));
+    const lapsed = roundDays(balance - carried);
+
+    if (carried > 0) {
+      await writeOnce({
+        user: user._id,
+        companyCode: user.companyCode,
+        leaveType: typePolicy.type,
+        year: fromYear + 1,
+        entryType: 'carry_forward',
+        days: carried,
+        periodKey: `${fromYear + 1}-CF`,
+        remarks: `Carried forward from ${fromYear}`
+      });
+    }
+
+    if (lapsed > 0) {
+      await writeOnce({
+        user: user._id,
+        companyCode: user.companyCode,
+        leaveType: typePolicy.type,
+        year: fromYear,
+        entryType: 'lapse',
+        days: -lapsed,
+        periodKey: `${fromYear}-LAPSE`,
+        remarks: `Lapsed at year end (carry-forward cap ${typePolicy.carryForwardCap || 0})`
+      });
+    }
+  }
+};
+
+/**
+ * Bring a user's ledger up to date: close last year and credit every accrual
+ * period of this year that has started. Safe to call repeatedly.
+ */
+const syncUserLedger = async (user, asOf = new Date(), policy = null) => {
+  const activePolicy = policy || await getPolicy(user.companyCode);
+  const year = asOf.getFullYear();
+  const joiningDate = getJoiningDate(user);
+
+  if (joiningDate.getFullYear() < year) {
+    await applyCarryForward(user, activePolicy, year - 1);
+  }
+
+  for (const typePolicy of activePolicy.leaveTypes) {
+    for (const period of getAccrualPeriods(typePolicy.accrual, year)) {
+      if (period.start > asOf) break;
+
+      const days = getPeriodCredit(typePolicy, period, joiningDate);
+      if (days <= 0) continue;
+
+      await writeOnce({
+        user: user._id,
+        companyCode: user.companyCode,
+        leaveType: typePolicy.type,
+        year,
+        entryType: 'accrual',
+        days,
+        periodKey: period.key,
+        remarks: `${typePolicy.accrual} accrual`
+      });
+    }
+  }
+
+  return activePolicy;
+};
+
+/**
+ * Days requested in still-pending leaves of a type starting in a year
+ */
+const getPendingDays = async (userId, type, year, excludeLeaveId = null) => {
+  const filter = {
+    user: userId,
+    type,
+    status: 'Pending',
+    startDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) }
+  };
+  if (excludeLeaveId) {
+    filter._id = { $ne: excludeLeaveId };
+  }
+
+  const pending = await Leave.find(filter).select('days').lean();
+  return roundDays(pending.reduce((sum, leave) => sum + (leave.days || 0), 0));
+};
+
+/**
+ * Whether a user may take `days` of a leave type starting on `startDate`
+ */
+const checkLeaveAvailability = async (user, type, days, startDate, excludeLeaveId = null) => {
+  const policy = await syncUserLedger(user);
+  const typePolicy = getTypePolicy(policy, type);
+
+  if (!typePolicy) {
+    return { allowed: false, reason: `${type} leave is not available under your company's leave policy.` };
+  }
+
+  if (!typePolicy.allowedDuringProbation && new Date(startDate) < getProbationEnd(user, policy)) {
+    return { allowed: false, reason: `${type} leave cannot be taken during probation.` };
+  }
+
+  const year = new Date(startDate).getFullYear();
+  const balances = await getBalances(user._id, year);
+  const balance = balances[type] ? balances[type].balance : 0;
+  const pending = await getPendingDays(user._id, type, year, excludeLeaveId);
+  const available = roundDays(balance - pending);
+
+  if (days > available) {
+    return {
+      allowed: false,
+      available,
+      reason: `Insufficient ${type} leave balance. Available: ${available} day(s), requested: ${days} day(s).`
+    };
+  }
+
+  return { allowed: true, available };
+};
+
+const getNetLeaveCharge = async (leaveId) => {
+  const entries = await LeaveLedger.find({ leave: leaveId, entryType: { $in: ['leave', 'leave_reversal'] } }).lean();
+  return { net: roundDays(entries.reduce((sum, e) => sum + e.days, 0)), count: entries.length };
+};
+
+/**
+ * Debit the ledger for an approved leave (no-op if already charged)
+ */
+const recordLeaveDebit = async (leave, actorId = null) => {
+  const { net, count } = await getNetLeaveCharge(leave._id);
+  if (net < 0) return;
+
+  const user = await User.findById(leave.user._id || leave.user).select('companyCode');
+
+  await writeOnce({
+    user: user._id,
+    companyCode: user.companyCode,
+    leaveType: leave.type,
+    year: new Date(leave.startDate).getFullYear(),
+    entryType: 'leave',
+    days: -leave.days,
+    periodKey: `leave:${leave._id}:${count}`,
+    leave: leave._id,
+    remarks: `Leave ${new Date(leave.startDate).toLocaleDateString()} - ${new Date(leave.endDate).toLocaleDateString()}`,
+    createdBy: actorId
+  });
+};
+
+/**
+ * Give back the days of a leave that is no longer approved (no-op if not charged)
+ */
+const reverseLeaveDebit = async (leave, actorId = null, remarks = '') => {
+  const { net, count } = await getNetLeaveCharge(leave._id);
+  if (net >= 0) return;
+
+  const user = await User.findById(leave.user._id || leave.user).select('companyCode');
+
+  await writeOnce({
+    user: user._id,
+    companyCode: user.companyCode,
+    leaveType: leave.type,
+    year: new Date(leave.startDate).getFullYear(),
+    entryType: 'leave_reversal',
+    days: -net,
+    periodKey: `leave:${leave._id}:${count}`,
+    leave: leave._id,
+    remarks: remarks || 'Leave no longer approved',
+    createdBy: actorId
+  });
+};
+
+/**
+ * Nightly: keep every active user's ledger current
+ */
+const runAccrualForAllCompanies = async () => {
+  const companies = await Company.find({ isActive: true }).select('companyCode');
+  let usersSynced = 0;
+
+  for (const company of companies) {
+    const policy = await getPolicy(company.companyCode);
+    const users = await User.find({ companyCode: company.companyCode, isActive: true })
+      .select('companyCode dateOfJoining createdAt');
+
+    for (const user of users) {
+      try {
+        await syncUserLedger(user, new Date(), policy);
+        usersSynced++;
+      } catch (error) {
+        console.error(`❌ Leave accrual failed for user ${user._id}:`, error.message);
+      }
+    }
+  }
+
+  return { companies: companies.length, usersSynced };
+};
+
+/**
+ * One-time backfill: leaves approved before the ledger existed were never
+ * debited, so their days still count as available. Charges every approved
+ * leave of the current leave year that has no ledger entry at all (a leave
+ * with entries was charged or deliberately reversed). Safe to run again.
+ */
+const debitPreLedgerLeaves = async (asOf = new Date()) => {
+  const year = asOf.getFullYear();
+  const approved = await Leave.find({
+    status: 'Approved',
+    days: { $gt: 0 },
+    startDate: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) }
+  }).select('user type days startDate endDate');
+
+  const charged = new Set((await LeaveLedger.distinct('leave', {
+    leave: { $in: approved.map(leave => leave._id) }
+  })).map(String));
+
+  let debited = 0;
+  for (const leave of approved) {
+    if (charged.has(String(leave._id))) continue;
+
+    try {
+      await recordLeaveDebit(leave);
+      debited++;
+    } catch (error) {
+      console.error(`❌ Leave debit backfill failed for leave ${leave._id}:`, error.message);
+    }
+  }
+
+  if (debited) {
+    console.log(`✅ Leave ledger backfill: ${debited} approved leave(s) debited for ${year}`);
+  }
+  return { checked: approved.length, debited };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  roundDays,
+  getPolicy,
+  getTypePolicy,
+  getProbationEnd,
+  getBalances,
+  getPendingDays,
+  syncUserLedger,
+  checkLeaveAvailability,
+  recordLeaveDebit,
+  reverseLeaveDebit,
+  debitPreLedgerLeaves,
+  runAccrualForAllCompanies
+};
@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const Leave = require('../models/Leave');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+const { getPolicy } = require('./leaveAccrual');
+const { startOfDay, endOfDay } = require('./attendanceCalendar');
+const { sendNotification } = require('./notificationHelper');
+const { emitLeaveEvents } = require('../socket/handlers/leaveHandlers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LEVEL_LABELS = {
+  reporting_manager: 'Reporting Manager',
+  department_head: 'Department Head',
+  hr: 'HR',
+  owner: 'Owner'
+};
+
+const idsOf = (list) => list.filter(Boolean).map(id => String(id._id || id));
+
+const findDepartmentHead = async (user) => {
+  if (!user.department) return null;
+
+  const department = mongoose.isValidObjectId(user.department)
+    ? await Department.findById(user.department).select('head')
+    : await Department.findOne({ companyCode: user.companyCode, name: user.department, isActive: true }).select('head');
+
+  return department ? department.head : null;
+};
+
+/**
+ * Users who may act on a level of the chain for an applicant
+ */
+const resolveLevelApprovers = async (level, applicant, policy) => {
+  let candidates = [];
+
+  if (level === 'reporting_manager') {
+    candidates = [applicant.reportingManager];
+  } else if (level === 'department_head') {
+    candidates = [await findDepartmentHead(applicant)];
+  } else if (level === 'hr') {
+    candidates = policy.hrApprovers || [];
+  } else if (level === 'owner') {
+    candidates = await User.find({ companyCode: applicant.companyCode, companyRole: 'Owner', isActive: true }).select('_id');
+  }
+
+  // Nobody approves their own leave
+  return [...new Set(idsOf(candidates))].filter(id => id !== String(applicant._id));
+};
+
+const isOnLeave = (userId, date) => Leave.exists({
+  user: userId,
+  status: 'Approved',
+  halfDay: null,
+  hours: null,
+  startDate: { $lte: endOfDay(date) },
+  endDate: { $gte: startOfDay(date) }
+});
+
+/**
+ * Swap approvers who are on leave today for their delegate (when the
+ * delegate is not away too); approvers with no delegate drop out.
+ */
+const applyDelegation = async (approverIds, date = new Date()) => {
+  const approvers = [];
+  const delegatedFrom = [];
+
+  for (const approverId of approverIds) {
+    if (!(await isOnLeave(approverId, date))) {
+      approvers.push(approverId);
+      continue;
+    }
+
+    const approver = await User.findById(approverId).select('approvalDelegate');
+    const delegateId = approver && approver.approvalDelegate ? String(approver.approvalDelegate) : null;
+
+    if (delegateId && !(await isOnLeave(delegateId, date))) {
+      approvers.push(delegateId);
+      delegatedFrom.push(approverId);
+    }
+  }
+
+  return { approvers: [...new Set(approvers)], delegatedFrom };
+};
+
+/**
+ * Make the step at `index` (or the next one with someone able to act) the
+ * current step. Returns the activated step, or null when none is left.
+ */
+const activateStep = async (leave, index, policy, now = new Date()) => {
+  for (let i = index; i < leave.approvalSteps.length; i++) {
+    const step = leave.approvalSteps[i];
+    if (step.status !== 'waiting') continue;
+
+    const { approvers, delegatedFrom } = await applyDelegation(idsOf(step.approvers), now);
+
+    if (approvers.length === 0) {
+      step.status = 'skipped';
+      step.remarks = 'Approver on leave with no delegate';
+      continue;
+    }
+
+    step.approvers = approvers;
+    step.delegatedFrom = delegatedFrom;
+    step.status = 'pending';
+    // The Owner level is the top of the chain, so it never escalates
+    step.dueAt = policy.escalateAfterDays > 0 && step.level !== 'owner'
+      ? new Date(now.getTime() + policy.escalateAfterDays * DAY)
+      : null;
+    leave.currentStep = i;
+    return step;
+  }
+
+  leave.currentStep = leave.approvalSteps.length;
+  return null;
+};
+
+/**
+ * Hand a leave to the Owner level when the chain ran out without a decision
+ */
+const appendOwnerStep = async (leave, policy, now) => {
+  const applicant = await User.findById(leave.user._id || leave.user).select('companyCode');
+  leave.approvalSteps.push({
+    level: 'owner',
+    approvers: await resolveLevelApprovers('owner', applicant, policy),
+    status: 'waiting'
+  });
+  return activateStep(leave, leave.approvalSteps.length - 1, policy, now);
+};
+
+/**
+ * Build the approval chain for a new leave from the company policy. Levels
+ * with no approver (or the same approvers as the previous level) are skipped;
+ * the Owner level is added when nothing else is left.
+ */
+const initApprovalChain = async (leave, applicant) => {
+  const policy = await getPolicy(applicant.companyCode);
+  const steps = [];
+  let previous = null;
+
+  for (const level of policy.approvalChain || ['owner']) {
+    const approvers = await resolveLevelApprovers(level, applicant, policy);
+    const key = [...approvers].sort().join(',');
+
+    if (approvers.length === 0 || key === previous) {
+      steps.push({
+        level,
+        approvers,
+        status: 'skipped',
+        remarks: approvers.length === 0 ? 'No approver configured' : 'Same approver as previous level'
+      });
+      continue;
+    }
+
+    steps.push({ level, approvers, status: 'waiting' });
+    previous = key;
+  }
+
+  if (!steps.some(step => step.status === 'waiting')) {
+    steps.push({ level: 'owner', approvers: await resolveLevelApprovers('owner', applicant, policy), status: 'waiting' });
+  }
+
+  leave.approvalSteps = steps;
+  return (await activateStep(leave, 0, policy)) || appendOwnerStep(leave, policy, new Date());
+};
+
+const getCurrentStep = (leave) => {
+  const step = (leave.approvalSteps || [])[leave.currentStep];
+  return step && step.status === 'pending' ? step : null;
+};
+
+/**
+ * Whether a user can act on a pending leave: Owners always can,
+ * others only when they are an approver of the current step.
+ */
+const canApprove = (leave, user) => {
+  if (user.companyRole === 'Owner') return true;
+
+  const step = getCurrentStep(leave);
+  return Boolean(step && idsOf(step.approvers).includes(String(user._id)));
+};
+
+/**
+ * Record an approve/reject decision on the current step. Rejection ends the
+ * chain; approval moves to the next level. An Owner's decision is final.
+ * Returns { final, byOwner, step, nextStep }.
+ */
+const recordDecision = async (leave, user, decision, remarks = '') => {
+  const policy = await getPolicy(user.companyCode);
+  const now = new Date();
+  const step = getCurrentStep(leave);
+  const isApprover = step && idsOf(step.approvers).includes(String(user._id));
+
+  if (step) {
+    step.status = decision === 'Approved' ? 'approved' : 'rejected';
+    step.actedBy = user._id;
+    step.actedAt = now;
+    step.remarks = remarks;
+  }
+
+  const ownerOverride = user.companyRole === 'Owner' && !(isApprover && step.level !== 'owner');
+
+  if (decision !== 'Approved' || ownerOverride) {
+    // Close any levels that will no longer be reached
+    const closedBy = ownerOverride ? LEVEL_LABELS.owner : LEVEL_LABELS[step.level];
+    leave.approvalSteps.forEach(s => {
+      if (s.status === 'waiting' || s.status === 'pending') {
+        s.status = 'skipped';
+        s.remarks = `${decision} by ${closedBy}`;
+      }
+    });
+    leave.currentStep = leave.approvalSteps.length;
+    return { final: true, byOwner: ownerOverride, step };
+  }
+
+  // Levels still to come must not be bypassed because their approvers are away
+  const hadLaterLevels = leave.approvalSteps.slice(leave.currentStep + 1).some(s => s.status === 'waiting');
+  let nextStep = await activateStep(leave, leave.currentStep + 1, policy, now);
+
+  if (!nextStep && hadLaterLevels) {
+    nextStep = await appendOwnerStep(leave, policy, now);
+  }
+
+  return { final: !nextStep, byOwner: false, step, nextStep };
+};
+
+/**
+ * Move a pending step past its due date on to the next level. When the last
+ * level is overdue the Owner level is appended so the request is not stuck.
+ */
+const escalateLeave = async (leave, policy, now = new Date()) => {
+  const step = getCurrentStep(leave);
+  if (!step) return null;
+
+  step.status = 'escalated';
+  step.actedAt = now;
+  step.remarks = `No action within ${policy.escalateAfterDays} day(s)`;
+
+  let nextStep = await activateStep(leave, leave.currentStep + 1, policy, now);
+
+  if (!nextStep) {
+    nextStep = await appendOwnerStep(leave, policy, now);
+  }
+
+  return nextStep;
+};
+
+/**
+ * Tell the approvers of a step that a leave is waiting for them
+ */
+const notifyApprovers = async (leave, step, applicantName) => {
+  for (const approverId of idsOf(step.approvers)) {
+    await sendNotification({
+      recipient: approverId,
+      type: 'leave_approval_required',
+      title: 'Leave Approval Required',
+      message: `${applicantName || 'An employee'}'s ${leave.type} leave from ${new Date(leave.startDate).toLocaleDateString()} to ${new Date(leave.endDate).toLocaleDateString()} is waiting for your approval (${LEVEL_LABELS[step.level]})`,
+      data: {
+        leaveId: leave._id,
+        userId: leave.user._id || leave.user,
+        leaveType: leave.type,
+        startDate: leave.startDate,
+        endDate: leave.endDate,
+        days: leave.days,
+        reason: leave.reason
+      },
+      priority: 'high'
+    });
+  }
+};
+
+/**
+ * Hourly: escalate every pending leave whose current step is overdue
+ */
+const escalateOverdueLeaves = async () => {
+  const overdue = await Leave.find({
+    status: 'Pending',
+    approvalSteps: { $elemMatch: { status: 'pending', dueAt: { $ne: null, $lte: new Date() } } }
+  }).populate('user', 'name email companyCode company');
+
+  let escalated = 0;
+
+  for (const leave of overdue) {
+    try {
+      const step = getCurrentStep(leave);
+      if (!step || !step.dueAt || step.dueAt > new Date()) continue;
+
+      const policy = await getPolicy(leave.user.companyCode);
+      const fromLevel = step.level;
+      const nextStep = await escalateLeave(leave, policy);
+
+      leave.history.push({
+        action: 'escalated',
+        by: leave.user._id,
+        role: 'system',
+        level: fromLevel,
+        from: 'Pending',
+        to: 'Pending',
+        remarks: nextStep
+          ? `Escalated from ${LEVEL_LABELS[fromLevel]} to ${LEVEL_LABELS[nextStep.level]}`
+          : `Escalated from ${LEVEL_LABELS[fromLevel]}; awaiting Owner`,
+        at: new Date()
+      });
+      await leave.save();
+      escalated++;
+
+      if (nextStep) {
+        await notifyApprovers(leave, nextStep, leave.user.name);
+      }
+
+      if (global.io) {
+        emitLeaveEvents.leaveStatusChanged(global.io, {
+          leave: leave.toObject(),
+          oldStatus: 'Pending',
+          newStatus: 'Pending',
+          updatedBy: { name: 'System' },
+          step: { level: fromLevel, action: 'escalated', nextLevel: nextStep ? nextStep.level : null }
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Leave escalation failed for ${leave._id}:`, error.message);
+    }
+  }
+
+  return { checked: overdue.length, escalated };
+};
+
+module.exports = {
+  LEVEL_LABELS,
+  findDepartmentHead,
+  initApprovalChain,
+  getCurrentStep,
+  canApprove,
+  recordDecision,
+  notifyApprovers,
+  escalateOverdueLeaves
+};
@@ -0,0 +1,217 @@
+const Shift = require('../models/Shift');
+
+// Used when a company has not configured any shift (matches the original 9:00-19:00 rules)
+const DEFAULT_SHIFT = {
+  name: 'General',
+  startTime: '09:00',
+  endTime: '19:00',
+  graceMinutes: 10,
+  halfDayAfterMinutes: 30,
+  absentAfterMinutes: 60,
+  fullDayHours: 9,
+  halfDayHours: 5,
+  weeklyOffs: [0, 6],
+  isDefault: true
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Format duration in HH:MM:SS
+const formatDuration = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = String(Math.floor(totalSeconds / 3600)).padStart(2, "0");
+  const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${hours}:${minutes}:${seconds}`;
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isNightShift = (shift) => toMinutes(shift.endTime) <= toMinutes(shift.startTime);
+
+const atMinutes = (day, minutes) => {
+  const date = new Date(day);
+  date.setHours(0, 0, 0, 0);
+  date.setMinutes(minutes);
+  return date;
+};
+
+/**
+ * Calendar day a shift belongs to. For night shifts, times in the early
+ * morning (before the middle of the off-hours gap) belong to the shift that
+ * started the previous evening.
+ */
+const getShiftDay = (shift, time) => {
+  const day = new Date(time);
+  day.setHours(0, 0, 0, 0);
+
+  if (!isNightShift(shift)) {
+    return day;
+  }
+
+  const end = toMinutes(shift.endTime);
+  const start = toMinutes(shift.startTime);
+  const cutoff = end + Math.floor((start - end) / 2);
+  const current = new Date(time).getHours() * 60 + new Date(time).getMinutes();
+
+  if (current < cutoff) {
+    day.setDate(day.getDate() - 1);
+  }
+
+  return day;
+};
+
+/**
+ * Start and end of the shift that covers a point in time
+ */
+const getShiftWindow = (shift, time) => {
+  const shiftDay = getShiftDay(shift, time);
+  const shiftStart = atMinutes(shiftDay, toMinutes(shift.startTime));
+  let shiftEnd = atMinutes(shiftDay, toMinutes(shift.endTime));
+
+  if (shiftEnd <= shiftStart) {
+    shiftEnd = new Date(shiftEnd.getTime() + DAY);
+  }
+
+  return { shiftDay, shiftStart, shiftEnd };
+};
+
+const isWeeklyOff = (shift, date) => {
+  const weeklyOffs = shift.weeklyOffs || DEFAULT_SHIFT.weeklyOffs;
+  return weeklyOffs.includes(new Date(date).getDay());
+};
+
+/**
+ * Status and lateBy at clock-in
+ */
+const evaluateClockIn = (shift, inTime) => {
+  const { shiftStart } = getShiftWindow(shift, inTime);
+  const minutesLate = (inTime - shiftStart) / MINUTE;
+
+  let status = 'PRESENT';
+  if (minutesLate > shift.halfDayAfterMinutes) {
+    status = 'HALFDAY';
+  } else if (minutesLate >= shift.graceMinutes) {
+    status = 'LATE';
+  }
+
+  return {
+    status,
+    lateBy: inTime > shiftStart ? formatDuration(inTime - shiftStart) : "00:00:00"
+  };
+};
+
+/**
+ * Status, worked time, overtime and early leave once both punches are known
+ */
+const evaluateClockOut = (shift, inTime, outTime) => {
+  const { shiftStart, shiftEnd } = getShiftWindow(shift, inTime);
+  const totalMs = outTime - inTime;
+  const totalHours = totalMs / HOUR;
+  const minutesLate = (inTime - shiftStart) / MINUTE;
+
+  let status;
+  if (totalHours < shift.halfDayHours) {
+    status = 'ABSENT';
+  } else if (minutesLate > shift.halfDayAfterMinutes || totalHours < shift.fullDayHours) {
+    status = 'HALFDAY';
+  } else if (minutesLate >= shift.graceMinutes) {
+    status = 'LATE';
+  } else {
+    status = 'PRESENT';
+  }
+
+  return {
+    status,
+    lateBy: inTime > shiftStart ? formatDuration(inTime - shiftStart) : "00:00:00",
+    totalTime: formatDuration(Math.max(0, totalMs)),
+    overTime: outTime > shiftEnd ? formatDuration(outTime - shiftEnd) : "00:00:00",
+    earlyLeave: outTime < shiftEnd ? formatDuration(shiftEnd - outTime) : "00:00:00"
+  };
+};
+
+/**
+ * Whether the clock-in window for the shift on a given day has closed
+ * (the point after which the daily job may mark the user absent)
+ */
+const hasClockInWindowClosed = (shift, day, now = new Date()) => {
+  const shiftStart = atMinutes(day, toMinutes(shift.startTime));
+  return now >= new Date(shiftStart.getTime() + shift.absentAfterMinutes * MINUTE);
+};
+
+/**
+ * Most recent shift day whose clock-in window has closed at `now`: the
+ * current shift day once its window closes, else the shift day before.
+ * The window of a late shift can close after midnight, so the cutoff is
+ * taken from the shift day (getShiftDay), not the calendar date.
+ */
+const getLastClosedShiftDay = (shift, now = new Date()) => {
+  const shiftDay = getShiftDay(shift, now);
+  if (hasClockInWindowClosed(shift, shiftDay, now)) {
+    return shiftDay;
+  }
+
+  const previous = new Date(shiftDay);
+  previous.setDate(previous.getDate() - 1);
+  return previous;
+};
+
+const departmentKey = (department) => {
+  if (!department) return null;
+  return String(department._id || department);
+};
+
+const pickShift = (shifts, user) => {
+  const userId = String(user._id || user.id);
+  const department = departmentKey(user.department);
+
+  return shifts.find(s => (s.users || []).some(id => String(id) === userId))
+    || shifts.find(s => department && (s.departments || []).includes(department))
+    || shifts.find(s => s.isDefault)
+    || DEFAULT_SHIFT;
+};
+
+/**
+ * Returns a function that resolves a user's shift, loading each company's
+ * shifts once. Use one resolver per request or job run.
+ */
+const createShiftResolver = () => {
+  const cache = new Map();
+
+  return async (user) => {
+    const companyCode = user.companyCode || (user.company ? user.company.companyCode : null);
+    if (!companyCode) {
+      return DEFAULT_SHIFT;
+    }
+
+    if (!cache.has(companyCode)) {
+      cache.set(companyCode, await Shift.find({ companyCode, isActive: true }).lean());
+    }
+
+    return pickShift(cache.get(companyCode), user);
+  };
+};
+
+const resolveShiftForUser = (user) => createShiftResolver()(user);
+
+module.exports = {
+  DEFAULT_SHIFT,
+  formatDuration,
+  toMinutes,
+  isNightShift,
+  getShiftDay,
+  getShiftWindow,
+  isWeeklyOff,
+  evaluateClockIn,
+  evaluateClockOut,
+  hasClockInWindowClosed,
+  getLastClosedShiftDay,
+  pickShift,
+  createShiftResolver,
+  resolveShiftForUser
+};
@@ -0,0 +1,143 @@
+const Task = require('../models/Task');
+const { requestReview, notifyReviewers } = require('./taskReview');
+
+// A blocker or subtask counts as done in these states
+const DONE_STATUSES = ['completed', 'approved'];
+const STARTED_STATUSES = ['in-progress', 'completed', 'approved', 'onhold', 'reopen'];
+// Parents in these states are not touched by the roll-up
+const FINAL_STATUSES = ['cancelled', 'rejected'];
+// Parents whose own work is finished (a reviewer may still have to approve it)
+const PARENT_DONE_STATUSES = [...DONE_STATUSES, 'awaiting-review'];
+
+/**
+ * Blockers of `task` that are still active and not yet completed
+ */
+const findOpenBlockers = async (task) => {
+  if (!task.blockedBy || !task.blockedBy.length) return [];
+
+  return Task.find({
+    _id: { $in: task.blockedBy },
+    isActive: true,
+    overallStatus: { $nin: DONE_STATUSES }
+  }).select('title overallStatus dueDateTime').lean();
+};
+
+const hasOpenSubtasks = async (taskId) => {
+  const open = await Task.exists({ parentTask: taskId, isActive: true, overallStatus: { $nin: DONE_STATUSES } });
+  return Boolean(open);
+};
+
+/**
+ * Would "taskId is blocked by blockerId" close a loop, i.e. does the
+ * blocker already (indirectly) wait on taskId?
+ */
+const createsDependencyCycle = async (taskId, blockerId) => {
+  const target = String(taskId);
+  const seen = new Set();
+  let frontier = [String(blockerId)];
+
+  while (frontier.length) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach(id => seen.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [...new Set(tasks.flatMap(entry => (entry.blockedBy || []).map(String)))]
+      .filter(id => !seen.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Is `ancestorId` the task itself or one of its parents (up the chain)?
+ */
+const isSameOrAncestor = async (taskId, ancestorId) => {
+  const seen = new Set();
+  let current = taskId;
+
+  while (current && !seen.has(String(current))) {
+    if (String(current) === String(ancestorId)) return true;
+    seen.add(String(current));
+
+    const task = await Task.findById(current).select('parentTask').lean();
+    current = task && task.parentTask;
+  }
+
+  return false;
+};
+
+// Status a parent should move to given its subtasks, or null to leave it
+const rolledUpStatus = (parent, subtasks) => {
+  if (!subtasks.length || FINAL_STATUSES.includes(parent.overallStatus)) return null;
+
+  const parentDone = PARENT_DONE_STATUSES.includes(parent.overallStatus);
+  if (subtasks.every(subtask => DONE_STATUSES.includes(subtask.overallStatus))) {
+    return parentDone ? null : 'completed';
+  }
+
+  // A subtask was reopened or added after the parent finished
+  if (parentDone) return 'reopen';
+
+  if (parent.overallStatus === 'pending' && subtasks.some(subtask => STARTED_STATUSES.includes(subtask.overallStatus))) {
+    return 'in-progress';
+  }
+
+  return null;
+};
+
+/**
+ * Recompute the parent's overallStatus (and its parents') after a subtask
+ * changed. Returns the changes made as [{ task, from, to }] so the caller
+ * can log them.
+ */
+const rollUpParentStatus = async (task, changedBy) => {
+  const changes = [];
+  const seen = new Set();
+  let parentId = task.parentTask;
+
+  while (parentId && !seen.has(String(parentId))) {
+    seen.add(String(parentId));
+
+    const parent = await Task.findById(parentId);
+    if (!parent || !parent.isActive) break;
+
+    const subtasks = await Task.find({ parentTask: parent._id, isActive: true }).select('overallStatus').lean();
+    const status = rolledUpStatus(parent, subtasks);
+    // Unchanged parent means unchanged ancestors
+    if (!status) break;
+
+    const from = parent.overallStatus;
+    // Reviewed parents go to their reviewers instead of completing
+    const needsReview = status === 'completed' && parent.review && parent.review.required;
+
+    if (needsReview) {
+      requestReview(parent, changedBy, 'system');
+    } else {
+      parent.overallStatus = status;
+      if (status === 'completed') parent.completionDate = new Date();
+      parent.statusHistory.push({
+        status,
+        changedBy,
+        changedByType: 'system',
+        remarks: `Status rolled up from subtasks (${from} → ${status})`
+      });
+    }
+    await parent.save();
+
+    if (needsReview) await notifyReviewers(parent);
+
+    changes.push({ task: parent, from, to: parent.overallStatus });
+    parentId = parent.parentTask;
+  }
+
+  return changes;
+};
+
+module.exports = {
+  DONE_STATUSES,
+  findOpenBlockers,
+  hasOpenSubtasks,
+  createsDependencyCycle,
+  isSameOrAncestor,
+  rollUpParentStatus
+};
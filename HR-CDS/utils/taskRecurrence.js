@@ -0,0 +1,556 @@
+const Task = require('../models/Task');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../../models/User');
+const Company = require('../../models/Company');
+const {
+  DEFAULT_TIMEZONE,
+  zonedParts,
+  zonedTimeToDate,
+  parseZonedDateTime
+} = require('../../utils/timezone');
+
+const DAY = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Occurrences are created this long before they are due
+const SPAWN_AHEAD = DAY;
+// How far ahead to look for the next matching day
+const MAX_SEARCH_DAYS = 5 * 366;
+const MAX_RUNS_PER_DAY = 24;
+const OPEN_STATUSES = ['pending', 'in-progress', 'onhold', 'reopen'];
+const TEMPLATE_FIELDS = ['title', 'description', 'whatsappNumber', 'priorityDays', 'priority', 'assignedUsers', 'assignedGroups'];
+
+// ==================== CALENDAR HELPERS ====================
+// Wall-clock days are handled as day numbers (days since 1970-01-01 UTC)
+
+const toDayNumber = ({ year, month, day }) => Date.UTC(year, month - 1, day) / DAY;
+
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// ==================== CRON ====================
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  // 7 is accepted for Sunday, as in most crons
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseCronField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid cron ${name} "${expression}"`);
+
+    const step = match[2] ? Number(match[2]) : 1;
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (to === undefined) to = match[2] ? max : from;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron ${name} must be between ${min} and ${max}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(name === 'day of week' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a 5-field cron expression. Day of month and day of week combine
+ * with OR when both are restricted, as in standard cron.
+ */
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron pattern needs 5 fields: minute hour day-of-month month day-of-week');
+
+  const [minutes, hours, daysOfMonth, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    weekdays,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*'
+  };
+};
+
+const cronTimesOn = (cron, day) => {
+  if (!cron.months.has(day.month)) return [];
+
+  const domMatch = cron.daysOfMonth.has(day.day);
+  const dowMatch = cron.weekdays.has(day.weekday);
+  const dayMatches = cron.domRestricted && cron.dowRestricted
+    ? domMatch || dowMatch
+    : (!cron.domRestricted || domMatch) && (!cron.dowRestricted || dowMatch);
+  if (!dayMatches) return [];
+
+  return cron.hours.flatMap(hour => cron.minutes.map(minute => ({ hour, minute })));
+};
+
+// ==================== RULES ====================
+
+const matchesRule = (rule, dayNumber, anchorDayNumber) => {
+  if (dayNumber < anchorDayNumber) return false;
+
+  const day = fromDayNumber(dayNumber);
+  const anchor = fromDayNumber(anchorDayNumber);
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === 'daily') {
+    return (dayNumber - anchorDayNumber) % interval === 0;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [anchor.weekday];
+    // Weeks start on Sunday
+    const weeks = ((dayNumber - day.weekday) - (anchorDayNumber - anchor.weekday)) / 7;
+    return weekdays.includes(day.weekday) && weeks % interval === 0;
+  }
+
+  if (rule.frequency === 'monthly') {
+    const months = (day.year - anchor.year) * 12 + (day.month - anchor.month);
+    const monthDay = Math.min(rule.monthDay || anchor.day, daysInMonth(day.year, day.month));
+    return months % interval === 0 && day.day === monthDay;
+  }
+
+  return false;
+};
+
+/**
+ * First occurrence of the rule strictly after `after`, or null when the
+ * series has ended (end date) or nothing matches within five years
+ */
+const nextOccurrence = (rule, after) => {
+  const timeZone = rule.timezone || DEFAULT_TIMEZONE;
+  const anchor = zonedParts(new Date(rule.anchor), timeZone);
+  const anchorDayNumber = toDayNumber(anchor);
+  const startDayNumber = toDayNumber(zonedParts(new Date(after), timeZone));
+  const cron = rule.frequency === 'cron' ? parseCron(rule.cron) : null;
+
+  for (let dayNumber = startDayNumber; dayNumber <= startDayNumber + MAX_SEARCH_DAYS; dayNumber++) {
+    const day = fromDayNumber(dayNumber);
+    const times = cron
+      ? cronTimesOn(cron, day)
+      : matchesRule(rule, dayNumber, anchorDayNumber) ? [{ hour: anchor.hour, minute: anchor.minute }] : [];
+
+    for (const time of times) {
+      const candidate = zonedTimeToDate({ ...day, ...time }, timeZone);
+      if (candidate <= new Date(after)) continue;
+      if (rule.endDate && candidate > new Date(rule.endDate)) return null;
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Human-readable summary, stored in Task.recurringPattern
+ */
+const describeRecurrence = (rule) => {
+  const interval = rule.interval || 1;
+  let text;
+
+  if (rule.frequency === 'cron') {
+    text = `Cron "${rule.cron}"`;
+  } else if (rule.frequency === 'daily') {
+    text = interval === 1 ? 'Daily' : `Every ${interval} days`;
+  } else if (rule.frequency === 'weekly') {
+    const days = (rule.weekdays || []).map(day => WEEKDAY_NAMES[day]).join(', ');
+    text = `${interval === 1 ? 'Weekly' : `Every ${interval} weeks`}${days ? ` on ${days}` : ''}`;
+  } else {
+    text = `${interval === 1 ? 'Monthly' : `Every ${interval} months`}${rule.monthDay ? ` on day ${rule.monthDay}` : ''}`;
+  }
+
+  if (rule.maxOccurrences) text += `, ${rule.maxOccurrences} times`;
+  if (rule.endDate) text += `, until ${new Date(rule.endDate).toISOString().split('T')[0]}`;
+  return text;
+};
+
+const creatorTimezone = async (userId) => {
+  const user = await User.findById(userId).select('company');
+  const company = user && user.company ? await Company.findById(user.company).select('timezone') : null;
+  return (company && company.timezone) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Validate the `recurrence` body field (object, or JSON string from
+ * multipart forms) against the first due date. Returns { rule } (null when
+ * not recurring) or { error }.
+ */
+const parseRecurrence = async (input, dueDateTime, userId) => {
+  if (input === undefined || input === null || input === '' || input === 'null') return { rule: null };
+
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'Invalid recurrence format' };
+    }
+  }
+
+  if (!raw || typeof raw !== 'object') return { error: 'Invalid recurrence format' };
+  if (!FREQUENCIES.includes(raw.frequency)) return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  if (!dueDateTime) return { error: 'Recurring tasks need a due date and time for the first occurrence' };
+
+  const rule = {
+    frequency: raw.frequency,
+    interval: raw.interval === undefined ? 1 : Number(raw.interval),
+    occurrenceCount: 1,
+    timezone: await creatorTimezone(userId),
+    anchor: new Date(dueDateTime)
+  };
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    return { error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  if (rule.frequency === 'weekly' && raw.weekdays !== undefined) {
+    const weekdays = Array.isArray(raw.weekdays) ? raw.weekdays.map(Number) : [];
+    if (!weekdays.length || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    rule.weekdays = [...new Set(weekdays)].sort();
+  }
+
+  if (rule.frequency === 'monthly' && raw.monthDay !== undefined) {
+    const monthDay = Number(raw.monthDay);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      return { error: 'Month day must be between 1 and 31' };
+    }
+    rule.monthDay = monthDay;
+  }
+
+  if (rule.frequency === 'cron') {
+    try {
+      const cron = parseCron(raw.cron);
+      if (cron.hours.length * cron.minutes.length > MAX_RUNS_PER_DAY) {
+        return { error: `A cron pattern may run at most ${MAX_RUNS_PER_DAY} times a day` };
+      }
+    } catch (error) {
+      return { error: error.message };
+    }
+    rule.cron = String(raw.cron).trim().split(/\s+/).join(' ');
+  }
+
+  if (raw.endDate) {
+    const endDate = parseZonedDateTime(raw.endDate, rule.timezone);
+    if (!endDate || endDate <= rule.anchor) return { error: 'Recurrence end date must be after the first due date' };
+    // A plain date ends the series at the end of that day
+    if (!/T/.test(String(raw.endDate))) endDate.setTime(endDate.getTime() + DAY - 1);
+    rule.endDate = endDate;
+  }
+
+  if (raw.maxOccurrences !== undefined && raw.maxOccurrences !== null) {
+    const maxOccurrences = Number(raw.maxOccurrences);
+    if (!Number.isInteger(maxOccurrences) || maxOccurrences < 2 || maxOccurrences > 1000) {
+      return { error: 'Occurrence count must be between 2 and 1000' };
+    }
+    rule.maxOccurrences = maxOccurrences;
+  }
+
+  return { rule };
+};
+
+/**
+ * Turn a newly created task into the root of a recurring series
+ */
+const startSeries = async (task, rule) => {
+  const template = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    template[field] = task[field];
+  });
+
+  task.isRecurring = true;
+  task.occurrenceNumber = 1;
+  task.recurrence = { ...rule, template };
+  task.recurringPattern = describeRecurrence(rule);
+  task.nextRecurringDate = rule.maxOccurrences === 1 ? null : nextOccurrence(rule, task.dueDateTime);
+  await task.save();
+  return task;
+};
+
+// ==================== SPAWNING ====================
+
+// Direct assignees plus members of active groups; the creator only for self tasks
+const resolveAssignees = async (template, createdBy, taskFor) => {
+  const ids = (template.assignedUsers || []).map(String);
+
+  if (template.assignedGroups && template.assignedGroups.length) {
+    const groups = await Group.find({ _id: { $in: template.assignedGroups }, isActive: true }).select('members').lean();
+    groups.forEach(group => (group.members || []).forEach(member => ids.push(String(member))));
+  }
+
+  const unique = [...new Set(ids)];
+  return taskFor === 'self' ? unique : unique.filter(id => id !== String(createdBy));
+};
+
+const notifyAssignee = async (userId, task) => {
+  const title = 'Recurring Task Assigned';
+  const message = `New occurrence of "${task.title}" is due ${task.dueDateTime.toLocaleString()}`;
+  const data = { taskId: task._id };
+
+  try {
+    await Notification.create({ recipient: userId, type: 'task_assigned', title, message, data });
+    if (global.io) {
+      global.io.to(`user:${userId}`).emit('notification:new', { type: 'task_assigned', title, message, data });
+    }
+  } catch (error) {
+    console.error(`❌ Recurring task notification failed for ${userId}:`, error.message);
+  }
+};
+
+const createOccurrence = async (root, dueDateTime, occurrenceNumber) => {
+  const template = root.recurrence.template || {};
+  const assignees = await resolveAssignees(template, root.createdBy, root.taskFor);
+  // Same reviewers, without the root's review progress
+  const review = root.review && root.review.required ? {
+    required: true,
+    reviewerType: root.review.reviewerType,
+    reviewer: root.review.reviewer,
+    reviewerGroup: root.review.reviewerGroup,
+    slaHours: root.review.slaHours
+  } : undefined;
+
+  const occurrence = await Task.create({
+    title: template.title,
+    description: template.description,
+    whatsappNumber: template.whatsappNumber,
+    priorityDays: template.priorityDays,
+    priority: template.priority || 'medium',
+    dueDateTime,
+    assignedUsers: template.assignedUsers,
+    assignedGroups: template.assignedGroups,
+    statusByUser: assignees.map(user => ({ user, status: 'pending' })),
+    files: root.files,
+    voiceNote: root.voiceNote,
+    // Same checklist, nothing ticked
+    checklist: (root.checklist || []).map(item => ({ text: item.text, createdBy: item.createdBy })),
+    review,
+    createdBy: root.createdBy,
+    taskFor: root.taskFor,
+    isRecurring: true,
+    recurringPattern: root.recurringPattern,
+    recurrenceOf: root._id,
+    occurrenceNumber,
+    statusHistory: [{
+      status: 'pending',
+      changedBy: root.createdBy,
+      changedByType: 'system',
+      remarks: `Occurrence #${occurrenceNumber} of recurring task`
+    }]
+  });
+
+  for (const userId of assignees) {
+    await notifyAssignee(userId, occurrence);
+  }
+
+  await ActivityLog.create({
+    user: root.createdBy,
+    action: 'recurring_occurrence_created',
+    task: occurrence._id,
+    description: `Created occurrence #${occurrenceNumber} of recurring task: ${occurrence.title}`
+  }).catch(error => console.error('❌ Error creating activity log:', error.message));
+
+  return occurrence;
+};
+
+/**
+ * Create the occurrences that fall due within the next day. Occurrences
+ * missed while the server was down are skipped rather than piled up.
+ */
+const spawnDueOccurrences = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + SPAWN_AHEAD);
+  let created = 0;
+  let ended = 0;
+
+  const roots = await Task.find({
+    isRecurring: true,
+    // The root may itself be deleted ("this occurrence") while its series goes on
+    recurrenceOf: null,
+    nextRecurringDate: { $ne: null, $lte: horizon }
+  });
+
+  for (const root of roots) {
+    try {
+      const rule = root.recurrence;
+      if (!rule) continue;
+
+      let due = root.nextRecurringDate;
+      while (due && due < now) due = nextOccurrence(rule, due);
+
+      const count = rule.occurrenceCount || 1;
+      const limitReached = rule.maxOccurrences && count >= rule.maxOccurrences;
+
+      if (!due || limitReached || due > horizon) {
+        // Series ended, or only missed occurrences were due
+        await Task.updateOne(
+          { _id: root._id, nextRecurringDate: root.nextRecurringDate },
+          { $set: { nextRecurringDate: !due || limitReached ? null : due } }
+        );
+        if (!due || limitReached) ended++;
+        continue;
+      }
+
+      const following = rule.maxOccurrences && count + 1 >= rule.maxOccurrences ? null : nextOccurrence(rule, due);
+
+      // Claim the slot so overlapping runs cannot create it twice
+      const claimed = await Task.updateOne(
+        { _id: root._id, nextRecurringDate: root.nextRecurringDate },
+        { $set: { nextRecurringDate: following }, $inc: { 'recurrence.occurrenceCount': 1 } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      try {
+        await createOccurrence(root, due, count + 1);
+        created++;
+      } catch (error) {
+        // Give the slot back so the next run retries it
+        await Task.updateOne(
+          { _id: root._id },
+          { $set: { nextRecurringDate: root.nextRecurringDate }, $inc: { 'recurrence.occurrenceCount': -1 } }
+        );
+        throw error;
+      }
+    } catch (error) {
+      console.error(`❌ Recurring task ${root._id} failed:`, error.message);
+    }
+  }
+
+  return { checked: roots.length, created, ended };
+};
+
+// ==================== SERIES EDITS ====================
+
+const findSeriesRoot = async (task) => {
+  if (!task.isRecurring) return null;
+  if (!task.recurrenceOf) return task;
+  return Task.findById(task.recurrenceOf);
+};
+
+/**
+ * "Edit this and all future occurrences": copy `changes` (template fields)
+ * to later open occurrences and the series template. A due-time shift moves
+ * later occurrences by the same amount and re-anchors the rule at this
+ * occurrence. A `newRule` replaces the rule from this occurrence on, so
+ * later occurrences already created under the old rule are dropped.
+ */
+const applyToFutureOccurrences = async (task, { changes = {}, previousDue, newRule = null }) => {
+  const root = await findSeriesRoot(task);
+  if (!root || !root.recurrence) return { updated: 0, removed: 0 };
+
+  const current = root.recurrence.toObject();
+  const shift = previousDue && task.dueDateTime ? task.dueDateTime - new Date(previousDue) : 0;
+  const laterFilter = {
+    recurrenceOf: root._id,
+    _id: { $ne: task._id },
+    isActive: true,
+    dueDateTime: { $gt: previousDue || task.dueDateTime },
+    overallStatus: { $in: OPEN_STATUSES }
+  };
+
+  const rule = newRule
+    ? { ...newRule, occurrenceCount: current.occurrenceCount }
+    : { ...current, ...(shift ? { anchor: task.dueDateTime } : {}) };
+  rule.template = { ...current.template, ...changes };
+  const pattern = describeRecurrence(rule);
+
+  let updated = 0;
+  let removed = 0;
+  let lastDue = task.dueDateTime;
+
+  if (newRule) {
+    const result = await Task.updateMany(laterFilter, { $set: { isActive: false } });
+    removed = result.modifiedCount;
+  } else {
+    const later = await Task.find(laterFilter);
+    const assignees = changes.assignedUsers || changes.assignedGroups
+      ? await resolveAssignees(rule.template, root.createdBy, root.taskFor)
+      : null;
+
+    for (const occurrence of later) {
+      Object.assign(occurrence, changes);
+      if (shift) occurrence.dueDateTime = new Date(occurrence.dueDateTime.getTime() + shift);
+      if (assignees) {
+        assignees
+          .filter(userId => !occurrence.statusByUser.some(entry => String(entry.user) === userId))
+          .forEach(userId => occurrence.statusByUser.push({ user: userId, status: 'pending' }));
+      }
+      await occurrence.save();
+      if (occurrence.dueDateTime > lastDue) lastDue = occurrence.dueDateTime;
+    }
+    updated = later.length;
+  }
+
+  root.recurrence = rule;
+  root.recurringPattern = pattern;
+  if ((shift || newRule) && root.nextRecurringDate !== null) {
+    const limitReached = rule.maxOccurrences && rule.occurrenceCount >= rule.maxOccurrences;
+    root.nextRecurringDate = limitReached ? null : nextOccurrence(rule, lastDue);
+  }
+  await root.save();
+
+  await Task.updateMany(
+    { $or: [{ _id: task._id }, { recurrenceOf: root._id, isActive: true, dueDateTime: { $gt: task.dueDateTime } }] },
+    { $set: { recurringPattern: pattern } }
+  );
+
+  return { updated, removed };
+};
+
+/**
+ * Stop a series from this occurrence on: later open occurrences are
+ * deactivated and nothing new is spawned
+ */
+const endSeriesFrom = async (task) => {
+  const root = await findSeriesRoot(task);
+  if (!root) return { removed: 0 };
+
+  const result = await Task.updateMany(
+    {
+      recurrenceOf: root._id,
+      _id: { $ne: task._id },
+      isActive: true,
+      dueDateTime: { $gt: task.dueDateTime },
+      overallStatus: { $in: OPEN_STATUSES }
+    },
+    { $set: { isActive: false } }
+  );
+
+  await Task.updateOne({ _id: root._id }, { $set: { nextRecurringDate: null } });
+  return { removed: result.modifiedCount };
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  parseCron,
+  nextOccurrence,
+  describeRecurrence,
+  parseRecurrence,
+  startSeries,
+  spawnDueOccurrences,
+  findSeriesRoot,
+  applyToFutureOccurrences,
+  endSeriesFrom
+};
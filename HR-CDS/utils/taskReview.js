@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../../models/User');
+const Group = require('../models/Group');
+const Notification = require('../models/Notification');
+const ActivityLog = require('../models/ActivityLog');
+const { findDepartmentHead } = require('./leaveApproval');
+
+const HOUR = 60 * 60 * 1000;
+const REVIEWER_TYPES = ['creator', 'user', 'group'];
+const MAX_SLA_HOURS = 720;
+// Escalation stops climbing after this many missed SLAs (reminders continue)
+const MAX_ESCALATION_LEVEL = 3;
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * Users allowed to approve or reject the task. Assignees never review
+ * their own work, whatever the configuration says.
+ */
+const resolveReviewers = async (task) => {
+  const review = task.review;
+  if (!review || !review.required) return [];
+
+  let candidates = [];
+  if (review.reviewerType === 'creator') {
+    candidates = [task.createdBy];
+  } else if (review.reviewerType === 'user') {
+    candidates = [review.reviewer];
+  } else if (review.reviewerType === 'group' && review.reviewerGroup) {
+    const group = await Group.findOne({ _id: idOf(review.reviewerGroup), isActive: true }).select('members').lean();
+    candidates = group ? group.members : [];
+  }
+
+  const assignees = new Set([
+    ...(task.assignedUsers || []).map(idOf),
+    ...(task.statusByUser || []).map(entry => idOf(entry.user))
+  ]);
+  return [...new Set(candidates.map(idOf).filter(Boolean))].filter(id => !assignees.has(id));
+};
+
+const isReviewer = async (task, userId) => (await resolveReviewers(task)).includes(String(userId));
+
+/**
+ * Validate the review config sent on create / update. Accepts an object
+ * or its JSON string and returns { review } or { error }; an empty value
+ * means no review.
+ */
+const parseReviewConfig = async (input, { createdBy, assignees = [], taskFor = 'others' }) => {
+  if (!input || input === 'null') return { review: undefined };
+
+  let config;
+  try {
+    config = typeof input === 'string' ? JSON.parse(input) : input;
+  } catch (error) {
+    return { error: 'Invalid review settings' };
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return { error: 'Invalid review settings' };
+  }
+
+  if (config.required === false || config.required === 'false') {
+    return { review: { required: false } };
+  }
+
+  const reviewerType = config.reviewerType || 'creator';
+  if (!REVIEWER_TYPES.includes(reviewerType)) {
+    return { error: `Reviewer type must be one of: ${REVIEWER_TYPES.join(', ')}` };
+  }
+
+  const assigneeIds = assignees.map(idOf);
+  const review = { required: true, reviewerType };
+
+  if (reviewerType === 'creator') {
+    if (taskFor === 'self' || assigneeIds.includes(idOf(createdBy))) {
+      return { error: 'The creator cannot review a task assigned to themselves' };
+    }
+  } else if (reviewerType === 'user') {
+    if (!mongoose.isValidObjectId(config.reviewer)) {
+      return { error: 'A valid reviewer is required' };
+    }
+    const reviewer = await User.findOne({ _id: config.reviewer, isActive: true }).select('_id');
+    if (!reviewer) {
+      return { error: 'Reviewer not found' };
+    }
+    if (assigneeIds.includes(String(reviewer._id))) {
+      return { error: 'An assignee cannot review their own task' };
+    }
+    review.reviewer = reviewer._id;
+  } else {
+    if (!mongoose.isValidObjectId(config.reviewerGroup)) {
+      return { error: 'A valid reviewer group is required' };
+    }
+    const group = await Group.findOne({ _id: config.reviewerGroup, isActive: true }).select('members');
+    if (!group) {
+      return { error: 'Reviewer group not found' };
+    }
+    if (!group.members.some(member => !assigneeIds.includes(String(member)))) {
+      return { error: 'Reviewer group has no members outside the assignees' };
+    }
+    review.reviewerGroup = group._id;
+  }
+
+  if (config.slaHours !== undefined && config.slaHours !== null && config.slaHours !== '') {
+    const slaHours = Number(config.slaHours);
+    if (!Number.isFinite(slaHours) || slaHours < 0 || slaHours > MAX_SLA_HOURS) {
+      return { error: `Review SLA must be between 0 and ${MAX_SLA_HOURS} hours` };
+    }
+    review.slaHours = slaHours;
+  }
+
+  return { review };
+};
+
+/**
+ * Move a task whose assignees all finished into awaiting-review and start
+ * the SLA clock. The caller saves the task.
+ */
+const requestReview = (task, changedBy, changedByType = 'user') => {
+  const now = new Date();
+  const review = task.review;
+
+  task.overallStatus = 'awaiting-review';
+  review.requestedAt = now;
+  review.dueAt = review.slaHours > 0 ? new Date(now.getTime() + review.slaHours * HOUR) : null;
+  review.escalationLevel = 0;
+  review.escalatedAt = null;
+  review.decision = undefined;
+  review.decidedBy = undefined;
+  review.decidedAt = undefined;
+  review.remarks = undefined;
+
+  task.statusHistory.push({
+    status: 'awaiting-review',
+    changedBy,
+    changedByType,
+    remarks: 'All assignees completed the task, waiting for review'
+  });
+  task.reviewHistory.push({ action: 'submitted', by: changedBy, at: now });
+};
+
+/**
+ * Replace the review settings. A task already waiting for review gets a
+ * fresh SLA for its (new) reviewers, or completes when review is switched
+ * off. Returns 'completed', 'reassigned' or null; the caller saves.
+ */
+const applyReviewSettings = (task, settings, changedBy) => {
+  const now = new Date();
+  const awaiting = task.overallStatus === 'awaiting-review';
+  const previous = task.review ? task.review.toObject() : {};
+
+  task.review = settings;
+  task.reviewHistory.push({ action: 'reviewers_updated', by: changedBy, at: now });
+
+  if (!awaiting) return null;
+
+  if (!settings.required) {
+    task.overallStatus = 'completed';
+    task.completionDate = now;
+    task.statusHistory.push({
+      status: 'completed',
+      changedBy,
+      remarks: 'Review no longer required'
+    });
+    return 'completed';
+  }
+
+  task.review.requestedAt = previous.requestedAt || now;
+  task.review.dueAt = task.review.slaHours > 0 ? new Date(now.getTime() + task.review.slaHours * HOUR) : null;
+  task.review.escalationLevel = 0;
+  return 'reassigned';
+};
+
+const notify = async (userId, { type, title, message, priority = 'medium', data }) => {
+  try {
+    await Notification.create({ recipient: userId, type, title, message, priority, data });
+    if (global.io) {
+      global.io.to(`user:${userId}`).emit('notification:new', { type, title, message, data });
+    }
+  } catch (error) {
+    console.error(`❌ Review notification failed for ${userId}:`, error.message);
+  }
+};
+
+const notifyReviewers = async (task, reviewers = null) => {
+  const recipients = reviewers || await resolveReviewers(task);
+  const data = { taskId: task._id, dueAt: task.review && task.review.dueAt };
+
+  for (const userId of recipients) {
+    await notify(userId, {
+      type: 'task_review_requested',
+      title: 'Task Awaiting Your Review',
+      message: `"${task.title}" is completed and waiting for your approval`,
+      data
+    });
+  }
+
+  return recipients;
+};
+
+// Tell the assignees what the reviewer decided
+const notifyReviewDecision = async (task, reviewerName) => {
+  const approved = task.review.decision === 'approved';
+  const recipients = [...new Set(task.statusByUser.map(entry => idOf(entry.user)).filter(Boolean))];
+  const data = { taskId: task._id, decision: task.review.decision, remarks: task.review.remarks };
+
+  for (const userId of recipients) {
+    await notify(userId, {
+      type: approved ? 'task_approved' : 'task_rejected',
+      title: approved ? 'Task Approved' : 'Task Rejected',
+      message: approved
+        ? `${reviewerName} approved "${task.title}"`
+        : `${reviewerName} rejected "${task.title}": ${task.review.remarks}`,
+      priority: approved ? 'medium' : 'high',
+      data
+    });
+  }
+};
+
+/**
+ * Who hears about a review that missed its SLA: each reviewer's reporting
+ * manager, else their department head, else the task creator.
+ */
+const escalationTargets = async (task, reviewers) => {
+  const users = await User.find({ _id: { $in: reviewers } }).select('reportingManager department companyCode').lean();
+  const targets = [];
+
+  for (const user of users) {
+    const target = user.reportingManager || await findDepartmentHead(user);
+    if (target) targets.push(idOf(target));
+  }
+
+  const creatorId = idOf(task.createdBy);
+  if (!targets.length && creatorId) targets.push(creatorId);
+
+  return [...new Set(targets)].filter(id => !reviewers.includes(id));
+};
+
+/**
+ * Remind reviewers of tasks whose review SLA has passed and escalate to
+ * their managers. The next SLA window starts right away, so a review that
+ * keeps waiting escalates again one SLA later.
+ */
+const escalateOverdueReviews = async () => {
+  const now = new Date();
+  let escalated = 0;
+
+  const overdue = await Task.find({
+    overallStatus: 'awaiting-review',
+    isActive: true,
+    'review.required': true,
+    'review.dueAt': { $lte: now }
+  }).select('title createdBy assignedUsers statusByUser review');
+
+  for (const task of overdue) {
+    try {
+      const level = Math.min((task.review.escalationLevel || 0) + 1, MAX_ESCALATION_LEVEL);
+      const nextDue = new Date(now.getTime() + (task.review.slaHours || 24) * HOUR);
+
+      // Claim first so overlapping runs cannot escalate twice
+      const claimed = await Task.updateOne(
+        { _id: task._id, overallStatus: 'awaiting-review', 'review.dueAt': task.review.dueAt },
+        {
+          $set: { 'review.dueAt': nextDue, 'review.escalationLevel': level, 'review.escalatedAt': now },
+          $push: { reviewHistory: { action: 'escalated', remarks: `Review SLA exceeded (level ${level})`, at: now } }
+        }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const reviewers = await resolveReviewers(task);
+      const waitingHours = Math.round((now - (task.review.requestedAt || task.review.dueAt)) / HOUR);
+      const data = { taskId: task._id, escalationLevel: level, requestedAt: task.review.requestedAt };
+
+      for (const userId of reviewers) {
+        await notify(userId, {
+          type: 'task_review_overdue',
+          title: 'Task Review Overdue',
+          message: `"${task.title}" has been waiting for your review for ${waitingHours}h`,
+          priority: 'high',
+          data
+        });
+      }
+
+      for (const userId of await escalationTargets(task, reviewers)) {
+        await notify(userId, {
+          type: 'task_review_escalated',
+          title: 'Task Review Escalated',
+          message: `Review of "${task.title}" is overdue by its SLA (waiting ${waitingHours}h)`,
+          priority: 'high',
+          data
+        });
+      }
+
+      await ActivityLog.create({
+        user: task.createdBy,
+        action: 'review_escalated',
+        task: task._id,
+        description: `Review SLA exceeded for task: ${task.title} (escalation level ${level})`,
+        oldValues: { escalationLevel: task.review.escalationLevel || 0 },
+        newValues: { escalationLevel: level, dueAt: nextDue }
+      }).catch(error => console.error('❌ Error creating activity log:', error.message));
+
+      escalated++;
+    } catch (error) {
+      console.error(`❌ Escalating review of task ${task._id} failed:`, error.message);
+    }
+  }
+
+  return { checked: overdue.length, escalated };
+};
+
+module.exports = {
+  resolveReviewers,
+  isReviewer,
+  parseReviewConfig,
+  requestReview,
+  applyReviewSettings,
+  notifyReviewers,
+  notifyReviewDecision,
+  escalateOverdueReviews
+};
@@ -0,0 +1,75 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const ActivityLog = require('../models/ActivityLog');
+
+// Assignees plus whoever snoozed the task
+const wakeRecipients = (task) => {
+  const ids = task.statusByUser.map(entry => entry.user).filter(Boolean).map(String);
+  if (task.snoozedBy) ids.push(String(task.snoozedBy));
+  return [...new Set(ids)];
+};
+
+const notifyTaskBack = async (userId, task) => {
+  const title = 'Task is Back';
+  const message = `Snooze ended for "${task.title}"`;
+  const data = { taskId: task._id, dueDate: task.dueDateTime };
+
+  try {
+    await Notification.create({ recipient: userId, type: 'task_unsnoozed', title, message, data });
+    if (global.io) {
+      global.io.to(`user:${userId}`).emit('notification:new', { type: 'task_unsnoozed', title, message, data });
+    }
+  } catch (error) {
+    console.error(`❌ Snooze wake-up notification failed for ${userId}:`, error.message);
+  }
+};
+
+/**
+ * Clear the snooze on tasks whose snoozedUntil has passed and tell their
+ * assignees the task is back. Overdue marking picks them up again on its
+ * next run.
+ */
+const wakeSnoozedTasks = async () => {
+  const now = new Date();
+  let woken = 0;
+
+  const due = await Task.find({
+    isSnoozed: true,
+    snoozedUntil: { $lte: now },
+    isActive: true
+  }).select('title dueDateTime statusByUser createdBy snoozedBy snoozedUntil');
+
+  for (const task of due) {
+    try {
+      // Claim first so overlapping runs cannot notify twice
+      const claimed = await Task.updateOne(
+        { _id: task._id, isSnoozed: true, snoozedUntil: task.snoozedUntil },
+        { $set: { isSnoozed: false, snoozedUntil: null, snoozedBy: null } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      for (const userId of wakeRecipients(task)) {
+        await notifyTaskBack(userId, task);
+      }
+
+      await ActivityLog.create({
+        user: task.snoozedBy || task.createdBy,
+        action: 'task_unsnoozed',
+        task: task._id,
+        description: `Snooze ended for task: ${task.title}`,
+        oldValues: { snoozedUntil: task.snoozedUntil },
+        newValues: { snoozedUntil: null }
+      }).catch(error => console.error('❌ Error creating activity log:', error.message));
+
+      woken++;
+    } catch (error) {
+      console.error(`❌ Waking snoozed task ${task._id} failed:`, error.message);
+    }
+  }
+
+  return { checked: due.length, woken };
+};
+
+module.exports = {
+  wakeSnoozedTasks
+};
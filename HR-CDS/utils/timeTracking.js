@@ -0,0 +1,240 @@
+const moment = require('moment');
+const User = require('../../models/User');
+const Department = require('../../models/Department');
+const TimeEntry = require('../models/TimeEntry');
+const Timesheet = require('../models/Timesheet');
+const Attendance = require('../models/Attendance');
+const { startOfDay, endOfDay } = require('./attendanceCalendar');
+const { findDepartmentHead } = require('./leaveApproval');
+const { getTeamUserIds } = require('../../services/reportingHierarchy');
+const { resolvePermissions } = require('../../utils/permissions');
+
+const MINUTE = 60 * 1000;
+const MAX_REPORT_DAYS = 92;
+const LOCKED_STATUSES = ['submitted', 'approved'];
+
+const dayKey = (date) => moment(date).format('YYYY-MM-DD');
+
+const minutesBetween = (start, end) => Math.max(0, Math.round((new Date(end) - new Date(start)) / MINUTE));
+
+// Attendance keeps worked time as "HH:MM:SS"
+const parseDuration = (value) => {
+  const [hours = 0, minutes = 0, seconds = 0] = String(value || '').split(':').map(part => Number(part) || 0);
+  return Math.round(hours * 60 + minutes + seconds / 60);
+};
+
+const utilizationOf = (logged, attended) => (attended > 0 ? Math.round((logged / attended) * 1000) / 10 : null);
+
+/**
+ * Monday 00:00 (server local time, like attendance days) of the week `date` falls in
+ */
+const weekStartOf = (date) => {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+const weekEndOf = (weekStart) => {
+  const d = new Date(weekStart);
+  d.setDate(d.getDate() + 6);
+  return endOfDay(d);
+};
+
+/**
+ * ?from=&to= (YYYY-MM-DD) as a local day range, defaulting to the current
+ * week. Returns { start, end } or { error }.
+ */
+const parseRange = (from, to) => {
+  const start = from ? moment(from).startOf('day') : moment(weekStartOf(new Date()));
+  const end = to ? moment(to).endOf('day') : moment(weekEndOf(start.toDate()));
+
+  if (!start.isValid() || !end.isValid()) {
+    return { error: 'Invalid date range' };
+  }
+  if (end.isBefore(start)) {
+    return { error: 'End date must be on or after start date' };
+  }
+  if (end.diff(start, 'days') >= MAX_REPORT_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_REPORT_DAYS} days` };
+  }
+
+  return { start: start.toDate(), end: end.toDate() };
+};
+
+// Owners and anyone whose job role grants time.manage look after every employee's time
+const isTimeManager = async (user) =>
+  (await resolvePermissions(user)).permissions.includes('time.manage');
+
+/**
+ * Employees whose time `manager` may see and approve: the whole company for
+ * time managers, otherwise their reporting line (direct and indirect
+ * reports) and the departments they head.
+ * Never includes the manager themselves.
+ */
+const managedUserIds = async (manager) => {
+  const self = String(manager._id);
+
+  if (await isTimeManager(manager)) {
+    const users = await User.find({ companyCode: manager.companyCode, isActive: true }).distinct('_id');
+    return users.map(String).filter(id => id !== self);
+  }
+
+  const departments = await Department.find({ companyCode: manager.companyCode, head: manager._id, isActive: true })
+    .select('_id name')
+    .lean();
+
+  const filter = { companyCode: manager.companyCode, isActive: true, $or: [{ _id: { $in: await getTeamUserIds(manager) } }] };
+  if (departments.length) {
+    // User.department holds either the department id or its name
+    filter.$or.push({ department: { $in: departments.flatMap(department => [String(department._id), department.name]) } });
+  }
+
+  const users = await User.find(filter).distinct('_id');
+  return users.map(String).filter(id => id !== self);
+};
+
+const canManageUser = async (manager, userId) => (await managedUserIds(manager)).includes(String(userId));
+
+/**
+ * Who is asked to approve an employee's timesheet: reporting manager and
+ * department head, or the company Owners when neither is set.
+ */
+const timesheetApprovers = async (employee) => {
+  const approvers = [employee.reportingManager, await findDepartmentHead(employee)]
+    .filter(Boolean)
+    .map(id => String(id._id || id));
+
+  if (!approvers.length) {
+    const owners = await User.find({ companyCode: employee.companyCode, companyRole: 'Owner', isActive: true }).distinct('_id');
+    approvers.push(...owners.map(String));
+  }
+
+  return [...new Set(approvers)].filter(id => id !== String(employee._id));
+};
+
+// Entries of a submitted or approved week cannot change
+const isWeekLocked = async (userId, date) => Boolean(await Timesheet.exists({
+  user: userId,
+  weekStart: weekStartOf(date),
+  status: { $in: LOCKED_STATUSES }
+}));
+
+const stopTimer = async (entry, at = new Date()) => {
+  entry.endedAt = at;
+  entry.minutes = minutesBetween(entry.startedAt, at);
+  entry.isRunning = false;
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Stop the user's running timer (only if it is on `task`, when given)
+ */
+const stopRunningTimer = async (userId, { task = null } = {}) => {
+  const filter = { user: userId, isRunning: true };
+  if (task) filter.task = task;
+
+  const entry = await TimeEntry.findOne(filter);
+  return entry ? stopTimer(entry) : null;
+};
+
+/**
+ * Logged hours against attendance for the given employees, per employee
+ * and day, plus the same hours split by project.
+ */
+const buildUtilization = async ({ userIds, start, end }) => {
+  const [users, entries, attendance] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('name email department').lean(),
+    TimeEntry.find({ user: { $in: userIds }, date: { $gte: start, $lte: end }, isRunning: false })
+      .populate('project', 'projectName')
+      .select('user project date minutes')
+      .lean(),
+    Attendance.find({ user: { $in: userIds }, date: { $gte: start, $lte: end } })
+      .select('user date status totalTime')
+      .lean()
+  ]);
+
+  const rows = new Map(users.map(user => [String(user._id), { user, days: new Map(), loggedMinutes: 0, attendedMinutes: 0 }]));
+  const dayOf = (row, date) => {
+    const key = dayKey(date);
+    if (!row.days.has(key)) {
+      row.days.set(key, { date: key, loggedMinutes: 0, attendedMinutes: 0, attendanceStatus: null });
+    }
+    return row.days.get(key);
+  };
+
+  attendance.forEach(record => {
+    const row = rows.get(String(record.user));
+    if (!row) return;
+    const day = dayOf(row, record.date);
+    day.attendedMinutes += parseDuration(record.totalTime);
+    day.attendanceStatus = record.status;
+    row.attendedMinutes += parseDuration(record.totalTime);
+  });
+
+  const projects = new Map();
+  entries.forEach(entry => {
+    const row = rows.get(String(entry.user));
+    if (!row) return;
+    dayOf(row, entry.date).loggedMinutes += entry.minutes;
+    row.loggedMinutes += entry.minutes;
+
+    const projectKey = entry.project ? String(entry.project._id) : 'none';
+    if (!projects.has(projectKey)) {
+      projects.set(projectKey, { project: entry.project || null, loggedMinutes: 0, employees: new Map() });
+    }
+    const project = projects.get(projectKey);
+    project.loggedMinutes += entry.minutes;
+    project.employees.set(String(entry.user), (project.employees.get(String(entry.user)) || 0) + entry.minutes);
+  });
+
+  const employees = [...rows.values()].map(row => {
+    const days = [...row.days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({ ...day, utilization: utilizationOf(day.loggedMinutes, day.attendedMinutes) }));
+
+    return {
+      user: row.user,
+      loggedMinutes: row.loggedMinutes,
+      attendedMinutes: row.attendedMinutes,
+      utilization: utilizationOf(row.loggedMinutes, row.attendedMinutes),
+      // Time logged on days without any attended time
+      unattendedDays: days.filter(day => day.loggedMinutes > 0 && day.attendedMinutes === 0).map(day => day.date),
+      days
+    };
+  }).sort((a, b) => (a.user.name || '').localeCompare(b.user.name || ''));
+
+  const projectRows = [...projects.values()].map(project => ({
+    project: project.project,
+    loggedMinutes: project.loggedMinutes,
+    employees: [...project.employees.entries()].map(([userId, minutes]) => {
+      const row = rows.get(userId);
+      return {
+        user: row.user,
+        loggedMinutes: minutes,
+        // Share of the employee's attended time spent on this project
+        utilization: utilizationOf(minutes, row.attendedMinutes)
+      };
+    }).sort((a, b) => b.loggedMinutes - a.loggedMinutes)
+  })).sort((a, b) => b.loggedMinutes - a.loggedMinutes);
+
+  return { employees, projects: projectRows };
+};
+
+module.exports = {
+  LOCKED_STATUSES,
+  dayKey,
+  minutesBetween,
+  parseDuration,
+  weekStartOf,
+  weekEndOf,
+  parseRange,
+  isTimeManager,
+  managedUserIds,
+  canManageUser,
+  timesheetApprovers,
+  isWeekLocked,
+  stopTimer,
+  stopRunningTimer,
+  buildUtilization
+};
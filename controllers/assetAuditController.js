@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const AssetAudit = require('../models/AssetAudit');
+const { notifyAuditHolders } = require('../services/assetLifecycle');
+
+// Answers an item can get; 'pending' only means nobody answered yet
+const RESPONSE_STATUSES = AssetAudit.ITEM_STATUSES.filter(status => status !== 'pending');
+const CONDITIONS = ['new', 'excellent', 'good', 'fair', 'poor'];
+
+/**
+ * Record an answer for one audit item while the audit is still open.
+ * Returns { audit } or { status, message } for the error response.
+ */
+const recordResponse = async (req, filter) => {
+  const { status, condition, location, remarks } = req.body;
+
+  if (!RESPONSE_STATUSES.includes(status)) {
+    return { status: 400, message: `Status must be one of: ${RESPONSE_STATUSES.join(', ')}` };
+  }
+  if (condition && !CONDITIONS.includes(condition)) {
+    return { status: 400, message: `Condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+  if (status !== 'confirmed' && !remarks) {
+    return { status: 400, message: 'Please add remarks explaining the exception' };
+  }
+  if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.itemId)) {
+    return { status: 404, message: 'Audit item not found' };
+  }
+
+  const now = new Date();
+  const update = {
+    'items.$.status': status,
+    'items.$.remarks': remarks || null,
+    'items.$.respondedBy': req.user._id,
+    'items.$.respondedAt': now
+  };
+  if (condition) update['items.$.condition'] = condition;
+  if (location) update['items.$.location'] = location;
+
+  const audit = await AssetAudit.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      companyCode: req.user.companyCode,
+      status: 'open',
+      items: { $elemMatch: { _id: req.params.itemId, ...filter } }
+    },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!audit) {
+    const exists = await AssetAudit.exists({ _id: req.params.id, companyCode: req.user.companyCode });
+    return exists
+      ? { status: 400, message: 'Audit is closed or the item is not yours to confirm' }
+      : { status: 404, message: 'Audit not found' };
+  }
+
+  if (status === 'confirmed') {
+    const item = audit.items.id(req.params.itemId);
+    await Asset.updateOne({ _id: item.asset }, { $set: { lastAuditedAt: now } });
+  }
+
+  return { audit };
+};
+
+// @desc    Start a physical audit of the company's assets
+// @route   POST /api/assets12/audits
+// @access  Private (assets.audit)
+const startAudit = async (req, res) => {
+  try {
+    const { name, dueDate, category, department, location, notes } = req.body;
+
+    if (!name || !dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Audit name and due date are required'
+      });
+    }
+
+    const due = new Date(dueDate);
+    if (isNaN(due.getTime()) || due <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Due date must be in the future'
+      });
+    }
+
+    // One audit at a time, so every asset has a single answer to give
+    const running = await AssetAudit.findOne({ companyCode: req.user.companyCode, status: 'open' }).select('name');
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: `Audit "${running.name}" is still open; close it before starting another`
+      });
+    }
+
+    const query = { company: req.user.companyCode, status: { $ne: 'retired' } };
+    if (category && category !== 'all') query.category = category;
+    if (department) query.department = department;
+    if (location) query.location = location;
+
+    const assets = await Asset.find(query).select('name assetTag serialNumber location assignedTo').lean();
+    if (!assets.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No assets match this audit'
+      });
+    }
+
+    const audit = await AssetAudit.create({
+      name,
+      companyCode: req.user.companyCode,
+      scope: { category: query.category, department: query.department, location: query.location },
+      dueDate: due,
+      notes,
+      startedBy: req.user._id,
+      items: assets.map(asset => ({
+        asset: asset._id,
+        name: asset.name,
+        assetTag: asset.assetTag,
+        serialNumber: asset.serialNumber,
+        expectedLocation: asset.location,
+        holder: asset.assignedTo || null
+      }))
+    });
+
+    await notifyAuditHolders(audit);
+    console.log(`📋 Asset audit "${audit.name}" started for ${audit.companyCode} (${assets.length} assets)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Asset audit started successfully',
+      audit,
+      report: AssetAudit.summarize(audit.items)
+    });
+  } catch (error) {
+    console.error('Start audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting audit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the company's asset audits
+// @route   GET /api/assets12/audits
+// @access  Private (assets.audit)
+const getAudits = async (req, res) => {
+  try {
+    const query = { companyCode: req.user.companyCode };
+    if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
+
+    const audits = await AssetAudit.find(query)
+      .populate('startedBy', 'name email')
+      .populate('closedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      audits: audits.map(({ items, ...audit }) => {
+        const { exceptions, ...counts } = AssetAudit.summarize(items);
+        return { ...audit, report: audit.report || { ...counts, exceptions: exceptions.length } };
+      })
+    });
+  } catch (error) {
+    console.error('Get audits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audits',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get an audit with its items and exception report
+// @route   GET /api/assets12/audits/:id
+// @access  Private (assets.audit)
+const getAuditById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit not found'
+      });
+    }
+
+    const audit = await AssetAudit.findOne({ _id: req.params.id, companyCode: req.user.companyCode })
+      .populate('items.holder', 'name email employeeId')
+      .populate('items.respondedBy', 'name email')
+      .populate('startedBy', 'name email')
+      .populate('closedBy', 'name email');
+
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      audit,
+      report: AssetAudit.summarize(audit.items)
+    });
+  } catch (error) {
+    console.error('Get audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Record an item's result as the auditor (any item, e.g. stock on the shelf)
+// @route   POST /api/assets12/audits/:id/items/:itemId
+// @access  Private (assets.audit)
+const recordAuditItem = async (req, res) => {
+  try {
+    const result = await recordResponse(req, {});
+
+    if (!result.audit) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Audit item recorded successfully',
+      item: result.audit.items.id(req.params.itemId),
+      report: AssetAudit.summarize(result.audit.items)
+    });
+  } catch (error) {
+    console.error('Record audit item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording audit item',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Close an audit; unanswered items are reported as unconfirmed
+// @route   POST /api/assets12/audits/:id/close
+// @access  Private (assets.audit)
+const closeAudit = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit not found'
+      });
+    }
+
+    const audit = await AssetAudit.findOne({ _id: req.params.id, companyCode: req.user.companyCode });
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit not found'
+      });
+    }
+
+    const report = AssetAudit.summarize(audit.items);
+    const { exceptions, ...counts } = report;
+
+    const closed = await AssetAudit.findOneAndUpdate(
+      { _id: audit._id, status: 'open' },
+      {
+        $set: {
+          status: 'closed',
+          closedBy: req.user._id,
+          closedAt: new Date(),
+          notes: req.body.notes || audit.notes,
+          report: { ...counts, exceptions: exceptions.length }
+        }
+      },
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Audit is already closed'
+      });
+    }
+
+    // Leave the audit result in each asset's history
+    await Asset.bulkWrite(audit.items.map(item => ({
+      updateOne: {
+        filter: { _id: item.asset },
+        update: {
+          $push: {
+            history: {
+              action: 'audited',
+              performedBy: req.user._id,
+              date: new Date(),
+              description: `Audit "${audit.name}": ${item.status === 'pending' ? 'unconfirmed' : item.status}`,
+              details: { audit: audit._id, status: item.status, remarks: item.remarks }
+            }
+          }
+        }
+      }
+    })));
+
+    console.log(`📋 Asset audit "${audit.name}" closed with ${exceptions.length} exception(s)`);
+
+    res.json({
+      success: true,
+      message: 'Asset audit closed successfully',
+      audit: closed,
+      report
+    });
+  } catch (error) {
+    console.error('Close audit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing audit',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the logged in user's assets in open audits
+// @route   GET /api/assets12/my-audits
+// @access  Private
+const getMyAuditItems = async (req, res) => {
+  try {
+    const audits = await AssetAudit.find({
+      companyCode: req.user.companyCode,
+      status: 'open',
+      'items.holder': req.user._id
+    })
+      .select('name dueDate notes items')
+      .sort({ dueDate: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      audits: audits.map(audit => {
+        const items = audit.items.filter(item => String(item.holder) === String(req.user._id));
+        return {
+          _id: audit._id,
+          name: audit.name,
+          dueDate: audit.dueDate,
+          notes: audit.notes,
+          pending: items.filter(item => item.status === 'pending').length,
+          items
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get my audit items error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit items',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm (or report a problem with) an asset the user holds
+// @route   POST /api/assets12/my-audits/:id/items/:itemId
+// @access  Private (holder)
+const confirmMyAuditItem = async (req, res) => {
+  try {
+    const result = await recordResponse(req, { holder: req.user._id });
+
+    if (!result.audit) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Audit response recorded successfully',
+      item: result.audit.items.id(req.params.itemId)
+    });
+  } catch (error) {
+    console.error('Confirm audit item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming audit item',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  startAudit,
+  getAudits,
+  getAuditById,
+  recordAuditItem,
+  closeAudit,
+  getMyAuditItems,
+  confirmMyAuditItem
+};
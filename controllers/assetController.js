@@ -1,6 +1,16 @@
 const Asset = require('../models/Asset');
 const User = require('../models/User');
 const Department = require('../models/Department');
+const { syncUserAssets, afterInventoryChange } = require('../services/assetInventory');
+const {
+  depreciationError,
+  depreciationSchedule,
+  currentValue,
+  summarizeLifecycle
+} = require('../services/assetLifecycle');
+
+// Asset as sent to the client, with its current book value
+const withBookValue = (asset) => ({ ...asset.toObject(), value: currentValue(asset) });
 
 // @desc    Get all assets
 // @route   GET /api/assets
@@ -64,7 +74,7 @@ const getAssets = async (req, res) => {
 
     res.json({
       success: true,
-      assets,
+      assets: assets.map(withBookValue),
       pagination: {
         page,
         limit,
@@ -112,7 +122,7 @@ const getAssetById = async (req, res) => {
 
     res.json({
       success: true,
-      asset
+      asset: withBookValue(asset)
     });
   } catch (error) {
     console.error('Get asset by ID error:', error);
@@ -132,12 +142,14 @@ const createAsset = async (req, res) => {
     const {
       name,
       category,
+      assetType,
       model,
       serialNumber,
       assetTag,
       purchaseDate,
       purchaseCost,
       warrantyExpiry,
+      depreciation,
       supplier,
       manufacturer,
       condition,
@@ -148,6 +160,14 @@ const createAsset = async (req, res) => {
       notes
     } = req.body;
 
+    const invalidDepreciation = depreciationError(depreciation, purchaseCost);
+    if (invalidDepreciation) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDepreciation
+      });
+    }
+
     // Check if serial number already exists
     const existingAsset = await Asset.findOne({ serialNumber });
     if (existingAsset) {
@@ -161,12 +181,14 @@ const createAsset = async (req, res) => {
     const asset = await Asset.create({
       name,
       category,
+      assetType,
       model,
       serialNumber,
       assetTag,
       purchaseDate,
       purchaseCost,
       warrantyExpiry,
+      depreciation,
       supplier,
       manufacturer,
       condition,
@@ -186,6 +208,9 @@ const createAsset = async (req, res) => {
       }]
     });
 
+    // New stock goes to waitlisted requests first
+    await afterInventoryChange(asset, { performedBy: req.user._id });
+
     res.status(201).json({
       success: true,
       message: 'Asset created successfully',
@@ -223,6 +248,20 @@ const updateAsset = async (req, res) => {
       });
     }
 
+    // Settings are replaced as a whole, so check whichever ones will be saved
+    const invalidDepreciation = depreciationError(
+      req.body.depreciation || asset.depreciation,
+      req.body.purchaseCost !== undefined ? req.body.purchaseCost : asset.purchaseCost
+    );
+    if (invalidDepreciation) {
+      return res.status(400).json({
+        success: false,
+        message: invalidDepreciation
+      });
+    }
+
+    const previousUser = asset.assignedTo;
+
     // Track changes for history
     const changes = [];
     for (const [key, value] of Object.entries(req.body)) {
@@ -250,6 +289,8 @@ const updateAsset = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await afterInventoryChange(asset, { performedBy: req.user._id, previousUser });
+
     res.json({
       success: true,
       message: 'Asset updated successfully',
@@ -289,6 +330,7 @@ const deleteAsset = async (req, res) => {
 
     // Soft delete or actual delete? For now, actual delete
     await asset.deleteOne();
+    await syncUserAssets(asset.assignedTo);
 
     res.json({
       success: true,
@@ -333,6 +375,11 @@ const bulkDeleteAssets = async (req, res) => {
 
     await Asset.deleteMany({ _id: { $in: assetIds } });
 
+    const holders = [...new Set(assets.filter(asset => asset.assignedTo).map(asset => String(asset.assignedTo)))];
+    for (const userId of holders) {
+      await syncUserAssets(userId);
+    }
+
     res.json({
       success: true,
       message: `${assets.length} assets deleted successfully`
@@ -415,6 +462,7 @@ const assignAsset = async (req, res) => {
     );
 
     await asset.save();
+    await afterInventoryChange(asset, { performedBy: req.user._id });
 
     // Populate for response
     await asset.populate('assignedTo', 'name email employeeId');
@@ -456,6 +504,8 @@ const returnAsset = async (req, res) => {
       });
     }
 
+    const previousUser = asset.assignedTo;
+
     // Update asset
     asset.assignedTo = null;
     asset.assignedDate = null;
@@ -471,6 +521,8 @@ const returnAsset = async (req, res) => {
     );
 
     await asset.save();
+    // Returned stock goes to the next waitlisted request
+    await afterInventoryChange(asset, { performedBy: req.user._id, previousUser });
 
     res.json({
       success: true,
@@ -582,6 +634,7 @@ const completeMaintenance = async (req, res) => {
 
     asset.updatedBy = req.user._id;
     await asset.save();
+    await afterInventoryChange(asset, { performedBy: req.user._id });
 
     res.json({
       success: true,
@@ -629,6 +682,55 @@ const getAssetHistory = async (req, res) => {
   }
 };
 
+// @desc    Get asset depreciation schedule and current book value
+// @route   GET /api/assets/:id/depreciation
+// @access  Private
+const getAssetDepreciation = async (req, res) => {
+  try {
+    const asset = await Asset.findById(req.params.id)
+      .select('name assetTag company purchaseCost purchaseDate depreciation');
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        message: 'Asset not found'
+      });
+    }
+
+    // Check company access
+    if (req.user.role !== 'super-admin' && asset.company !== req.user.companyCode) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asOf date'
+      });
+    }
+
+    const schedule = depreciationSchedule(asset);
+
+    res.json({
+      success: true,
+      depreciated: Boolean(schedule),
+      value: currentValue(asset, asOf),
+      schedule: schedule ? schedule.rows : []
+    });
+  } catch (error) {
+    console.error('Get depreciation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching depreciation',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get asset statistics
 // @route   GET /api/assets/stats
 // @access  Private
@@ -667,18 +769,29 @@ const getAssetStats = async (req, res) => {
       }
     ]);
 
+    // Book values depend on each asset's depreciation settings, so they are summed here
+    const lifecycle = summarizeLifecycle(await Asset.find(query)
+      .select('category status purchaseCost purchaseDate depreciation warrantyExpiry maintenanceRecords.scheduledDate maintenanceRecords.completedDate')
+      .lean());
+    const { byCategory, ...lifecycleStats } = lifecycle;
+
     res.json({
       success: true,
-      stats: stats[0] || {
-        total: 0,
-        available: 0,
-        assigned: 0,
-        maintenance: 0,
-        damaged: 0,
-        retired: 0,
-        totalValue: 0
+      stats: {
+        ...(stats[0] || {
+          total: 0,
+          available: 0,
+          assigned: 0,
+          maintenance: 0,
+          damaged: 0,
+          retired: 0,
+          totalValue: 0
+        }),
+        bookValue: lifecycleStats.bookValue,
+        accumulatedDepreciation: lifecycleStats.accumulatedDepreciation
       },
-      categoryStats
+      categoryStats: categoryStats.map(category => ({ ...category, bookValue: byCategory[category._id] || 0 })),
+      lifecycle: lifecycleStats
     });
   } catch (error) {
     console.error('Get stats error:', error);
@@ -702,5 +815,6 @@ module.exports = {
   scheduleMaintenance,
   completeMaintenance,
   getAssetHistory,
+  getAssetDepreciation,
   getAssetStats
 };
\ No newline at end of file
@@ -10,6 +10,9 @@ const { validateRequest } = require("../middleware/validation");
 const { loginSchema } = require("../validations/authValidation");
 const OTP = require('../models/OTP');
 const emailService = require('../services/emailService');
+const tokenService = require('../services/tokenService');
+const loginProtection = require('../services/loginProtection');
+const twoFactorService = require('../services/twoFactorService');
 
 // Login OTP Model (add this if not exists)
 const LoginOTPSchema = new mongoose.Schema({
@@ -25,54 +28,47 @@ const LoginOTPSchema = new mongoose.Schema({
 LoginOTPSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 const LoginOTP = mongoose.models.LoginOTP || mongoose.model('LoginOTP', LoginOTPSchema);
 
-// Rate limiting store for brute force protection
-const loginAttempts = new Map();
-const MAX_ATTEMPTS = 5;
-const LOCK_TIME = 15 * 60 * 1000; // 15 minutes
-
-// Helper function to generate OTP
+// Helper function to generate OTP (cryptographically secure)
 const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
-// Helper function to track login attempts
-const trackLoginAttempt = (email, success = false) => {
-  if (!loginAttempts.has(email)) {
-    loginAttempts.set(email, { attempts: 0, lockUntil: null });
-  }
-  
-  const data = loginAttempts.get(email);
-  
-  if (success) {
-    // Reset on successful login
-    loginAttempts.delete(email);
-    return { locked: false, remaining: MAX_ATTEMPTS };
-  }
-  
-  // Check if account is locked
-  if (data.lockUntil && data.lockUntil > Date.now()) {
-    return { 
-      locked: true, 
-      lockUntil: data.lockUntil,
-      remaining: 0 
-    };
-  }
-  
-  // Increment failed attempts
-  data.attempts += 1;
-  
-  // Lock account if max attempts reached
-  if (data.attempts >= MAX_ATTEMPTS) {
-    data.lockUntil = Date.now() + LOCK_TIME;
-    data.attempts = 0;
-  }
-  
-  loginAttempts.set(email, data);
-  
-  return { 
-    locked: false, 
-    remaining: MAX_ATTEMPTS - data.attempts 
-  };
+// Login challenge for users with an authenticator app: no email is sent
+const totpChallenge = (res, user, companyCode, companyName) => {
+  const tempToken = jwt.sign(
+    {
+      email: user.email,
+      userId: user._id,
+      purpose: 'login-verification',
+      method: 'totp',
+      companyCode
+    },
+    process.env.JWT_SECRET + '-temp',
+    { expiresIn: '10m' }
+  );
+
+  return res.json({
+    success: true,
+    requiresOTP: true,
+    otpMethod: "totp",
+    message: "Enter the code from your authenticator app",
+    tempToken,
+    email: user.email,
+    companyName
+  });
+};
+
+// Response for a login blocked by an account or IP lockout
+const lockedResponse = (res, lock) => {
+  const lockMinutes = Math.ceil((new Date(lock.lockUntil) - Date.now()) / 60000);
+  return res.status(429).json({
+    success: false,
+    message: lock.scope === 'ip'
+      ? `Too many failed login attempts from your network. Try again in ${lockMinutes} minutes.`
+      : `Account temporarily locked. Try again in ${lockMinutes} minutes.`,
+    errorCode: lock.scope === 'ip' ? "IP_LOCKED" : "ACCOUNT_LOCKED",
+    retryAfter: lock.lockUntil,
+  });
 };
 
 // Reusable error response
@@ -124,6 +120,12 @@ exports.companyLogin = async (req, res) => {
     const cleanEmail = email.toLowerCase().trim();
     const cleanCompanyCode = companyCode.toLowerCase().trim();
 
+    // ✅ Check IP lock before touching any account
+    const ipLock = await loginProtection.checkLock({ ip: req.ip });
+    if (ipLock) {
+      return lockedResponse(res, ipLock);
+    }
+
     // ✅ Find company first
     const company = await Company.findOne({
       $or: [
@@ -175,6 +177,7 @@ exports.companyLogin = async (req, res) => {
 
     if (!user) {
       console.log("❌ User not found for company:", { email: cleanEmail, company: company.companyName });
+      await loginProtection.recordFailure(req, { email: cleanEmail });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password for this company",
@@ -192,47 +195,33 @@ exports.companyLogin = async (req, res) => {
     }
 
     // ✅ Check account lock
-    if (user.lockUntil && user.lockUntil > Date.now()) {
-      const lockMinutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
-      return res.status(429).json({
-        success: false,
-        message: `Account temporarily locked. Try again in ${lockMinutes} minutes.`,
-        errorCode: "ACCOUNT_LOCKED",
-        retryAfter: user.lockUntil,
-      });
+    const accountLock = await loginProtection.checkLock({ userId: user._id });
+    if (accountLock) {
+      return lockedResponse(res, accountLock);
     }
 
     // ✅ Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
-      const updatedAttempts = (user.failedLoginAttempts || 0) + 1;
-      const updateData = {
-        failedLoginAttempts: updatedAttempts,
-      };
+      const { lock, remainingAttempts } = await loginProtection.recordFailure(req, { user, reason: 'password' });
 
-      if (updatedAttempts >= 5) {
-        updateData.lockUntil = Date.now() + 15 * 60 * 1000; // 15 minutes lock
+      if (lock) {
+        return lockedResponse(res, lock);
       }
 
-      await User.findByIdAndUpdate(user._id, updateData);
-
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
         errorCode: "INVALID_CREDENTIALS",
-        remainingAttempts: Math.max(0, 5 - updatedAttempts),
+        remainingAttempts,
       });
     }
 
-    // ✅ Reset failed attempts on successful login
-    await User.findByIdAndUpdate(user._id, {
-      $set: {
-        failedLoginAttempts: 0,
-        lockUntil: null,
-        lastLogin: new Date(),
-      },
-    });
+    // ✅ Authenticator app enrolled: verify with TOTP instead of email
+    if (user.twoFactor?.enabled) {
+      return totpChallenge(res, user, company.companyCode, company.companyName);
+    }
 
     // ✅ Generate OTP for login verification
     const otp = generateOTP();
@@ -277,6 +266,7 @@ exports.companyLogin = async (req, res) => {
     return res.json({
       success: true,
       requiresOTP: true,
+      otpMethod: "email",
       message: "OTP sent to your email",
       tempToken: tempToken,
       email: user.email,
@@ -491,6 +481,12 @@ exports.login = async (req, res) => {
 
     const cleanEmail = email.toLowerCase().trim();
 
+    // ✅ Check IP lock before touching any account
+    const ipLock = await loginProtection.checkLock({ ip: req.ip });
+    if (ipLock) {
+      return lockedResponse(res, ipLock);
+    }
+
     // ✅ Find user
     const user = await User.findOne({ email: cleanEmail })
       .select("+password +isActive +loginAttempts +lockUntil")
@@ -499,6 +495,7 @@ exports.login = async (req, res) => {
 
     if (!user) {
       console.log("❌ User not found:", cleanEmail);
+      await loginProtection.recordFailure(req, { email: cleanEmail });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -516,36 +513,26 @@ exports.login = async (req, res) => {
     }
 
     // ✅ Check account lock
-    if (user.lockUntil && user.lockUntil > Date.now()) {
-      const lockMinutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
-      return res.status(429).json({
-        success: false,
-        message: `Account temporarily locked. Try again in ${lockMinutes} minutes.`,
-        errorCode: "ACCOUNT_LOCKED",
-        retryAfter: user.lockUntil,
-      });
+    const accountLock = await loginProtection.checkLock({ userId: user._id });
+    if (accountLock) {
+      return lockedResponse(res, accountLock);
     }
 
     // ✅ Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
-      const updatedAttempts = (user.failedLoginAttempts || 0) + 1;
-      const updateData = {
-        failedLoginAttempts: updatedAttempts,
-      };
+      const { lock, remainingAttempts } = await loginProtection.recordFailure(req, { user, reason: 'password' });
 
-      if (updatedAttempts >= 5) {
-        updateData.lockUntil = Date.now() + 15 * 60 * 1000; // 15 minutes lock
+      if (lock) {
+        return lockedResponse(res, lock);
       }
 
-      await User.findByIdAndUpdate(user._id, updateData);
-
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
         errorCode: "INVALID_CREDENTIALS",
-        remainingAttempts: Math.max(0, 5 - updatedAttempts),
+        remainingAttempts,
       });
     }
 
@@ -644,13 +631,15 @@ exports.login = async (req, res) => {
       console.log("ℹ️ No company code provided, proceeding with general login");
     }
 
-    // ✅ Reset failed attempts on successful password verification
-    await User.findByIdAndUpdate(user._id, {
-      $set: {
-        failedLoginAttempts: 0,
-        lockUntil: null,
-      },
-    });
+    // ✅ Authenticator app enrolled: verify with TOTP instead of email
+    if (user.twoFactor?.enabled) {
+      return totpChallenge(
+        res,
+        user,
+        user.companyCode || (user.company && user.company.companyCode),
+        user.company?.companyName || "CIIS NETWORK"
+      );
+    }
 
     // ✅ Generate OTP for login verification
     const otp = generateOTP();
@@ -695,6 +684,7 @@ exports.login = async (req, res) => {
     return res.json({
       success: true,
       requiresOTP: true,
+      otpMethod: "email",
       message: "OTP sent to your email",
       tempToken: tempToken,
       email: user.email,
@@ -727,9 +717,9 @@ exports.login = async (req, res) => {
 // ✅ Verify Login OTP
 exports.verifyLoginOTP = async (req, res) => {
   try {
-    const { email, otp, tempToken } = req.body;
+    const { email, otp, tempToken, recoveryCode } = req.body;
 
-    if (!email || !otp || !tempToken) {
+    if (!email || (!otp && !recoveryCode) || !tempToken) {
       return res.status(400).json({
         success: false,
         message: "Email, OTP and tempToken are required"
@@ -755,52 +745,109 @@ exports.verifyLoginOTP = async (req, res) => {
       });
     }
 
-    // ✅ Find and verify OTP
-    const otpRecord = await LoginOTP.findOne({
-      email,
-      otp,
-      tempToken,
-      verified: false
-    });
-
-    if (!otpRecord) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid OTP"
-      });
+    // ✅ Refuse while the account or IP is locked out
+    const lock = await loginProtection.checkLock({ userId: decoded.userId, ip: req.ip });
+    if (lock) {
+      return lockedResponse(res, lock);
     }
 
-    // ✅ Check expiry
-    if (otpRecord.expiresAt < new Date()) {
-      await LoginOTP.deleteOne({ _id: otpRecord._id });
-      return res.status(400).json({
-        success: false,
-        message: "OTP has expired"
-      });
-    }
+    let secondFactor = null;
 
-    // ✅ Check attempts
-    if (otpRecord.attempts >= 3) {
-      await LoginOTP.deleteOne({ _id: otpRecord._id });
-      return res.status(429).json({
-        success: false,
-        message: "Too many failed attempts. Please login again."
+    if (decoded.method === 'totp') {
+      // ✅ Authenticator code or one-time recovery code
+      secondFactor = await twoFactorService.verifySecondFactor(decoded.userId, { code: otp, recoveryCode });
+
+      if (!secondFactor) {
+        const { lock: newLock, remainingAttempts } = await loginProtection.recordFailure(req, {
+          user: { _id: decoded.userId, email },
+          reason: '2FA'
+        });
+
+        if (newLock) {
+          return lockedResponse(res, newLock);
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: recoveryCode ? "Invalid or already used recovery code" : "Invalid authenticator code",
+          errorCode: "INVALID_TOTP",
+          remainingAttempts
+        });
+      }
+    } else {
+      // ✅ Users with an authenticator app cannot fall back to an emailed OTP
+      if (await User.exists({ _id: decoded.userId, 'twoFactor.enabled': true })) {
+        return res.status(401).json({
+          success: false,
+          message: "Use your authenticator app or a recovery code to login",
+          errorCode: "TOTP_REQUIRED"
+        });
+      }
+
+      // ✅ Find the OTP issued for this login session
+      const otpRecord = await LoginOTP.findOne({
+        email,
+        tempToken,
+        verified: false
       });
-    }
 
-    // ✅ Increment attempts
-    otpRecord.attempts += 1;
-    await otpRecord.save();
+      if (!otpRecord) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid OTP"
+        });
+      }
+
+      // ✅ Check expiry
+      if (otpRecord.expiresAt < new Date()) {
+        await LoginOTP.deleteOne({ _id: otpRecord._id });
+        return res.status(400).json({
+          success: false,
+          message: "OTP has expired"
+        });
+      }
+
+      // ✅ Check attempts
+      if (otpRecord.attempts >= 3) {
+        await LoginOTP.deleteOne({ _id: otpRecord._id });
+        return res.status(429).json({
+          success: false,
+          message: "Too many failed attempts. Please login again."
+        });
+      }
+
+      // ✅ Wrong OTP counts against the OTP, the account and the IP
+      if (otpRecord.otp !== String(otp)) {
+        otpRecord.attempts += 1;
+        await otpRecord.save();
+
+        const { lock: newLock } = await loginProtection.recordFailure(req, {
+          user: { _id: decoded.userId, email },
+          reason: 'OTP'
+        });
+
+        if (newLock) {
+          await LoginOTP.deleteOne({ _id: otpRecord._id });
+          return lockedResponse(res, newLock);
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: "Invalid OTP",
+          remainingAttempts: Math.max(0, 3 - otpRecord.attempts)
+        });
+      }
 
-    // ✅ Mark as verified
-    otpRecord.verified = true;
-    await otpRecord.save();
+      // ✅ Mark as verified
+      otpRecord.verified = true;
+      await otpRecord.save();
+    }
 
     // ✅ Get user with populated data
-    const user = await User.findOne({ email })
+    const user = await User.findOne({ _id: decoded.userId, email })
       .select("-password -loginAttempts -lockUntil")
       .populate("department", "name")
-      .populate("company", "companyName companyCode logo companyEmail companyPhone companyAddress");
+      .populate("company", "companyName companyCode logo companyEmail companyPhone companyAddress twoFactorPolicy");
 
     if (!user) {
       return res.status(404).json({
@@ -809,25 +856,33 @@ exports.verifyLoginOTP = async (req, res) => {
       });
     }
 
+    // ✅ Login completed: clear failed attempts and backoff
+    await loginProtection.recordSuccess(req, user._id);
+
+    // ✅ Company requires an authenticator app for this role: enroll before a session is issued
+    if (!user.twoFactor?.enabled && twoFactorService.isTwoFactorRequired(user, user.company)) {
+      await LoginOTP.deleteMany({ email });
+
+      const setupToken = jwt.sign(
+        { userId: user._id, email: user.email, purpose: 'totp-setup' },
+        process.env.JWT_SECRET + '-temp',
+        { expiresIn: '15m' }
+      );
+
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        message: "Your company requires an authenticator app for your role. Set it up to continue.",
+        setupToken
+      });
+    }
+
     // ✅ Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // ✅ Create final token
-    const tokenPayload = {
-      id: user._id.toString(),
-      _id: user._id.toString(),
-      email: user.email,
-      companyCode: user.companyCode || (user.company && user.company.companyCode),
-      role: user.role?._id || user.role,
-      jobRole: user.jobRole,
-    };
-
-    const finalToken = jwt.sign(
-      tokenPayload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || "30d" }
-    );
+    // ✅ Start a device session: access token + single-use refresh token
+    const { token: finalToken, refreshToken, session } = await tokenService.createSession(user, req);
 
     // ✅ Clean up OTP records
     await LoginOTP.deleteMany({ email });
@@ -850,8 +905,10 @@ exports.verifyLoginOTP = async (req, res) => {
       success: true,
       message: "Login successful",
       token: finalToken,
+      refreshToken,
+      sessionId: session._id,
       tokenType: "Bearer",
-      expiresIn: process.env.JWT_EXPIRE || "30d",
+      expiresIn: tokenService.ACCESS_EXPIRE(),
       user: {
         _id: user._id,
         employeeId: user.employeeId,
@@ -873,6 +930,11 @@ exports.verifyLoginOTP = async (req, res) => {
       companyDetails: companyDetails
     };
 
+    // ✅ Signed in with a recovery code: tell the client how many are left
+    if (secondFactor && secondFactor.method === 'recovery_code') {
+      response.recoveryCodesRemaining = secondFactor.recoveryCodesRemaining;
+    }
+
     // ✅ Set HTTP-only cookie
     res.cookie("auth_token", finalToken, {
       httpOnly: true,
@@ -933,6 +995,15 @@ exports.resendLoginOTP = async (req, res) => {
       });
     }
 
+    // ✅ No emailed OTP for users with an authenticator app
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Use your authenticator app or a recovery code to login",
+        errorCode: "TOTP_REQUIRED"
+      });
+    }
+
     // ✅ Delete old OTPs
     await LoginOTP.deleteMany({ email });
 
@@ -1125,32 +1196,23 @@ exports.refreshToken = async (req, res) => {
       return errorResponse(res, 400, "Refresh token is required");
     }
 
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return errorResponse(res, 404, "User not found");
-    }
-
-    // Generate new access token
-    const newToken = jwt.sign(
-      {
-        userId: user._id,
-        email: user.email,
-        role: user.jobRole
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    );
+    // ✅ Rotate: the old refresh token stops working, reusing it revokes the session
+    const { token, refreshToken: newRefreshToken, session } = await tokenService.rotateRefreshToken(refreshToken);
 
     return res.status(200).json({
       success: true,
-      token: newToken,
-      expiresIn: '15m'
+      token,
+      refreshToken: newRefreshToken,
+      sessionId: session._id,
+      expiresIn: tokenService.ACCESS_EXPIRE()
     });
 
   } catch (err) {
     console.error("❌ Refresh token error:", err);
+
+    if (err.code) {
+      return errorResponse(res, 401, err.message, err.code);
+    }
     
     if (err.name === 'JsonWebTokenError') {
       return errorResponse(res, 401, "Invalid refresh token");
@@ -1170,11 +1232,18 @@ exports.logout = async (req, res) => {
     // Clear HTTP-only cookie
     res.clearCookie('auth_token');
     
-    // Optionally blacklist token if using token blacklist
+    // Revoke the access token and end this device's session
     const token = req.headers.authorization?.split(' ')[1];
     if (token) {
-      // Add to blacklist (implement Redis/memory store)
-      await blacklistToken(token, '1d');
+      try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        await tokenService.revokeAccessToken(decoded, 'logout');
+        if (decoded.sid) {
+          await tokenService.revokeSession(decoded.sid, decoded.id || decoded._id, 'logout');
+        }
+      } catch (tokenErr) {
+        // Expired or invalid tokens are already unusable
+      }
     }
 
     return res.status(200).json({
@@ -1188,6 +1257,67 @@ exports.logout = async (req, res) => {
   }
 };
 
+// ✅ Log out of every device
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user._id, 'logout_all');
+    res.clearCookie('auth_token');
+
+    return res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      sessionsRevoked: revoked
+    });
+
+  } catch (err) {
+    console.error("❌ Logout all error:", err);
+    return errorResponse(res, 500, "Server error during logout");
+  }
+};
+
+// ✅ Active device sessions of the logged-in user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await tokenService.listActiveSessions(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: String(session._id) === String(req.tokenSessionId)
+      }))
+    });
+
+  } catch (err) {
+    console.error("❌ Get sessions error:", err);
+    return errorResponse(res, 500, "Server error while fetching sessions");
+  }
+};
+
+// ✅ Log out one device
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return errorResponse(res, 400, "Invalid session ID");
+    }
+
+    const session = await tokenService.revokeSession(req.params.sessionId, req.user._id, 'device_removed');
+
+    if (!session) {
+      return errorResponse(res, 404, "Session not found");
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Device logged out successfully"
+    });
+
+  } catch (err) {
+    console.error("❌ Revoke session error:", err);
+    return errorResponse(res, 500, "Server error while revoking session");
+  }
+};
+
 // ✅ Get Company Details by Identifier
 exports.getCompanyDetailsByIdentifier = async (req, res) => {
   try {
@@ -1301,11 +1431,20 @@ exports.testAPI = async (req, res) => {
         companyLogin: "POST /api/auth/company-login/:companyCode",
         verifyLoginOTP: "POST /api/auth/verify-login-otp",
         resendLoginOTP: "POST /api/auth/resend-login-otp",
+        twoFactorStatus: "GET /api/auth/2fa/status",
+        twoFactorSetup: "POST /api/auth/2fa/setup",
+        twoFactorEnable: "POST /api/auth/2fa/enable",
+        twoFactorDisable: "POST /api/auth/2fa/disable",
+        recoveryCodes: "POST /api/auth/2fa/recovery-codes",
+        twoFactorPolicy: "GET|PUT /api/auth/2fa/policy",
         forgotPassword: "POST /api/auth/forgot-password",
         resetPassword: "POST /api/auth/reset-password",
         verifyEmail: "GET /api/auth/verify-email/:token",
         refreshToken: "POST /api/auth/refresh-token",
         logout: "POST /api/auth/logout",
+        logoutAll: "POST /api/auth/logout-all",
+        sessions: "GET /api/auth/sessions",
+        revokeSession: "DELETE /api/auth/sessions/:sessionId",
         getCompanyDetails: "GET /api/auth/company/:identifier",
         test: "GET /api/auth/test"
       },
@@ -1350,11 +1489,5 @@ const sendWelcomeEmail = async (email, name, companyName) => {
   }
 };
 
-// Helper function to blacklist token
-const blacklistToken = async (token, expiry) => {
-  // Implement your token blacklist logic here
-  // This could use Redis, MongoDB, or in-memory storage
-  console.log(`Token blacklisted: ${token.substring(0, 20)}...`);
-};
 
 console.log("✅ authController.js loaded successfully");
\ No newline at end of file
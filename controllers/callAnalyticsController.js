@@ -0,0 +1,123 @@
+const Company = require("../models/Company");
+const { isCrmManager, dateRange, isValidId } = require("../utils/crmAccess");
+const { toCsv } = require("../utils/csv");
+const { DEFAULT_TIMEZONE } = require("../utils/timezone");
+const {
+  resolveReportAgents,
+  getAgentMetrics,
+  getTeamMetrics,
+  getOutcomeConversion
+} = require("../utils/callAnalytics");
+
+/**
+ * Filters shared by the call reports: ?from=&to= (call start / lead
+ * creation date) and ?department= for managers; agents only see themselves
+ */
+const reportFilters = async (req) => {
+  const companyCode = req.user.companyCode;
+  const { from, to, department } = req.query;
+
+  const company = await Company.findById(req.user.company?._id || req.user.company).select("timezone");
+  const manager = await isCrmManager(req);
+  const agents = await resolveReportAgents({
+    companyCode,
+    department: manager && isValidId(department) ? department : null,
+    agentId: manager ? null : req.user._id
+  });
+
+  return {
+    companyCode,
+    agents,
+    range: dateRange(from, to),
+    timezone: (company && company.timezone) || DEFAULT_TIMEZONE
+  };
+};
+
+const wantsCsv = (req) => String(req.query.format || "").toLowerCase() === "csv";
+
+const sendCsv = (res, name, records) => {
+  const filename = `${name}_${new Date().toISOString().split("T")[0]}.csv`;
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200).send(toCsv(records));
+};
+
+// ✅ Per-agent performance
+exports.getAgentReport = async (req, res) => {
+  try {
+    const filters = await reportFilters(req);
+    const agents = await getAgentMetrics(filters);
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "agent_performance", agents.map(row => ({
+        "Agent": row.name,
+        "Email": row.email,
+        "Calls": row.calls,
+        "Answered": row.answered,
+        "Connect Rate (%)": row.connectRate,
+        "Total Talk Time (s)": row.totalTalkTime,
+        "Avg Talk Time (s)": row.avgTalkTime,
+        "Calls / Hour": row.callsPerHour,
+        "New Leads": row.newLeads,
+        "Leads Contacted": row.leadsContacted,
+        "Avg First Response (min)": row.avgFirstResponseMinutes ?? ""
+      })));
+    }
+
+    res.json({ success: true, timezone: filters.timezone, agents });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Agent report error", error: err.message });
+  }
+};
+
+// ✅ Per-team (department) performance
+exports.getTeamReport = async (req, res) => {
+  try {
+    const filters = await reportFilters(req);
+    const teams = await getTeamMetrics(filters.companyCode, await getAgentMetrics(filters));
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "team_performance", teams.map(row => ({
+        "Department": row.departmentName,
+        "Agents": row.agents,
+        "Calls": row.calls,
+        "Answered": row.answered,
+        "Connect Rate (%)": row.connectRate,
+        "Total Talk Time (s)": row.totalTalkTime,
+        "Avg Talk Time (s)": row.avgTalkTime,
+        "Calls / Hour": row.callsPerHour,
+        "New Leads": row.newLeads,
+        "Leads Contacted": row.leadsContacted,
+        "Avg First Response (min)": row.avgFirstResponseMinutes ?? ""
+      })));
+    }
+
+    res.json({ success: true, timezone: filters.timezone, teams });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Team report error", error: err.message });
+  }
+};
+
+// ✅ Call outcome -> lead stage conversion
+exports.getOutcomeReport = async (req, res) => {
+  try {
+    const outcomes = await getOutcomeConversion(await reportFilters(req));
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "call_outcomes", outcomes.flatMap(row => row.stages.map(stage => ({
+        "Last Call Outcome": row.outcome,
+        "Lead Stage": stage.name,
+        "Leads": stage.leads,
+        "Outcome Leads": row.leads,
+        "Outcome Converted": row.converted,
+        "Outcome Conversion Rate (%)": row.conversionRate
+      }))));
+    }
+
+    res.json({ success: true, outcomes });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Call outcome report error", error: err.message });
+  }
+};
+
+console.log("✅ callAnalyticsController.js loaded successfully");
@@ -1,40 +1,94 @@
 const CallLog = require("../models/CallLog");
+const Lead = require("../models/Lead");
+const {
+  isCrmManager,
+  companyScope,
+  leadScope,
+  agentScope,
+  getPagination,
+  paginationMeta,
+  dateRange,
+  isValidId
+} = require("../utils/crmAccess");
+const { refreshLeadScore } = require("../utils/leadPipeline");
 
 exports.startCall = async (req, res) => {
   try {
     const { leadId } = req.body;
+
+    // Only leads the caller can see may be dialled
+    const lead = await Lead.exists({ _id: leadId, ...(await leadScope(req)) });
+    if (!lead) {
+      return res.status(404).json({ success: false, message: "Lead not found" });
+    }
+
     const call = await CallLog.create({
+      companyCode: req.user.companyCode,
       lead: leadId,
-      agent: req.user.id,
+      agent: req.user._id,
       startTime: new Date(),
     });
-    res.status(201).json(call);
+    res.status(201).json({ success: true, call });
   } catch (err) {
-    res.status(400).json({ msg: "Call start failed", error: err.message });
+    res.status(400).json({ success: false, message: "Call start failed", error: err.message });
   }
 };
 
 exports.endCall = async (req, res) => {
   try {
     const { callId, status, notes } = req.body;
-    const call = await CallLog.findById(callId);
+    const call = await CallLog.findOne({ _id: callId, ...companyScope(req), agent: req.user._id });
+
+    if (!call) {
+      return res.status(404).json({ success: false, message: "Call not found" });
+    }
+    if (call.endTime) {
+      return res.status(400).json({ success: false, message: "Call already ended" });
+    }
+
     call.endTime = new Date();
     call.duration = Math.floor((call.endTime - call.startTime) / 1000); // in seconds
     call.status = status;
     call.notes = notes;
     await call.save();
-    res.json(call);
+
+    // Call outcomes feed the lead score
+    await refreshLeadScore(call.lead);
+
+    res.json({ success: true, call });
   } catch (err) {
-    res.status(400).json({ msg: "Call end failed", error: err.message });
+    res.status(400).json({ success: false, message: "Call end failed", error: err.message });
   }
 };
 
+// Agents get their own calls; managers the company's, filterable by agent
 exports.getAgentCalls = async (req, res) => {
   try {
-    const calls = await CallLog.find({ agent: req.user.id }).populate("lead", "name phone");
-    res.json(calls);
+    const { agent, lead, status, from, to } = req.query;
+    const filter = await agentScope(req);
+
+    if (agent && (await isCrmManager(req)) && isValidId(agent)) filter.agent = agent;
+    if (lead && isValidId(lead)) filter.lead = lead;
+    if (status && status !== "all") filter.status = status;
+
+    const started = dateRange(from, to);
+    if (started) filter.startTime = started;
+
+    const pagination = getPagination(req.query);
+
+    const [calls, total] = await Promise.all([
+      CallLog.find(filter)
+        .populate("lead", "name phone")
+        .populate("agent", "name email")
+        .sort({ startTime: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      CallLog.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, calls, pagination: paginationMeta(pagination, total) });
   } catch (err) {
-    res.status(500).json({ msg: "Error fetching call logs", error: err.message });
+    res.status(500).json({ success: false, message: "Error fetching call logs", error: err.message });
   }
 };
-console.log("✅ callController.js loaded successfully");
\ No newline at end of file
+console.log("✅ callController.js loaded successfully");
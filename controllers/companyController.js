@@ -870,6 +870,7 @@ exports.updateCompany = async (req, res) => {
       "companyPhone",
       "ownerName",
       "logo",
+      "timezone",
       "subscriptionExpiry",
     ];
 
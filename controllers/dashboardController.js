@@ -74,6 +74,7 @@ const CallLog = require("../models/CallLog");
 const Lead = require("../models/Lead");
 const FollowUp = require("../models/Followup");
 const User = require("../models/User");
+const { leadScope, agentScope, dateRange } = require("../utils/crmAccess");
 
 // Add this helper function ABOVE the controller
 function getDateRange(range) {
@@ -114,9 +115,10 @@ exports.getDashboardSummary = async (req, res) => {
   try {
     const { start, end } = getDateRange(req.query.range);
 
-    const callFilter = start && end ? { createdAt: { $gte: start, $lte: end } } : {};
-    const leadFilter = start && end ? { createdAt: { $gte: start, $lte: end } } : {};
-    const followFilter = start && end ? { date: { $gte: start, $lte: end } } : {};
+    // Company data only; agents see their own numbers, managers the whole team's
+    const callFilter = { ...(await agentScope(req)), ...(start && end ? { createdAt: { $gte: start, $lte: end } } : {}) };
+    const leadFilter = { ...(await leadScope(req)), ...(start && end ? { createdAt: { $gte: start, $lte: end } } : {}) };
+    const followFilter = { ...(await agentScope(req)), ...(start && end ? { date: { $gte: start, $lte: end } } : {}) };
 
     const [callsToday, leadsToday, followUpsToday] = await Promise.all([
       CallLog.countDocuments(callFilter),
@@ -161,6 +163,7 @@ exports.getDashboardSummary = async (req, res) => {
     ]);
 
     res.json({
+      success: true,
       range: req.query.range || "all",
       calls: callsToday,
       leads: leadsToday,
@@ -170,7 +173,61 @@ exports.getDashboardSummary = async (req, res) => {
     });
 
   } catch (err) {
-    res.status(500).json({ msg: "Dashboard error", error: err.message });
+    res.status(500).json({ success: false, message: "Dashboard error", error: err.message });
+  }
+};
+
+// ✅ Conversion rates by lead source (leads created in ?from=&to=)
+exports.getConversionReport = async (req, res) => {
+  try {
+    const match = await leadScope(req);
+    const created = dateRange(req.query.from, req.query.to);
+    if (created) match.createdAt = created;
+
+    const rows = await Lead.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $ifNull: ["$source", "unknown"] },
+          leads: { $sum: 1 },
+          converted: { $sum: { $cond: [{ $ifNull: ["$convertedClient", false] }, 1, 0] } },
+          avgScore: { $avg: "$score" },
+          avgDaysToConvert: {
+            $avg: {
+              $cond: [
+                { $ifNull: ["$convertedClient", false] },
+                { $divide: [{ $subtract: ["$convertedAt", "$createdAt"] }, 24 * 60 * 60 * 1000] },
+                null
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { leads: -1 } }
+    ]);
+
+    const rate = (converted, leads) => (leads ? Math.round((converted / leads) * 1000) / 10 : 0);
+    const bySource = rows.map(row => ({
+      source: row._id || "unknown",
+      leads: row.leads,
+      converted: row.converted,
+      conversionRate: rate(row.converted, row.leads),
+      avgScore: Math.round(row.avgScore || 0),
+      avgDaysToConvert: row.avgDaysToConvert === null ? null : Math.round(row.avgDaysToConvert * 10) / 10
+    }));
+
+    const totals = bySource.reduce((sum, row) => ({
+      leads: sum.leads + row.leads,
+      converted: sum.converted + row.converted
+    }), { leads: 0, converted: 0 });
+
+    res.json({
+      success: true,
+      totals: { ...totals, conversionRate: rate(totals.converted, totals.leads) },
+      bySource
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Conversion report error", error: err.message });
   }
 };
 
@@ -40,7 +40,7 @@ exports.createDepartment = async (req, res) => {
     console.log("User department from req.user:", req.user?.department);
     console.log("User jobRole from req.user:", req.user?.jobRole);
     
-    const { name, description } = req.body;
+    const { name, description, head } = req.body;
     const createdBy = req.user ? req.user.id : null;
 
     if (!createdBy) {
@@ -121,6 +121,7 @@ exports.createDepartment = async (req, res) => {
     const department = await Department.create({
       name,
       description,
+      head: head || null,
       company: companyId,
       companyCode,
       createdBy
@@ -1,68 +1,238 @@
 const FollowUp = require("../models/Followup");
+const Lead = require("../models/Lead");
+const Company = require("../models/Company");
+const {
+  isCrmManager,
+  leadScope,
+  agentScope,
+  getPagination,
+  paginationMeta,
+  dateRange,
+  isValidId
+} = require("../utils/crmAccess");
+const { refreshLeadScore } = require("../utils/leadPipeline");
+const {
+  DEFAULT_TIMEZONE,
+  zonedParts,
+  zonedTimeToDate,
+  parseZonedDateTime,
+  startOfZonedDay
+} = require("../utils/timezone");
+
+// Company time zone and reminder / escalation timings
+const loadCompanySettings = async (req) => {
+  const company = await Company.findById(req.user.company?._id || req.user.company).select("timezone followUpPolicy");
+  return {
+    timezone: (company && company.timezone) || DEFAULT_TIMEZONE,
+    reminderMinutes: company?.followUpPolicy?.reminderMinutes ?? 15,
+    escalateAfterMinutes: company?.followUpPolicy?.escalateAfterMinutes ?? 120
+  };
+};
+
+// Date without a zone = wall-clock time in the company's time zone
+const parseFollowUpDate = (value, timezone) => {
+  const date = parseZonedDateTime(value, timezone);
+  if (!date) return { error: "Invalid follow-up date" };
+  if (date <= new Date()) return { error: "Follow-up time must be in the future" };
+  return { date };
+};
 
 exports.createFollowUp = async (req, res) => {
   try {
-    const { leadId, note } = req.body;
+    const { leadId, note, date } = req.body;
 
-    // Auto-set date to tomorrow at 10:00 AM IST
-    const now = new Date();
-    const istOffset = 5.5 * 60 * 60000;
-    const tomorrowIST = new Date(now.getTime() + istOffset);
-    tomorrowIST.setUTCDate(tomorrowIST.getUTCDate() + 1);
-    tomorrowIST.setUTCHours(4, 30, 0, 0); // 10:00 AM IST in UTC
+    const lead = await Lead.exists({ _id: leadId, ...(await leadScope(req)) });
+    if (!lead) {
+      return res.status(404).json({ success: false, message: "Lead not found" });
+    }
+
+    const { timezone } = await loadCompanySettings(req);
+    let followUpDate;
+
+    if (date) {
+      const parsed = parseFollowUpDate(date, timezone);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      followUpDate = parsed.date;
+    } else {
+      // Default: tomorrow at 10:00 company time
+      const tomorrow = zonedParts(startOfZonedDay(new Date(), timezone, 1), timezone);
+      followUpDate = zonedTimeToDate({ ...tomorrow, hour: 10, minute: 0 }, timezone);
+    }
 
     const follow = await FollowUp.create({
+      companyCode: req.user.companyCode,
       lead: leadId,
-      agent: req.user.id,
-      date: new Date(tomorrowIST),
+      agent: req.user._id,
+      date: followUpDate,
       note
     });
 
-    res.status(201).json(follow);
+    await refreshLeadScore(leadId);
+
+    res.status(201).json({ success: true, followUp: follow, timezone });
   } catch (err) {
-    res.status(400).json({ msg: "Error creating follow-up", error: err.message });
+    res.status(400).json({ success: false, message: "Error creating follow-up", error: err.message });
   }
 };
 
 
 exports.getTodayFollowUps = async (req, res) => {
   try {
+    const { timezone } = await loadCompanySettings(req);
+
+    // Today in the company's time zone
     const now = new Date();
+    const today = startOfZonedDay(now, timezone);
+    const tomorrow = startOfZonedDay(now, timezone, 1);
 
-    // Create today's midnight in IST
-    const istOffset = 5.5 * 60 * 60000; // 5.5 hours in ms
-    const localMidnight = new Date(now.getTime() + istOffset);
-    localMidnight.setUTCHours(0, 0, 0, 0);
+    const followUps = await FollowUp.find({
+      companyCode: req.user.companyCode,
+      agent: req.user._id,
+      date: { $gte: today, $lt: tomorrow },
+      status: "pending"
+    })
+      .populate("lead", "name phone")
+      .sort({ date: 1 });
 
-    const todayIST = new Date(localMidnight.getTime() - istOffset);
-    const tomorrowIST = new Date(todayIST);
-    tomorrowIST.setDate(todayIST.getDate() + 1);
+    res.json({ success: true, followUps, timezone });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching follow-ups", error: err.message });
+  }
+};
 
-    console.log("Agent:", req.user.id);
-    console.log("Searching between:", todayIST.toISOString(), "and", tomorrowIST.toISOString());
 
-    const followUps = await FollowUp.find({
-      agent: req.user.id,
-      date: { $gte: todayIST, $lt: tomorrowIST },
-      status: "pending"
-    }).populate("lead", "name phone");
+// Paginated list: agents see their own, managers the company's (filterable by agent)
+exports.getFollowUps = async (req, res) => {
+  try {
+    const { agent, lead, status, from, to, overdue } = req.query;
+    const filter = await agentScope(req);
+
+    if (agent && (await isCrmManager(req)) && isValidId(agent)) filter.agent = agent;
+    if (lead && isValidId(lead)) filter.lead = lead;
+    if (status && status !== "all") filter.status = status;
+
+    const scheduled = dateRange(from, to);
+    if (scheduled) filter.date = scheduled;
+
+    if (overdue === "true") {
+      filter.status = "pending";
+      filter.date = { ...(filter.date || {}), $lt: new Date() };
+    }
 
-    res.json(followUps);
+    const pagination = getPagination(req.query);
+
+    const [followUps, total] = await Promise.all([
+      FollowUp.find(filter)
+        .populate("lead", "name phone status")
+        .populate("agent", "name email")
+        .sort({ date: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      FollowUp.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, followUps, pagination: paginationMeta(pagination, total) });
   } catch (err) {
-    res.status(500).json({ msg: "Error fetching follow-ups", error: err.message });
+    res.status(500).json({ success: false, message: "Error fetching follow-ups", error: err.message });
   }
 };
 
 
 exports.completeFollowUp = async (req, res) => {
     try {
-        const follow = await FollowUp.findByIdAndUpdate(req.params.id, { status: "done" }, { new: true });
-        res.json(follow);
+        if (!isValidId(req.params.id)) {
+            return res.status(404).json({ success: false, message: "Follow-up not found" });
+        }
+
+        const follow = await FollowUp.findOneAndUpdate(
+            { _id: req.params.id, ...(await agentScope(req)) },
+            { status: "done", completedAt: new Date() },
+            { new: true }
+        );
+
+        if (!follow) {
+            return res.status(404).json({ success: false, message: "Follow-up not found" });
+        }
+
+        await refreshLeadScore(follow.lead);
+
+        res.json({ success: true, followUp: follow });
     } catch (err) {
-        res.status(400).json({ msg: "Error completing follow-up", error: err.message });
+        res.status(400).json({ success: false, message: "Error completing follow-up", error: err.message });
     }
 };
 
 
+// Move a pending follow-up to a new time; the reason is kept in its history
+exports.rescheduleFollowUp = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Follow-up not found" });
+    }
+
+    const follow = await FollowUp.findOne({ _id: req.params.id, ...(await agentScope(req)) });
+    if (!follow) {
+      return res.status(404).json({ success: false, message: "Follow-up not found" });
+    }
+    if (follow.status !== "pending") {
+      return res.status(400).json({ success: false, message: "Only pending follow-ups can be rescheduled" });
+    }
+
+    const { timezone } = await loadCompanySettings(req);
+    const parsed = parseFollowUpDate(req.body.date, timezone);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    follow.rescheduleHistory.push({
+      from: follow.date,
+      to: parsed.date,
+      reason: req.body.reason,
+      changedBy: req.user._id
+    });
+    follow.date = parsed.date;
+    // The new time gets its own reminder and escalation
+    follow.reminderSentAt = null;
+    follow.escalatedAt = null;
+    follow.escalatedTo = [];
+    await follow.save();
+
+    await refreshLeadScore(follow.lead);
+
+    res.json({ success: true, followUp: follow, timezone });
+  } catch (err) {
+    res.status(400).json({ success: false, message: "Error rescheduling follow-up", error: err.message });
+  }
+};
+
+exports.getFollowUpSettings = async (req, res) => {
+  try {
+    res.json({ success: true, settings: await loadCompanySettings(req) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching follow-up settings", error: err.message });
+  }
+};
+
+// Reminder lead time and escalation delay (CRM managers only); 0 turns either off
+exports.updateFollowUpSettings = async (req, res) => {
+  try {
+    const update = {};
+    ["reminderMinutes", "escalateAfterMinutes"].forEach(field => {
+      if (req.body[field] !== undefined) update[`followUpPolicy.${field}`] = req.body[field];
+    });
+
+    await Company.updateOne(
+      { _id: req.user.company?._id || req.user.company },
+      { $set: update },
+      { runValidators: true }
+    );
+
+    res.json({ success: true, message: "Follow-up settings updated", settings: await loadCompanySettings(req) });
+  } catch (err) {
+    res.status(400).json({ success: false, message: "Error updating follow-up settings", error: err.message });
+  }
+};
 
-console.log("✅ followupController.js loaded successfully");
\ No newline at end of file
+console.log("✅ followupController.js loaded successfully");
@@ -0,0 +1,63 @@
+const JobRun = require("../models/JobRun");
+const { hasJob, listJobs, startJob, INSTANCE_ID } = require("../utils/jobRunner");
+
+// ✅ All scheduled jobs with last-run status
+exports.getJobs = async (req, res) => {
+  try {
+    res.json({ success: true, instance: INSTANCE_ID, jobs: await listJobs() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to load jobs", error: err.message });
+  }
+};
+
+// ✅ Run history of one job, newest first
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!hasJob(name)) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = { name };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .populate("triggeredBy", "name email")
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      JobRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to load job runs", error: err.message });
+  }
+};
+
+// ✅ Trigger a job now; it runs in the background and shows up in the history
+exports.runJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!hasJob(name)) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const started = await startJob(name, { trigger: "manual", triggeredBy: req.user._id });
+    if (!started) {
+      return res.status(409).json({ success: false, message: "Job is already running" });
+    }
+
+    res.status(202).json({ success: true, message: "Job started", run: started.run });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to start job", error: err.message });
+  }
+};
@@ -1,6 +1,11 @@
 const JobRole = require("../models/JobRole");
 const User = require("../models/User");
 const Department = require("../models/Department");
+const { getRequestAccess, unknownPermissions } = require("../utils/permissions");
+const { roleChain, createsCycle, isReservedRoleName, SUPER_ADMIN_ROLE } = require("../utils/roles");
+
+// Fields of a job role that can be changed after it is created
+const UPDATABLE_FIELDS = ["name", "description", "permissions", "inherits"];
 
 const errorResponse = (res, status, message) => {
   return res.status(status).json({ success: false, message });
@@ -11,14 +16,11 @@ const isSuperAdmin = (user) => {
   if (!user) return false;
   
   // Check if user has super-admin properties
-  const isSuper = user.role === 'super-admin' && 
-                 user.department === 'Management' && 
-                 user.jobRole === 'super_admin';
+  const isSuper = user.jobRole === SUPER_ADMIN_ROLE;
   
   console.log('🔄 Checking super admin:', {
     userId: user._id || user.id,
     name: user.name,
-    role: user.role,
     department: user.department,
     jobRole: user.jobRole,
     isSuper: isSuper
@@ -27,6 +29,53 @@ const isSuperAdmin = (user) => {
   return isSuper;
 };
 
+// Helper: the keys in `permissions` the requester does not hold themselves
+const permissionsNotHeld = async (req, permissions) => {
+  const access = await getRequestAccess(req);
+  return [...new Set(permissions)].filter(key => !access.permissions.includes(key));
+};
+
+// Helper to validate a role's permission keys and parent role.
+// Returns an error message, or null when the settings are valid.
+const validateRoleSettings = async (req, { permissions, inherits }, companyId, roleId = null) => {
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return "Permissions must be an array of permission keys";
+    }
+
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return `Unknown permissions: ${unknown.join(", ")}`;
+    }
+
+    // Nobody can hand out permissions they do not hold themselves
+    const notHeld = await permissionsNotHeld(req, permissions);
+    if (notHeld.length > 0) {
+      return `You cannot grant permissions you do not have: ${notHeld.join(", ")}`;
+    }
+  }
+
+  if (inherits) {
+    const parent = await JobRole.findOne({ _id: inherits, company: companyId, isActive: true });
+    if (!parent) {
+      return "Inherited job role not found in this company";
+    }
+
+    if (roleId && await createsCycle(roleId, inherits)) {
+      return "A job role cannot inherit from itself or from a role that inherits from it";
+    }
+
+    // Inheriting would hand out the parent chain's permissions too
+    const inherited = (await roleChain(parent)).flatMap(role => role.permissions || []);
+    const notHeld = await permissionsNotHeld(req, inherited);
+    if (notHeld.length > 0) {
+      return `You cannot grant permissions you do not have: ${notHeld.join(", ")}`;
+    }
+  }
+
+  return null;
+};
+
 // ✅ Create Job Role
 exports.createJobRole = async (req, res) => {
   try {
@@ -36,7 +85,7 @@ exports.createJobRole = async (req, res) => {
     console.log("📦 Request body:", req.body);
     console.log("👤 Request user from middleware:", req.user);
     
-    const { name, description, department } = req.body;
+    const { name, description, department, permissions, inherits } = req.body;
     const createdBy = req.user ? req.user.id : null;
 
     if (!createdBy) {
@@ -49,9 +98,9 @@ exports.createJobRole = async (req, res) => {
       return errorResponse(res, 400, "Job role name is required");
     }
 
-    if (!department) {
-      console.log("❌ ERROR: Department is required");
-      return errorResponse(res, 400, "Department is required");
+    if (isReservedRoleName(name)) {
+      console.log("❌ ERROR: Reserved job role name:", name);
+      return errorResponse(res, 400, `"${name}" is a reserved role name`);
     }
 
     console.log("🔍 Fetching user from database with ID:", createdBy);
@@ -104,24 +153,33 @@ exports.createJobRole = async (req, res) => {
       companyCode: companyCode
     });
 
-    // Verify department exists and belongs to the same company
-    console.log("🔍 Verifying department...");
-    const departmentExists = await Department.findOne({
-      _id: department,
-      company: companyId,
-      isActive: true
-    });
-    
-    if (!departmentExists) {
-      console.log("❌ ERROR: Department not found or doesn't belong to this company");
-      return errorResponse(res, 404, "Department not found or access denied");
+    // Verify department exists and belongs to the same company (no department = company-wide role)
+    if (department) {
+      console.log("🔍 Verifying department...");
+      const departmentExists = await Department.findOne({
+        _id: department,
+        company: companyId,
+        isActive: true
+      });
+      
+      if (!departmentExists) {
+        console.log("❌ ERROR: Department not found or doesn't belong to this company");
+        return errorResponse(res, 404, "Department not found or access denied");
+      }
+    }
+
+    console.log("🔍 Validating permissions and inherited role...");
+    const settingsError = await validateRoleSettings(req, { permissions, inherits }, companyId);
+    if (settingsError) {
+      console.log("❌ ERROR:", settingsError);
+      return errorResponse(res, 400, settingsError);
     }
 
     // Check if job role already exists in this department and company
     console.log("🔎 Checking if job role already exists...");
     const existingJobRole = await JobRole.findOne({ 
       name: { $regex: new RegExp(`^${name}$`, 'i') },
-      department: department,
+      department: department || null,
       company: companyId,
       isActive: true
     });
@@ -136,7 +194,9 @@ exports.createJobRole = async (req, res) => {
     const jobRole = await JobRole.create({
       name,
       description,
-      department,
+      department: department || null,
+      permissions: permissions || [],
+      inherits: inherits || null,
       company: companyId,
       companyCode,
       createdBy
@@ -264,13 +324,21 @@ exports.updateJobRole = async (req, res) => {
     console.log("👤 Request user:", req.user);
     
     const { id } = req.params;
-    const updateData = req.body;
+    const updateData = {};
+    UPDATABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
     
     if (!req.user) {
       console.log("❌ ERROR: User not authenticated");
       return errorResponse(res, 401, "User not authenticated");
     }
 
+    if (updateData.name !== undefined && (!updateData.name || isReservedRoleName(updateData.name))) {
+      console.log("❌ ERROR: Invalid job role name:", updateData.name);
+      return errorResponse(res, 400, updateData.name ? `"${updateData.name}" is a reserved role name` : "Job role name is required");
+    }
+
     console.log("🔍 Fetching user from database:", req.user.id);
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -321,29 +389,20 @@ exports.updateJobRole = async (req, res) => {
       console.log("✅ User has permission to update this job role");
     }
 
-    // If updating department, verify new department exists and belongs to same company
-    if (updateData.department && updateData.department !== jobRole.department.toString()) {
-      console.log("🔍 Verifying new department...");
-      const newDepartment = await Department.findOne({
-        _id: updateData.department,
-        company: jobRole.company,
-        isActive: true
-      });
-      
-      if (!newDepartment) {
-        console.log("❌ ERROR: New department not found or doesn't belong to same company");
-        return errorResponse(res, 404, "Department not found or access denied");
-      }
+    console.log("🔍 Validating permissions and inherited role...");
+    const settingsError = await validateRoleSettings(req, updateData, jobRole.company, jobRole._id);
+    if (settingsError) {
+      console.log("❌ ERROR:", settingsError);
+      return errorResponse(res, 400, settingsError);
     }
 
     // Check if new name already exists in the same department and company
     if (updateData.name && updateData.name !== jobRole.name) {
-      const departmentId = updateData.department || jobRole.department;
-      console.log("🔍 Checking for duplicate job role name:", updateData.name, "in department:", departmentId);
+      console.log("🔍 Checking for duplicate job role name:", updateData.name, "in department:", jobRole.department);
       
       const existingJobRole = await JobRole.findOne({ 
         name: { $regex: new RegExp(`^${updateData.name}$`, 'i') },
-        department: departmentId,
+        department: jobRole.department || null,
         company: jobRole.company,
         _id: { $ne: id },
         isActive: true
@@ -356,13 +415,6 @@ exports.updateJobRole = async (req, res) => {
       console.log("✅ Job role name is unique in this department");
     }
 
-    // Prevent changing company for non-super admins
-    if (!isSuper) {
-      console.log("⚠️ Removing company fields from update data for regular user");
-      delete updateData.company;
-      delete updateData.companyCode;
-    }
-
     console.log("📝 Updating job role with data:", updateData);
     
     const updatedJobRole = await JobRole.findByIdAndUpdate(
@@ -374,6 +426,12 @@ exports.updateJobRole = async (req, res) => {
     .populate('department', 'name')
     .populate('company', 'name');
 
+    // Users keep the role name in jobRole, so carry a rename over to them
+    if (updateData.name && updateData.name !== jobRole.name) {
+      const renamed = await User.updateMany({ roleId: jobRole._id }, { $set: { jobRole: updatedJobRole.name } });
+      console.log("✏️ Renamed job role on users:", renamed.modifiedCount);
+    }
+
     console.log("✅ Job role updated successfully:", updatedJobRole);
     console.log("========================================");
 
@@ -455,7 +513,7 @@ exports.deleteJobRole = async (req, res) => {
     // Check if job role has active users
     console.log("🔍 Checking if job role has active users...");
     const usersCount = await User.countDocuments({ 
-      jobRole: id, 
+      $or: [{ jobRole: id }, { roleId: id }],
       isActive: true 
     });
     
@@ -466,6 +524,13 @@ exports.deleteJobRole = async (req, res) => {
       return errorResponse(res, 400, "Cannot delete job role with active users");
     }
 
+    // Roles inheriting from this one would silently lose its permissions
+    const childCount = await JobRole.countDocuments({ inherits: id, isActive: true });
+    if (childCount > 0) {
+      console.log("❌ ERROR: Cannot delete job role other roles inherit from");
+      return errorResponse(res, 400, "Cannot delete job role that other job roles inherit from");
+    }
+
     // Soft delete
     console.log("🗑️ Soft deleting job role...");
     jobRole.isActive = false;
@@ -555,14 +620,16 @@ exports.getJobRolesByDepartment = async (req, res) => {
       console.log("✅ User has access to this department");
     }
     
+    // Company-wide roles (no department) are offered in every department
     let query = { 
       isActive: true,
-      department: departmentId 
+      department: { $in: [departmentId, null] },
+      company: department.company
     };
     
     console.log("🔍 Fetching job roles with query:", query);
     const jobRoles = await JobRole.find(query)
-      .select('name description')
+      .select('name description department permissions inherits')
       .sort({ name: 1 });
 
     console.log("✅ Job roles found:", jobRoles.length);
@@ -627,7 +694,7 @@ exports.getJobRolesByDepartmentId = async (req, res) => {
 
     // Build query
     let query = { 
-      department: departmentId,
+      department: { $in: [departmentId, null] },
       isActive: true 
     };
 
@@ -650,7 +717,7 @@ exports.getJobRolesByDepartmentId = async (req, res) => {
 
     console.log("🔍 Fetching job roles with query:", query);
     const jobRoles = await JobRole.find(query)
-      .select('name description')
+      .select('name description department permissions inherits')
       .sort({ name: 1 });
 
     console.log("✅ Job roles found:", jobRoles.length);
@@ -668,4 +735,120 @@ exports.getJobRolesByDepartmentId = async (req, res) => {
   }
 };
 
+// ✅ Assign a job role to users
+exports.assignJobRole = async (req, res) => {
+  try {
+    console.log("========================================");
+    console.log("👥 ASSIGN JOB ROLE REQUEST RECEIVED");
+    console.log("========================================");
+    console.log("📝 Job role ID:", req.params.id);
+    console.log("📦 Request body:", req.body);
+
+    const { id } = req.params;
+    const { userIds } = req.body;
+
+    if (!req.user) {
+      console.log("❌ ERROR: User not authenticated");
+      return errorResponse(res, 401, "User not authenticated");
+    }
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      console.log("❌ ERROR: No users given");
+      return errorResponse(res, 400, "userIds must be a non-empty array");
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      console.log("❌ ERROR: User not found in database");
+      return errorResponse(res, 400, "User not found");
+    }
+
+    const jobRole = await JobRole.findOne({ _id: id, isActive: true });
+    if (!jobRole) {
+      console.log("❌ ERROR: Job role not found");
+      return errorResponse(res, 404, "Job role not found");
+    }
+
+    if (!isSuperAdmin(user) && String(jobRole.company) !== String(user.company)) {
+      console.log("❌ ERROR: User cannot assign this job role - different companies");
+      return errorResponse(res, 403, "You can only assign job roles from your company");
+    }
+
+    // Roles saved before names were reserved must not hand out a built-in name
+    if (isReservedRoleName(jobRole.name)) {
+      console.log("❌ ERROR: Job role has a reserved name:", jobRole.name);
+      return errorResponse(res, 400, `"${jobRole.name}" is a reserved role name; rename the job role first`);
+    }
+
+    // The role grants everything along its inheritance chain; the requester must hold all of it
+    const granted = (await roleChain(jobRole)).flatMap(role => role.permissions || []);
+    const notHeld = await permissionsNotHeld(req, granted);
+    if (notHeld.length > 0) {
+      console.log("❌ ERROR: Job role grants permissions the requester does not have:", notHeld);
+      return errorResponse(res, 403, `You cannot assign a job role with permissions you do not have: ${notHeld.join(", ")}`);
+    }
+
+    // Only employees of the role's company can hold it
+    const users = await User.find({ _id: { $in: userIds }, company: jobRole.company }).select('_id');
+    if (users.length !== new Set(userIds.map(String)).size) {
+      console.log("❌ ERROR: Some users not found in the job role's company");
+      return errorResponse(res, 404, "One or more users not found in this company");
+    }
+
+    const result = await User.updateMany(
+      { _id: { $in: users.map(u => u._id) } },
+      { $set: { roleId: jobRole._id, jobRole: jobRole.name } }
+    );
+
+    console.log("✅ Job role assigned to users:", result.modifiedCount);
+    console.log("========================================");
+
+    return res.status(200).json({
+      success: true,
+      message: "Job role assigned successfully",
+      assigned: users.length,
+      jobRole: { _id: jobRole._id, name: jobRole.name }
+    });
+  } catch (err) {
+    console.error("❌ ASSIGN JOB ROLE ERROR:", err.message);
+    console.error("Error stack:", err.stack);
+    return errorResponse(res, 500, "Failed to assign job role");
+  }
+};
+
+// ✅ Get a job role's permissions including inherited ones
+exports.getJobRolePermissions = async (req, res) => {
+  try {
+    console.log("🔐 GET JOB ROLE PERMISSIONS:", req.params.id);
+
+    if (!req.user) {
+      console.log("❌ ERROR: User not authenticated");
+      return errorResponse(res, 401, "User not authenticated");
+    }
+
+    const jobRole = await JobRole.findOne({ _id: req.params.id, isActive: true }).lean();
+    if (!jobRole) {
+      console.log("❌ ERROR: Job role not found");
+      return errorResponse(res, 404, "Job role not found");
+    }
+
+    if (req.user.jobRole !== SUPER_ADMIN_ROLE && String(jobRole.company) !== String(req.user.company?._id || req.user.company)) {
+      console.log("❌ ERROR: Access denied - job role from another company");
+      return errorResponse(res, 403, "Access denied");
+    }
+
+    const chain = await roleChain(jobRole);
+
+    return res.status(200).json({
+      success: true,
+      jobRole: { _id: jobRole._id, name: jobRole.name, permissions: jobRole.permissions },
+      inherits: chain.slice(1).map(role => ({ _id: role._id, name: role.name, permissions: role.permissions })),
+      permissions: [...new Set(chain.flatMap(role => role.permissions || []))]
+    });
+  } catch (err) {
+    console.error("❌ GET JOB ROLE PERMISSIONS ERROR:", err.message);
+    return errorResponse(res, 500, "Failed to fetch job role permissions");
+  }
+};
+
 console.log("✅ jobRoleController.js loaded successfully");
\ No newline at end of file
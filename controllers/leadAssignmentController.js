@@ -0,0 +1,83 @@
+const User = require("../models/User");
+const Department = require("../models/Department");
+const LeadAssignmentRule = require("../models/LeadAssignmentRule");
+const { resolveAgents } = require("../utils/leadAssignment");
+
+const populateRule = (query) => query
+  .populate("department", "name")
+  .populate("agents", "name email")
+  .populate("sourceRules.agents", "name email");
+
+// All ids must be active users of the company
+const findForeignAgents = async (req, ids) => {
+  const unique = [...new Set(ids.map(String))];
+  if (!unique.length) return [];
+  const users = await User.find({ _id: { $in: unique }, companyCode: req.user.companyCode, isActive: true }).select("_id");
+  return unique.filter(id => !users.some(user => String(user._id) === id));
+};
+
+exports.getRule = async (req, res) => {
+  try {
+    const rule = await populateRule(LeadAssignmentRule.findOne({ companyCode: req.user.companyCode }));
+    res.json({ success: true, rule: rule || { enabled: false, strategy: "round_robin", agents: [], sourceRules: [] } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching assignment rule", error: err.message });
+  }
+};
+
+// Create or update the company's auto-assignment rule (CRM managers only)
+exports.updateRule = async (req, res) => {
+  try {
+    const companyCode = req.user.companyCode;
+    const { enabled, strategy, department, agents, sourceRules } = req.body;
+
+    if (department && !(await Department.exists({ _id: department, companyCode }))) {
+      return res.status(400).json({ success: false, message: "Department not found in your company" });
+    }
+
+    const foreign = await findForeignAgents(req, [
+      ...(agents || []),
+      ...(sourceRules || []).flatMap(sourceRule => sourceRule.agents)
+    ]);
+    if (foreign.length) {
+      return res.status(400).json({ success: false, message: "Some agents are not active users of your company", agents: foreign });
+    }
+
+    const current = await LeadAssignmentRule.findOne({ companyCode });
+    const update = { updatedBy: req.user._id };
+    if (enabled !== undefined) update.enabled = enabled;
+    if (strategy) update.strategy = strategy;
+    if (department !== undefined) update.department = department;
+    if (agents) update.agents = agents;
+    if (sourceRules) {
+      // Keep each source's round-robin position across edits
+      update.sourceRules = sourceRules.map(sourceRule => {
+        const previous = current && current.sourceRules.find(entry => entry.source.toLowerCase() === sourceRule.source.toLowerCase());
+        return { source: sourceRule.source.trim(), agents: sourceRule.agents, cursor: previous ? previous.cursor : 0 };
+      });
+    }
+
+    const rule = await populateRule(LeadAssignmentRule.findOneAndUpdate(
+      { companyCode },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ));
+
+    const pool = await resolveAgents(companyCode, {
+      department: rule.department && rule.department._id,
+      agents: rule.agents.map(agent => agent._id)
+    });
+
+    res.json({
+      success: true,
+      message: "Assignment rule updated",
+      rule,
+      // Warn when the rule cannot assign anything yet
+      agentCount: pool.length
+    });
+  } catch (err) {
+    res.status(400).json({ success: false, message: "Error updating assignment rule", error: err.message });
+  }
+};
+
+console.log("✅ leadAssignmentController.js loaded successfully");
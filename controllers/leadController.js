@@ -1,54 +1,546 @@
 const Lead = require("../models/Lead");
+const CallLog = require("../models/CallLog");
+const FollowUp = require("../models/Followup");
+const User = require("../models/User");
+const Client = require("../HR-CDS/models/Client");
+const Service = require("../HR-CDS/models/Service");
+const {
+  getPipeline,
+  findStage,
+  firstOpenStage,
+  wonStage,
+  normalizeSource,
+  computeLeadScore,
+  initialLeadScore,
+  refreshLeadScore
+} = require("../utils/leadPipeline");
+const { autoAssignLeads } = require("../utils/leadAssignment");
+const { MAX_IMPORT_ROWS, readLeadFile, mapLeadRow } = require("../utils/leadImport");
+const { createLeadSchema } = require("../validations/crmValidation");
+const {
+  isCrmManager,
+  companyScope,
+  leadScope,
+  getPagination,
+  paginationMeta,
+  dateRange,
+  escapeRegex,
+  isValidId
+} = require("../utils/crmAccess");
+
+const LEAD_FIELDS = ["name", "phone", "email", "organization", "city", "source", "status", "servicesOfInterest", "assignedTo"];
+const SORT_FIELDS = ["createdAt", "updatedAt", "name", "status", "score"];
+
+const pick = (body, fields) => fields.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Assignees must be active users of the same company
+const isCompanyUser = (req, userId) => User.exists({ _id: userId, companyCode: req.user.companyCode, isActive: true });
+
+const findScopedLead = async (req) => {
+  if (!isValidId(req.params.id)) return null;
+  return Lead.findOne({ _id: req.params.id, ...(await leadScope(req)) });
+};
+
+const notFound = (res) => res.status(404).json({ success: false, message: "Lead not found" });
+
+// Service names that do not exist for the company
+const findMissingServices = async (req, names) => {
+  if (!names.length) return [];
+  const existing = await Service.find({
+    companyCode: req.user.companyCode.toUpperCase(),
+    servicename: { $in: names }
+  }).select("servicename");
+  return names.filter(name => !existing.some(service => service.servicename === name));
+};
+
+/**
+ * Check stage, source and services against the company's pipeline and
+ * normalise them in place. Returns an error message, or null when valid.
+ */
+const applyPipelineRules = async (req, data, pipeline) => {
+  if (data.status !== undefined) {
+    const stage = findStage(pipeline, data.status);
+    if (!stage) return `Unknown pipeline stage "${data.status}"`;
+    if (stage.type === "won") return "Use the convert action to move a lead into the converted stage";
+    data.status = stage.key;
+  }
+
+  if (data.source) {
+    const source = normalizeSource(pipeline, data.source);
+    if (source === undefined) return `Unknown lead source "${data.source}"`;
+    data.source = source;
+  }
+
+  if (data.servicesOfInterest) {
+    data.servicesOfInterest = [...new Set(data.servicesOfInterest.map(name => name.trim().toLowerCase()))];
+    const missing = await findMissingServices(req, data.servicesOfInterest);
+    if (missing.length) return `Unknown services: ${missing.join(", ")}`;
+  }
+
+  return null;
+};
 
 exports.createLead = async (req, res) => {
   try {
-    const lead = await Lead.create({ ...req.body, createdBy: req.user.id });
-    res.status(201).json(lead);
+    const data = pick(req.body, LEAD_FIELDS);
+
+    // Agents keep the leads they add; managers may hand them to anyone in the company
+    if (!(await isCrmManager(req))) {
+      data.assignedTo = req.user._id;
+    } else if (data.assignedTo && !(await isCompanyUser(req, data.assignedTo))) {
+      return res.status(400).json({ success: false, message: "Assignee not found in your company" });
+    }
+
+    const pipeline = await getPipeline(req.user.companyCode);
+    const invalid = await applyPipelineRules(req, data, pipeline);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    // Unassigned leads go through the company's assignment rule
+    await autoAssignLeads(req.user.companyCode, [data]);
+
+    const lead = await Lead.create({
+      ...data,
+      status: data.status || firstOpenStage(pipeline).key,
+      stageChangedAt: new Date(),
+      company: req.user.company?._id || req.user.company,
+      companyCode: req.user.companyCode,
+      createdBy: req.user._id
+    });
+
+    lead.score = await refreshLeadScore(lead._id, pipeline) ?? lead.score;
+
+    res.status(201).json({ success: true, lead });
   } catch (err) {
-    res.status(400).json({ msg: "Error creating lead", error: err.message });
+    res.status(400).json({ success: false, message: "Error creating lead", error: err.message });
   }
 };
 
 exports.getLeads = async (req, res) => {
-  const filter = {};
-  if (req.query.status) filter.status = req.query.status;
-  if (req.user.role === "agent") filter.assignedTo = req.user.id;
+  try {
+    const { status, source, assignedTo, search, from, to, minScore, sortBy, sortOrder } = req.query;
+    const filter = await leadScope(req);
+
+    if (status && status !== "all") filter.status = status.toLowerCase();
+    if (source) filter.source = source;
+    if (minScore && !isNaN(minScore)) filter.score = { $gte: Number(minScore) };
+    if (assignedTo && (await isCrmManager(req)) && (assignedTo === "unassigned" || isValidId(assignedTo))) {
+      filter.assignedTo = assignedTo === "unassigned" ? null : assignedTo;
+    }
+
+    const created = dateRange(from, to);
+    if (created) filter.createdAt = created;
+
+    if (search && search.trim()) {
+      const regex = new RegExp(escapeRegex(search.trim()), "i");
+      const searchOr = [{ name: regex }, { phone: regex }, { email: regex }, { source: regex }];
+      // Agents already have an $or (their own leads); combine both
+      if (filter.$or) {
+        filter.$and = [{ $or: filter.$or }, { $or: searchOr }];
+        delete filter.$or;
+      } else {
+        filter.$or = searchOr;
+      }
+    }
 
+    const sortField = SORT_FIELDS.includes(sortBy) ? sortBy : "createdAt";
+    const pagination = getPagination(req.query);
+
+    const [leads, total] = await Promise.all([
+      Lead.find(filter)
+        .populate("assignedTo", "name email")
+        .populate("createdBy", "name email")
+        .sort({ [sortField]: sortOrder === "asc" ? 1 : -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Lead.countDocuments(filter)
+    ]);
+
+    res.json({ success: true, leads, pagination: paginationMeta(pagination, total) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching leads", error: err.message });
+  }
+};
+
+exports.getLead = async (req, res) => {
   try {
-    const leads = await Lead.find(filter).populate("assignedTo", "name email");
-    res.json(leads);
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    await lead.populate([
+      { path: "assignedTo", select: "name email" },
+      { path: "createdBy", select: "name email" },
+      { path: "notes.createdBy", select: "name" }
+    ]);
+
+    const pipeline = await getPipeline(req.user.companyCode);
+    const [calls, followUps, scoring] = await Promise.all([
+      CallLog.find({ lead: lead._id, ...companyScope(req) }).populate("agent", "name").sort({ startTime: -1 }).limit(20),
+      FollowUp.find({ lead: lead._id, ...companyScope(req) }).populate("agent", "name").sort({ date: -1 }).limit(20),
+      computeLeadScore(lead, pipeline)
+    ]);
+
+    res.json({
+      success: true,
+      lead,
+      stage: findStage(pipeline, lead.status),
+      scoreBreakdown: scoring.breakdown,
+      calls,
+      followUps
+    });
   } catch (err) {
-    res.status(500).json({ msg: "Error fetching leads", error: err.message });
+    res.status(500).json({ success: false, message: "Error fetching lead", error: err.message });
   }
 };
 
 exports.updateLead = async (req, res) => {
   try {
-    const lead = await Lead.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    res.json(lead);
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    const data = pick(req.body, LEAD_FIELDS);
+
+    if (data.status !== undefined && lead.convertedClient) {
+      return res.status(400).json({ success: false, message: "A converted lead cannot change stage" });
+    }
+
+    const pipeline = await getPipeline(req.user.companyCode);
+    const invalid = await applyPipelineRules(req, data, pipeline);
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
+    }
+
+    if (data.assignedTo !== undefined) {
+      if (!(await isCrmManager(req))) {
+        return res.status(403).json({ success: false, message: "Only CRM managers can reassign leads" });
+      }
+      if (data.assignedTo && !(await isCompanyUser(req, data.assignedTo))) {
+        return res.status(400).json({ success: false, message: "Assignee not found in your company" });
+      }
+    }
+
+    const stageChanged = data.status !== undefined && data.status !== lead.status;
+
+    lead.set(data);
+    if (stageChanged) lead.stageChangedAt = new Date();
+    await lead.save();
+
+    if (stageChanged) {
+      lead.score = await refreshLeadScore(lead._id, pipeline) ?? lead.score;
+    }
+
+    res.json({ success: true, lead });
   } catch (err) {
-    res.status(400).json({ msg: "Error updating lead", error: err.message });
+    res.status(400).json({ success: false, message: "Error updating lead", error: err.message });
   }
 };
 
 exports.assignLead = async (req, res) => {
   const { userId } = req.body;
   try {
-    const lead = await Lead.findByIdAndUpdate(req.params.id, { assignedTo: userId }, { new: true });
-    res.json(lead);
+    if (!(await isCompanyUser(req, userId))) {
+      return res.status(400).json({ success: false, message: "Assignee not found in your company" });
+    }
+
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    lead.assignedTo = userId;
+    await lead.save();
+    await lead.populate("assignedTo", "name email");
+
+    res.json({ success: true, lead });
   } catch (err) {
-    res.status(400).json({ msg: "Assignment failed", error: err.message });
+    res.status(400).json({ success: false, message: "Assignment failed", error: err.message });
   }
 };
 
 exports.addNote = async (req, res) => {
   try {
-    const lead = await Lead.findById(req.params.id);
-    lead.notes.push({ message: req.body.message });
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    lead.notes.push({ message: req.body.message, createdBy: req.user._id });
     await lead.save();
-    res.json(lead);
+    res.json({ success: true, lead });
+  } catch (err) {
+    res.status(400).json({ success: false, message: "Failed to add note", error: err.message });
+  }
+};
+
+exports.deleteLead = async (req, res) => {
+  try {
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    await Promise.all([
+      CallLog.deleteMany({ lead: lead._id, ...companyScope(req) }),
+      FollowUp.deleteMany({ lead: lead._id, ...companyScope(req) }),
+      lead.deleteOne()
+    ]);
+
+    res.json({ success: true, message: "Lead deleted" });
   } catch (err) {
-    res.status(400).json({ msg: "Failed to add note", error: err.message });
+    res.status(500).json({ success: false, message: "Failed to delete lead", error: err.message });
   }
 };
-console.log("✅ leadController.js loaded successfully");
\ No newline at end of file
+
+// ✅ Bulk import from CSV / Excel (file upload, or raw CSV `content`).
+// Rows are validated and deduped by phone / email; `dryRun` only reports.
+exports.importLeads = async (req, res) => {
+  try {
+    const companyCode = req.user.companyCode;
+    const body = req.body || {};
+
+    if (!req.file && !body.content) {
+      return res.status(400).json({ success: false, message: "Upload a CSV / Excel file or send its content" });
+    }
+
+    let rows;
+    try {
+      rows = readLeadFile(req.file, body.content);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, message: "Could not read the file", error: parseError.message });
+    }
+
+    if (!rows.length) {
+      return res.status(400).json({ success: false, message: "The file has no lead rows" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, message: `Import at most ${MAX_IMPORT_ROWS} leads at a time` });
+    }
+
+    const dryRun = ["true", "1"].includes(String(body.dryRun ?? req.query.dryRun));
+    const pipeline = await getPipeline(companyCode);
+    const result = { total: rows.length, imported: 0, assigned: 0, duplicates: [], errors: [] };
+
+    // Row numbers match the spreadsheet, counting the header and any blank lines
+    const candidates = [];
+    const seenPhones = new Map();
+    const seenEmails = new Map();
+
+    for (const row of rows) {
+      const { rowNumber } = row;
+      const { lead, note } = mapLeadRow(row);
+      if (!lead.source && body.source) lead.source = body.source;
+
+      const { error, value } = createLeadSchema.validate(lead);
+      if (error) {
+        result.errors.push({ row: rowNumber, error: error.details[0].message });
+        continue;
+      }
+
+      const invalid = await applyPipelineRules(req, value, pipeline);
+      if (invalid) {
+        result.errors.push({ row: rowNumber, error: invalid });
+        continue;
+      }
+
+      const phoneKey = Lead.normalizePhone(value.phone);
+      const email = value.email ? value.email.toLowerCase() : null;
+      if (!phoneKey && !email) {
+        result.errors.push({ row: rowNumber, error: "A phone number or email is required" });
+        continue;
+      }
+
+      const firstRow = (phoneKey && seenPhones.get(phoneKey)) || (email && seenEmails.get(email));
+      if (firstRow) {
+        result.duplicates.push({ row: rowNumber, reason: `Same phone or email as row ${firstRow}` });
+        continue;
+      }
+      if (phoneKey) seenPhones.set(phoneKey, rowNumber);
+      if (email) seenEmails.set(email, rowNumber);
+
+      candidates.push({ row: rowNumber, data: value, phoneKey, email, note });
+    }
+
+    // Leads the company already has
+    const phoneKeys = candidates.map(candidate => candidate.phoneKey).filter(Boolean);
+    const emails = candidates.map(candidate => candidate.email).filter(Boolean);
+    const existing = candidates.length
+      ? await Lead.find({
+        companyCode,
+        $or: [
+          { phoneKey: { $in: phoneKeys } },
+          // Leads saved before phoneKey existed
+          { phoneKey: null, phone: { $in: candidates.map(candidate => candidate.data.phone).filter(Boolean) } },
+          { email: { $in: emails } }
+        ]
+      }).select("phone email").lean()
+      : [];
+
+    const existingByPhone = new Map(existing.filter(lead => lead.phone).map(lead => [Lead.normalizePhone(lead.phone), lead._id]));
+    const existingByEmail = new Map(existing.filter(lead => lead.email).map(lead => [lead.email, lead._id]));
+
+    const fresh = candidates.filter(candidate => {
+      const leadId = (candidate.phoneKey && existingByPhone.get(candidate.phoneKey))
+        || (candidate.email && existingByEmail.get(candidate.email));
+      if (leadId) {
+        result.duplicates.push({ row: candidate.row, reason: "Lead already exists", leadId });
+        return false;
+      }
+      return true;
+    });
+
+    result.duplicates.sort((a, b) => a.row - b.row);
+
+    if (dryRun) {
+      result.imported = fresh.length;
+      return res.json({ success: true, dryRun: true, message: `${fresh.length} leads ready to import`, result });
+    }
+
+    const now = new Date();
+    const docs = fresh.map(({ data, phoneKey, note }) => {
+      const stage = findStage(pipeline, data.status) || firstOpenStage(pipeline);
+      return {
+        ...data,
+        phoneKey,
+        status: stage.key,
+        stageChangedAt: now,
+        score: initialLeadScore(stage),
+        scoredAt: now,
+        notes: note ? [{ message: note, createdBy: req.user._id }] : [],
+        company: req.user.company?._id || req.user.company,
+        companyCode,
+        createdBy: req.user._id
+      };
+    });
+
+    result.assigned = await autoAssignLeads(companyCode, docs);
+
+    if (docs.length) {
+      try {
+        const inserted = await Lead.insertMany(docs, { ordered: false });
+        result.imported = inserted.length;
+      } catch (insertError) {
+        if (!insertError.writeErrors) throw insertError;
+        result.imported = (insertError.insertedDocs || []).length;
+        insertError.writeErrors.forEach(writeError => {
+          result.errors.push({ row: fresh[writeError.index].row, error: writeError.errmsg || writeError.message });
+        });
+      }
+    }
+
+    console.log(`✅ Lead import for ${companyCode}: ${result.imported} imported, ${result.duplicates.length} duplicates, ${result.errors.length} errors`);
+
+    res.status(201).json({ success: true, message: "Lead import completed", result });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to import leads", error: err.message });
+  }
+};
+
+// Turn a lead into an HR-CDS Client: carries services of interest and notes
+// over, moves the lead to the won stage and links both records
+exports.convertLead = async (req, res) => {
+  let claimed = null;
+  let client = null;
+  let converted = false;
+  try {
+    const lead = await findScopedLead(req);
+    if (!lead) return notFound(res);
+
+    if (lead.convertedClient) {
+      return res.status(400).json({
+        success: false,
+        message: "Lead is already converted",
+        clientId: lead.convertedClient
+      });
+    }
+
+    const pipeline = await getPipeline(req.user.companyCode);
+    const stage = findStage(pipeline, lead.status);
+    if (stage && stage.type === "lost") {
+      return res.status(400).json({ success: false, message: "Move the lead back to an open stage before converting it" });
+    }
+
+    const companyCode = req.user.companyCode.toUpperCase();
+    const clientName = (req.body.client || lead.name).trim();
+    const city = (req.body.city || lead.city || "").trim();
+
+    if (!city) {
+      return res.status(400).json({ success: false, message: "City is required to create the client" });
+    }
+
+    let projectManager = req.body.projectManager;
+    if (!projectManager || projectManager.length === 0) {
+      const owner = lead.assignedTo ? await User.findById(lead.assignedTo).select("name") : null;
+      projectManager = [owner ? owner.name : req.user.name];
+    }
+
+    const services = [...new Set([
+      ...lead.servicesOfInterest,
+      ...(req.body.services || []).map(name => name.trim().toLowerCase())
+    ])];
+    const missingServices = await findMissingServices(req, services);
+    if (missingServices.length) {
+      return res.status(400).json({ success: false, message: "Some services do not exist for this company", missingServices });
+    }
+
+    if (await Client.exists({ client: clientName, companyCode })) {
+      return res.status(400).json({ success: false, message: "Client already exists for this company" });
+    }
+
+    // Claim the lead first so two conversions cannot both create a client
+    claimed = await Lead.findOneAndUpdate(
+      { _id: lead._id, convertedClient: null, convertedAt: null },
+      { $set: { convertedAt: new Date(), convertedBy: req.user._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ success: false, message: "Lead is already being converted" });
+    }
+
+    const notes = lead.notes.map(note => note.message).filter(Boolean).join("\n");
+
+    client = await Client.create({
+      client: clientName,
+      company: (req.body.company || lead.organization || lead.name).trim(),
+      city,
+      companyCode,
+      projectManager,
+      services,
+      status: req.body.status || "Active",
+      email: lead.email || "",
+      phone: lead.phone || "",
+      address: req.body.address || "",
+      description: req.body.description || "",
+      // Client notes are capped at 500 characters; the full history stays on the lead
+      notes: notes.length > 500 ? `${notes.slice(0, 497)}...` : notes,
+      lead: lead._id,
+      leadSource: lead.source
+    });
+
+    claimed.status = wonStage(pipeline).key;
+    claimed.stageChangedAt = claimed.convertedAt;
+    claimed.convertedClient = client._id;
+    claimed.score = 100;
+    claimed.scoredAt = new Date();
+    claimed.notes.push({ message: `Converted to client "${client.client}"`, createdBy: req.user._id });
+    await claimed.save();
+    converted = true;
+
+    console.log(`✅ Lead ${lead._id} converted to client ${client._id} (${companyCode})`);
+
+    res.status(201).json({ success: true, message: "Lead converted to client", lead: claimed, client });
+  } catch (err) {
+    // Undo a half-done conversion and release the claim so it can be retried
+    if (claimed && !converted) {
+      if (client) await Client.deleteOne({ _id: client._id });
+      await Lead.updateOne({ _id: claimed._id }, { $set: { convertedAt: null, convertedBy: null } });
+    }
+
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: "Client already exists for this company" });
+    }
+    if (err.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: "Validation error", error: err.message });
+    }
+    res.status(500).json({ success: false, message: "Failed to convert lead", error: err.message });
+  }
+};
+
+console.log("✅ leadController.js loaded successfully");
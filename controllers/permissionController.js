@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { getRequestAccess, resolvePermissions, listRegistry, SUPER_ADMIN_ROLE } = require("../utils/permissions");
+
+// ✅ The caller's effective permissions and the menu items they come from
+exports.getMyPermissions = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getRequestAccess(req) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to resolve permissions", error: err.message });
+  }
+};
+
+// ✅ Effective permissions of an employee in the caller's company
+exports.getUserPermissions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ success: false, message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("name email jobRole roleId companyRole department company companyCode isActive");
+    if (!user || (req.user.jobRole !== SUPER_ADMIN_ROLE && user.companyCode !== req.user.companyCode)) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: { _id: user._id, name: user.name, email: user.email, jobRole: user.jobRole, isActive: user.isActive },
+        ...(await resolvePermissions(user))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Failed to resolve permissions", error: err.message });
+  }
+};
+
+// ✅ Permission keys, what grants them and the routes they guard
+exports.getRegistry = async (req, res) => {
+  res.json({ success: true, data: listRegistry() });
+};
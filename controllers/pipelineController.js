@@ -0,0 +1,66 @@
+const Lead = require("../models/Lead");
+const LeadPipeline = require("../models/LeadPipeline");
+const { getPipeline } = require("../utils/leadPipeline");
+
+exports.getPipeline = async (req, res) => {
+  try {
+    const pipeline = await getPipeline(req.user.companyCode);
+    res.json({ success: true, pipeline });
+  } catch (err) {
+    res.status(500).json({ success: false, message: "Error fetching pipeline", error: err.message });
+  }
+};
+
+// Replace the company's stages / sources (CRM managers only)
+exports.updatePipeline = async (req, res) => {
+  try {
+    const companyCode = req.user.companyCode;
+    const stages = req.body.stages.map((stage, index) => ({
+      key: stage.key.trim().toLowerCase(),
+      name: stage.name.trim(),
+      type: stage.type,
+      probability: stage.probability,
+      order: index + 1
+    }));
+
+    if (stages.filter(stage => stage.type === "won").length !== 1) {
+      return res.status(400).json({ success: false, message: "The pipeline needs exactly one won (converted) stage" });
+    }
+    if (!stages.some(stage => stage.type === "open")) {
+      return res.status(400).json({ success: false, message: "The pipeline needs at least one open stage" });
+    }
+
+    // Stages that still hold leads cannot be dropped
+    const current = await getPipeline(companyCode);
+    const removed = current.stages.map(stage => stage.key).filter(key => !stages.some(stage => stage.key === key));
+
+    if (removed.length) {
+      const inUse = await Lead.aggregate([
+        { $match: { companyCode, status: { $in: removed } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } }
+      ]);
+
+      if (inUse.length) {
+        return res.status(400).json({
+          success: false,
+          message: "Move leads out of these stages before removing them",
+          stagesInUse: inUse.map(row => ({ key: row._id, leads: row.count }))
+        });
+      }
+    }
+
+    const update = { stages, updatedBy: req.user._id };
+    if (req.body.sources) update.sources = req.body.sources.map(source => source.trim());
+
+    const pipeline = await LeadPipeline.findOneAndUpdate(
+      { companyCode },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ success: true, message: "Pipeline updated", pipeline });
+  } catch (err) {
+    res.status(400).json({ success: false, message: "Error updating pipeline", error: err.message });
+  }
+};
+console.log("✅ pipelineController.js loaded successfully");
@@ -0,0 +1,304 @@
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const Company = require("../models/Company");
+const twoFactorService = require("../services/twoFactorService");
+
+const loadCompany = (user) => Company.findById(user.company?._id || user.company).select("companyName twoFactorPolicy");
+
+// ✅ Two-factor status for the logged-in user
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+    const company = await loadCompany(user);
+
+    return res.json({
+      success: true,
+      twoFactor: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: twoFactorService.isTwoFactorRequired(user, company),
+        recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length
+      }
+    });
+  } catch (error) {
+    console.error("🔥 2FA status error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load two-factor status"
+    });
+  }
+};
+
+// ✅ Start enrollment: new secret + otpauth URI for the QR code
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+        errorCode: "TWO_FACTOR_ALREADY_ENABLED"
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.pendingSecret": twoFactorService.encryptSecret(secret) } }
+    );
+
+    return res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: twoFactorService.buildOtpAuthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error("🔥 2FA setup error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to start two-factor setup"
+    });
+  }
+};
+
+// ✅ Confirm enrollment with a first code; returns the recovery codes once
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authenticator code is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+        errorCode: "TWO_FACTOR_ALREADY_ENABLED"
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first"
+      });
+    }
+
+    const step = twoFactorService.verifyTotp(twoFactorService.decryptSecret(user.twoFactor.pendingSecret), code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authenticator code",
+        errorCode: "INVALID_TOTP"
+      });
+    }
+
+    const { codes, stored } = twoFactorService.generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          "twoFactor.enabled": true,
+          "twoFactor.secret": user.twoFactor.pendingSecret,
+          "twoFactor.lastUsedStep": step,
+          "twoFactor.recoveryCodes": stored,
+          "twoFactor.enabledAt": new Date()
+        },
+        $unset: { "twoFactor.pendingSecret": 1 }
+      }
+    );
+
+    console.log(`✅ Two-factor authentication enabled for ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: req.viaSetupToken
+        ? "Two-factor authentication enabled. Please login again with your authenticator code."
+        : "Two-factor authentication enabled",
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error("🔥 2FA enable error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to enable two-factor authentication"
+    });
+  }
+};
+
+// ✅ Turn 2FA off (password + current code), unless company policy requires it
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and an authenticator or recovery code are required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+    const company = await loadCompany(user);
+
+    if (twoFactorService.isTwoFactorRequired(user, company)) {
+      return res.status(403).json({
+        success: false,
+        message: "Your company requires two-factor authentication for your role",
+        errorCode: "TWO_FACTOR_REQUIRED"
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password",
+        errorCode: "INVALID_CREDENTIALS"
+      });
+    }
+
+    if (!(await twoFactorService.verifySecondFactor(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authenticator or recovery code",
+        errorCode: "INVALID_TOTP"
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false } } }
+    );
+
+    console.log(`⚠️ Two-factor authentication disabled for ${user.email}`);
+
+    return res.json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  } catch (error) {
+    console.error("🔥 2FA disable error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to disable two-factor authentication"
+    });
+  }
+};
+
+// ✅ Replace all recovery codes (requires a current authenticator code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authenticator code is required"
+      });
+    }
+
+    if (!(await twoFactorService.verifySecondFactor(req.user._id, { code }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authenticator code",
+        errorCode: "INVALID_TOTP"
+      });
+    }
+
+    const { codes, stored } = twoFactorService.generateRecoveryCodes();
+    await User.updateOne({ _id: req.user._id }, { $set: { "twoFactor.recoveryCodes": stored } });
+
+    return res.json({
+      success: true,
+      message: "New recovery codes generated; the old ones no longer work",
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error("🔥 Recovery codes error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to generate recovery codes"
+    });
+  }
+};
+
+// ✅ Company 2FA policy (owner only)
+exports.getPolicy = async (req, res) => {
+  try {
+    const company = await loadCompany(req.user);
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found"
+      });
+    }
+
+    return res.json({
+      success: true,
+      policy: {
+        requiredJobRoles: company.twoFactorPolicy?.requiredJobRoles || []
+      }
+    });
+  } catch (error) {
+    console.error("🔥 2FA policy error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to load two-factor policy"
+    });
+  }
+};
+
+exports.updatePolicy = async (req, res) => {
+  try {
+    const { requiredJobRoles } = req.body;
+
+    if (!Array.isArray(requiredJobRoles) || requiredJobRoles.some(role => typeof role !== "string" || !role.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "requiredJobRoles must be an array of job role names"
+      });
+    }
+
+    const roles = [...new Set(requiredJobRoles.map(role => role.trim()))];
+
+    const company = await Company.findByIdAndUpdate(
+      req.user.company?._id || req.user.company,
+      { $set: { "twoFactorPolicy.requiredJobRoles": roles } },
+      { new: true }
+    ).select("twoFactorPolicy");
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: "Company not found"
+      });
+    }
+
+    console.log(`🔐 2FA policy updated for company ${req.user.companyCode}:`, roles);
+
+    return res.json({
+      success: true,
+      message: "Two-factor policy updated",
+      policy: {
+        requiredJobRoles: company.twoFactorPolicy.requiredJobRoles
+      }
+    });
+  } catch (error) {
+    console.error("🔥 2FA policy update error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update two-factor policy"
+    });
+  }
+};
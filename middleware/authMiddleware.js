@@ -1,6 +1,9 @@
 // middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { isAccessTokenRevoked } = require("../services/tokenService");
+const { findRoute, hasPermission, hasRole, PERMISSIONS } = require("../utils/permissions");
+const { isInReportingLine } = require("../services/reportingHierarchy");
 
 // Token verification endpoint
 exports.verify = async (req, res) => {
@@ -35,6 +38,13 @@ exports.verify = async (req, res) => {
       });
     }
 
+    if (await isAccessTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: "Token has been revoked, please log in again"
+      });
+    }
+
     return res.status(200).json({
       success: true,
       user: {
@@ -156,6 +166,15 @@ exports.protect = async (req, res, next) => {
         });
       }
       
+      // Check if token was revoked (logout, device removed, log out all devices)
+      if (await isAccessTokenRevoked(decoded, user)) {
+        console.log("🔒 Token has been revoked");
+        return res.status(401).json({
+          success: false,
+          message: "Token has been revoked, please login again"
+        });
+      }
+      
       // Check if user changed password after token was issued
       if (user.lastPasswordChange && decoded.iat) {
         const changedTimestamp = parseInt(
@@ -179,6 +198,8 @@ exports.protect = async (req, res, next) => {
         name: user.name,
         email: user.email,
         jobRole: user.jobRole,
+        roleId: user.roleId,
+        companyRole: user.companyRole,
         employeeId: user.employeeId,
         phone: user.phone,
         department: user.department,
@@ -192,6 +213,8 @@ exports.protect = async (req, res, next) => {
         createdAt: user.createdAt
       };
       
+      req.tokenSessionId = decoded.sid || null;
+      
       console.log("📋 req.user object attached successfully");
       next();
       
@@ -234,6 +257,56 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Authenticator setup: accepts a normal access token, or the short-lived
+// setup token issued at login when company policy requires 2FA
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  const setupToken = req.body?.setupToken;
+
+  if (!setupToken) {
+    return exports.protect(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(setupToken, process.env.JWT_SECRET + '-temp');
+
+    if (decoded.purpose !== 'totp-setup') {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid setup token"
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "User not found or inactive"
+      });
+    }
+
+    req.user = {
+      _id: user._id,
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      jobRole: user.jobRole,
+      roleId: user.roleId,
+      companyRole: user.companyRole,
+      company: user.company,
+      companyCode: user.companyCode
+    };
+    req.viaSetupToken = true;
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Setup session expired, please login again"
+    });
+  }
+};
+
 exports.isCompanyOwner = async (req, res, next) => {
   try {
     if (!req.user) {
@@ -312,58 +385,121 @@ exports.isCompanyOwner = async (req, res, next) => {
   }
 };
 
-// Role-based authorization (using jobRole instead of role)
+// Role-based authorization: passes when the user's job role, or a company
+// JobRole it inherits from, is one of `roles` (names or permission keys)
 exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized"
+        });
+      }
+
+      const userRole = req.user.jobRole;
+      
+      if (!userRole && !req.user.roleId) {
+        return res.status(403).json({
+          success: false,
+          message: "User role not defined"
+        });
+      }
+      
+      if (!(await hasRole(req, ...roles))) {
+        return res.status(403).json({
+          success: false,
+          message: `User role ${userRole} is not authorized to access this route`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("❌ authorize middleware error:", error);
+      return res.status(500).json({
         success: false,
-        message: "Not authorized"
+        message: "Server error in role validation"
       });
     }
+  };
+};
+
+/**
+ * Permission check; use after protect. With a key, the route needs that
+ * permission. Without one, the route's entry in the registry
+ * (utils/permissions.js) decides, and a route missing from it is refused.
+ */
+exports.requirePermission = (permission) => {
+  if (permission !== undefined && !PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized"
+        });
+      }
+
+      let needed = permission;
+      if (needed === undefined) {
+        const route = findRoute(req.method, `${req.baseUrl}${req.path}`);
+        if (!route) {
+          console.warn(`⚠️ ${req.method} ${req.baseUrl}${req.path} is not in the permission registry`);
+          return res.status(403).json({
+            success: false,
+            message: "You do not have permission to perform this action"
+          });
+        }
+        needed = route.permission;
+      }
+
+      if (!needed || await hasPermission(req, needed)) {
+        return next();
+      }
 
-    // Use jobRole since role field doesn't exist
-    const userRole = req.user.jobRole;
-    
-    if (!userRole) {
       return res.status(403).json({
         success: false,
-        message: "User role not defined"
+        message: "You do not have permission to perform this action",
+        permission: needed
       });
-    }
-    
-    if (!roles.includes(userRole)) {
-      return res.status(403).json({
+    } catch (error) {
+      console.error("❌ requirePermission middleware error:", error);
+      return res.status(500).json({
         success: false,
-        message: `User role ${userRole} is not authorized to access this route`
+        message: "Server error in permission validation"
       });
     }
-
-    next();
   };
 };
 
-// Restrict to certain roles (using jobRole)
+// Restrict to certain roles (job role names, inherited ones included, or permission keys)
 exports.restrictTo = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized"
-      });
-    }
-    
-    // Use jobRole since role field doesn't exist
-    const userRole = (req.user.jobRole || '').toLowerCase();
-    const allowedRoles = roles.map(role => role.toLowerCase());
-    
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized"
+        });
+      }
+      
+      if (!(await hasRole(req, ...roles))) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to perform this action'
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("restrictTo error:", error);
+      return res.status(500).json({
         success: false,
-        error: 'You do not have permission to perform this action'
+        error: 'Server error in role validation'
       });
     }
-    next();
   };
 };
 
@@ -377,9 +513,12 @@ exports.isManagerOfDepartment = async (req, res, next) => {
       });
     }
     
-    const userRole = (req.user.jobRole || '').toLowerCase();
-    
-    if (userRole !== 'manager') {
+    if (!(await hasRole(req, 'manager'))) {
+      return next();
+    }
+
+    // Employees in the manager's reporting line are in scope whatever their department
+    if (req.params.userId && await isInReportingLine(req.user._id, req.params.userId)) {
       return next();
     }
     
@@ -1,6 +1,7 @@
 // socket/middleware/authSocket.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { isAccessTokenRevoked } = require('../services/tokenService');
 
 const authSocket = async (socket, next) => {
   try {
@@ -23,6 +24,11 @@ const authSocket = async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    if (await isAccessTokenRevoked(decoded, user)) {
+      console.log('❌ Socket auth: Token revoked');
+      return next(new Error('Token has been revoked'));
+    }
+
     // Attach user to socket
     socket.user = user;
     socket.userId = user._id.toString();
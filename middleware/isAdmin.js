@@ -1,7 +1,14 @@
-module.exports = (req, res, next) => {
-  if (req.user.role === 'user') {
-    return res.status(403).json({ error: 'Access denied. Only admins or HR allowed.' });
+const { hasRole } = require('../utils/permissions');
+
+// Admins and HR, by job role or a role it inherits from (see hasRole)
+module.exports = async (req, res, next) => {
+  try {
+    if (!(await hasRole(req, 'admin', 'hr'))) {
+      return res.status(403).json({ error: 'Access denied. Only admins or HR allowed.' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ isAdmin middleware error:', error);
+    res.status(500).json({ error: 'Server error in role validation' });
   }
-  next();
 };
-// user ko chod k sare
\ No newline at end of file
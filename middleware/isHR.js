@@ -1,11 +1,14 @@
-module.exports = (req, res, next) => {
-  const allowedRoles = ['hr'];
+const { hasRole } = require('../utils/permissions');
 
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({
-      error: 'Access denied. Only admin or manager allowed.',
-    });
+// HR, by job role or a role it inherits from (see hasRole)
+module.exports = async (req, res, next) => {
+  try {
+    if (!(await hasRole(req, 'hr'))) {
+      return res.status(403).json({ error: 'Access denied. Only HR allowed.' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ isHR middleware error:', error);
+    res.status(500).json({ error: 'Server error in role validation' });
   }
-
-  next();
-};
\ No newline at end of file
+};
@@ -1,12 +1,14 @@
+const { hasRole } = require('../utils/permissions');
 
-module.exports = (req, res, next) => {
-  const allowedRoles = ['admin', 'manager'];
-
-  if (!allowedRoles.includes(req.user.role)) {
-    return res.status(403).json({
-      error: 'Access denied. Only admin or manager allowed.',
-    });
+// Admins and managers, by job role or a role it inherits from (see hasRole)
+module.exports = async (req, res, next) => {
+  try {
+    if (!(await hasRole(req, 'admin', 'manager'))) {
+      return res.status(403).json({ error: 'Access denied. Only admin or manager allowed.' });
+    }
+    next();
+  } catch (error) {
+    console.error('❌ isManager middleware error:', error);
+    res.status(500).json({ error: 'Server error in role validation' });
   }
-
-  next();
 };
@@ -13,6 +13,13 @@ const assetSchema = new mongoose.Schema({
     enum: ['electronics', 'furniture', 'vehicles', 'machinery', 'software', 'office_equipment', 'it_equipment', 'other'],
     default: 'other'
   },
+  // Kind of item employees ask for in an AssetRequest; only typed assets
+  // are handed out when a request is approved
+  assetType: {
+    type: String,
+    enum: ['phone', 'sim', 'laptop', 'desktop', 'headphone', 'tablet', 'vehicle'],
+    default: null
+  },
   model: {
     type: String,
     trim: true
@@ -41,6 +48,43 @@ const assetSchema = new mongoose.Schema({
   warrantyExpiry: {
     type: Date
   },
+  // Book value is derived from these (see services/assetLifecycle.js);
+  // declining balance without a rate uses double the straight-line rate
+  depreciation: {
+    method: {
+      type: String,
+      enum: ['straight_line', 'declining_balance'],
+      default: 'straight_line'
+    },
+    usefulLifeYears: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    salvageValue: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Yearly percentage written off the remaining value (declining balance)
+    rate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    }
+  },
+  // Warranty expiry the last alert was sent for and how many days ahead it was
+  warrantyAlert: {
+    expiry: {
+      type: Date,
+      default: null
+    },
+    days: {
+      type: Number,
+      default: null
+    }
+  },
   supplier: {
     type: String,
     trim: true
@@ -73,10 +117,21 @@ const assetSchema = new mongoose.Schema({
   expectedReturnDate: {
     type: Date
   },
+  // Request the asset is held for between approval and assignment
+  reservedFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssetRequest',
+    default: null
+  },
   department: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Department'
   },
+  // Last time a physical audit confirmed the asset
+  lastAuditedAt: {
+    type: Date,
+    default: null
+  },
 
   // Location
   location: {
@@ -108,7 +163,7 @@ const assetSchema = new mongoose.Schema({
   history: [{
     action: {
       type: String,
-      enum: ['created', 'assigned', 'returned', 'maintenance', 'updated', 'status_changed', 'retired']
+      enum: ['created', 'reserved', 'assigned', 'returned', 'maintenance', 'updated', 'status_changed', 'retired', 'audited']
     },
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -137,7 +192,12 @@ const assetSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    notes: String
+    notes: String,
+    // How many days ahead of scheduledDate the last due alert was sent
+    alertDays: {
+      type: Number,
+      default: null
+    }
   }],
 
   // Metadata
@@ -160,7 +220,10 @@ assetSchema.index({ serialNumber: 1 }, { unique: true });
 assetSchema.index({ assetTag: 1 }, { sparse: true });
 assetSchema.index({ category: 1 });
 assetSchema.index({ assignedTo: 1 });
+assetSchema.index({ companyCode: 1, assetType: 1, status: 1 });
 assetSchema.index({ department: 1 });
+assetSchema.index({ warrantyExpiry: 1 });
+assetSchema.index({ 'maintenanceRecords.scheduledDate': 1 });
 
 // Generate asset tag if not provided
 assetSchema.pre('save', function(next) {
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// What a holder (or the auditor, for assets in stock) reports for an asset
+const ITEM_STATUSES = ['pending', 'confirmed', 'damaged', 'missing', 'not_with_holder'];
+
+const auditItemSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    required: true
+  },
+  // Copied when the audit starts so the report survives asset edits/deletes
+  name: String,
+  assetTag: String,
+  serialNumber: String,
+  expectedLocation: String,
+  // null: the asset is in stock and the auditor confirms it
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ITEM_STATUSES,
+    default: 'pending'
+  },
+  condition: {
+    type: String,
+    enum: ['new', 'excellent', 'good', 'fair', 'poor']
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  remarks: {
+    type: String,
+    trim: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date
+});
+
+const assetAuditSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Audit name is required'],
+    trim: true
+  },
+  companyCode: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Filters the audited assets were picked with (empty: every asset in use)
+  scope: {
+    category: String,
+    department: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    },
+    location: String
+  },
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  items: [auditItemSchema],
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  // Holders with unanswered items were reminded before the due date
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Counts frozen when the audit is closed
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+assetAuditSchema.index({ companyCode: 1, status: 1, createdAt: -1 });
+assetAuditSchema.index({ 'items.holder': 1, status: 1 });
+
+/**
+ * Counts per item status plus the exceptions: every item not confirmed,
+ * with unanswered ones reported as 'unconfirmed'
+ */
+assetAuditSchema.statics.summarize = function(items = []) {
+  const counts = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+
+  const exceptions = items
+    .filter(item => item.status !== 'confirmed')
+    .map(item => ({
+      item: item._id,
+      asset: item.asset,
+      name: item.name,
+      assetTag: item.assetTag,
+      holder: item.holder,
+      exception: item.status === 'pending' ? 'unconfirmed' : item.status,
+      remarks: item.remarks || null
+    }));
+
+  return {
+    total: items.length,
+    ...counts,
+    completion: items.length ? Math.round(((items.length - counts.pending) / items.length) * 100) : 100,
+    exceptions
+  };
+};
+
+assetAuditSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+
+const AssetAudit = mongoose.model('AssetAudit', assetAuditSchema);
+
+module.exports = AssetAudit;
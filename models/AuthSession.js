@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One row per logged-in device; holds the refresh token currently valid for it
+const authSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  userAgent: String,
+  ip: String,
+  // jti of the only refresh token that may be exchanged next (rotation)
+  refreshJti: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'device_removed', 'replaced', 'refresh_token_reuse', null],
+    default: null
+  },
+  // Refresh token expiry; the session is removed once it can no longer be refreshed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authSessionSchema.index({ user: 1, deviceId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -1,6 +1,7 @@
   const mongoose = require("mongoose");
 
   const callLogSchema = new mongoose.Schema({
+    companyCode: { type: String, required: true, index: true },
     lead: { type: mongoose.Schema.Types.ObjectId, ref: "Lead", required: true },
     agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     startTime: { type: Date, default: Date.now },
@@ -14,4 +15,7 @@
     notes: String,
   }, { timestamps: true });
 
+  callLogSchema.index({ companyCode: 1, agent: 1, startTime: -1 });
+  callLogSchema.index({ lead: 1, startTime: 1 });
+
   module.exports = mongoose.model("CallLog", callLogSchema);
@@ -1,6 +1,7 @@
 // models/Company.js
 const mongoose = require("mongoose");
 const validator = require("validator");
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require("../utils/timezone");
 
 const companySchema = new mongoose.Schema(
   {
@@ -95,6 +96,45 @@ const companySchema = new mongoose.Schema(
       default: null,
     },
 
+    // Optional (floating) holidays each employee may pick per year
+    optionalHolidayLimit: {
+      type: Number,
+      default: 2,
+      min: 0,
+    },
+
+    // Job roles that must sign in with an authenticator app (TOTP)
+    twoFactorPolicy: {
+      requiredJobRoles: {
+        type: [String],
+        default: [],
+      },
+    },
+
+    // IANA zone (e.g. "Asia/Kolkata") that follow-up times are entered and shown in
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Please provide a valid time zone",
+      },
+    },
+
+    // CRM follow-ups: remind the agent N minutes before, escalate when overdue this long
+    followUpPolicy: {
+      reminderMinutes: {
+        type: Number,
+        default: 15,
+        min: 0,
+      },
+      escalateAfterMinutes: {
+        type: Number,
+        default: 120,
+        min: 0,
+      },
+    },
+
     subscriptionExpiry: {
       type: Date,
       default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
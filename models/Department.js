@@ -21,6 +21,12 @@ const departmentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Approves leave at the 'department_head' level
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
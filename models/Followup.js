@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 
 const followUpSchema = new mongoose.Schema({
+  companyCode: { type: String, required: true, index: true },
   lead: { type: mongoose.Schema.Types.ObjectId, ref: "Lead", required: true },
   agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   date: { type: Date, required: true },
@@ -9,7 +10,25 @@ const followUpSchema = new mongoose.Schema({
     enum: ["pending", "done"],
     default: "pending"
   },
-  note: String
+  note: String,
+  completedAt: Date,
+  // Cleared on reschedule so the new time gets its own reminder / escalation
+  reminderSentAt: { type: Date, default: null },
+  escalatedAt: { type: Date, default: null },
+  escalatedTo: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+  rescheduleHistory: [
+    {
+      from: Date,
+      to: Date,
+      reason: String,
+      changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      changedAt: { type: Date, default: Date.now }
+    }
+  ]
 }, { timestamps: true });
 
+followUpSchema.index({ companyCode: 1, agent: 1, date: 1, status: 1 });
+followUpSchema.index({ status: 1, reminderSentAt: 1, date: 1 });
+followUpSchema.index({ status: 1, escalatedAt: 1, date: 1 });
+
 module.exports = mongoose.model("FollowUp", followUpSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One document per scheduled job: the cross-instance lock plus its last run
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance holding the lock ("host:pid") until lockedUntil
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // Schedule slot last claimed, so each tick runs on one instance only
+  lastScheduledFor: Date,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ["running", "success", "failed"]
+  },
+  lastError: String,
+  lastDurationMs: Number,
+  lastResult: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
@@ -11,10 +11,11 @@ const jobRoleSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, "Description cannot exceed 200 characters"]
   },
+  // Empty for company-wide roles
   department: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Department",
-    required: true
+    default: null
   },
   company: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,6 +27,17 @@ const jobRoleSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Permission keys from utils/permissions.js
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Role of the same company whose permissions this role also gets
+  inherits: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "JobRole",
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -43,18 +55,19 @@ jobRoleSchema.index({ name: 1, department: 1, company: 1 }, {
   unique: true,
   partialFilterExpression: { isActive: true }
 });
+jobRoleSchema.index({ inherits: 1 });
 
 // Prevent deletion of job roles with active users
 jobRoleSchema.pre('save', async function(next) {
   if (this.isModified('isActive') && !this.isActive) {
     const User = mongoose.model('User');
     const usersCount = await User.countDocuments({ 
-      jobRole: this._id, 
+      $or: [{ jobRole: this._id }, { roleId: this._id }],
       isActive: true 
     });
     
     if (usersCount > 0) {
-      next(new Error('Cannot delete job role with active users'));
+      return next(new Error('Cannot delete job role with active users'));
     }
   }
   next();
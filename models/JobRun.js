@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Run history for scheduled jobs; kept for 30 days
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "startup", "manual"],
+    default: "schedule"
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  instance: String,
+  status: {
+    type: String,
+    enum: ["running", "success", "failed"],
+    default: "running"
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  result: mongoose.Schema.Types.Mixed,
+  error: String
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -1,15 +1,62 @@
 const mongoose = require("mongoose");
 
 const leadSchema = new mongoose.Schema({
-  name: String,
+  // Tenant the lead belongs to; every CRM query is scoped by it
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Company"
+  },
+  companyCode: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
   phone: String,
-  email: String,
+  // Digits-only phone used to spot duplicates (see normalizePhone)
+  phoneKey: {
+    type: String,
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Prospect's organisation and city; carried over to the Client on conversion
+  organization: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
   source: String,       
+  // Key of a stage in the company's LeadPipeline
   status: {
     type: String,
-    enum: ["new", "follow-up", "interested", "not interested", "converted"],
+    trim: true,
+    lowercase: true,
     default: "new",
   },
+  stageChangedAt: Date,
+  // Service names (see Service) the prospect asked about
+  servicesOfInterest: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // 0-100, recomputed from stage, calls and follow-ups
+  score: {
+    type: Number,
+    default: 0
+  },
+  scoredAt: Date,
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
@@ -17,13 +64,45 @@ const leadSchema = new mongoose.Schema({
   notes: [
     {
       message: String,
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       createdAt: { type: Date, default: Date.now }
     }
   ],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
+  },
+  // Set by the convert action
+  convertedClient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client"
+  },
+  convertedAt: Date,
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
   }
 }, { timestamps: true });
 
+leadSchema.index({ companyCode: 1, status: 1, createdAt: -1 });
+leadSchema.index({ companyCode: 1, assignedTo: 1 });
+leadSchema.index({ companyCode: 1, source: 1, convertedAt: 1 });
+leadSchema.index({ companyCode: 1, phoneKey: 1 });
+leadSchema.index({ companyCode: 1, email: 1 });
+
+// "+91 98765-43210", "098765 43210" and "9876543210" are the same number:
+// keep digits only, and the last 10 when a country / trunk prefix is present
+leadSchema.statics.normalizePhone = function (phone) {
+  const digits = String(phone || "").replace(/\D/g, "");
+  if (!digits) return null;
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+leadSchema.pre("save", function (next) {
+  if (this.isModified("phone")) {
+    this.phoneKey = this.constructor.normalizePhone(this.phone);
+  }
+  next();
+});
+
 module.exports = mongoose.model("Lead", leadSchema);
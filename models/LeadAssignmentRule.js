@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const sourceRuleSchema = new mongoose.Schema({
+  // Matched case-insensitively against the lead's source
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  // Round-robin position within this source's agents
+  cursor: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Per-company rule for auto-assigning new leads (manual creation and bulk import)
+const leadAssignmentRuleSchema = new mongoose.Schema({
+  companyCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // round_robin = take turns, workload = fewest open leads,
+  // source = per-source agents (falls back to round robin)
+  strategy: {
+    type: String,
+    enum: ["round_robin", "workload", "source"],
+    default: "round_robin"
+  },
+  // Agent pool: the listed agents, or every active user of the department
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null
+  },
+  agents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  sourceRules: {
+    type: [sourceRuleSchema],
+    default: []
+  },
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("LeadAssignmentRule", leadAssignmentRuleSchema);
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const stageSchema = new mongoose.Schema({
+  // Stored on leads as `status`; stays fixed when the stage is renamed
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // open = still being worked, won = converted into a client, lost = closed
+  type: {
+    type: String,
+    enum: ["open", "won", "lost"],
+    default: "open"
+  },
+  // Chance of closing from this stage (0-100); feeds the lead score
+  probability: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, { _id: false });
+
+// Per-company sales pipeline: the stages a lead moves through and the allowed lead sources
+const leadPipelineSchema = new mongoose.Schema({
+  companyCode: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  stages: {
+    type: [stageSchema],
+    default: []
+  },
+  // When non-empty, leads must use one of these sources
+  sources: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model("LeadPipeline", leadPipelineSchema);
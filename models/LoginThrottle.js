@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one client IP, shared by every server instance
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts so far; each one doubles the next lock period
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: Date,
+  // Pushed forward on every failure; a quiet IP is forgotten
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
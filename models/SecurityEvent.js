@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Audit trail of account protection actions (lockouts and unlocks)
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account_locked', 'ip_locked', 'account_unlocked'],
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  companyCode: {
+    type: String,
+    index: true
+  },
+  email: String,
+  ip: String,
+  userAgent: String,
+  lockUntil: Date,
+  lockoutCount: Number,
+  // Admin who performed the action (unlocks)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ companyCode: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
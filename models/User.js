@@ -56,12 +56,25 @@ const userSchema = new mongoose.Schema({
     required: [true, "Job role is required"],
     default: 'user'
   },
+
+  // Company JobRole the user is assigned; jobRole keeps its name
+  roleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "JobRole",
+    default: null
+  },
   
   companyRole: {
     type: String,
     default: 'employee'
   },
 
+  // Office / branch the employee works from (used for regional holidays)
+  workLocation: {
+    type: String,
+    trim: true
+  },
+
   // ==================== PERSONAL INFORMATION ====================
   phone: String,
   address: String,
@@ -92,6 +105,10 @@ const userSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  // Drives leave pro-rating and probation; falls back to createdAt when unset
+  dateOfJoining: {
+    type: Date
+  },
   
   // ==================== ASSETS ====================
   properties: {
@@ -137,6 +154,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // "Log out all devices": tokens issued before this are rejected
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date
   },
@@ -149,7 +171,42 @@ const userSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
-  
+  // Authenticator app (TOTP) second factor; secrets are stored encrypted
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during setup, kept until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Lockouts since the last successful login; each one doubles the next lock
+  lockoutCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+
   // ==================== STATUS & META ====================
   isActive: {
     type: Boolean,
@@ -184,6 +241,11 @@ currentlyAssignedAssets: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
   },
+  // Acts on this user's pending approvals while they are on leave
+  approvalDelegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
   
   // ==================== DOCUMENTS ====================
   documents: [{
@@ -208,6 +270,7 @@ userSchema.index({ company: 1, email: 1 }, { unique: true });
 
 // For faster queries
 userSchema.index({ company: 1, jobRole: 1 });
+userSchema.index({ roleId: 1 });
 userSchema.index({ company: 1, department: 1 });
 userSchema.index({ company: 1, isActive: 1 });
 userSchema.index({ company: 1, employeeType: 1 });
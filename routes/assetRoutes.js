@@ -6,7 +6,7 @@ console.log("🟢 assetRoutes.js file loaded");
 // DEBUG: Check imports
 console.log("🔍 Checking imports...");
 
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
 const checkCompanyAccess = require('../middleware/companyAuth');
 
 
@@ -30,9 +30,20 @@ const {
   scheduleMaintenance,
   completeMaintenance,
   getAssetHistory,
+  getAssetDepreciation,
   getAssetStats
 } = controllers || {};
 
+const {
+  startAudit,
+  getAudits,
+  getAuditById,
+  recordAuditItem,
+  closeAudit,
+  getMyAuditItems,
+  confirmMyAuditItem
+} = require('../controllers/assetAuditController');
+
 // Simple test route - NO MIDDLEWARE
 router.get('/ping', (req, res) => {
   res.json({ message: 'pong', time: new Date().toISOString() });
@@ -53,6 +64,15 @@ if (getAssetStats) {
   router.get('/stats', (req, res) => res.json({ message: 'stats route - controller missing' }));
 }
 
+// Physical audits (before the /:id routes)
+router.get('/audits', requirePermission('assets.audit'), getAudits);
+router.post('/audits', requirePermission('assets.audit'), startAudit);
+router.get('/audits/:id', requirePermission('assets.audit'), getAuditById);
+router.post('/audits/:id/items/:itemId', requirePermission('assets.audit'), recordAuditItem);
+router.post('/audits/:id/close', requirePermission('assets.audit'), closeAudit);
+router.get('/my-audits', getMyAuditItems);
+router.post('/my-audits/:id/items/:itemId', confirmMyAuditItem);
+
 // Bulk operations
 if (bulkDeleteAssets) {
   router.post('/bulk-delete', bulkDeleteAssets);
@@ -65,6 +85,7 @@ if (returnAsset) router.post('/:id/return', returnAsset);
 if (scheduleMaintenance) router.post('/:id/maintenance', scheduleMaintenance);
 if (completeMaintenance) router.put('/:id/maintenance/:maintenanceId/complete', completeMaintenance);
 if (getAssetHistory) router.get('/:id/history', getAssetHistory);
+if (getAssetDepreciation) router.get('/:id/depreciation', getAssetDepreciation);
 
 // CRUD operations
 if (getAssets) router.get('/', getAssets);
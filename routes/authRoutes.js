@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const twoFactorController = require("../controllers/twoFactorController");
+const { protect, protectTwoFactorSetup, isCompanyOwner } = require("../middleware/authMiddleware");
 
 // ✅ Public routes
 router.post("/register", authController.register);
@@ -11,6 +13,20 @@ router.get("/verify-email/:token", authController.verifyEmail);
 router.post("/refresh-token", authController.refreshToken);
 router.post("/logout", authController.logout);
 
+// ✅ Device sessions (protected)
+router.post("/logout-all", protect, authController.logoutAll);
+router.get("/sessions", protect, authController.getSessions);
+router.delete("/sessions/:sessionId", protect, authController.revokeSession);
+
+// ✅ Authenticator app (TOTP) two-factor
+router.get("/2fa/status", protect, twoFactorController.getStatus);
+router.post("/2fa/setup", protectTwoFactorSetup, twoFactorController.setup);
+router.post("/2fa/enable", protectTwoFactorSetup, twoFactorController.enable);
+router.post("/2fa/disable", protect, twoFactorController.disable);
+router.post("/2fa/recovery-codes", protect, twoFactorController.regenerateRecoveryCodes);
+router.get("/2fa/policy", protect, isCompanyOwner, twoFactorController.getPolicy);
+router.put("/2fa/policy", protect, isCompanyOwner, twoFactorController.updatePolicy);
+
 // ✅ Login OTP Verification Routes (New)
 router.post("/verify-login-otp", authController.verifyLoginOTP);
 router.post("/resend-login-otp", authController.resendLoginOTP);
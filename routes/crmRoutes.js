@@ -0,0 +1,74 @@
+const express = require("express");
+const router = express.Router();
+const leadController = require("../controllers/leadController");
+const callController = require("../controllers/callController");
+const followupController = require("../controllers/followupController");
+const dashboardController = require("../controllers/dashboardController");
+const pipelineController = require("../controllers/pipelineController");
+const assignmentController = require("../controllers/leadAssignmentController");
+const callAnalyticsController = require("../controllers/callAnalyticsController");
+const { protect } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validation");
+const { requireCrmManager } = require("../utils/crmAccess");
+const { uploadSpreadsheet } = require("../HR-CDS/middlewares/uploadMiddleware");
+const {
+  createLeadSchema,
+  updateLeadSchema,
+  assignLeadSchema,
+  noteSchema,
+  startCallSchema,
+  endCallSchema,
+  followUpSchema,
+  rescheduleFollowUpSchema,
+  followUpSettingsSchema,
+  convertLeadSchema,
+  pipelineSchema,
+  assignmentRuleSchema
+} = require("../validations/crmValidation");
+
+// ✅ All CRM routes are company-scoped and require authentication
+router.use(protect);
+
+// ✅ Dashboard
+router.get("/dashboard", dashboardController.getDashboardSummary);
+router.get("/reports/conversion", dashboardController.getConversionReport);
+
+// ✅ Call analytics (?from=&to=&department=&format=csv)
+router.get("/reports/agents", callAnalyticsController.getAgentReport);
+router.get("/reports/teams", requireCrmManager, callAnalyticsController.getTeamReport);
+router.get("/reports/call-outcomes", callAnalyticsController.getOutcomeReport);
+
+// ✅ Pipeline stages & lead sources
+router.get("/pipeline", pipelineController.getPipeline);
+router.put("/pipeline", requireCrmManager, validateRequest(pipelineSchema), pipelineController.updatePipeline);
+
+// ✅ Auto-assignment of new leads
+router.get("/assignment-rules", requireCrmManager, assignmentController.getRule);
+router.put("/assignment-rules", requireCrmManager, validateRequest(assignmentRuleSchema), assignmentController.updateRule);
+
+// ✅ Leads
+router.get("/leads", leadController.getLeads);
+router.post("/leads", validateRequest(createLeadSchema), leadController.createLead);
+router.post("/leads/import", requireCrmManager, uploadSpreadsheet, leadController.importLeads);
+router.get("/leads/:id", leadController.getLead);
+router.put("/leads/:id", validateRequest(updateLeadSchema), leadController.updateLead);
+router.patch("/leads/:id/assign", requireCrmManager, validateRequest(assignLeadSchema), leadController.assignLead);
+router.post("/leads/:id/notes", validateRequest(noteSchema), leadController.addNote);
+router.post("/leads/:id/convert", validateRequest(convertLeadSchema), leadController.convertLead);
+router.delete("/leads/:id", requireCrmManager, leadController.deleteLead);
+
+// ✅ Calls
+router.get("/calls", callController.getAgentCalls);
+router.post("/calls/start", validateRequest(startCallSchema), callController.startCall);
+router.post("/calls/end", validateRequest(endCallSchema), callController.endCall);
+
+// ✅ Follow-ups
+router.get("/followups", followupController.getFollowUps);
+router.get("/followups/today", followupController.getTodayFollowUps);
+router.get("/followups/settings", followupController.getFollowUpSettings);
+router.put("/followups/settings", requireCrmManager, validateRequest(followUpSettingsSchema), followupController.updateFollowUpSettings);
+router.post("/followups", validateRequest(followUpSchema), followupController.createFollowUp);
+router.patch("/followups/:id/complete", followupController.completeFollowUp);
+router.patch("/followups/:id/reschedule", validateRequest(rescheduleFollowUpSchema), followupController.rescheduleFollowUp);
+
+module.exports = router;
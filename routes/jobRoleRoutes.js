@@ -1,10 +1,10 @@
 const express = require("express");
 const router = express.Router();
 const jobRoleController = require("../controllers/jobRoleController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
 
-// Apply authentication to ALL routes
-router.use(protect);
+// Apply authentication to ALL routes; create / update / assign / delete need roles.manage
+router.use(protect, requirePermission());
 
 // Now all routes below will have req.user available
 
@@ -21,6 +21,12 @@ router.get("/department/:departmentId", jobRoleController.getJobRolesByDepartmen
 // Update job role
 router.put("/:id", jobRoleController.updateJobRole);
 
+// Assign job role to users
+router.put("/:id/assign", jobRoleController.assignJobRole);
+
+// Permissions of a job role, inherited ones included
+router.get("/:id/permissions", jobRoleController.getJobRolePermissions);
+
 // Delete job role
 router.delete("/:id", jobRoleController.deleteJobRole);
 
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const { protect, authorize } = require("../middleware/authMiddleware");
+const jobController = require("../controllers/jobController");
+
+// Jobs run across all companies, so only super admins may see or trigger them
+router.use(protect, authorize("super_admin"));
+
+// ✅ LIST JOBS WITH LAST-RUN STATUS
+router.get("/", jobController.getJobs);
+
+// ✅ RUN HISTORY
+router.get("/:name/runs", jobController.getJobRuns);
+
+// ✅ MANUAL TRIGGER
+router.post("/:name/run", jobController.runJob);
+
+module.exports = router;
@@ -1,6 +1,11 @@
   const express = require('express');
   const router = express.Router();
   const MenuAccess = require('../models/MenuAccess');
+  const { protect, requirePermission } = require('../middleware/authMiddleware');
+  const { defaultMenuAccess } = require('../utils/permissions');
+
+  // 🔐 Login required; changes need the menu.manage permission
+  router.use(protect, requirePermission());
 
   // Get menu access for specific department and job role
   router.get('/', async (req, res) => {
@@ -20,7 +25,7 @@
         res.json({
           department,
           jobRole,
-          accessItems: getDefaultAccess(jobRole),
+          accessItems: defaultMenuAccess(jobRole),
           isDefault: true
         });
       }
@@ -32,10 +37,11 @@
   // Save/Update menu access
   router.post('/', async (req, res) => {
     try {
-      const { department, jobRole, accessItems, updatedBy } = req.body;
+      const { department, jobRole, accessItems } = req.body;
+      const updatedBy = req.user._id;
       
       // Validation
-      if (!department || !jobRole || !accessItems || !Array.isArray(accessItems) || !updatedBy) {
+      if (!department || !jobRole || !accessItems || !Array.isArray(accessItems)) {
         return res.status(400).json({ error: 'Missing required fields' });
       }
       
@@ -66,9 +72,10 @@
   router.put('/:id', async (req, res) => {
     try {
       const { id } = req.params;
-      const { accessItems, updatedBy } = req.body;
+      const { accessItems } = req.body;
+      const updatedBy = req.user._id;
       
-      if (!accessItems || !Array.isArray(accessItems) || !updatedBy) {
+      if (!accessItems || !Array.isArray(accessItems)) {
         return res.status(400).json({ error: 'Missing required fields' });
       }
       
@@ -117,16 +124,6 @@
     }
   });
 
-  // Helper function for default access
-  function getDefaultAccess(jobRole) {
-    const defaults = {
-  
-      user: ['dashboard', 'attendance', 'my-leaves', 'my-assets', 'create-task', 'employee-project', 'alerts', 'employee-meeting'],
-     
-    };
-    
-    return defaults[jobRole?.toLowerCase()] || defaults.user;
-  }
 // Simple health check
 router.get('/test', (req, res) => {
   res.json({
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const MenuItem = require('../models/MenuItem');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// 🔐 Login required; changes need the menu.manage permission
+router.use(protect, requirePermission());
 
 // Get all active menu items
 router.get('/', async (req, res) => {
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const permissionController = require("../controllers/permissionController");
+
+router.use(protect, requirePermission());
+
+// ✅ MY EFFECTIVE PERMISSIONS
+router.get("/me", permissionController.getMyPermissions);
+
+// ✅ PERMISSION REGISTRY (menu.manage)
+router.get("/registry", permissionController.getRegistry);
+
+// ✅ ANOTHER EMPLOYEE'S EFFECTIVE PERMISSIONS (permissions.view)
+router.get("/users/:userId", permissionController.getUserPermissions);
+
+module.exports = router;
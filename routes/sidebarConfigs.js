@@ -3,6 +3,10 @@ const express = require('express');
 const router = express.Router();
 const SidebarConfig = require('../models/SidebarConfig');
 const mongoose = require('mongoose');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+
+// 🔐 Login required; everything but /user-config needs the sidebar.manage permission
+router.use(protect, requirePermission());
 
 // ✅ GET all sidebar configs
 router.get('/', async (req, res) => {
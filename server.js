@@ -3,7 +3,6 @@ const dotenv = require("dotenv");
 const cors = require("cors");
 const connectDB = require("./config/db");
 const path = require("path");
-const schedule = require('node-schedule');
 const http = require('http');
 const socketIo = require('socket.io');
 
@@ -20,11 +19,19 @@ app.set("trust proxy", 1);
 // ✅ Connect MongoDB
 connectDB();
 
-// ==================== IMPORT MODELS FOR CRON JOBS ====================
-const Task = require("./HR-CDS/models/Task");
-const Notification = require("./HR-CDS/models/Notification");
-const Attendance = require("./HR-CDS/models/Attendance");
-const User = require("./models/User");
+// ==================== IMPORT SCHEDULED JOBS ====================
+const { defineJob, startJob, startScheduler } = require("./utils/jobRunner");
+const { checkAndMarkOverdueTasks, dailyOverdueSummary } = require("./HR-CDS/cron/overdueTasks");
+const { markPastAbsentRecords, markDailyAbsent } = require("./HR-CDS/cron/attendanceJobs");
+const { assignLegacyHolidays } = require("./HR-CDS/cron/holidayJobs");
+const { runAccrualForAllCompanies, debitPreLedgerLeaves } = require("./HR-CDS/utils/leaveAccrual");
+const { escalateOverdueLeaves } = require("./HR-CDS/utils/leaveApproval");
+const { rescoreLeadsWithOverdueFollowUps } = require("./utils/leadPipeline");
+const { sendFollowUpReminders, escalateMissedFollowUps } = require("./utils/followupReminders");
+const { spawnDueOccurrences } = require("./HR-CDS/utils/taskRecurrence");
+const { wakeSnoozedTasks } = require("./HR-CDS/utils/taskSnooze");
+const { escalateOverdueReviews } = require("./HR-CDS/utils/taskReview");
+const { sendAssetAlerts } = require("./services/assetLifecycle");
 
 // ==================== SOCKET.IO INITIALIZATION ====================
 // Initialize Socket.IO
@@ -66,301 +73,189 @@ const initializeSocket = require('./HR-CDS/socket/index.js');
 // Initialize socket with our configuration
 initializeSocket(io);
 
-// ==================== TASK OVERDUE CRON JOBS ====================
+const attendanceController = require("./HR-CDS/controllers/AttendanceController");
 
-// Function to check and mark overdue tasks
-const checkAndMarkOverdueTasks = async () => {
-  try {
-    console.log('🔄 Running overdue tasks check...');
-    
-    const now = new Date();
-    
-    // Find tasks that are overdue but not marked yet
-    const overdueTasks = await Task.find({
-      dueDateTime: { $lt: now },
-      isActive: true,
-      $or: [
-        { overallStatus: { $in: ['pending', 'in-progress', 'reopen', 'onhold'] } },
-        { 
-          'statusByUser.status': { $in: ['pending', 'in-progress', 'reopen', 'onhold'] }
-        }
-      ]
-    })
-    .populate('assignedUsers', 'name email')
-    .populate('createdBy', 'name email');
-    
-    console.log(`📊 Found ${overdueTasks.length} tasks to check for overdue...`);
-    
-    let markedCount = 0;
-    let notificationCount = 0;
-    
-    for (const task of overdueTasks) {
-      try {
-        const wasUpdated = task.checkAndMarkOverdue();
-        
-        if (wasUpdated) {
-          await task.save();
-          markedCount++;
-          
-          // ✅ FIXED: Send notifications to assigned users with proper error handling
-          for (const assignedUser of task.assignedUsers) {
-            try {
-              // Get user ID properly
-              const userId = assignedUser._id || assignedUser.id || assignedUser;
-              
-              if (!userId) {
-                console.error('❌ Invalid user object:', assignedUser);
-                continue;
-              }
-
-              console.log(`📨 Creating notification for user: ${userId}`);
-
-              // Create notification in database
-              await Notification.create({
-                recipient: userId, // ✅ Using 'recipient' field
-                title: 'Task Marked as Overdue',
-                message: `Task "${task.title}" has been automatically marked as overdue.`,
-                type: 'task_overdue',
-                data: {
-                  taskId: task._id,
-                  taskTitle: task.title,
-                  dueDate: task.dueDateTime,
-                  markedAt: new Date()
-                }
-              });
-              
-              notificationCount++;
-              console.log(`✅ Notification created for user ${userId}`);
-
-              // 🔔 Socket event for real-time notification
-              if (global.io) {
-                global.io.to(`user:${userId}`).emit('notification:new', {
-                  type: 'task_overdue',
-                  title: 'Task Marked as Overdue',
-                  message: `Task "${task.title}" has been automatically marked as overdue.`,
-                  data: {
-                    taskId: task._id,
-                    taskTitle: task.title,
-                    dueDate: task.dueDateTime
-                  }
-                });
-                console.log(`📢 Socket event sent to user:${userId}`);
-              }
-            } catch (notifyError) {
-              console.error(`❌ Error creating notification for user:`, notifyError.message);
-            }
-          }
-        }
-      } catch (taskError) {
-        console.error(`Error processing task ${task._id}:`, taskError);
-      }
-    }
-    
-    console.log(`✅ Overdue tasks check completed:
-      • Tasks Checked: ${overdueTasks.length}
-      • Marked Overdue: ${markedCount}
-      • Notifications Sent: ${notificationCount}
-      • Time: ${new Date().toLocaleString()}`);
-      
-  } catch (error) {
-    console.error('❌ Error in overdue tasks check:', error);
-  }
-};
+// ==================== SCHEDULED JOBS ====================
+// Every job runs through the job runner: a MongoDB lock makes sure only one
+// instance runs each scheduled tick, and every run is kept in the job history
+// (see /api/jobs)
+
+// Check and notify overdue tasks every 30 minutes
+defineJob({
+  name: 'overdue-tasks',
+  cron: '*/30 * * * *',
+  description: 'scheduled overdue tasks check',
+  handler: checkAndMarkOverdueTasks
+});
 
-const attendanceController = require("./HR-CDS/controllers/AttendanceController");
+// Daily overdue summary at 9 AM
+defineJob({
+  name: 'overdue-summary',
+  cron: '0 9 * * *',
+  description: 'daily overdue summary',
+  handler: dailyOverdueSummary
+});
 
+// Absent marking hourly so every shift is picked up once its clock-in window closes
+defineJob({
+  name: 'daily-absent',
+  cron: '30 * * * *',
+  description: 'scheduled daily absent marking',
+  lockMinutes: 60,
+  handler: markDailyAbsent
+});
 
+// Fill in missing attendance for the last 30 days; startup / manual only
+defineJob({
+  name: 'past-absent',
+  cron: null,
+  description: 'past absent marking',
+  lockMinutes: 120,
+  handler: markPastAbsentRecords
+});
 
-// Function for daily summary
-const dailyOverdueSummary = async () => {
-  try {
-    console.log('📊 Running daily overdue summary...');
-    
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    yesterday.setHours(0, 0, 0, 0);
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const overdueTasks = await Task.find({
-      markedOverdueAt: { $gte: yesterday, $lt: today },
-      isActive: true
-    })
-    .populate('assignedUsers', 'name email')
-    .lean();
-    
-    if (overdueTasks.length > 0) {
-      console.log(`📊 Daily Overdue Summary (${yesterday.toDateString()}):
-        • New Overdue Tasks: ${overdueTasks.length}
-        • Affected Users: ${[...new Set(overdueTasks.flatMap(t => t.assignedUsers.map(u => u.name)))].join(', ')}`);
-    } else {
-      console.log('📊 No new overdue tasks for yesterday.');
-    }
-    
-  } catch (error) {
-    console.error('❌ Error in daily summary cron job:', error);
+// Give holidays from before per-company holidays a companyCode; startup / manual only
+defineJob({
+  name: 'legacy-holidays',
+  cron: null,
+  description: 'legacy holiday migration',
+  handler: assignLegacyHolidays
+});
+
+// Escalate leave approvals that have waited too long at one level
+defineJob({
+  name: 'leave-escalation',
+  cron: '0 * * * *',
+  description: 'leave approval escalation',
+  handler: async () => {
+    const result = await escalateOverdueLeaves();
+    console.log(`✅ Leave escalation done: ${result.escalated}/${result.checked} escalated`);
+    return result;
   }
-};
+});
 
-// Function to mark absent for past dates (last 30 days)
-const markPastAbsentRecords = async () => {
-  try {
-    console.log('🔍 Checking for missing past attendance records...');
-    
-    const users = await User.find({});
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Get last 30 days (excluding today)
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - 30);
-    
-    for (const user of users) {
-      // Get existing attendance records for the user in last 30 days
-      const existingAttendances = await Attendance.find({ 
-        user: user._id,
-        date: { $gte: startDate, $lt: today }
-      });
-      
-      // Create a map of existing attendance dates
-      const existingDates = new Set();
-      existingAttendances.forEach(record => {
-        const date = new Date(record.date);
-        date.setHours(0, 0, 0, 0);
-        existingDates.add(date.toISOString());
-      });
-      
-      // Check each day from startDate to yesterday
-      const currentDate = new Date(startDate);
-      while (currentDate < today) {
-        const dateStr = currentDate.toISOString();
-        
-        // Skip weekends
-        const dayOfWeek = currentDate.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        
-        // If no record exists and it's not a weekend, create absent record
-        if (!existingDates.has(dateStr) && !isWeekend) {
-          // Check if it's a future date (shouldn't happen, but just in case)
-          if (currentDate < today) {
-            const absentRecord = new Attendance({
-              user: user._id,
-              date: new Date(currentDate),
-              status: 'ABSENT',
-              isClockedIn: false,
-              notes: 'Auto-marked absent (no attendance recorded)'
-            });
-            
-            await absentRecord.save();
-
-            // 🔔 Socket event for attendance notification
-            if (global.io) {
-              global.io.to(`user:${user._id}`).emit('attendance:marked', {
-                type: 'attendance_absent',
-                message: 'You were marked absent for ' + currentDate.toLocaleDateString(),
-                data: {
-                  date: currentDate,
-                  status: 'ABSENT'
-                }
-              });
-            }
-          }
-        }
-        
-        currentDate.setDate(currentDate.getDate() + 1);
-      }
-    }
-    
-    console.log('✅ Past absent marking completed');
-  } catch (error) {
-    console.error('❌ Error in past absent marking:', error);
+// Credit leave accruals (and close the previous leave year) shortly after midnight
+defineJob({
+  name: 'leave-accrual',
+  cron: '15 0 * * *',
+  description: 'scheduled leave accrual',
+  lockMinutes: 60,
+  handler: async () => {
+    const result = await runAccrualForAllCompanies();
+    console.log(`✅ Leave accrual done: ${result.usersSynced} users in ${result.companies} companies`);
+    return result;
   }
-};
+});
 
-// Function to mark absent for today (for users who haven't clocked in by 10:00 AM)
-const markDailyAbsent = async () => {
-  try {
-    console.log('🔍 Running daily absent marking job...');
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    // Get all users
-    const users = await User.find({});
-    
-    for (const user of users) {
-      // Check if attendance exists for today
-      const existingAttendance = await Attendance.findOne({
-        user: user._id,
-        date: { $gte: today, $lt: tomorrow }
-      });
-      
-      // If no attendance exists, create absent record
-      if (!existingAttendance) {
-        const dayOfWeek = today.getDay();
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        
-        if (!isWeekend) {
-          const absentRecord = new Attendance({
-            user: user._id,
-            date: today,
-            status: 'ABSENT',
-            isClockedIn: false,
-            notes: 'Auto-marked absent (no attendance recorded today)'
-          });
-          
-          await absentRecord.save();
-
-          // 🔔 Socket event for today's absent marking
-          if (global.io) {
-            global.io.to(`user:${user._id}`).emit('attendance:marked', {
-              type: 'attendance_absent',
-              message: 'You have been marked absent for today',
-              data: {
-                date: today,
-                status: 'ABSENT'
-              }
-            });
-          }
-        }
-      }
+// Debit approved leaves from before the leave ledger existed; startup / manual only
+defineJob({
+  name: 'leave-ledger-backfill',
+  cron: null,
+  description: 'leave ledger backfill',
+  handler: () => debitPreLedgerLeaves()
+});
+
+// Lower the score of leads whose follow-ups went overdue
+defineJob({
+  name: 'lead-rescoring',
+  cron: '45 0 * * *',
+  description: 'lead rescoring',
+  handler: async () => {
+    const result = await rescoreLeadsWithOverdueFollowUps();
+    console.log(`✅ Lead rescoring done: ${result.rescored} leads`);
+    return result;
+  }
+});
+
+// Follow-up reminders and missed follow-up escalation; runs every minute,
+// so it only logs when something was sent
+defineJob({
+  name: 'followup-reminders',
+  cron: '* * * * *',
+  description: 'follow-up reminders',
+  lockMinutes: 5,
+  quiet: true,
+  handler: async () => {
+    const reminders = await sendFollowUpReminders();
+    const escalations = await escalateMissedFollowUps();
+    if (reminders.sent || escalations.escalated) {
+      console.log(`✅ Follow-ups: ${reminders.sent} reminders sent, ${escalations.escalated} escalated`);
     }
-    
-    console.log('✅ Daily absent marking completed');
-  } catch (error) {
-    console.error('❌ Error in absent marking job:', error);
+    return { ...reminders, ...escalations };
   }
-};
+});
 
-// ==================== SCHEDULE CRON JOBS ====================
+// Create recurring task occurrences that fall due within the next day
+defineJob({
+  name: 'recurring-tasks',
+  cron: '*/15 * * * *',
+  description: 'recurring task spawn',
+  handler: async () => {
+    const result = await spawnDueOccurrences();
+    console.log(`✅ Recurring tasks done: ${result.created} occurrences created, ${result.ended} series ended`);
+    return result;
+  }
+});
 
-// Schedule overdue check every 30 minutes
-schedule.scheduleJob('*/30 * * * *', async () => {
-  console.log('⏰ Running scheduled overdue tasks check...');
-  await checkAndMarkOverdueTasks();
+// Wake snoozed tasks whose snooze has ended; runs every 5 minutes,
+// so it only logs when something woke up
+defineJob({
+  name: 'snooze-wakeup',
+  cron: '*/5 * * * *',
+  description: 'snooze wake-up',
+  lockMinutes: 5,
+  quiet: true,
+  handler: async () => {
+    const result = await wakeSnoozedTasks();
+    if (result.woken) {
+      console.log(`✅ Snoozed tasks woken: ${result.woken}`);
+    }
+    return result;
+  }
 });
 
-// Schedule daily summary at 9 AM
-schedule.scheduleJob('0 9 * * *', async () => {
-  console.log('⏰ Running daily overdue summary...');
-  await dailyOverdueSummary();
+// Every 15 minutes: remind reviewers and escalate tasks past their review SLA
+defineJob({
+  name: 'review-sla',
+  cron: '*/15 * * * *',
+  description: 'review SLA escalation',
+  lockMinutes: 10,
+  quiet: true,
+  handler: async () => {
+    const result = await escalateOverdueReviews();
+    if (result.escalated) {
+      console.log(`⚠️ Task reviews escalated: ${result.escalated}`);
+    }
+    return result;
+  }
 });
 
-// Schedule daily job to run at 10:30 AM every day
-schedule.scheduleJob('30 10 * * *', async () => {
-  console.log('⏰ Running scheduled daily absent marking...');
-  await markDailyAbsent();
+// Daily at 08:00: warranty / maintenance due alerts and audit reminders
+defineJob({
+  name: 'asset-alerts',
+  cron: '0 8 * * *',
+  description: 'asset lifecycle alerts',
+  lockMinutes: 30,
+  handler: async () => {
+    const result = await sendAssetAlerts();
+    console.log(`✅ Asset alerts: ${result.warranty} warranty, ${result.maintenance} maintenance, ${result.auditReminders} audit reminder(s)`);
+    return result;
+  }
 });
 
+startScheduler();
+
 // Run initial checks on server start
 setTimeout(async () => {
   console.log('🚀 Server started, running initial checks...');
-  await checkAndMarkOverdueTasks();
-  await markPastAbsentRecords();
+  for (const name of ['legacy-holidays', 'leave-ledger-backfill', 'overdue-tasks', 'past-absent']) {
+    try {
+      const started = await startJob(name, { trigger: 'startup' });
+      if (started) await started.finished;
+    } catch (error) {
+      console.error(`❌ Error starting ${name} job:`, error);
+    }
+  }
 }, 10000);
 
 // ==================== CORS CONFIGURATION ====================
@@ -406,9 +301,11 @@ app.use((req, res, next) => {
 // ✅ Clean routes without duplicates
 app.use("/api/auth", require("./routes/authRoutes.js"));
 app.use("/api/attendance", require("./HR-CDS/routes/attendanceRoutes.js"));
+app.use("/api/shifts", require("./HR-CDS/routes/shiftRoutes.js"));
 app.use("/api/leaves", require("./HR-CDS/routes/LeaveRoutes.js"));
 app.use("/api/assets", require("./HR-CDS/routes/assetsRoute.js"));
 app.use("/api/task", require("./HR-CDS/routes/taskRoute.js"));
+app.use("/api/time", require("./HR-CDS/routes/timeRoutes.js"));
 app.use("/api/users", require("./HR-CDS/routes/userRoutes.js"));
 app.use("/api/departments", require("./routes/Department.routes.js"));
 app.use("/api/users/profile", require("./HR-CDS/routes/profileRoute.js"));
@@ -427,6 +324,9 @@ app.use('/api/cmeeting', require("./HR-CDS/routes/clientMeetingRoutes.js"));
 app.use('/api/sidebar', require("./routes/sidebarConfigs.js"));
 app.use('/api/assets12', require('./routes/assetRoutes'));
 app.use("/api/holidays", require("./HR-CDS/routes/Holiday.js"));
+app.use("/api/crm", require("./routes/crmRoutes.js"));
+app.use("/api/jobs", require("./routes/jobRoutes.js"));
+app.use("/api/permissions", require("./routes/permissionRoutes.js"));
 
 // ==================== API ENDPOINTS ====================
 
@@ -480,38 +380,6 @@ app.get("/api/socket-status", (req, res) => {
   }
 });
 
-// ✅ Manual overdue check endpoint (for testing)
-app.get("/api/manual-overdue-check", async (req, res) => {
-  try {
-    console.log('🔄 Manual overdue check triggered via API...');
-    await checkAndMarkOverdueTasks();
-    res.json({ 
-      success: true, 
-      message: "Manual overdue check completed",
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Error in manual overdue check:', error);
-    res.status(500).json({ error: "Manual overdue check failed" });
-  }
-});
-
-// ✅ Manual attendance check endpoint
-app.get("/api/manual-attendance-check", async (req, res) => {
-  try {
-    console.log('🔄 Manual attendance check triggered via API...');
-    await markDailyAbsent();
-    res.json({ 
-      success: true, 
-      message: "Manual attendance check completed",
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Error in manual attendance check:', error);
-    res.status(500).json({ error: "Manual attendance check failed" });
-  }
-});
-
 // ==================== ERROR HANDLERS ====================
 
 // ✅ 404 Handler - Improved
@@ -0,0 +1,184 @@
+// services/assetInventory.js
+
+const Asset = require('../models/Asset');
+const User = require('../models/User');
+const AssetRequest = require('../HR-CDS/models/AssetRequest');
+const { sendNotification } = require('../HR-CDS/utils/notificationHelper');
+
+// Request statuses an approval can move on from
+const APPROVABLE_STATUSES = ['pending', 'waitlisted', 'rejected'];
+
+// User.properties spells some kinds differently from AssetRequest / Asset.assetType
+const PROPERTY_BY_TYPE = { headphone: 'headphones' };
+
+const propertyFor = (assetType) => PROPERTY_BY_TYPE[assetType] || assetType;
+
+/**
+ * Rebuild a user's asset fields from the inventory: currentlyAssignedAssets
+ * is what they hold now, assets everything they have ever been given, and
+ * properties the kinds they hold. Kinds the company does not keep in the
+ * inventory keep whatever was entered by hand.
+ */
+const syncUserAssets = async (userId) => {
+  if (!userId) return;
+
+  const user = await User.findById(userId).select('companyCode properties assets').lean();
+  if (!user) return;
+
+  const [held, trackedTypes] = await Promise.all([
+    // Assets out for maintenance stay with their holder
+    Asset.find({ assignedTo: user._id, status: { $nin: ['retired'] } }).select('_id assetType').lean(),
+    Asset.distinct('assetType', { companyCode: user.companyCode, assetType: { $ne: null } })
+  ]);
+
+  const tracked = trackedTypes.map(propertyFor);
+  const heldKinds = held.filter(asset => asset.assetType).map(asset => propertyFor(asset.assetType));
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      currentlyAssignedAssets: held.map(asset => asset._id),
+      properties: [...new Set([...(user.properties || []).filter(kind => !tracked.includes(kind)), ...heldKinds])]
+    },
+    $addToSet: { assets: { $each: held.map(asset => asset._id) } }
+  });
+};
+
+// Claim the oldest available asset of the requested kind for `request`
+const reserveAsset = (request) => Asset.findOneAndUpdate(
+  { companyCode: request.companyCode, assetType: request.assetName, status: 'available', assignedTo: null },
+  { $set: { status: 'reserved', reservedFor: request._id } },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+const releaseReservation = (asset) => Asset.updateOne(
+  { _id: asset._id, status: 'reserved' },
+  { $set: { status: 'available', reservedFor: null } }
+);
+
+// Link `asset` to the request, unless another approval got there first (returns null)
+const claimRequest = (request, asset, fromStatuses) => AssetRequest.findOneAndUpdate(
+  { _id: request._id, status: { $in: fromStatuses }, asset: null },
+  { $set: { status: 'approved', asset: asset._id, fulfilledAt: new Date() } },
+  { new: true }
+);
+
+const assignReserved = async (asset, request, performedBy) => {
+  try {
+    asset.addToHistory('reserved', performedBy, 'Asset reserved for asset request', { request: request._id });
+    asset.status = 'assigned';
+    asset.assignedTo = request.user;
+    asset.assignedDate = new Date();
+    asset.reservedFor = null;
+    asset.updatedBy = performedBy;
+    asset.addToHistory('assigned', performedBy, 'Asset assigned against asset request', {
+      assignedTo: request.user,
+      request: request._id
+    });
+    await asset.save();
+  } catch (error) {
+    // Put both back so the request can be approved again
+    await releaseReservation(asset);
+    await AssetRequest.updateOne(
+      { _id: request._id },
+      { $set: { status: 'waitlisted', asset: null, fulfilledAt: null, waitlistedAt: request.waitlistedAt || new Date() } }
+    );
+    throw error;
+  }
+
+  await syncUserAssets(request.user);
+};
+
+/**
+ * Approve a request from the inventory: assign an available asset of its kind
+ * now, or waitlist the request when none is in stock. Returns the updated
+ * request and the assigned asset (null when waitlisted); the request is null
+ * when it was already fulfilled or is not in an approvable state.
+ */
+const fulfilRequest = async (request, performedBy) => {
+  const asset = await reserveAsset(request);
+
+  if (!asset) {
+    const waitlisted = await AssetRequest.findOneAndUpdate(
+      { _id: request._id, status: { $in: APPROVABLE_STATUSES }, asset: null },
+      { $set: { status: 'waitlisted', waitlistedAt: request.waitlistedAt || new Date() } },
+      { new: true }
+    );
+    return { request: waitlisted, asset: null };
+  }
+
+  const claimed = await claimRequest(request, asset, APPROVABLE_STATUSES);
+  if (!claimed) {
+    await releaseReservation(asset);
+    return { request: null, asset: null };
+  }
+
+  await assignReserved(asset, claimed, performedBy);
+  return { request: claimed, asset };
+};
+
+/**
+ * Hand available stock of `assetType` to waitlisted requests, oldest first
+ */
+const processWaitlist = async (companyCode, assetType, performedBy) => {
+  if (!companyCode || !assetType) return [];
+
+  const waiting = await AssetRequest.find({ companyCode, assetName: assetType, status: 'waitlisted' })
+    .sort({ waitlistedAt: 1, createdAt: 1 });
+
+  const fulfilled = [];
+  for (const request of waiting) {
+    const asset = await reserveAsset(request);
+    if (!asset) break;
+
+    const claimed = await claimRequest(request, asset, ['waitlisted']);
+    if (!claimed) {
+      await releaseReservation(asset);
+      continue;
+    }
+
+    await assignReserved(asset, claimed, performedBy);
+    fulfilled.push(claimed);
+
+    await sendNotification({
+      recipient: claimed.user,
+      type: 'asset_assigned',
+      title: 'Asset request fulfilled',
+      message: `Your ${claimed.assetName} request has been fulfilled: ${asset.name} (${asset.assetTag}) is now assigned to you`,
+      data: { assetRequestId: claimed._id, assetId: asset._id }
+    });
+  }
+
+  if (fulfilled.length) {
+    console.log(`📦 Fulfilled ${fulfilled.length} waitlisted ${assetType} request(s) for ${companyCode}`);
+  }
+  return fulfilled;
+};
+
+/**
+ * After an inventory change: refresh the affected users' asset fields and,
+ * if the asset is now in stock, give it to the waitlist. Never throws, so the
+ * inventory operation that triggered it still succeeds.
+ */
+const afterInventoryChange = async (asset, { performedBy = null, previousUser = null } = {}) => {
+  try {
+    const users = [...new Set([previousUser, asset.assignedTo].filter(Boolean).map(id => String(id._id || id)))];
+    for (const userId of users) {
+      await syncUserAssets(userId);
+    }
+
+    if (asset.status === 'available' && asset.assetType) {
+      await processWaitlist(asset.companyCode, asset.assetType, performedBy);
+    }
+  } catch (error) {
+    console.error('❌ Asset inventory sync error:', error.message);
+  }
+};
+
+module.exports = {
+  APPROVABLE_STATUSES,
+  propertyFor,
+  syncUserAssets,
+  fulfilRequest,
+  processWaitlist,
+  afterInventoryChange
+};
@@ -0,0 +1,453 @@
+// services/assetLifecycle.js
+
+const Asset = require('../models/Asset');
+const AssetAudit = require('../models/AssetAudit');
+const User = require('../models/User');
+const { resolvePermissions } = require('../utils/permissions');
+const { sendNotification } = require('../HR-CDS/utils/notificationHelper');
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR = 365.25 * DAY;
+
+const DEPRECIATION_METHODS = ['straight_line', 'declining_balance'];
+// Declining balance without a useful life runs until it rounds to nothing
+const MAX_SCHEDULE_YEARS = 50;
+
+// Alerts go out once per stage: 30 days before a warranty ends, then 7, then 1
+const WARRANTY_ALERT_DAYS = [30, 7, 1];
+const MAINTENANCE_ALERT_DAYS = [7, 1];
+// Holders with unanswered audit items are reminded this close to the due date
+const AUDIT_REMINDER_DAYS = 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Forms send '' for fields left empty
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setFullYear(result.getFullYear() + years);
+  return result;
+};
+
+/**
+ * Depreciation settings of an asset with defaults filled in. `rate` is the
+ * yearly percentage: declining balance defaults to double the straight-line
+ * rate.
+ */
+const depreciationSettings = (asset) => {
+  const settings = asset.depreciation || {};
+  const method = settings.method || 'straight_line';
+  const usefulLifeYears = settings.usefulLifeYears || null;
+  const straightLineRate = usefulLifeYears ? 100 / usefulLifeYears : null;
+
+  return {
+    method,
+    usefulLifeYears,
+    salvageValue: settings.salvageValue || 0,
+    rate: method === 'declining_balance'
+      ? (settings.rate || (straightLineRate ? Math.min(straightLineRate * 2, 100) : null))
+      : straightLineRate
+  };
+};
+
+/**
+ * Checks depreciation settings against the purchase cost. Settings with no
+ * useful life, rate or salvage value leave the asset undepreciated.
+ * Returns an error message, or null when they can be saved.
+ */
+const depreciationError = (settings, purchaseCost) => {
+  if (!settings) return null;
+
+  const { method = 'straight_line', usefulLifeYears, salvageValue, rate } = settings;
+  if (!isSet(usefulLifeYears) && !isSet(rate) && !salvageValue) return null;
+
+  if (!DEPRECIATION_METHODS.includes(method)) {
+    return `Depreciation method must be one of: ${DEPRECIATION_METHODS.join(', ')}`;
+  }
+  if (isSet(usefulLifeYears) && !(Number(usefulLifeYears) > 0)) {
+    return 'Useful life must be more than 0 years';
+  }
+  if (isSet(rate) && !(Number(rate) > 0 && Number(rate) <= 100)) {
+    return 'Depreciation rate must be between 0 and 100 percent';
+  }
+  if (isSet(salvageValue) && !(Number(salvageValue) >= 0)) {
+    return 'Salvage value cannot be negative';
+  }
+  if (isSet(salvageValue) && isSet(purchaseCost) && Number(salvageValue) > Number(purchaseCost)) {
+    return 'Salvage value cannot be more than the purchase cost';
+  }
+  if (method === 'straight_line' && !isSet(usefulLifeYears)) {
+    return 'Straight-line depreciation needs a useful life';
+  }
+  if (method === 'declining_balance' && !isSet(usefulLifeYears) && !isSet(rate)) {
+    return 'Declining-balance depreciation needs a rate or a useful life';
+  }
+
+  return null;
+};
+
+/**
+ * Year-by-year depreciation from the purchase date down to the salvage
+ * value, or null when the asset has no cost, purchase date or settings.
+ * The last year of a useful life writes off whatever is left above salvage.
+ */
+const depreciationSchedule = (asset) => {
+  const { method, usefulLifeYears, salvageValue, rate } = depreciationSettings(asset);
+  const cost = asset.purchaseCost;
+
+  if (!cost || !asset.purchaseDate || !rate) return null;
+
+  const start = new Date(asset.purchaseDate);
+  const years = usefulLifeYears ? Math.ceil(usefulLifeYears) : MAX_SCHEDULE_YEARS;
+  const rows = [];
+  let opening = cost;
+
+  for (let year = 1; year <= years && opening > salvageValue; year++) {
+    // Only part of the last year counts for a useful life like 2.5 years
+    const fraction = usefulLifeYears ? Math.min(1, usefulLifeYears - (year - 1)) : 1;
+
+    let amount = method === 'straight_line'
+      ? ((cost - salvageValue) / usefulLifeYears) * fraction
+      : opening * (rate / 100) * fraction;
+    if (usefulLifeYears && year === years) amount = opening - salvageValue;
+    amount = round(Math.min(amount, opening - salvageValue));
+    if (amount <= 0) break;
+
+    const periodStart = addYears(start, year - 1);
+    rows.push({
+      year,
+      periodStart,
+      periodEnd: fraction < 1 ? new Date(periodStart.getTime() + fraction * YEAR) : addYears(start, year),
+      openingValue: round(opening),
+      depreciation: amount,
+      closingValue: round(opening - amount)
+    });
+    opening = round(opening - amount);
+  }
+
+  return {
+    method,
+    usefulLifeYears,
+    salvageValue,
+    rate: round(rate),
+    cost,
+    rows
+  };
+};
+
+/**
+ * Book value of an asset on `asOf`, spreading each year's depreciation
+ * evenly over that year. Null when the asset is not depreciated.
+ */
+const currentValue = (asset, asOf = new Date()) => {
+  const schedule = depreciationSchedule(asset);
+  if (!schedule) return null;
+
+  const at = new Date(asOf);
+  const { rows, cost } = schedule;
+  const last = rows[rows.length - 1];
+  let bookValue = cost;
+  let annualDepreciation = 0;
+
+  if (last && at >= last.periodEnd) {
+    bookValue = last.closingValue;
+  } else {
+    const row = rows.find(entry => at >= entry.periodStart && at < entry.periodEnd);
+    if (row) {
+      const elapsed = (at - row.periodStart) / (row.periodEnd - row.periodStart);
+      bookValue = round(row.openingValue - row.depreciation * elapsed);
+      annualDepreciation = row.depreciation;
+    }
+  }
+
+  return {
+    method: schedule.method,
+    usefulLifeYears: schedule.usefulLifeYears,
+    salvageValue: schedule.salvageValue,
+    rate: schedule.rate,
+    cost,
+    bookValue,
+    accumulatedDepreciation: round(cost - bookValue),
+    annualDepreciation,
+    fullyDepreciatedOn: last && last.closingValue <= schedule.salvageValue ? last.periodEnd : null,
+    asOf: at
+  };
+};
+
+// Open maintenance records (not completed) of an asset
+const openMaintenance = (asset) =>
+  (asset.maintenanceRecords || []).filter(record => record.scheduledDate && !record.completedDate);
+
+/**
+ * Book value and due-date counts over a set of assets (as loaded for
+ * getAssetStats). Assets without depreciation settings count at cost.
+ */
+const summarizeLifecycle = (assets, now = new Date()) => {
+  const soon = new Date(now.getTime() + WARRANTY_ALERT_DAYS[0] * DAY);
+  const maintenanceSoon = new Date(now.getTime() + MAINTENANCE_ALERT_DAYS[0] * DAY);
+  const byCategory = {};
+  const summary = {
+    bookValue: 0,
+    accumulatedDepreciation: 0,
+    depreciating: 0,
+    fullyDepreciated: 0,
+    warrantyExpiringSoon: 0,
+    warrantyExpired: 0,
+    maintenanceDueSoon: 0,
+    maintenanceOverdue: 0
+  };
+
+  assets.forEach(asset => {
+    const value = currentValue(asset, now);
+    const bookValue = value ? value.bookValue : (asset.purchaseCost || 0);
+
+    summary.bookValue += bookValue;
+    byCategory[asset.category] = (byCategory[asset.category] || 0) + bookValue;
+
+    if (value) {
+      summary.accumulatedDepreciation += value.accumulatedDepreciation;
+      if (value.fullyDepreciatedOn && value.fullyDepreciatedOn <= now) summary.fullyDepreciated++;
+      else summary.depreciating++;
+    }
+
+    if (asset.status === 'retired') return;
+
+    if (asset.warrantyExpiry) {
+      const expiry = new Date(asset.warrantyExpiry);
+      if (expiry < now) summary.warrantyExpired++;
+      else if (expiry <= soon) summary.warrantyExpiringSoon++;
+    }
+
+    openMaintenance(asset).forEach(record => {
+      const due = new Date(record.scheduledDate);
+      if (due < now) summary.maintenanceOverdue++;
+      else if (due <= maintenanceSoon) summary.maintenanceDueSoon++;
+    });
+  });
+
+  summary.bookValue = round(summary.bookValue);
+  summary.accumulatedDepreciation = round(summary.accumulatedDepreciation);
+  Object.keys(byCategory).forEach(category => { byCategory[category] = round(byCategory[category]); });
+
+  return { ...summary, byCategory };
+};
+
+// Smallest alert stage (days ahead) `date` falls within; null when it is further out or past
+const alertStage = (date, stages, now) => {
+  const daysLeft = (new Date(date) - now) / DAY;
+  if (daysLeft < 0) return null;
+  const fitting = stages.filter(days => daysLeft <= days);
+  return fitting.length ? Math.min(...fitting) : null;
+};
+
+// Users of a company holding assets.manage, looked up once per company and run
+const assetManagerIds = async (companyCode, cache) => {
+  if (!cache.has(companyCode)) {
+    const users = await User.find({ companyCode, isActive: true })
+      .select('jobRole roleId companyRole department company')
+      .lean();
+
+    const managers = [];
+    for (const user of users) {
+      const access = await resolvePermissions(user);
+      if (access.permissions.includes('assets.manage')) managers.push(String(user._id));
+    }
+    cache.set(companyCode, managers);
+  }
+  return cache.get(companyCode);
+};
+
+const notifyAll = async (recipients, notification) => {
+  for (const recipient of [...new Set(recipients.filter(Boolean).map(String))]) {
+    await sendNotification({ recipient, ...notification });
+  }
+};
+
+const describe = (asset) => `${asset.name} (${asset.assetTag || asset.serialNumber})`;
+
+const dueIn = (date, now) => {
+  const days = Math.ceil((new Date(date) - now) / DAY);
+  return days <= 1 ? 'within a day' : `in ${days} days`;
+};
+
+/**
+ * Warn asset managers before warranties run out. Each expiry date is
+ * alerted once per stage; changing warrantyExpiry re-arms the alerts.
+ */
+const sendWarrantyAlerts = async (now, managers) => {
+  let sent = 0;
+
+  const expiring = await Asset.find({
+    status: { $ne: 'retired' },
+    warrantyExpiry: { $gt: now, $lte: new Date(now.getTime() + WARRANTY_ALERT_DAYS[0] * DAY) }
+  }).select('name assetTag serialNumber companyCode warrantyExpiry warrantyAlert');
+
+  for (const asset of expiring) {
+    try {
+      const days = alertStage(asset.warrantyExpiry, WARRANTY_ALERT_DAYS, now);
+      if (!days) continue;
+
+      // Claim first so overlapping runs cannot alert twice
+      const claimed = await Asset.updateOne(
+        {
+          _id: asset._id,
+          warrantyExpiry: asset.warrantyExpiry,
+          $or: [
+            { 'warrantyAlert.expiry': { $ne: asset.warrantyExpiry } },
+            { 'warrantyAlert.days': null },
+            { 'warrantyAlert.days': { $gt: days } }
+          ]
+        },
+        { $set: { 'warrantyAlert.expiry': asset.warrantyExpiry, 'warrantyAlert.days': days } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      await notifyAll(await assetManagerIds(asset.companyCode, managers), {
+        type: 'asset_warranty_expiring',
+        title: 'Warranty Expiring',
+        message: `Warranty of ${describe(asset)} expires ${dueIn(asset.warrantyExpiry, now)}`,
+        priority: days <= 7 ? 'high' : 'medium',
+        data: { assetId: asset._id, scheduledAt: asset.warrantyExpiry }
+      });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Warranty alert failed for asset ${asset._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Warn asset managers and the holder before scheduled maintenance is due,
+ * once per record and stage
+ */
+const sendMaintenanceAlerts = async (now, managers) => {
+  let sent = 0;
+  const until = new Date(now.getTime() + MAINTENANCE_ALERT_DAYS[0] * DAY);
+
+  const due = await Asset.find({
+    status: { $ne: 'retired' },
+    maintenanceRecords: { $elemMatch: { completedDate: null, scheduledDate: { $gt: now, $lte: until } } }
+  }).select('name assetTag serialNumber companyCode assignedTo maintenanceRecords');
+
+  for (const asset of due) {
+    for (const record of openMaintenance(asset)) {
+      try {
+        const days = alertStage(record.scheduledDate, MAINTENANCE_ALERT_DAYS, now);
+        if (!days || (record.alertDays != null && record.alertDays <= days)) continue;
+
+        const claimed = await Asset.updateOne(
+          {
+            _id: asset._id,
+            maintenanceRecords: {
+              $elemMatch: {
+                _id: record._id,
+                completedDate: null,
+                $or: [{ alertDays: null }, { alertDays: { $gt: days } }]
+              }
+            }
+          },
+          { $set: { 'maintenanceRecords.$.alertDays': days } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const recipients = [...await assetManagerIds(asset.companyCode, managers), asset.assignedTo];
+        await notifyAll(recipients, {
+          type: 'asset_maintenance_due',
+          title: 'Maintenance Due',
+          message: `Maintenance${record.type ? ` (${record.type})` : ''} of ${describe(asset)} is due ${dueIn(record.scheduledDate, now)}`,
+          priority: 'high',
+          data: { assetId: asset._id, scheduledAt: record.scheduledDate }
+        });
+        sent++;
+      } catch (error) {
+        console.error(`❌ Maintenance alert failed for asset ${asset._id}:`, error.message);
+      }
+    }
+  }
+
+  return sent;
+};
+
+// Holder ids with unanswered items in an audit
+const pendingHolders = (audit) => [...new Set(audit.items
+  .filter(item => item.status === 'pending' && item.holder)
+  .map(item => String(item.holder)))];
+
+/**
+ * Tell each holder how many of their assets still need confirming in an
+ * audit, when it starts or (`reminder`) as it falls due
+ */
+const notifyAuditHolders = async (audit, { reminder = false } = {}) => {
+  const due = new Date(audit.dueDate).toDateString();
+
+  for (const holder of pendingHolders(audit)) {
+    const count = audit.items.filter(item => item.status === 'pending' && String(item.holder) === holder).length;
+    await sendNotification({
+      recipient: holder,
+      type: reminder ? 'asset_audit_reminder' : 'asset_audit_started',
+      title: reminder ? 'Asset Audit Reminder' : 'Asset Audit Started',
+      message: reminder
+        ? `${count} asset(s) you hold are still waiting for your confirmation in "${audit.name}" (due ${due})`
+        : `Please confirm the ${count} asset(s) you hold for "${audit.name}" by ${due}`,
+      priority: reminder ? 'high' : 'medium',
+      data: { assetAuditId: audit._id, scheduledAt: audit.dueDate }
+    });
+  }
+};
+
+// Remind holders once when an open audit is about to fall due
+const sendAuditReminders = async (now) => {
+  let sent = 0;
+
+  const audits = await AssetAudit.find({
+    status: 'open',
+    reminderSentAt: null,
+    dueDate: { $lte: new Date(now.getTime() + AUDIT_REMINDER_DAYS * DAY) }
+  });
+
+  for (const audit of audits) {
+    try {
+      const claimed = await AssetAudit.updateOne(
+        { _id: audit._id, status: 'open', reminderSentAt: null },
+        { $set: { reminderSentAt: now } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      await notifyAuditHolders(audit, { reminder: true });
+      sent++;
+    } catch (error) {
+      console.error(`❌ Audit reminder failed for audit ${audit._id}:`, error.message);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Daily asset alerts: warranties and maintenance falling due, and open
+ * audits about to close with unanswered items
+ */
+const sendAssetAlerts = async () => {
+  const now = new Date();
+  const managers = new Map();
+
+  return {
+    warranty: await sendWarrantyAlerts(now, managers),
+    maintenance: await sendMaintenanceAlerts(now, managers),
+    auditReminders: await sendAuditReminders(now)
+  };
+};
+
+module.exports = {
+  DEPRECIATION_METHODS,
+  depreciationSettings,
+  depreciationError,
+  depreciationSchedule,
+  currentValue,
+  summarizeLifecycle,
+  notifyAuditHolders,
+  sendAssetAlerts
+};
@@ -0,0 +1,203 @@
+// services/loginProtection.js
+
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const MAX_ACCOUNT_FAILURES = () => Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+// Higher than the account limit: offices share one IP behind NAT
+const MAX_IP_FAILURES = () => Number(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20;
+const BASE_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000; // 24 hours
+const IP_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lock period for the nth lockout: 15m, 30m, 1h, 2h ... capped at 24h
+ */
+const lockDuration = (lockoutCount) => Math.min(BASE_LOCK_MS * 2 ** Math.max(lockoutCount - 1, 0), MAX_LOCK_MS);
+
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+const logSecurityEvent = async (event) => {
+  try {
+    await SecurityEvent.create(event);
+  } catch (error) {
+    console.error('❌ Failed to write security event:', error.message);
+  }
+};
+
+/**
+ * Whether the account or the client IP is currently locked out.
+ * Returns { scope: 'account' | 'ip', lockUntil } or null.
+ */
+const checkLock = async ({ userId, ip }) => {
+  const now = new Date();
+
+  if (ip) {
+    const throttle = await LoginThrottle.findOne({ ip, lockUntil: { $gt: now } }).select('lockUntil').lean();
+    if (throttle) return { scope: 'ip', lockUntil: throttle.lockUntil };
+  }
+
+  if (userId) {
+    const user = await User.findOne({ _id: userId, lockUntil: { $gt: now } }).select('+lockUntil').lean();
+    if (user) return { scope: 'account', lockUntil: user.lockUntil };
+  }
+
+  return null;
+};
+
+const lockAccount = async (user, client, reason) => {
+  // Only the request that crossed the limit locks; concurrent ones find the counter reset
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, loginAttempts: { $gte: MAX_ACCOUNT_FAILURES() } },
+    { $set: { loginAttempts: 0, lockUntil: new Date(Date.now() + lockDuration((user.lockoutCount || 0) + 1)) }, $inc: { lockoutCount: 1 } },
+    { new: true }
+  ).select('+lockUntil +lockoutCount email companyCode');
+
+  if (!locked) return null;
+
+  console.warn(`🔒 Account ${locked.email} locked until ${locked.lockUntil.toISOString()} (lockout #${locked.lockoutCount})`);
+  await logSecurityEvent({
+    type: 'account_locked',
+    user: locked._id,
+    companyCode: locked.companyCode,
+    email: locked.email,
+    ...client,
+    lockUntil: locked.lockUntil,
+    lockoutCount: locked.lockoutCount,
+    details: `${MAX_ACCOUNT_FAILURES()} failed ${reason} attempts`
+  });
+
+  return locked.lockUntil;
+};
+
+const lockIp = async (throttle, client, email) => {
+  const lockUntil = new Date(Date.now() + lockDuration(throttle.lockoutCount + 1));
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, failures: { $gte: MAX_IP_FAILURES() } },
+    { $set: { failures: 0, lockUntil, expiresAt: new Date(lockUntil.getTime() + IP_MEMORY_MS) }, $inc: { lockoutCount: 1 } },
+    { new: true }
+  );
+
+  if (!locked) return null;
+
+  console.warn(`🔒 IP ${locked.ip} locked until ${lockUntil.toISOString()} (lockout #${locked.lockoutCount})`);
+  await logSecurityEvent({
+    type: 'ip_locked',
+    email,
+    ...client,
+    lockUntil,
+    lockoutCount: locked.lockoutCount,
+    details: `${MAX_IP_FAILURES()} failed login attempts from this IP`
+  });
+
+  return lockUntil;
+};
+
+/**
+ * Count a failed password or OTP against the account (when known) and the
+ * client IP. Returns { lock, remainingAttempts }; `lock` is set (in the
+ * checkLock shape) when this failure started a lockout.
+ */
+const recordFailure = async (req, { user, email, reason = 'login' }) => {
+  const client = getClientInfo(req);
+  const now = new Date();
+  let lock = null;
+  let remainingAttempts = null;
+
+  if (client.ip) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { ip: client.ip },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now }, $max: { expiresAt: new Date(now.getTime() + IP_MEMORY_MS) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (throttle.failures >= MAX_IP_FAILURES()) {
+      const ipLock = await lockIp(throttle, client, email || (user && user.email));
+      if (ipLock) lock = { scope: 'ip', lockUntil: ipLock };
+    }
+  }
+
+  if (user) {
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { loginAttempts: 1 } },
+      { new: true }
+    ).select('+loginAttempts +lockoutCount');
+
+    if (updated) {
+      remainingAttempts = Math.max(0, MAX_ACCOUNT_FAILURES() - updated.loginAttempts);
+
+      if (updated.loginAttempts >= MAX_ACCOUNT_FAILURES()) {
+        const accountLock = await lockAccount(updated, client, reason);
+        if (accountLock && (!lock || accountLock > lock.lockUntil)) lock = { scope: 'account', lockUntil: accountLock };
+        remainingAttempts = 0;
+      }
+    }
+  }
+
+  return { lock, remainingAttempts };
+};
+
+/**
+ * A completed login clears the account's failures and backoff, and the IP's
+ * failure count (its lockout history stays until the record expires).
+ */
+const recordSuccess = async (req, userId) => {
+  const { ip } = getClientInfo(req);
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { loginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  if (ip) {
+    await LoginThrottle.updateOne({ ip }, { $set: { failures: 0 } });
+  }
+};
+
+/**
+ * Admin unlock: clear the lock, failure count and backoff of an account.
+ * IP locks are left to expire, since the IPs behind a lockout may be an
+ * attacker's; only `ip`, when the admin has confirmed it is the user's own,
+ * is cleared too. Returns { ipUnlocked }.
+ */
+const unlockAccount = async (user, admin, req, details = '', ip = null) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { loginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  let ipUnlocked = false;
+  if (ip) {
+    const result = await LoginThrottle.updateOne(
+      { ip, $or: [{ lockUntil: { $gt: new Date() } }, { failures: { $gt: 0 } }] },
+      { $set: { failures: 0, lockUntil: null } }
+    );
+    ipUnlocked = result.modifiedCount > 0;
+  }
+
+  console.log(`🔓 Account ${user.email} unlocked by ${admin.email || admin._id}`);
+  await logSecurityEvent({
+    type: 'account_unlocked',
+    user: user._id,
+    companyCode: user.companyCode,
+    email: user.email,
+    ...getClientInfo(req),
+    performedBy: admin._id,
+    details: ip ? `${details}${details ? ' ' : ''}(IP ${ip} cleared)` : details
+  });
+
+  return { ipUnlocked };
+};
+
+module.exports = {
+  MAX_ACCOUNT_FAILURES,
+  checkLock,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
@@ -0,0 +1,178 @@
+// services/reportingHierarchy.js
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Department = require('../models/Department');
+
+// Reporting lines deeper than this are treated as broken data
+const MAX_DEPTH = 25;
+
+const ORG_CHART_FIELDS = 'name email jobRole department employeeId reportingManager';
+
+const idOf = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Ids of everyone reporting to `managerId`, directly or (with `indirect`)
+ * through other managers. Cycles in reportingManager are cut off, and the
+ * manager never appears in their own reports.
+ */
+const getReportIds = async (managerId, { companyCode = null, indirect = true } = {}) => {
+  const seen = new Set([idOf(managerId)]);
+  const reports = [];
+  let frontier = [managerId];
+
+  for (let depth = 0; frontier.length && depth < (indirect ? MAX_DEPTH : 1); depth++) {
+    const filter = { reportingManager: { $in: frontier }, isActive: true };
+    if (companyCode) filter.companyCode = companyCode;
+
+    const ids = (await User.find(filter).distinct('_id'))
+      .map(String)
+      .filter(id => !seen.has(id));
+
+    ids.forEach(id => seen.add(id));
+    reports.push(...ids);
+    frontier = ids;
+  }
+
+  return reports;
+};
+
+// "My team" of a user (req.user or a User document): everyone in their reporting line
+const getTeamUserIds = (user, { indirect = true } = {}) =>
+  getReportIds(user._id, { companyCode: user.companyCode, indirect });
+
+/**
+ * Managers above `userId`, nearest first, stopping at the top or where the
+ * chain loops back on itself
+ */
+const getManagerChain = async (userId) => {
+  const chain = [];
+  const seen = new Set([idOf(userId)]);
+  let current = await User.findById(userId).select('reportingManager').lean();
+
+  while (current && current.reportingManager && chain.length < MAX_DEPTH) {
+    const managerId = idOf(current.reportingManager);
+    if (seen.has(managerId)) break;
+    seen.add(managerId);
+
+    current = await User.findById(managerId).select('name email jobRole department reportingManager').lean();
+    if (current) chain.push(current);
+  }
+
+  return chain;
+};
+
+const isInReportingLine = async (managerId, userId) =>
+  (await getManagerChain(userId)).some(manager => idOf(manager) === idOf(managerId));
+
+// True when making `managerId` the reporting manager of `userId` would loop back to the user
+const createsReportingCycle = async (userId, managerId) => {
+  if (!managerId) return false;
+  if (idOf(managerId) === idOf(userId)) return true;
+  return isInReportingLine(userId, managerId);
+};
+
+/**
+ * Reporting-line tree of a company, or of the subtree under `rootId`.
+ * Each node carries its direct / total report counts and `reports`, cut at
+ * `maxDepth` levels below the root. Employees stuck in a reporting cycle
+ * cannot be placed and come back in `detached`.
+ */
+const buildOrgChart = async ({ companyCode, rootId = null, maxDepth = MAX_DEPTH }) => {
+  const [users, departments] = await Promise.all([
+    User.find({ companyCode, isActive: true }).select(ORG_CHART_FIELDS).lean(),
+    Department.find({ companyCode }).select('name').lean()
+  ]);
+
+  // User.department holds either the department id or its name
+  const departmentNames = new Map(departments.map(department => [String(department._id), department.name]));
+  const byId = new Map(users.map(user => [String(user._id), user]));
+  const children = new Map();
+  const hasManager = new Set();
+
+  users.forEach(user => {
+    const managerId = user.reportingManager ? String(user.reportingManager) : null;
+    if (managerId && byId.has(managerId) && managerId !== String(user._id)) {
+      if (!children.has(managerId)) children.set(managerId, []);
+      children.get(managerId).push(user);
+      hasManager.add(String(user._id));
+    }
+  });
+
+  // Without a root: everyone whose manager is unset, inactive or outside the company
+  const roots = rootId
+    ? [byId.get(idOf(rootId))].filter(Boolean)
+    : users.filter(user => !hasManager.has(String(user._id)));
+
+  const placed = new Set();
+  const toNode = (user, depth) => {
+    placed.add(String(user._id));
+
+    const reports = (children.get(String(user._id)) || [])
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+    const node = {
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      jobRole: user.jobRole,
+      employeeId: user.employeeId,
+      department: departmentNames.get(String(user.department)) || user.department || null,
+      reportingManager: user.reportingManager || null,
+      directReports: reports.length,
+      totalReports: 0,
+      reports: []
+    };
+
+    reports.forEach(report => {
+      // A subtree root inside a reporting cycle comes back round to itself
+      if (placed.has(String(report._id))) return;
+      const child = toNode(report, depth + 1);
+      node.totalReports += 1 + child.totalReports;
+      if (depth < maxDepth) node.reports.push(child);
+    });
+
+    return node;
+  };
+
+  const tree = roots
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    .map(user => toNode(user, 0));
+
+  const detached = rootId
+    ? []
+    : users
+      .filter(user => !placed.has(String(user._id)))
+      .map(user => ({ _id: user._id, name: user.name, email: user.email, reportingManager: user.reportingManager }));
+
+  return { tree, detached, totalEmployees: placed.size };
+};
+
+/**
+ * Checks a new reporting manager for `userId` (null for a new user).
+ * Returns an error message, or null when the manager can be set.
+ */
+const validateReportingManager = async (userId, managerId, companyCode) => {
+  if (!managerId) return null;
+  if (!mongoose.isValidObjectId(managerId)) return 'Invalid reporting manager';
+
+  const manager = await User.findOne({ _id: managerId, companyCode, isActive: true }).select('_id').lean();
+  if (!manager) return 'Reporting manager not found in this company';
+
+  if (userId && await createsReportingCycle(userId, managerId)) {
+    return 'Reporting manager cannot be the employee or someone who reports to them';
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_DEPTH,
+  getReportIds,
+  getTeamUserIds,
+  getManagerChain,
+  isInReportingLine,
+  createsReportingCycle,
+  buildOrgChart,
+  validateReportingManager
+};
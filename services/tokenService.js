@@ -0,0 +1,199 @@
+// services/tokenService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const RevokedToken = require('../models/RevokedToken');
+
+const ACCESS_EXPIRE = () => process.env.JWT_EXPIRE || '30d';
+const REFRESH_EXPIRE = () => process.env.JWT_REFRESH_EXPIRE || '30d';
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET + '-refresh';
+
+// Error with a code the controllers can map to an errorCode in the response
+const tokenError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Claims carried by every access token
+const buildAccessPayload = (user) => ({
+  id: user._id.toString(),
+  _id: user._id.toString(),
+  email: user.email,
+  companyCode: user.companyCode || (user.company && user.company.companyCode),
+  role: user.role?._id || user.role,
+  jobRole: user.jobRole,
+});
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { ...buildAccessPayload(user), sid: sessionId.toString() },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_EXPIRE(), jwtid: crypto.randomUUID() }
+);
+
+const signRefreshToken = (userId, sessionId, jti) => jwt.sign(
+  { userId: userId.toString(), sid: sessionId.toString() },
+  refreshSecret(),
+  { expiresIn: REFRESH_EXPIRE(), jwtid: jti }
+);
+
+const getDeviceInfo = (req) => ({
+  deviceId: req.body?.deviceId || req.headers['x-device-id'] || null,
+  deviceName: req.body?.deviceName || '',
+  userAgent: req.headers['user-agent'],
+  ip: req.ip
+});
+
+/**
+ * Start a session for a device after a successful login.
+ * A new login from the same device replaces that device's previous session.
+ */
+const createSession = async (user, req) => {
+  const device = getDeviceInfo(req);
+
+  if (device.deviceId) {
+    await AuthSession.updateMany(
+      { user: user._id, deviceId: device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'replaced' } }
+    );
+  }
+
+  const session = new AuthSession({
+    user: user._id,
+    ...device,
+    refreshJti: crypto.randomUUID(),
+    expiresAt: new Date()
+  });
+
+  const refreshToken = signRefreshToken(user._id, session._id, session.refreshJti);
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. Each refresh token
+ * works once; presenting an already-used one revokes the whole session,
+ * since it means the token was copied.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const decoded = jwt.verify(refreshToken, refreshSecret());
+
+  const session = decoded.sid ? await AuthSession.findById(decoded.sid) : null;
+  if (!session || session.revokedAt || String(session.user) !== String(decoded.userId)) {
+    throw tokenError('Session has been revoked', 'SESSION_REVOKED');
+  }
+
+  const user = await User.findById(decoded.userId).populate('company', 'companyCode');
+  if (!user || !user.isActive) {
+    throw tokenError('User not found or inactive', 'USER_INACTIVE');
+  }
+
+  // Swap the jti in one step so two requests can't both spend the same token
+  const refreshJti = crypto.randomUUID();
+  const newRefreshToken = signRefreshToken(user._id, session._id, refreshJti);
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshJti: decoded.jti, revokedAt: null },
+    {
+      $set: {
+        refreshJti,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000)
+      }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await AuthSession.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    console.warn(`🚨 Refresh token reuse detected for user ${decoded.userId}, session ${session._id} revoked`);
+    throw tokenError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: newRefreshToken,
+    session: rotated
+  };
+};
+
+/**
+ * Block a single access token until it expires
+ */
+const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded || !decoded.jti || !decoded.exp) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { $setOnInsert: { jti: decoded.jti, user: decoded.id || decoded._id, reason, expiresAt: new Date(decoded.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+const revokeSession = (sessionId, userId, reason) => AuthSession.findOneAndUpdate(
+  { _id: sessionId, user: userId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } },
+  { new: true }
+);
+
+/**
+ * Log out every device: end all sessions and reject every token issued so far
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const now = new Date();
+  const result = await AuthSession.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  await User.updateOne({ _id: userId }, { $set: { sessionsRevokedAt: now } });
+  return result.modifiedCount;
+};
+
+/**
+ * Whether a verified access token has been revoked: individually (logout),
+ * through its session (device removed, refresh reuse) or by "log out all".
+ */
+const isAccessTokenRevoked = async (decoded, user) => {
+  if (user && user.sessionsRevokedAt && decoded.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000)) {
+    return true;
+  }
+
+  if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+    return true;
+  }
+
+  if (decoded.sid) {
+    const session = await AuthSession.findById(decoded.sid).select('revokedAt').lean();
+    if (!session || session.revokedAt) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const listActiveSessions = (userId) => AuthSession.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  .select('deviceId deviceName userAgent ip lastUsedAt createdAt expiresAt')
+  .sort({ lastUsedAt: -1 })
+  .lean();
+
+module.exports = {
+  ACCESS_EXPIRE,
+  createSession,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  isAccessTokenRevoked,
+  listActiveSessions
+};
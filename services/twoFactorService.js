@@ -0,0 +1,207 @@
+// services/twoFactorService.js
+
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift between phone and server
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const ISSUER = () => process.env.TOTP_ISSUER || 'CIIS NETWORK';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// ==================== SECRET STORAGE ====================
+// Secrets are encrypted at rest (AES-256-GCM) so a database dump alone cannot mint codes
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET + '-2fa')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ==================== TOTP (RFC 6238) ====================
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value (RFC 4226) for a counter; TOTP uses the 30-second time step
+ */
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, time = Date.now()) => hotp(secret, currentStep(time));
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Check a code against the secret within the drift window. Returns the
+ * matching time step, or null. Steps at or before `lastUsedStep` are
+ * refused so an intercepted code cannot be used twice.
+ */
+const verifyTotp = (secret, code, lastUsedStep = null, time = Date.now()) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+  const step = currentStep(time);
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && candidate <= lastUsedStep) continue;
+    if (safeEqual(hotp(secret, candidate), clean)) return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps; the client renders it as a QR code
+ */
+const buildOtpAuthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER()}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER(),
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ==================== RECOVERY CODES ====================
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Fresh one-time recovery codes. Returns the plain codes (shown once) and
+ * the hashed entries to store.
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// ==================== POLICY & LOGIN ====================
+
+/**
+ * Whether the company policy makes an authenticator app mandatory for the user
+ */
+const isTwoFactorRequired = (user, company) => {
+  const roles = (company && company.twoFactorPolicy && company.twoFactorPolicy.requiredJobRoles) || [];
+  const jobRole = String(user.jobRole || '').toLowerCase();
+  return roles.some(role => String(role).toLowerCase() === jobRole);
+};
+
+/**
+ * Verify a login's second factor: an authenticator code or an unused
+ * recovery code. Accepted codes are consumed atomically so parallel
+ * requests cannot reuse them. Returns { method, recoveryCodesRemaining } or null.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findOne({ _id: userId, 'twoFactor.enabled': true })
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user || !user.twoFactor.secret) return null;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } },
+      { new: true }
+    ).select('+twoFactor.recoveryCodes');
+
+    if (!updated) return null;
+
+    return {
+      method: 'recovery_code',
+      recoveryCodesRemaining: updated.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+    };
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep;
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, lastUsedStep);
+  if (step === null) return null;
+
+  // Only succeeds if no other request claimed a step in the meantime
+  const claimed = await User.updateOne(
+    { _id: user._id, 'twoFactor.lastUsedStep': lastUsedStep ?? null },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return claimed.modifiedCount ? { method: 'totp' } : null;
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  verifySecondFactor
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseCsvRows, toCsv } = require('../utils/csv');
+const { parseHolidayCsv } = require('../HR-CDS/utils/holidayImport');
+
+test('parseCsvRows: handles quoted commas, escaped quotes and line breaks inside quotes', () => {
+  const rows = parseCsvRows('\uFEFFa,"b, c","say ""hi"""\r\n"multi\nline",x,y');
+  assert.deepStrictEqual(rows, [
+    ['a', 'b, c', 'say "hi"'],
+    ['multi\nline', 'x', 'y']
+  ]);
+});
+
+test('parseCsv: keys records by normalised header', () => {
+  assert.deepStrictEqual(parseCsv(' Full Name ,EMAIL\nAsha , asha@example.com\n'), [
+    { full_name: 'Asha', email: 'asha@example.com' }
+  ]);
+});
+
+test('parseCsv: blank lines are skipped but row numbers still match the spreadsheet', () => {
+  const records = parseCsv('\nname\nfirst\n\n,\nsecond\n"third\nline"\nfourth');
+  assert.deepStrictEqual(records.map(record => record.name), ['first', 'second', 'third\nline', 'fourth']);
+  assert.deepStrictEqual(records.map(record => record.rowNumber), [3, 6, 7, 8]);
+  // The row number is not a column
+  assert.deepStrictEqual(Object.keys(records[0]), ['name']);
+});
+
+test('toCsv: quotes every value and round-trips through parseCsv', () => {
+  const records = [{ name: 'A "quoted", name', note: null }];
+  assert.strictEqual(toCsv(records), 'name,note\n"A ""quoted"", name",""');
+  assert.deepStrictEqual(parseCsv(toCsv(records)), [{ name: 'A "quoted", name', note: '' }]);
+});
+
+test('parseHolidayCsv: maps columns and reports errors against spreadsheet rows', () => {
+  const rows = parseHolidayCsv([
+    'Title,Date,Type,Recurring,Locations,Departments',
+    'Diwali,2026-11-08,public,yes,Delhi;Mumbai,',
+    '',
+    'Bad date,08/11/2026,public,,,',
+    'Picnic,2026-12-01,festival,,,'
+  ].join('\n'));
+
+  assert.strictEqual(rows.length, 3);
+  assert.strictEqual(rows[0].row, 2);
+  assert.strictEqual(rows[0].error, null);
+  assert.deepStrictEqual(rows[0].holiday.date, new Date(2026, 10, 8));
+  assert.strictEqual(rows[0].holiday.isRecurring, true);
+  assert.deepStrictEqual(rows[0].holiday.locations, ['Delhi', 'Mumbai']);
+  assert.deepStrictEqual(rows[0].holiday.departments, []);
+
+  assert.deepStrictEqual(rows.slice(1).map(({ row, error }) => ({ row, error })), [
+    { row: 4, error: 'Date must be in YYYY-MM-DD format' },
+    { row: 5, error: 'Type must be public or optional' }
+  ]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Holiday = require('../HR-CDS/models/Holiday');
+const { computeLeaveDays } = require('../HR-CDS/utils/attendanceCalendar');
+const { DEFAULT_SHIFT } = require('../HR-CDS/utils/shiftRules');
+
+// Without a companyCode no holidays are looked up, so these need no database
+const user = { _id: 'user-1' };
+const NIGHT_SHIFT = { ...DEFAULT_SHIFT, startTime: '22:00', endTime: '06:00' };
+
+// 2026-03-09 is a Monday
+const day = (date) => new Date(2026, 2, date);
+
+test('computeLeaveDays: counts working days and skips weekly offs', async () => {
+  assert.deepStrictEqual(await computeLeaveDays({ user, startDate: day(9), endDate: day(13) }), { days: 5, hours: null });
+  assert.deepStrictEqual(await computeLeaveDays({ user, startDate: day(13), endDate: day(16) }), { days: 2, hours: null });
+  assert.deepStrictEqual(
+    await computeLeaveDays({ user, shift: { ...DEFAULT_SHIFT, weeklyOffs: [0] }, startDate: day(13), endDate: day(16) }),
+    { days: 3, hours: null }
+  );
+});
+
+test('computeLeaveDays: refuses a range that is only weekly offs', async () => {
+  const result = await computeLeaveDays({ user, startDate: day(14), endDate: day(15) });
+  assert.strictEqual(result.error, 'The selected dates fall entirely on holidays or weekly offs.');
+});
+
+test('computeLeaveDays: skips holidays the user has off', async (t) => {
+  t.mock.method(Holiday, 'findOccurrences', async () => [
+    { title: 'Holi', type: 'public', occurrenceDate: day(10), locations: [], departments: [] }
+  ]);
+
+  const result = await computeLeaveDays({ user: { ...user, companyCode: 'ACME' }, startDate: day(9), endDate: day(13) });
+  assert.deepStrictEqual(result, { days: 4, hours: null });
+});
+
+test('computeLeaveDays: a half day is half a day on a single date', async () => {
+  assert.deepStrictEqual(await computeLeaveDays({ user, startDate: day(9), endDate: day(9), halfDay: 'first' }), { days: 0.5, hours: null });
+
+  const spanning = await computeLeaveDays({ user, startDate: day(9), endDate: day(10), halfDay: 'first' });
+  assert.strictEqual(spanning.error, 'Half-day leave must start and end on the same date.');
+});
+
+test('computeLeaveDays: hourly leave is charged as a share of the full day', async () => {
+  assert.deepStrictEqual(
+    await computeLeaveDays({ user, startDate: day(9), endDate: day(9), fromTime: '10:00', toTime: '12:15' }),
+    { days: 0.25, hours: 2.25 }
+  );
+});
+
+test('computeLeaveDays: hourly leave may cross midnight on a night shift only', async () => {
+  const request = { user, startDate: day(9), endDate: day(9), fromTime: '23:00', toTime: '01:00' };
+
+  assert.deepStrictEqual(await computeLeaveDays({ ...request, shift: NIGHT_SHIFT }), { days: 0.22, hours: 2 });
+  assert.strictEqual((await computeLeaveDays(request)).error, 'Hourly leave must end after it starts.');
+});
+
+test('computeLeaveDays: rejects invalid hourly requests', async () => {
+  const base = { user, startDate: day(9), endDate: day(9) };
+
+  assert.strictEqual(
+    (await computeLeaveDays({ ...base, halfDay: 'first', fromTime: '10:00', toTime: '11:00' })).error,
+    'A leave can be either half-day or hourly, not both.'
+  );
+  assert.strictEqual((await computeLeaveDays({ ...base, fromTime: '10:00' })).error, 'Hourly leave needs both a from and a to time.');
+  assert.strictEqual(
+    (await computeLeaveDays({ ...base, fromTime: '09:00', toTime: '14:00' })).error,
+    'Hourly leave must be shorter than 5 hours; apply for a half day instead.'
+  );
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findRoute, permissionForRoute } = require('../utils/permissions');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+test('permissionForRoute: looks up the permission for a method and path', () => {
+  assert.strictEqual(permissionForRoute('POST', '/api/meetings/create'), 'meetings.manage');
+  assert.strictEqual(permissionForRoute('get', '/api/meetings/user/64f1c0ffee'), 'meetings.view');
+  assert.strictEqual(permissionForRoute('DELETE', '/api/job-roles/64f1c0ffee'), 'roles.manage');
+  assert.strictEqual(permissionForRoute('POST', '/api/assets12/audits/a1/items/i1'), 'assets.audit');
+});
+
+test('permissionForRoute: matches paths the way Express routes them', () => {
+  // Express routing is case-insensitive and ignores a trailing slash
+  assert.strictEqual(permissionForRoute('GET', '/API/Assets/ALL'), 'assets.manage');
+  assert.strictEqual(permissionForRoute('GET', '/api/assets/all/'), 'assets.manage');
+  assert.strictEqual(permissionForRoute('GET', '/api//assets/all'), 'assets.manage');
+});
+
+test('permissionForRoute: the method must match and parameters stay within one segment', () => {
+  assert.strictEqual(permissionForRoute('PUT', '/api/meetings/create'), null);
+  assert.strictEqual(findRoute('PUT', '/api/meetings/create'), null);
+  assert.strictEqual(findRoute('DELETE', '/api/job-roles/a/b'), null);
+});
+
+test('permissionForRoute: login-only routes need no permission but are still listed', () => {
+  assert.strictEqual(permissionForRoute('GET', '/api/permissions/me'), null);
+  assert.strictEqual(findRoute('GET', '/api/permissions/me').path, '/api/permissions/me');
+});
+
+// Minimal Express request/response doubles; req.access skips the database lookup
+const run = async (middleware, { method, baseUrl, path, permissions = [] }) => {
+  const req = { method, baseUrl, path, user: { _id: 'user-1' }, access: { permissions, roles: [] } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { status: res.statusCode, body: res.body, nextCalled };
+};
+
+test('requirePermission: refuses requests without the route permission, whatever the path case', async () => {
+  const middleware = requirePermission();
+
+  const denied = await run(middleware, { method: 'GET', baseUrl: '/API/assets', path: '/All' });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.permission, 'assets.manage');
+  assert.strictEqual(denied.nextCalled, false);
+
+  const allowed = await run(middleware, { method: 'GET', baseUrl: '/API/assets', path: '/All', permissions: ['assets.manage'] });
+  assert.strictEqual(allowed.nextCalled, true);
+});
+
+test('requirePermission: lets login-only routes through and refuses unlisted ones', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const middleware = requirePermission();
+
+  assert.strictEqual((await run(middleware, { method: 'GET', baseUrl: '/api/permissions', path: '/me' })).nextCalled, true);
+
+  const unlisted = await run(middleware, { method: 'GET', baseUrl: '/api/permissions', path: '/everything', permissions: ['menu.manage'] });
+  assert.strictEqual(unlisted.status, 403);
+  assert.strictEqual(unlisted.nextCalled, false);
+});
+
+test('requirePermission: an explicit key is checked instead of the registry, and must exist', async () => {
+  const middleware = requirePermission('assets.audit');
+
+  assert.strictEqual((await run(middleware, { method: 'GET', baseUrl: '/api/anything', path: '/', permissions: ['assets.audit'] })).nextCalled, true);
+  assert.strictEqual((await run(middleware, { method: 'GET', baseUrl: '/api/anything', path: '/' })).status, 403);
+  assert.throws(() => requirePermission('assets.audti'), /Unknown permission "assets.audti"/);
+});
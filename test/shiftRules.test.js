@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SHIFT, getShiftDay, getLastClosedShiftDay } = require('../HR-CDS/utils/shiftRules');
+
+const NIGHT_SHIFT = { ...DEFAULT_SHIFT, startTime: '22:00', endTime: '06:00', absentAfterMinutes: 60 };
+const LATE_SHIFT = { ...DEFAULT_SHIFT, startTime: '23:30', endTime: '07:30', absentAfterMinutes: 60 };
+
+// Local-time dates, so the tests do not depend on the machine's timezone
+const at = (day, hour = 0, minute = 0) => new Date(2026, 2, day, hour, minute);
+
+test('getShiftDay: a day shift belongs to its calendar day', () => {
+  assert.deepStrictEqual(getShiftDay(DEFAULT_SHIFT, at(10, 0, 30)), at(10));
+  assert.deepStrictEqual(getShiftDay(DEFAULT_SHIFT, at(10, 23, 59)), at(10));
+});
+
+test('getShiftDay: early morning belongs to the night shift that started the evening before', () => {
+  assert.deepStrictEqual(getShiftDay(NIGHT_SHIFT, at(11, 2)), at(10));
+  assert.deepStrictEqual(getShiftDay(NIGHT_SHIFT, at(11, 5, 59)), at(10));
+  assert.deepStrictEqual(getShiftDay(NIGHT_SHIFT, at(10, 22, 15)), at(10));
+});
+
+test('getShiftDay: the night shift day switches halfway through the off-hours gap', () => {
+  // 06:00-22:00 off, so the cutoff is 14:00
+  assert.deepStrictEqual(getShiftDay(NIGHT_SHIFT, at(11, 13, 59)), at(10));
+  assert.deepStrictEqual(getShiftDay(NIGHT_SHIFT, at(11, 14)), at(11));
+});
+
+test('getLastClosedShiftDay: returns today once the clock-in window has closed', () => {
+  assert.deepStrictEqual(getLastClosedShiftDay(DEFAULT_SHIFT, at(10, 8)), at(9));
+  assert.deepStrictEqual(getLastClosedShiftDay(DEFAULT_SHIFT, at(10, 10)), at(10));
+});
+
+test('getLastClosedShiftDay: a late shift window closing after midnight counts for the day it started', () => {
+  assert.deepStrictEqual(getLastClosedShiftDay(LATE_SHIFT, at(11, 0, 15)), at(9));
+  assert.deepStrictEqual(getLastClosedShiftDay(LATE_SHIFT, at(11, 0, 45)), at(10));
+  assert.deepStrictEqual(getLastClosedShiftDay(NIGHT_SHIFT, at(10, 22, 30)), at(9));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextOccurrence, describeRecurrence } = require('../HR-CDS/utils/taskRecurrence');
+
+// The first `count` due dates of a series, as the spawner walks it
+const expand = (rule, count) => {
+  const dates = [new Date(rule.anchor)];
+  while (dates.length < count) {
+    const next = nextOccurrence(rule, dates[dates.length - 1]);
+    if (!next) break;
+    dates.push(next);
+  }
+  return dates.map(date => date.toISOString());
+};
+
+test('nextOccurrence: daily series step by the interval', () => {
+  const rule = { frequency: 'daily', interval: 2, timezone: 'UTC', anchor: '2026-03-09T09:00:00Z' };
+  assert.deepStrictEqual(expand(rule, 3), ['2026-03-09T09:00:00.000Z', '2026-03-11T09:00:00.000Z', '2026-03-13T09:00:00.000Z']);
+});
+
+test('nextOccurrence: weekly series run on the chosen weekdays every n weeks', () => {
+  // 2026-03-09 is a Monday; Mondays and Wednesdays, every other week
+  const rule = { frequency: 'weekly', interval: 2, weekdays: [1, 3], timezone: 'UTC', anchor: '2026-03-09T09:00:00Z' };
+  assert.deepStrictEqual(expand(rule, 5), [
+    '2026-03-09T09:00:00.000Z',
+    '2026-03-11T09:00:00.000Z',
+    '2026-03-23T09:00:00.000Z',
+    '2026-03-25T09:00:00.000Z',
+    '2026-04-06T09:00:00.000Z'
+  ]);
+});
+
+test('nextOccurrence: monthly series fall back to the last day of shorter months', () => {
+  const rule = { frequency: 'monthly', timezone: 'UTC', anchor: '2026-01-31T09:00:00Z' };
+  assert.deepStrictEqual(expand(rule, 4), [
+    '2026-01-31T09:00:00.000Z',
+    '2026-02-28T09:00:00.000Z',
+    '2026-03-31T09:00:00.000Z',
+    '2026-04-30T09:00:00.000Z'
+  ]);
+});
+
+test('nextOccurrence: keeps the wall-clock time across daylight saving changes', () => {
+  // US clocks go forward on 2026-03-08
+  const rule = { frequency: 'daily', timezone: 'America/New_York', anchor: '2026-03-07T14:00:00Z' };
+  assert.deepStrictEqual(expand(rule, 2), ['2026-03-07T14:00:00.000Z', '2026-03-08T13:00:00.000Z']);
+});
+
+test('nextOccurrence: stops at the end date', () => {
+  const rule = { frequency: 'daily', timezone: 'UTC', anchor: '2026-03-09T09:00:00Z', endDate: '2026-03-11T23:59:59Z' };
+  assert.strictEqual(expand(rule, 10).length, 3);
+  assert.strictEqual(nextOccurrence(rule, '2026-03-11T09:00:00Z'), null);
+});
+
+test('nextOccurrence: cron series follow the pattern in the company timezone', () => {
+  const rule = { frequency: 'cron', cron: '30 9 * * 1-5', timezone: 'Asia/Kolkata', anchor: '2026-03-13T04:00:00Z' };
+  // Friday 09:30 IST, then Monday 09:30 IST
+  assert.deepStrictEqual(nextOccurrence(rule, rule.anchor), new Date('2026-03-16T04:00:00Z'));
+});
+
+test('parseCron: expands ranges, steps and lists, and treats 7 as Sunday', () => {
+  const cron = parseCron('0,30 */6 1-3 * 7');
+  assert.deepStrictEqual(cron.minutes, [0, 30]);
+  assert.deepStrictEqual(cron.hours, [0, 6, 12, 18]);
+  assert.deepStrictEqual([...cron.daysOfMonth], [1, 2, 3]);
+  assert.deepStrictEqual([...cron.weekdays], [0]);
+  assert.strictEqual(cron.domRestricted, true);
+  assert.strictEqual(cron.dowRestricted, true);
+});
+
+test('parseCron: rejects malformed patterns', () => {
+  assert.throws(() => parseCron('* * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute must be between 0 and 59/);
+  assert.throws(() => parseCron('* * * * mon'), /Invalid cron day of week/);
+});
+
+test('describeRecurrence: summarises the rule', () => {
+  assert.strictEqual(describeRecurrence({ frequency: 'weekly', interval: 2, weekdays: [1, 3] }), 'Every 2 weeks on Mon, Wed');
+  assert.strictEqual(
+    describeRecurrence({ frequency: 'monthly', monthDay: 15, maxOccurrences: 6, endDate: '2026-12-31T00:00:00Z' }),
+    'Monthly on day 15, 6 times, until 2026-12-31'
+  );
+});
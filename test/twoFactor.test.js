@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../services/twoFactorService');
+
+// RFC 6238 appendix B test key ("12345678901234567890"), base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP = 30 * 1000;
+
+test('generateTotp: matches the RFC 6238 SHA-1 test vectors', () => {
+  assert.strictEqual(generateTotp(RFC_SECRET, 59 * 1000), '287082');
+  assert.strictEqual(generateTotp(RFC_SECRET, 1111111109 * 1000), '081804');
+  assert.strictEqual(generateTotp(RFC_SECRET, 1234567890 * 1000), '005924');
+});
+
+test('verifyTotp: returns the matching time step', () => {
+  const time = 1234567890 * 1000;
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', null, time), Math.floor(time / STEP));
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005 924', null, time), Math.floor(time / STEP));
+});
+
+test('verifyTotp: accepts one step of clock drift either way', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(time / STEP);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - STEP), null, time), step - 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + STEP), null, time), step + 1);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 2 * STEP), null, time), null);
+});
+
+test('verifyTotp: refuses codes at or before the last used step', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(time / STEP);
+
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', step, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + STEP), step, time), step + 1);
+});
+
+test('verifyTotp: rejects malformed and wrong codes', () => {
+  const time = 1234567890 * 1000;
+
+  for (const code of ['', null, '12345', '1234567', 'abcdef', '005925']) {
+    assert.strictEqual(verifyTotp(RFC_SECRET, code, null, time), null);
+  }
+});
+
+test('generateSecret: produces a 160-bit base32 secret that verifies its own codes', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notStrictEqual(verifyTotp(secret, generateTotp(secret)), null);
+});
+
+test('encryptSecret: round-trips and does not store the secret in the clear', () => {
+  const stored = encryptSecret(RFC_SECRET);
+  assert.ok(!stored.includes(RFC_SECRET));
+  assert.notStrictEqual(encryptSecret(RFC_SECRET), stored);
+  assert.strictEqual(decryptSecret(stored), RFC_SECRET);
+});
+
+test('generateRecoveryCodes: stores only hashes, matched regardless of case and dashes', () => {
+  const { codes, stored } = generateRecoveryCodes(3);
+
+  assert.strictEqual(codes.length, 3);
+  codes.forEach((code, index) => {
+    assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    assert.deepStrictEqual(stored[index], { hash: hashRecoveryCode(code), usedAt: null });
+    assert.strictEqual(hashRecoveryCode(code.toUpperCase().replace('-', '')), stored[index].hash);
+  });
+});
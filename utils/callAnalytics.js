@@ -0,0 +1,203 @@
+// utils/callAnalytics.js
+const mongoose = require("mongoose");
+const CallLog = require("../models/CallLog");
+const Lead = require("../models/Lead");
+const User = require("../models/User");
+const Department = require("../models/Department");
+const { getPipeline } = require("./leadPipeline");
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+const round1 = (value) => Math.round((value || 0) * 10) / 10;
+
+/**
+ * Agents a report covers: the caller only for agents, otherwise everyone
+ * (or one department) in the company. Returns null for "no restriction".
+ */
+exports.resolveReportAgents = async ({ companyCode, department, agentId }) => {
+  if (agentId) return [new mongoose.Types.ObjectId(String(agentId))];
+  if (!department) return null;
+
+  const users = await User.find({ companyCode, department: String(department) }).select("_id").lean();
+  return users.map(user => user._id);
+};
+
+/**
+ * Per-agent call metrics for calls started / leads created in the range:
+ * connect rate (answered / ended calls), talk time in seconds, calls per
+ * active hour and first-response time on new leads
+ */
+exports.getAgentMetrics = async ({ companyCode, agents, range, timezone }) => {
+  const callMatch = { companyCode };
+  const leadMatch = { companyCode, assignedTo: { $ne: null } };
+  if (agents) {
+    callMatch.agent = { $in: agents };
+    leadMatch.assignedTo = { $in: agents };
+  }
+  if (range) {
+    callMatch.startTime = range;
+    leadMatch.createdAt = range;
+  }
+
+  const [callRows, responseRows] = await Promise.all([
+    CallLog.aggregate([
+      { $match: callMatch },
+      {
+        $group: {
+          _id: "$agent",
+          calls: { $sum: 1 },
+          ended: { $sum: { $cond: [{ $ifNull: ["$endTime", false] }, 1, 0] } },
+          answered: { $sum: { $cond: [{ $eq: ["$status", "answered"] }, 1, 0] } },
+          talkTime: { $sum: { $cond: [{ $eq: ["$status", "answered"] }, { $ifNull: ["$duration", 0] }, 0] } },
+          // Hours (company time) with at least one call
+          hours: { $addToSet: { $dateToString: { format: "%Y-%m-%d %H", date: "$startTime", timezone } } }
+        }
+      },
+      { $project: { calls: 1, ended: 1, answered: 1, talkTime: 1, activeHours: { $size: "$hours" } } }
+    ]),
+    // First call on each new lead, by whoever made it
+    Lead.aggregate([
+      { $match: leadMatch },
+      {
+        $lookup: {
+          from: "calllogs",
+          let: { leadId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$lead", "$$leadId"] } } },
+            { $group: { _id: null, first: { $min: "$startTime" } } }
+          ],
+          as: "firstCall"
+        }
+      },
+      { $project: { assignedTo: 1, createdAt: 1, firstCall: { $arrayElemAt: ["$firstCall.first", 0] } } },
+      {
+        $group: {
+          _id: "$assignedTo",
+          newLeads: { $sum: 1 },
+          contacted: { $sum: { $cond: [{ $ifNull: ["$firstCall", false] }, 1, 0] } },
+          responseMs: {
+            $avg: {
+              $cond: [{ $ifNull: ["$firstCall", false] }, { $subtract: ["$firstCall", "$createdAt"] }, null]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const agentIds = [...new Set([...callRows, ...responseRows].map(row => String(row._id)))];
+  const users = await User.find({ _id: { $in: agentIds } }).select("name email department").lean();
+  const responses = new Map(responseRows.map(row => [String(row._id), row]));
+
+  return agentIds.map(agentId => {
+    const user = users.find(entry => String(entry._id) === agentId) || {};
+    const calls = callRows.find(row => String(row._id) === agentId) || { calls: 0, ended: 0, answered: 0, talkTime: 0, activeHours: 0 };
+    const response = responses.get(agentId) || { newLeads: 0, contacted: 0, responseMs: null };
+
+    return {
+      agentId,
+      name: user.name || "Unknown",
+      email: user.email || "",
+      department: user.department || null,
+      calls: calls.calls,
+      endedCalls: calls.ended,
+      answered: calls.answered,
+      connectRate: percent(calls.answered, calls.ended),
+      totalTalkTime: calls.talkTime,
+      avgTalkTime: calls.answered ? Math.round(calls.talkTime / calls.answered) : 0,
+      activeHours: calls.activeHours,
+      callsPerHour: calls.activeHours ? round1(calls.calls / calls.activeHours) : 0,
+      newLeads: response.newLeads,
+      leadsContacted: response.contacted,
+      avgFirstResponseMinutes: response.responseMs === null ? null : round1(response.responseMs / 60000)
+    };
+  }).sort((a, b) => b.calls - a.calls);
+};
+
+/**
+ * Roll agent rows up to their departments. Rates are recomputed from the
+ * totals; first-response is weighted by contacted leads.
+ */
+exports.getTeamMetrics = async (companyCode, agentRows) => {
+  const teams = new Map();
+
+  agentRows.forEach(row => {
+    const key = row.department || "unassigned";
+    const team = teams.get(key) || {
+      department: key, agents: 0, calls: 0, answered: 0, ended: 0, totalTalkTime: 0,
+      activeHours: 0, newLeads: 0, leadsContacted: 0, responseMinutes: 0
+    };
+
+    team.agents++;
+    team.calls += row.calls;
+    team.answered += row.answered;
+    team.ended += row.endedCalls;
+    team.totalTalkTime += row.totalTalkTime;
+    team.activeHours += row.activeHours;
+    team.newLeads += row.newLeads;
+    team.leadsContacted += row.leadsContacted;
+    team.responseMinutes += (row.avgFirstResponseMinutes || 0) * row.leadsContacted;
+    teams.set(key, team);
+  });
+
+  const ids = [...teams.keys()].filter(key => mongoose.isValidObjectId(key));
+  const departments = await Department.find({ _id: { $in: ids }, companyCode }).select("name").lean();
+
+  return [...teams.values()].map(team => ({
+    department: team.department,
+    departmentName: (departments.find(dept => String(dept._id) === team.department) || {}).name || team.department,
+    agents: team.agents,
+    calls: team.calls,
+    endedCalls: team.ended,
+    answered: team.answered,
+    connectRate: percent(team.answered, team.ended),
+    totalTalkTime: team.totalTalkTime,
+    avgTalkTime: team.answered ? Math.round(team.totalTalkTime / team.answered) : 0,
+    callsPerHour: team.activeHours ? round1(team.calls / team.activeHours) : 0,
+    newLeads: team.newLeads,
+    leadsContacted: team.leadsContacted,
+    avgFirstResponseMinutes: team.leadsContacted ? round1(team.responseMinutes / team.leadsContacted) : null
+  })).sort((a, b) => b.calls - a.calls);
+};
+
+/**
+ * Where leads ended up by the outcome of their last call in the range:
+ * current stage counts and conversion rate per outcome
+ */
+exports.getOutcomeConversion = async ({ companyCode, agents, range }) => {
+  const match = { companyCode, endTime: { $ne: null } };
+  if (agents) match.agent = { $in: agents };
+  if (range) match.startTime = range;
+
+  const rows = await CallLog.aggregate([
+    { $match: match },
+    { $sort: { startTime: -1 } },
+    { $group: { _id: "$lead", outcome: { $first: "$status" } } },
+    { $lookup: { from: "leads", localField: "_id", foreignField: "_id", as: "lead" } },
+    { $unwind: "$lead" },
+    {
+      $group: {
+        _id: { outcome: "$outcome", stage: "$lead.status" },
+        leads: { $sum: 1 },
+        converted: { $sum: { $cond: [{ $ifNull: ["$lead.convertedClient", false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  const pipeline = await getPipeline(companyCode);
+  const stageName = (key) => (pipeline.stages.find(stage => stage.key === key) || {}).name || key;
+  const outcomes = new Map();
+
+  rows.forEach(row => {
+    const outcome = outcomes.get(row._id.outcome) || { outcome: row._id.outcome, leads: 0, converted: 0, stages: [] };
+    outcome.leads += row.leads;
+    outcome.converted += row.converted;
+    outcome.stages.push({ stage: row._id.stage, name: stageName(row._id.stage), leads: row.leads });
+    outcomes.set(row._id.outcome, outcome);
+  });
+
+  return [...outcomes.values()].map(outcome => ({
+    ...outcome,
+    conversionRate: percent(outcome.converted, outcome.leads),
+    stages: outcome.stages.sort((a, b) => b.leads - a.leads)
+  })).sort((a, b) => b.leads - a.leads);
+};
@@ -0,0 +1,80 @@
+// utils/crmAccess.js
+const mongoose = require("mongoose");
+const { hasPermission, resolvePermissions } = require("./permissions");
+
+// CRM managers (crm.manage) see and manage every lead of their company; others are agents
+const CRM_MANAGE_PERMISSION = "crm.manage";
+
+exports.isCrmManager = (req) => hasPermission(req, CRM_MANAGE_PERMISSION);
+
+// Same check for a User document outside a request (scheduled jobs)
+exports.isCrmManagerUser = async (user) =>
+  (await resolvePermissions(user)).permissions.includes(CRM_MANAGE_PERMISSION);
+
+// Tenant filter every CRM query starts from
+exports.companyScope = (req) => ({ companyCode: req.user.companyCode });
+
+// Leads a user may see: managers all of the company's, agents the ones assigned to or created by them
+exports.leadScope = async (req) => {
+  const scope = exports.companyScope(req);
+  if (!(await exports.isCrmManager(req))) {
+    scope.$or = [{ assignedTo: req.user._id }, { createdBy: req.user._id }];
+  }
+  return scope;
+};
+
+// Calls / follow-ups a user may see: managers the company's, agents their own
+exports.agentScope = async (req) => {
+  const scope = exports.companyScope(req);
+  if (!(await exports.isCrmManager(req))) {
+    scope.agent = req.user._id;
+  }
+  return scope;
+};
+
+exports.requireCrmManager = async (req, res, next) => {
+  try {
+    if (!(await exports.isCrmManager(req))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only CRM managers can perform this action"
+      });
+    }
+    next();
+  } catch (error) {
+    console.error("❌ requireCrmManager error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error in permission validation"
+    });
+  }
+};
+
+exports.getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+exports.paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// createdAt / date range from ?from=&to= query params
+exports.dateRange = (from, to) => {
+  const range = {};
+  if (from && !isNaN(new Date(from))) range.$gte = new Date(from);
+  if (to && !isNaN(new Date(to))) {
+    const end = new Date(to);
+    end.setHours(23, 59, 59, 999);
+    range.$lte = end;
+  }
+  return Object.keys(range).length ? range : null;
+};
+
+exports.escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+exports.isValidId = (id) => mongoose.isValidObjectId(id);
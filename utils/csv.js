@@ -0,0 +1,116 @@
+// utils/csv.js
+
+/**
+ * Record the 1-based spreadsheet row a parsed row (or record) came from.
+ * Non-enumerable so it never shows up as a column or in JSON.
+ */
+const setRowNumber = (target, rowNumber) =>
+  Object.defineProperty(target, 'rowNumber', { value: rowNumber });
+
+/**
+ * Drop blank rows, numbering the rest first so row numbers still match
+ * the lines the user sees in their spreadsheet
+ */
+const dropBlankRows = (rows) => rows
+  .map((row, index) => (row.rowNumber ? row : setRowNumber(row, index + 1)))
+  .filter(row => row.some(value => String(value).trim() !== ''));
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into an array of rows (arrays of strings).
+ * Each row carries its original position as `rowNumber`.
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return dropBlankRows(rows);
+};
+
+/**
+ * Turn parsed rows (first row = header) into objects keyed by normalised
+ * header (trimmed, lower-cased, spaces replaced by underscores).
+ * Shared with the spreadsheet reader in utils/xlsx.js. Each record keeps
+ * the `rowNumber` of the row it was read from.
+ */
+const rowsToRecords = (rows) => {
+  const [headerRow, ...dataRows] = rows;
+  if (!headerRow) {
+    return [];
+  }
+
+  const headers = headerRow.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+
+  return dataRows.map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = String(values[index] ?? '').trim();
+    });
+    return setRowNumber(record, values.rowNumber);
+  });
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by normalised header
+ */
+const parseCsv = (text) => rowsToRecords(parseCsvRows(text));
+
+/**
+ * Serialise an array of flat objects to CSV using the first row's keys as headers
+ */
+const toCsv = (records) => {
+  const headers = Object.keys(records[0] || {});
+  const escape = (value) => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+
+  return [
+    headers.join(','),
+    ...records.map(record => headers.map(header => escape(record[header])).join(','))
+  ].join('\n');
+};
+
+module.exports = {
+  dropBlankRows,
+  parseCsvRows,
+  parseCsv,
+  rowsToRecords,
+  setRowNumber,
+  toCsv
+};
@@ -0,0 +1,148 @@
+// utils/followupReminders.js
+const FollowUp = require("../models/Followup");
+const Company = require("../models/Company");
+const User = require("../models/User");
+const Notification = require("../HR-CDS/models/Notification");
+const { findDepartmentHead } = require("../HR-CDS/utils/leaveApproval");
+const { DEFAULT_TIMEZONE, formatInZone } = require("./timezone");
+const { isCrmManagerUser } = require("./crmAccess");
+
+const MINUTE = 60 * 1000;
+
+// Stored notification + `notification:new` socket event, like the overdue-task job
+const notifyUser = async (userId, { type, title, message, priority, data }) => {
+  await Notification.create({ recipient: userId, type, title, message, priority, data });
+
+  if (global.io) {
+    global.io.to(`user:${userId}`).emit("notification:new", { type, title, message, data });
+  }
+};
+
+const activeCompanies = () => Company.find({ isActive: true }).select("companyCode timezone followUpPolicy").lean();
+
+/**
+ * Who hears about an agent's missed follow-up: their reporting manager,
+ * else their department head, else the company's CRM managers
+ */
+const findEscalationTargets = async (agent) => {
+  if (agent.reportingManager) return [agent.reportingManager];
+
+  const head = await findDepartmentHead(agent);
+  if (head && String(head) !== String(agent._id)) return [head];
+
+  const candidates = await User.find({ companyCode: agent.companyCode, isActive: true, _id: { $ne: agent._id } })
+    .select("jobRole roleId companyRole department company")
+    .lean();
+
+  const managers = [];
+  for (const user of candidates) {
+    if (await isCrmManagerUser(user)) managers.push(user._id);
+  }
+  return managers;
+};
+
+/**
+ * Remind agents `reminderMinutes` before each pending follow-up (once per
+ * scheduled time; rescheduling re-arms it)
+ */
+exports.sendFollowUpReminders = async () => {
+  const now = new Date();
+  let sent = 0;
+
+  for (const company of await activeCompanies()) {
+    const minutes = company.followUpPolicy?.reminderMinutes ?? 15;
+    if (!minutes) continue;
+
+    const due = await FollowUp.find({
+      companyCode: company.companyCode,
+      status: "pending",
+      reminderSentAt: null,
+      date: { $gt: now, $lte: new Date(now.getTime() + minutes * MINUTE) }
+    }).populate("lead", "name phone");
+
+    for (const followUp of due) {
+      try {
+        // Claim first so overlapping runs cannot remind twice
+        const claimed = await FollowUp.updateOne(
+          { _id: followUp._id, reminderSentAt: null },
+          { $set: { reminderSentAt: new Date() } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const leadName = followUp.lead ? followUp.lead.name : "a lead";
+        await notifyUser(followUp.agent, {
+          type: "followup_reminder",
+          title: "Follow-up Reminder",
+          message: `Follow-up with ${leadName} at ${formatInZone(followUp.date, company.timezone || DEFAULT_TIMEZONE)}`,
+          priority: "medium",
+          data: { followUpId: followUp._id, leadId: followUp.lead?._id, scheduledAt: followUp.date }
+        });
+        sent++;
+      } catch (error) {
+        console.error(`❌ Follow-up reminder failed for ${followUp._id}:`, error.message);
+      }
+    }
+  }
+
+  return { sent };
+};
+
+/**
+ * Escalate follow-ups still pending `escalateAfterMinutes` after their time
+ * to the agent's manager (once per scheduled time)
+ */
+exports.escalateMissedFollowUps = async () => {
+  const now = new Date();
+  let escalated = 0;
+
+  for (const company of await activeCompanies()) {
+    const minutes = company.followUpPolicy?.escalateAfterMinutes ?? 120;
+    if (!minutes) continue;
+
+    const missed = await FollowUp.find({
+      companyCode: company.companyCode,
+      status: "pending",
+      escalatedAt: null,
+      date: { $lte: new Date(now.getTime() - minutes * MINUTE) }
+    })
+      .populate("lead", "name phone")
+      .populate("agent", "name companyCode department reportingManager");
+
+    for (const followUp of missed) {
+      try {
+        if (!followUp.agent) continue;
+
+        const targets = await findEscalationTargets(followUp.agent);
+
+        const claimed = await FollowUp.updateOne(
+          { _id: followUp._id, escalatedAt: null },
+          { $set: { escalatedAt: new Date(), escalatedTo: targets } }
+        );
+        if (!claimed.modifiedCount) continue;
+
+        const leadName = followUp.lead ? followUp.lead.name : "a lead";
+        const scheduled = formatInZone(followUp.date, company.timezone || DEFAULT_TIMEZONE);
+
+        for (const target of targets) {
+          await notifyUser(target, {
+            type: "followup_escalated",
+            title: "Missed Follow-up",
+            message: `${followUp.agent.name} missed the follow-up with ${leadName} scheduled for ${scheduled}`,
+            priority: "high",
+            data: {
+              followUpId: followUp._id,
+              leadId: followUp.lead?._id,
+              userId: followUp.agent._id,
+              scheduledAt: followUp.date
+            }
+          });
+        }
+        escalated++;
+      } catch (error) {
+        console.error(`❌ Follow-up escalation failed for ${followUp._id}:`, error.message);
+      }
+    }
+  }
+
+  return { escalated };
+};
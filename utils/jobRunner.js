@@ -0,0 +1,167 @@
+// utils/jobRunner.js
+const os = require("os");
+const schedule = require("node-schedule");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+
+const MINUTE = 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const jobs = new Map();
+
+/**
+ * Register a job. `handler` resolves to a small result object (kept on the
+ * run) and throws on failure. Quiet jobs run often and skip the
+ * "Running ..." log line on scheduled runs.
+ */
+exports.defineJob = ({ name, cron, description, handler, lockMinutes = 30, quiet = false }) => {
+  jobs.set(name, { name, cron, description: description || name, handler, lockMinutes, quiet, scheduled: null });
+};
+
+exports.hasJob = (name) => jobs.has(name);
+
+/**
+ * Take the job's lock unless another instance holds it. For scheduled runs
+ * the slot is claimed too, so an instance whose timer fires after another
+ * one already finished that tick does not run it again.
+ */
+const acquireLock = async (job, scheduledFor) => {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  const update = {
+    lockedBy: INSTANCE_ID,
+    lockedAt: now,
+    lockedUntil: new Date(now.getTime() + job.lockMinutes * MINUTE),
+    lastRunAt: now,
+    lastStatus: "running"
+  };
+
+  if (scheduledFor) {
+    filter.lastScheduledFor = { $ne: scheduledFor };
+    update.lastScheduledFor = scheduledFor;
+  }
+
+  try {
+    return await JobLock.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+  } catch (error) {
+    // No matching document means it is locked (or the slot is taken); the upsert then hits the unique name
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const execute = async (job, run) => {
+  if (!job.quiet || run.trigger !== "schedule") {
+    console.log(`⏰ Running ${job.description}...`);
+  }
+
+  let status = "success";
+  let result = null;
+  let errorMessage = null;
+
+  try {
+    result = (await job.handler({ trigger: run.trigger })) || null;
+  } catch (error) {
+    status = "failed";
+    errorMessage = error.message;
+    console.error(`❌ Error in ${job.name} job:`, error);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - run.startedAt;
+
+  try {
+    await JobRun.updateOne(
+      { _id: run._id },
+      { $set: { status, result, error: errorMessage, finishedAt, durationMs } }
+    );
+    // Only release a lock we still hold
+    await JobLock.updateOne(
+      { name: job.name, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastFinishedAt: finishedAt,
+          lastStatus: status,
+          lastError: errorMessage,
+          lastDurationMs: durationMs,
+          lastResult: result
+        }
+      }
+    );
+  } catch (error) {
+    console.error(`❌ Could not record ${job.name} run:`, error.message);
+  }
+
+  return { status, result, error: errorMessage };
+};
+
+/**
+ * Start a run if this instance gets the lock. Resolves to null when the
+ * job is running elsewhere, otherwise to { run, finished } where
+ * `finished` settles with the outcome (it never rejects).
+ */
+exports.startJob = async (name, { trigger = "manual", triggeredBy = null, scheduledFor = null } = {}) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  const lock = await acquireLock(job, scheduledFor);
+  if (!lock) return null;
+
+  // Holding the lock means any run still marked running was left by a dead instance
+  await JobRun.updateMany(
+    { name, status: "running" },
+    { $set: { status: "failed", error: "Instance stopped before the run finished", finishedAt: new Date() } }
+  );
+
+  const run = await JobRun.create({ name, trigger, triggeredBy, instance: INSTANCE_ID });
+  return { run, finished: execute(job, run) };
+};
+
+// Schedule every registered job on this instance (jobs without a cron are manual / startup only)
+exports.startScheduler = () => {
+  jobs.forEach(job => {
+    if (!job.cron) return;
+
+    job.scheduled = schedule.scheduleJob(job.name, job.cron, (fireDate) => {
+      const scheduledFor = new Date(Math.floor(new Date(fireDate).getTime() / MINUTE) * MINUTE);
+
+      exports.startJob(job.name, { trigger: "schedule", scheduledFor })
+        .then(started => started && started.finished)
+        .catch(error => console.error(`❌ Error starting ${job.name} job:`, error));
+    });
+  });
+
+  console.log(`✅ Job scheduler started: ${[...jobs.values()].filter(job => job.cron).length} jobs on ${INSTANCE_ID}`);
+};
+
+// Registered jobs with their schedule, lock and last-run status
+exports.listJobs = async () => {
+  const now = new Date();
+  const locks = await JobLock.find({ name: { $in: [...jobs.keys()] } }).lean();
+
+  return [...jobs.values()].map(job => {
+    const lock = locks.find(entry => entry.name === job.name) || {};
+    const next = job.scheduled ? job.scheduled.nextInvocation() : null;
+
+    return {
+      name: job.name,
+      description: job.description,
+      cron: job.cron,
+      nextRunAt: next ? new Date(next.getTime()) : null,
+      isRunning: Boolean(lock.lockedUntil && lock.lockedUntil > now),
+      lockedBy: lock.lockedUntil && lock.lockedUntil > now ? lock.lockedBy : null,
+      lastRunAt: lock.lastRunAt || null,
+      lastFinishedAt: lock.lastFinishedAt || null,
+      lastStatus: lock.lastStatus || null,
+      lastError: lock.lastError || null,
+      lastDurationMs: lock.lastDurationMs ?? null,
+      lastResult: lock.lastResult ?? null
+    };
+  });
+};
+
+exports.INSTANCE_ID = INSTANCE_ID;
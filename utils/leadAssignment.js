@@ -0,0 +1,97 @@
+// utils/leadAssignment.js
+const Lead = require("../models/Lead");
+const User = require("../models/User");
+const LeadAssignmentRule = require("../models/LeadAssignmentRule");
+const { getPipeline } = require("./leadPipeline");
+
+/**
+ * Active company users in a pool: the listed agents, or everyone in the
+ * department. Sorted by id so round-robin turns stay stable.
+ */
+const resolveAgents = async (companyCode, { department, agents }) => {
+  const filter = { companyCode, isActive: true };
+  if (agents && agents.length) filter._id = { $in: agents };
+  else if (department) filter.department = String(department);
+  else return [];
+
+  const users = await User.find(filter).select("_id").sort({ _id: 1 }).lean();
+  return users.map(user => user._id);
+};
+
+// Hand out turns from the rule's cursor; $inc keeps parallel imports from reusing them
+const roundRobin = async (rule, sourceRule, agents, leads) => {
+  const filter = sourceRule ? { _id: rule._id, "sourceRules._id": sourceRule._id } : { _id: rule._id };
+  const cursorPath = sourceRule ? "sourceRules.$.cursor" : "cursor";
+
+  const before = await LeadAssignmentRule.findOneAndUpdate(filter, { $inc: { [cursorPath]: leads.length } }).lean();
+  const current = before && sourceRule
+    ? before.sourceRules.find(entry => String(entry._id) === String(sourceRule._id))
+    : before;
+  const start = (current && current.cursor) || 0;
+
+  leads.forEach((lead, index) => {
+    lead.assignedTo = agents[(start + index) % agents.length];
+  });
+};
+
+// Give each lead to the agent with the fewest leads in open stages
+const byWorkload = async (companyCode, agents, leads) => {
+  const pipeline = await getPipeline(companyCode);
+  const openStages = pipeline.stages.filter(stage => stage.type === "open").map(stage => stage.key);
+
+  const counts = await Lead.aggregate([
+    { $match: { companyCode, assignedTo: { $in: agents }, status: { $in: openStages } } },
+    { $group: { _id: "$assignedTo", count: { $sum: 1 } } }
+  ]);
+
+  const load = new Map(agents.map(agent => [String(agent), { agent, count: 0 }]));
+  counts.forEach(row => {
+    load.get(String(row._id)).count = row.count;
+  });
+
+  leads.forEach(lead => {
+    const lightest = [...load.values()].reduce((min, entry) => (entry.count < min.count ? entry : min));
+    lead.assignedTo = lightest.agent;
+    lightest.count++;
+  });
+};
+
+/**
+ * Assign leads (plain objects, not yet saved) that have no assignee using
+ * the company's assignment rule. Returns how many were assigned.
+ */
+exports.autoAssignLeads = async (companyCode, leads) => {
+  const pending = leads.filter(lead => !lead.assignedTo);
+  if (!pending.length) return 0;
+
+  const rule = await LeadAssignmentRule.findOne({ companyCode, enabled: true }).lean();
+  if (!rule) return 0;
+
+  let remaining = pending;
+
+  if (rule.strategy === "source") {
+    for (const sourceRule of rule.sourceRules) {
+      const source = sourceRule.source.toLowerCase();
+      const matching = remaining.filter(lead => String(lead.source || "").toLowerCase() === source);
+      if (!matching.length) continue;
+
+      const agents = await resolveAgents(companyCode, { agents: sourceRule.agents });
+      if (!agents.length) continue;
+
+      await roundRobin(rule, sourceRule, agents, matching);
+      remaining = remaining.filter(lead => !matching.includes(lead));
+    }
+  }
+
+  if (remaining.length) {
+    const agents = await resolveAgents(companyCode, rule);
+    if (agents.length) {
+      if (rule.strategy === "workload") await byWorkload(companyCode, agents, remaining);
+      else await roundRobin(rule, null, agents, remaining);
+    }
+  }
+
+  return pending.filter(lead => lead.assignedTo).length;
+};
+
+exports.resolveAgents = resolveAgents;
@@ -0,0 +1,67 @@
+// utils/leadImport.js
+const path = require("path");
+const { parseCsv } = require("./csv");
+const { parseXlsx } = require("./xlsx");
+
+const MAX_IMPORT_ROWS = 5000;
+
+const first = (row, columns) => {
+  for (const column of columns) {
+    if (row[column]) return row[column];
+  }
+  return undefined;
+};
+
+const splitList = (value) => (value || "")
+  .split(/[;|,]/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Read the uploaded CSV / .xlsx file (or raw CSV `content`) into row objects
+ * keyed by normalised header. Throws on unreadable files.
+ */
+const readLeadFile = (file, content) => {
+  if (file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    return extension === ".xlsx" ? parseXlsx(file.buffer) : parseCsv(file.buffer.toString("utf8"));
+  }
+  return parseCsv(content);
+};
+
+/**
+ * Map one spreadsheet row to lead fields. Column names cover our own template
+ * and the usual ad-platform exports (full_name, phone_number, company_name...).
+ */
+const mapLeadRow = (row) => {
+  const name = first(row, ["name", "full_name", "lead_name", "contact_name"])
+    || [row.first_name, row.last_name].filter(Boolean).join(" ");
+
+  // Facebook lead ads export phones as "p:+919876543210"
+  const phone = first(row, ["phone", "phone_number", "mobile", "mobile_number", "contact_number"]);
+
+  const lead = {
+    name,
+    phone: phone ? phone.replace(/^p:/i, "") : undefined,
+    email: first(row, ["email", "email_address", "e-mail"]),
+    organization: first(row, ["organization", "organisation", "company", "company_name"]),
+    city: first(row, ["city", "location"]),
+    source: first(row, ["source", "lead_source", "campaign", "campaign_name"]),
+    status: first(row, ["status", "stage"]),
+    servicesOfInterest: splitList(first(row, ["services", "service", "services_of_interest"]))
+  };
+
+  Object.keys(lead).forEach(field => {
+    if (lead[field] === undefined || lead[field] === "" || (Array.isArray(lead[field]) && !lead[field].length)) {
+      delete lead[field];
+    }
+  });
+
+  return { lead, note: first(row, ["notes", "note", "remarks", "comments"]) };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readLeadFile,
+  mapLeadRow
+};
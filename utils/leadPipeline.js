@@ -0,0 +1,137 @@
+// utils/leadPipeline.js
+const Lead = require("../models/Lead");
+const LeadPipeline = require("../models/LeadPipeline");
+const CallLog = require("../models/CallLog");
+const FollowUp = require("../models/Followup");
+
+// Used until a company saves its own pipeline; matches the original lead statuses
+const DEFAULT_STAGES = [
+  { key: "new", name: "New", order: 1, type: "open", probability: 10 },
+  { key: "follow-up", name: "Follow-up", order: 2, type: "open", probability: 25 },
+  { key: "interested", name: "Interested", order: 3, type: "open", probability: 50 },
+  { key: "not interested", name: "Not Interested", order: 4, type: "lost", probability: 0 },
+  { key: "converted", name: "Converted", order: 5, type: "won", probability: 100 }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+exports.DEFAULT_STAGES = DEFAULT_STAGES;
+
+/**
+ * The company's pipeline, or the default one (flagged isDefault)
+ */
+exports.getPipeline = async (companyCode) => {
+  const pipeline = await LeadPipeline.findOne({ companyCode }).lean();
+  if (pipeline && pipeline.stages.length) {
+    pipeline.stages.sort((a, b) => a.order - b.order);
+    return pipeline;
+  }
+  return { companyCode, stages: DEFAULT_STAGES, sources: [], isDefault: true };
+};
+
+exports.findStage = (pipeline, key) =>
+  pipeline.stages.find(stage => stage.key === String(key || "").trim().toLowerCase()) || null;
+
+exports.firstOpenStage = (pipeline) => pipeline.stages.find(stage => stage.type === "open");
+
+exports.wonStage = (pipeline) => pipeline.stages.find(stage => stage.type === "won");
+
+/**
+ * Pick the configured spelling of a source (case-insensitive). Returns
+ * undefined when the company restricts sources and this one is not listed.
+ */
+exports.normalizeSource = (pipeline, source) => {
+  if (source === undefined || source === null || source === "") return source;
+  const clean = String(source).trim();
+  if (!pipeline.sources || pipeline.sources.length === 0) return clean;
+  return pipeline.sources.find(allowed => allowed.toLowerCase() === clean.toLowerCase());
+};
+
+/**
+ * Score a lead 0-100 from its stage, call outcomes and follow-up history.
+ * Returns { score, breakdown } so the number can be explained in the UI.
+ */
+exports.computeLeadScore = async (lead, pipeline) => {
+  const stage = exports.findStage(pipeline, lead.status);
+
+  if (stage && stage.type === "won") return { score: 100, breakdown: { stage: 100 } };
+  if (stage && stage.type === "lost") return { score: 0, breakdown: { stage: 0 } };
+
+  const now = Date.now();
+  const [calls, followUps] = await Promise.all([
+    CallLog.find({ lead: lead._id, companyCode: lead.companyCode, endTime: { $ne: null } })
+      .select("status duration endTime").lean(),
+    FollowUp.find({ lead: lead._id, companyCode: lead.companyCode })
+      .select("status date updatedAt").lean()
+  ]);
+
+  const answered = calls.filter(call => call.status === "answered");
+  const unanswered = calls.length - answered.length;
+  // A real conversation (2+ minutes) says more than a quick pick-up
+  const conversations = answered.filter(call => (call.duration || 0) >= 120).length;
+  const done = followUps.filter(f => f.status === "done").length;
+  const overdue = followUps.filter(f => f.status === "pending" && new Date(f.date).getTime() < now).length;
+
+  const touches = [
+    ...answered.map(call => new Date(call.endTime).getTime()),
+    ...followUps.filter(f => f.status === "done").map(f => new Date(f.updatedAt).getTime())
+  ];
+  const lastTouch = touches.length ? Math.max(...touches) : null;
+
+  const breakdown = {
+    stage: Math.round((stage ? stage.probability : 0) * 0.4),
+    calls: Math.min(answered.length * 8, 24) + Math.min(conversations * 4, 12),
+    missedCalls: -Math.min(unanswered * 3, 15),
+    followUps: Math.min(done * 5, 15),
+    overdueFollowUps: -Math.min(overdue * 5, 15),
+    recency: lastTouch === null ? 0 : now - lastTouch <= 7 * DAY ? 10 : now - lastTouch <= 30 * DAY ? 5 : 0
+  };
+
+  const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  return { score: Math.max(0, Math.min(100, total)), breakdown };
+};
+
+/**
+ * Score of a lead with no calls or follow-ups yet (what computeLeadScore
+ * returns for it); lets bulk imports skip the per-lead queries
+ */
+exports.initialLeadScore = (stage) => {
+  if (!stage || stage.type === "lost") return 0;
+  if (stage.type === "won") return 100;
+  return Math.round(stage.probability * 0.4);
+};
+
+/**
+ * Recompute and store a lead's score. Safe to call after any call,
+ * follow-up or stage change; failures are logged, never thrown.
+ */
+exports.refreshLeadScore = async (leadId, pipeline = null) => {
+  try {
+    const lead = await Lead.findById(leadId).select("status companyCode");
+    if (!lead) return null;
+
+    const { score } = await exports.computeLeadScore(lead, pipeline || await exports.getPipeline(lead.companyCode));
+    await Lead.updateOne({ _id: lead._id }, { $set: { score, scoredAt: new Date() } });
+    return score;
+  } catch (error) {
+    console.error(`❌ Lead score refresh failed for ${leadId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Daily: follow-ups that became overdue since yesterday lower their lead's score
+ */
+exports.rescoreLeadsWithOverdueFollowUps = async () => {
+  const now = new Date();
+  const leadIds = await FollowUp.distinct("lead", {
+    status: "pending",
+    date: { $lt: now, $gte: new Date(now.getTime() - DAY) }
+  });
+
+  for (const leadId of leadIds) {
+    await exports.refreshLeadScore(leadId);
+  }
+
+  return { rescored: leadIds.length };
+};
@@ -0,0 +1,286 @@
+// utils/permissions.js
+const mongoose = require("mongoose");
+const MenuAccess = require("../models/MenuAccess");
+const SidebarConfig = require("../models/SidebarConfig");
+const { resolveRoles, SUPER_ADMIN_ROLE } = require("./roles");
+
+// Menu items a job role sees when its department has no MenuAccess saved
+const DEFAULT_MENU_ACCESS = {
+  user: ["dashboard", "attendance", "my-leaves", "my-assets", "create-task", "employee-project", "alerts", "employee-meeting"]
+};
+
+/**
+ * Permission keys. A user holds a permission when their MenuAccess /
+ * SidebarConfig grants one of its `menuItems`, or their company JobRole (or a
+ * role it inherits from) lists it. Users without a JobRole document fall back
+ * to `roles`, the built-in job roles. Company Owners and super admins hold
+ * every permission.
+ */
+const PERMISSIONS = {
+  "menu.manage": {
+    description: "Manage menu items and department / role menu access",
+    menuItems: ["menu-access"],
+    roles: ["admin"]
+  },
+  "sidebar.manage": {
+    description: "Manage sidebar configurations",
+    menuItems: ["sidebar-config"],
+    roles: ["admin"]
+  },
+  "meetings.view": {
+    description: "See and acknowledge own meetings",
+    menuItems: ["employee-meeting", "admin-meeting"],
+    roles: ["admin", "hr", "manager"]
+  },
+  "meetings.manage": {
+    description: "Schedule meetings and see who viewed them",
+    menuItems: ["admin-meeting"],
+    roles: ["admin", "hr", "manager"]
+  },
+  "assets.request": {
+    description: "Request assets and track own requests",
+    menuItems: ["my-assets", "admin-assets"],
+    roles: ["admin", "hr", "manager"]
+  },
+  "assets.manage": {
+    description: "Review, approve and delete asset requests",
+    menuItems: ["admin-assets"],
+    roles: ["admin", "hr"]
+  },
+  "assets.audit": {
+    description: "Run physical asset audits and see their exception reports",
+    menuItems: ["admin-assets"],
+    roles: ["admin", "hr"]
+  },
+  "permissions.view": {
+    description: "See other employees' effective permissions",
+    menuItems: ["menu-access"],
+    roles: ["admin", "hr"]
+  },
+  "crm.manage": {
+    description: "See and manage every lead, call and follow-up of the company",
+    menuItems: [],
+    roles: ["admin", "manager"]
+  },
+  "time.manage": {
+    description: "See and approve every employee's time entries and timesheets",
+    menuItems: [],
+    roles: ["admin", "hr"]
+  },
+  "leaves.view": {
+    description: "See leave statistics of every employee",
+    menuItems: [],
+    roles: ["admin", "hr"]
+  },
+  "users.manage": {
+    description: "Change employees' job roles, reporting managers and approval delegates",
+    menuItems: [],
+    roles: ["admin", "hr"]
+  },
+  "users.view": {
+    description: "See every employee of the company and the full org chart, not only their own reporting line",
+    menuItems: [],
+    roles: ["admin", "hr"]
+  },
+  "roles.manage": {
+    description: "Create, edit and assign company job roles",
+    menuItems: ["menu-access"],
+    roles: ["admin"]
+  }
+};
+
+// Registry entry for a route that only needs a login
+const LOGIN_ONLY = null;
+
+/**
+ * API routes and the permission each one needs. Paths are full mount paths;
+ * ":name" matches one segment, and matching ignores case like Express does.
+ * Routers guarded by requirePermission() must list every route they serve:
+ * a route missing from the table is refused.
+ */
+const ROUTE_PERMISSIONS = [
+  ["GET", "/api/menu-access", LOGIN_ONLY],
+  ["GET", "/api/menu-access/test", LOGIN_ONLY],
+  ["GET", "/api/menu-access/all", "menu.manage"],
+  ["POST", "/api/menu-access", "menu.manage"],
+  ["PUT", "/api/menu-access/:id", "menu.manage"],
+  ["DELETE", "/api/menu-access/:id", "menu.manage"],
+
+  ["GET", "/api/menu-items", LOGIN_ONLY],
+  ["GET", "/api/menu-items/test", LOGIN_ONLY],
+  ["GET", "/api/menu-items/all", "menu.manage"],
+  ["POST", "/api/menu-items", "menu.manage"],
+  ["PUT", "/api/menu-items/:id", "menu.manage"],
+  ["PUT", "/api/menu-items/:id/restore", "menu.manage"],
+  ["DELETE", "/api/menu-items/:id", "menu.manage"],
+
+  ["GET", "/api/sidebar", "sidebar.manage"],
+  ["GET", "/api/sidebar/config", "sidebar.manage"],
+  ["POST", "/api/sidebar", "sidebar.manage"],
+  ["PUT", "/api/sidebar/:id", "sidebar.manage"],
+  ["DELETE", "/api/sidebar/:id", "sidebar.manage"],
+  ["GET", "/api/sidebar/user-config", LOGIN_ONLY],
+  ["GET", "/api/sidebar/test", LOGIN_ONLY],
+
+  ["POST", "/api/meetings/create", "meetings.manage"],
+  ["GET", "/api/meetings", "meetings.manage"],
+  ["GET", "/api/meetings/view-status/:meetingId", "meetings.manage"],
+  ["GET", "/api/meetings/user/:userId", "meetings.view"],
+  ["POST", "/api/meetings/mark-viewed", "meetings.view"],
+  ["GET", "/api/meetings/test", LOGIN_ONLY],
+
+  ["POST", "/api/assets/request", "assets.request"],
+  ["GET", "/api/assets/my-requests", "assets.request"],
+  ["GET", "/api/assets/all", "assets.manage"],
+  ["PATCH", "/api/assets/update/:id", "assets.manage"],
+  ["DELETE", "/api/assets/delete/:id", "assets.manage"],
+
+  ["GET", "/api/assets12/audits", "assets.audit"],
+  ["POST", "/api/assets12/audits", "assets.audit"],
+  ["GET", "/api/assets12/audits/:id", "assets.audit"],
+  ["POST", "/api/assets12/audits/:id/items/:itemId", "assets.audit"],
+  ["POST", "/api/assets12/audits/:id/close", "assets.audit"],
+
+  ["GET", "/api/permissions/me", LOGIN_ONLY],
+  ["GET", "/api/permissions/registry", "menu.manage"],
+  ["GET", "/api/permissions/users/:userId", "permissions.view"],
+
+  ["GET", "/api/job-roles", LOGIN_ONLY],
+  ["GET", "/api/job-roles/test", LOGIN_ONLY],
+  ["GET", "/api/job-roles/getJobRoles/:companyid", LOGIN_ONLY],
+  ["GET", "/api/job-roles/department/:departmentId", LOGIN_ONLY],
+  ["GET", "/api/job-roles/:id/permissions", LOGIN_ONLY],
+  ["POST", "/api/job-roles", "roles.manage"],
+  ["PUT", "/api/job-roles/:id", "roles.manage"],
+  ["PUT", "/api/job-roles/:id/assign", "roles.manage"],
+  ["DELETE", "/api/job-roles/:id", "roles.manage"]
+].map(([method, path, permission]) => ({
+  method,
+  path,
+  permission,
+  pattern: new RegExp(`^${path.replace(/:[^/]+/g, "[^/]+")}/?$`, "i")
+}));
+
+// Catch typos in the route table at startup
+ROUTE_PERMISSIONS.forEach(route => {
+  if (route.permission !== LOGIN_ONLY && !PERMISSIONS[route.permission]) {
+    throw new Error(`Unknown permission "${route.permission}" for ${route.method} ${route.path}`);
+  }
+});
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+exports.defaultMenuAccess = (jobRole) =>
+  DEFAULT_MENU_ACCESS[(jobRole || "").toLowerCase()] || DEFAULT_MENU_ACCESS.user;
+
+/**
+ * Registry entry ({ method, path, permission }) of a request, or null when
+ * the route is not listed. `permission` is null for login-only routes.
+ */
+exports.findRoute = (method, path) => {
+  const normalized = String(path || "").replace(/\/{2,}/g, "/");
+  return ROUTE_PERMISSIONS.find(entry => entry.method === String(method).toUpperCase() && entry.pattern.test(normalized)) || null;
+};
+
+// Permission a request needs, or null when it only needs a login or is not listed
+exports.permissionForRoute = (method, path) => {
+  const route = exports.findRoute(method, path);
+  return route ? route.permission : null;
+};
+
+/**
+ * Effective permissions of a user (req.user or a User document) from their
+ * company JobRole and department + job role MenuAccess and SidebarConfig
+ */
+exports.resolvePermissions = async (user) => {
+  const isSuperAdmin = user.jobRole === SUPER_ADMIN_ROLE;
+  const isOwner = user.companyRole === "Owner";
+  const departmentId = idOf(user.department);
+  const companyId = idOf(user.company);
+  const validDepartment = mongoose.isValidObjectId(departmentId);
+
+  const [roles, access, sidebar] = await Promise.all([
+    resolveRoles(user),
+    validDepartment
+      ? MenuAccess.findOne({ department: departmentId, jobRole: user.jobRole }).select("accessItems").lean()
+      : null,
+    validDepartment && mongoose.isValidObjectId(companyId)
+      ? SidebarConfig.findOne({ companyId, departmentId, role: user.jobRole, isActive: true }).select("menuItems.id").lean()
+      : null
+  ]);
+
+  const menuItems = [...new Set([
+    ...(access ? access.accessItems : exports.defaultMenuAccess(user.jobRole)),
+    ...(sidebar ? sidebar.menuItems.map(item => item.id) : [])
+  ])];
+
+  const jobRole = (user.jobRole || "").toLowerCase();
+  const grantedByRole = (key) => (roles.permissions
+    ? roles.permissions.includes(key)
+    : PERMISSIONS[key].roles.includes(jobRole));
+
+  const permissions = isSuperAdmin || isOwner
+    ? ALL_PERMISSIONS
+    : ALL_PERMISSIONS.filter(key =>
+      grantedByRole(key) ||
+      PERMISSIONS[key].menuItems.some(item => menuItems.includes(item)));
+
+  return {
+    permissions,
+    menuItems,
+    roles: roles.names,
+    isOwner,
+    isSuperAdmin,
+    sources: {
+      jobRole: roles.role,
+      inherits: roles.inherits,
+      menuAccess: access ? access._id : null,
+      sidebarConfig: sidebar ? sidebar._id : null,
+      defaultMenuAccess: !access
+    }
+  };
+};
+
+// Resolved once per request and kept on req.access
+exports.getRequestAccess = async (req) => {
+  if (!req.access) {
+    req.access = await exports.resolvePermissions(req.user);
+  }
+  return req.access;
+};
+
+exports.hasPermission = async (req, permission) =>
+  (await exports.getRequestAccess(req)).permissions.includes(permission);
+
+/**
+ * True when the user's job role, or a role it inherits from, is one of
+ * `names` (case-insensitive). Permission keys are accepted too.
+ */
+exports.hasRole = async (req, ...names) => {
+  const access = await exports.getRequestAccess(req);
+  return names.some(name => {
+    const wanted = String(name).toLowerCase();
+    return access.roles.includes(wanted) || (Boolean(PERMISSIONS[name]) && access.permissions.includes(name));
+  });
+};
+
+// Unknown keys in a role's permission list
+exports.unknownPermissions = (keys) => (keys || []).filter(key => !PERMISSIONS[key]);
+
+// Registry as served to admin screens
+exports.listRegistry = () => ({
+  permissions: ALL_PERMISSIONS.map(key => ({
+    key,
+    description: PERMISSIONS[key].description,
+    menuItems: PERMISSIONS[key].menuItems,
+    roles: PERMISSIONS[key].roles,
+    routes: ROUTE_PERMISSIONS
+      .filter(route => route.permission === key)
+      .map(route => `${route.method} ${route.path}`)
+  }))
+});
+
+exports.PERMISSIONS = PERMISSIONS;
+exports.SUPER_ADMIN_ROLE = SUPER_ADMIN_ROLE;
@@ -0,0 +1,114 @@
+// utils/roles.js
+const mongoose = require("mongoose");
+const JobRole = require("../models/JobRole");
+
+const SUPER_ADMIN_ROLE = "super_admin";
+// Job role names accepted before a company defines any JobRole documents
+const BUILT_IN_ROLES = ["admin", "user", "hr", "manager"];
+// Guards against broken inheritance chains saved before cycle checks existed
+const MAX_INHERITANCE_DEPTH = 10;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Case-insensitive name match, same as the duplicate checks in jobRoleController
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Active JobRole called `name` in a company. A role of the given department
+ * wins over a company-wide one (no department).
+ */
+exports.findCompanyRole = async (companyId, name, departmentId = null) => {
+  if (!name || !mongoose.isValidObjectId(companyId)) return null;
+
+  const roles = await JobRole.find({ company: companyId, name: String(name).trim(), isActive: true })
+    .collation(NAME_COLLATION)
+    .lean();
+
+  return roles.find(role => departmentId && String(role.department) === String(departmentId)) ||
+    roles.find(role => !role.department) ||
+    roles[0] ||
+    null;
+};
+
+/**
+ * JobRole document of a user (req.user or a User document): the assigned
+ * roleId, else the company role named like their jobRole string
+ */
+exports.findUserRole = async (user) => {
+  if (user.roleId) {
+    const role = await JobRole.findOne({ _id: idOf(user.roleId), isActive: true }).lean();
+    if (role) return role;
+  }
+  return exports.findCompanyRole(idOf(user.company), user.jobRole, idOf(user.department));
+};
+
+/**
+ * `role` followed by the roles it inherits from, nearest first
+ */
+exports.roleChain = async (role) => {
+  const chain = [];
+  const seen = new Set();
+  let current = role;
+
+  while (current && !seen.has(String(current._id)) && chain.length < MAX_INHERITANCE_DEPTH) {
+    chain.push(current);
+    seen.add(String(current._id));
+    current = current.inherits
+      ? await JobRole.findOne({ _id: current.inherits, company: current.company, isActive: true }).lean()
+      : null;
+  }
+
+  return chain;
+};
+
+// True when `roleId` inheriting from `parentId` would loop back to itself
+exports.createsCycle = async (roleId, parentId) => {
+  if (!parentId) return false;
+  const parent = await JobRole.findById(parentId).lean();
+  const chain = await exports.roleChain(parent);
+  return chain.some(role => String(role._id) === String(roleId));
+};
+
+/**
+ * Role names (lower case) a user answers to and the permission keys their
+ * role grants. `permissions` is null when the user has no JobRole document,
+ * so callers can fall back to the built-in role defaults.
+ */
+exports.resolveRoles = async (user) => {
+  const role = await exports.findUserRole(user);
+  const chain = role ? await exports.roleChain(role) : [];
+
+  const names = [...new Set([
+    (user.jobRole || "").toLowerCase(),
+    ...chain.map(entry => entry.name.toLowerCase())
+  ].filter(Boolean))];
+
+  return {
+    role: role ? { _id: role._id, name: role.name } : null,
+    inherits: chain.slice(1).map(entry => ({ _id: entry._id, name: entry.name })),
+    names,
+    permissions: role ? [...new Set(chain.flatMap(entry => entry.permissions || []))] : null
+  };
+};
+
+// Job role names a company may assign: the built-in ones plus its own JobRoles
+exports.isKnownJobRole = async (companyId, name) => {
+  if (!name) return false;
+  if (BUILT_IN_ROLES.includes(String(name).toLowerCase())) return true;
+  return Boolean(await exports.findCompanyRole(companyId, name));
+};
+
+/**
+ * Names a company JobRole cannot take: the platform super admin and the
+ * built-in roles (case-insensitive; "Super Admin" and "superadmin" count as super_admin).
+ * Users carry their role's name in jobRole, so such a role would pass as
+ * the real thing.
+ */
+exports.isReservedRoleName = (name) => {
+  const normalized = String(name || "").trim().toLowerCase();
+  return normalized.replace(/[\s_-]+/g, "") === SUPER_ADMIN_ROLE.replace("_", "") ||
+    BUILT_IN_ROLES.includes(normalized);
+};
+
+exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
+exports.SUPER_ADMIN_ROLE = SUPER_ADMIN_ROLE;
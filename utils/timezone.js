@@ -0,0 +1,109 @@
+// utils/timezone.js
+// Wall-clock <-> UTC conversion for company time zones, using Intl only
+
+// Our companies were all on IST before time zones became configurable
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Year / month / day / hour / minute of an instant as seen in the zone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Offset of the zone from UTC (ms) at an instant
+const zoneOffset = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time happens in the zone. Re-checks the offset
+ * once so times next to a DST change land on the right side.
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = zoneOffset(new Date(wallClock), timeZone);
+  const corrected = zoneOffset(new Date(wallClock - offset), timeZone);
+  return new Date(wallClock - corrected);
+};
+
+/**
+ * Parse "YYYY-MM-DD", "YYYY-MM-DDTHH:mm" (wall-clock time in the zone) or a
+ * full ISO string with Z / offset (taken as is). Returns null when invalid,
+ * including out-of-range parts such as a 31st of April.
+ */
+const parseZonedDateTime = (value, timeZone) => {
+  const text = String(value || '').trim();
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(part => Number(part || 0));
+  // Date.UTC would roll "2026-02-30" or "25:00" over into the next day
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59) return null;
+
+  const date = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Midnight of the instant's day in the zone (+ `addDays` days)
+const startOfZonedDay = (date, timeZone, addDays = 0) => {
+  const p = zonedParts(date, timeZone);
+  const midnight = new Date(Date.UTC(p.year, p.month - 1, p.day + addDays));
+  return zonedTimeToDate({
+    year: midnight.getUTCFullYear(),
+    month: midnight.getUTCMonth() + 1,
+    day: midnight.getUTCDate()
+  }, timeZone);
+};
+
+// "20 Oct 2026, 3:30 pm" in the zone, for notification texts
+const formatInZone = (date, timeZone) => new Date(date).toLocaleString('en-IN', {
+  timeZone,
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  parseZonedDateTime,
+  startOfZonedDay,
+  formatInZone
+};
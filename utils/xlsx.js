@@ -0,0 +1,148 @@
+// utils/xlsx.js
+// Minimal reader for the first worksheet of an .xlsx file (Excel, Google
+// Sheets and ad-platform exports). Values only: no styles, formulas or dates.
+
+const zlib = require('zlib');
+const { dropBlankRows, rowsToRecords, setRowNumber } = require('./csv');
+
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+
+// Inflate at most `limit` bytes; archives that unpack to more are rejected
+const inflateCapped = (data, limit) => {
+  if (limit <= 0) throw new Error('Spreadsheet is too large');
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: limit });
+  } catch (error) {
+    if (error instanceof RangeError) throw new Error('Spreadsheet is too large');
+    throw error;
+  }
+};
+
+/**
+ * Read the entries of a zip archive into a Map of name -> Buffer
+ */
+const readZipEntries = (buffer) => {
+  // End of central directory record: last 22 bytes plus an optional comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a valid .xlsx file');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  let total = 0;
+
+  for (let n = 0; n < entryCount; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt .xlsx file');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const dataStart = localOffset + 30
+      + buffer.readUInt16LE(localOffset + 26)
+      + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content = null;
+    if (method === 0) content = data;
+    else if (method === 8) content = inflateCapped(data, MAX_UNCOMPRESSED_BYTES - total);
+    if (!content) continue;
+
+    // Guard against zip bombs: count what was really unpacked, not the declared sizes
+    total += content.length;
+    if (total > MAX_UNCOMPRESSED_BYTES) throw new Error('Spreadsheet is too large');
+    entries.set(name, content);
+  }
+
+  return entries;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&amp;/g, '&');
+
+// Text of all <t> runs inside an element (rich text is split into several)
+const readText = (xml) => {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) text += match[1];
+  return decodeXml(text);
+};
+
+// "C12" -> 2
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/.exec(ref || '');
+  if (!letters) return null;
+  return letters[0].split('').reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * Parse the first worksheet into an array of rows (arrays of strings),
+ * the same shape as parseCsvRows
+ */
+const parseXlsxRows = (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  const sheetName = [...entries.keys()]
+    .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]))[0];
+  if (!sheetName) throw new Error('The spreadsheet has no worksheets');
+
+  const sharedXml = entries.has('xl/sharedStrings.xml') ? entries.get('xl/sharedStrings.xml').toString('utf8') : '';
+  const sharedStrings = [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => readText(match[1]));
+
+  const sheetXml = entries.get(sheetName).toString('utf8');
+  const rows = [];
+
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const row = [];
+
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const type = (/\st="([^"]+)"/.exec(attributes) || [])[1];
+      const index = columnIndex((/\sr="([^"]+)"/.exec(attributes) || [])[1]) ?? row.length;
+      const raw = (/<v>([\s\S]*?)<\/v>/.exec(body) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] || '';
+      else if (type === 'inlineStr') value = readText(body);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+
+    // Empty rows are left out of the sheet XML, so number rows by their r attribute
+    const rowNumber = Number((/^<row\b[^>]*?\sr="(\d+)"/.exec(rowMatch[0]) || [])[1]);
+    rows.push(setRowNumber(row, rowNumber || rows.length + 1));
+  }
+
+  return dropBlankRows(rows);
+};
+
+/**
+ * Parse the first worksheet with a header row into objects keyed by normalised header
+ */
+const parseXlsx = (buffer) => rowsToRecords(parseXlsxRows(buffer));
+
+module.exports = {
+  parseXlsxRows,
+  parseXlsx
+};
@@ -0,0 +1,135 @@
+const Joi = require("joi");
+
+const CALL_STATUSES = ["answered", "missed", "not reachable", "rejected"];
+const objectId = Joi.string().hex().length(24);
+
+const createLeadSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required().messages({
+    "string.empty": "Lead name is required"
+  }),
+  phone: Joi.string().pattern(/^[0-9+\-\s]{7,20}$/).allow("", null).messages({
+    "string.pattern.base": "Please provide a valid phone number"
+  }),
+  email: Joi.string().email().allow("", null).messages({
+    "string.email": "Please provide a valid email"
+  }),
+  organization: Joi.string().trim().max(100).allow("", null),
+  city: Joi.string().trim().max(50).allow("", null),
+  source: Joi.string().trim().max(100).allow("", null),
+  // Checked against the company's pipeline in the controller
+  status: Joi.string().trim().max(50),
+  servicesOfInterest: Joi.array().items(Joi.string().trim().min(1).max(100)),
+  assignedTo: objectId.allow(null).messages({
+    "string.hex": "Invalid user ID format",
+    "string.length": "Invalid user ID length"
+  })
+});
+
+const updateLeadSchema = createLeadSchema.fork(["name"], (field) => field.optional()).min(1);
+
+const assignLeadSchema = Joi.object({
+  userId: objectId.required().messages({
+    "any.required": "userId is required",
+    "string.hex": "Invalid user ID format"
+  })
+});
+
+const noteSchema = Joi.object({
+  message: Joi.string().trim().min(1).max(2000).required().messages({
+    "string.empty": "Note message is required"
+  })
+});
+
+const startCallSchema = Joi.object({
+  leadId: objectId.required().messages({
+    "any.required": "leadId is required",
+    "string.hex": "Invalid lead ID format"
+  })
+});
+
+const endCallSchema = Joi.object({
+  callId: objectId.required().messages({
+    "any.required": "callId is required",
+    "string.hex": "Invalid call ID format"
+  }),
+  status: Joi.string().valid(...CALL_STATUSES).required(),
+  notes: Joi.string().max(2000).allow("", null)
+});
+
+const followUpSchema = Joi.object({
+  leadId: objectId.required().messages({
+    "any.required": "leadId is required",
+    "string.hex": "Invalid lead ID format"
+  }),
+  date: Joi.date().iso(),
+  note: Joi.string().max(2000).allow("", null)
+});
+
+const rescheduleFollowUpSchema = Joi.object({
+  date: Joi.date().iso().required().messages({
+    "any.required": "New follow-up date is required"
+  }),
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "any.required": "Reason for rescheduling is required",
+    "string.empty": "Reason for rescheduling is required"
+  })
+});
+
+const followUpSettingsSchema = Joi.object({
+  reminderMinutes: Joi.number().integer().min(0).max(24 * 60),
+  escalateAfterMinutes: Joi.number().integer().min(0).max(7 * 24 * 60)
+}).min(1);
+
+const convertLeadSchema = Joi.object({
+  client: Joi.string().trim().max(100),
+  company: Joi.string().trim().max(100),
+  city: Joi.string().trim().max(50),
+  projectManager: Joi.array().items(Joi.string().trim().min(1)).min(1),
+  services: Joi.array().items(Joi.string().trim().min(1).max(100)),
+  status: Joi.string().valid("Active", "On Hold", "Inactive"),
+  address: Joi.string().trim().max(200).allow(""),
+  description: Joi.string().trim().max(1000).allow("")
+});
+
+const pipelineSchema = Joi.object({
+  stages: Joi.array().items(Joi.object({
+    key: Joi.string().trim().lowercase().max(50).required(),
+    name: Joi.string().trim().max(50).required(),
+    type: Joi.string().valid("open", "won", "lost").required(),
+    probability: Joi.number().min(0).max(100).required()
+  })).min(2).unique("key").required().messages({
+    "array.unique": "Stage keys must be unique"
+  }),
+  sources: Joi.array().items(Joi.string().trim().min(1).max(100)).unique((a, b) => a.toLowerCase() === b.toLowerCase())
+});
+
+const assignmentRuleSchema = Joi.object({
+  enabled: Joi.boolean(),
+  strategy: Joi.string().valid("round_robin", "workload", "source"),
+  department: objectId.allow(null).messages({
+    "string.hex": "Invalid department ID format"
+  }),
+  agents: Joi.array().items(objectId).unique(),
+  sourceRules: Joi.array().items(Joi.object({
+    source: Joi.string().trim().min(1).max(100).required(),
+    agents: Joi.array().items(objectId).min(1).unique().required()
+  })).unique((a, b) => a.source.toLowerCase() === b.source.toLowerCase()).messages({
+    "array.unique": "Each source can only have one rule"
+  })
+}).min(1);
+
+module.exports = {
+  CALL_STATUSES,
+  createLeadSchema,
+  updateLeadSchema,
+  assignLeadSchema,
+  noteSchema,
+  startCallSchema,
+  endCallSchema,
+  followUpSchema,
+  rescheduleFollowUpSchema,
+  followUpSettingsSchema,
+  convertLeadSchema,
+  pipelineSchema,
+  assignmentRuleSchema
+};